@@ -2,13 +2,25 @@
 'use strict';
 
 import { LLMService } from './services/llm-service.js';
+import { ResponseCache } from './services/response-cache.js';
+import { UsageTracker } from './services/usage-tracker.js';
+import { loadCustomActions } from './services/custom-actions.js';
+import { resolveCitations } from './services/citations.js';
+import { loadCaptureSettings, getCaptureFormat } from './services/capture-format.js';
+import { extractPdfText, formatPdfPages, isPdfContentType, isPdfUrl } from './services/pdf-text.js';
 import {
     MESSAGE_TYPES,
     CONTEXT_MENU_IDS,
     COMMANDS,
     STORAGE_KEYS,
     LANGUAGES,
-    MORE_LANGUAGES
+    MORE_LANGUAGES,
+    USAGE_WARNING_RATIO,
+    EXPLAIN_DEPTHS,
+    DEFAULT_EXPLAIN_DEPTH,
+    CONTENT_LIMITS,
+    PDF_LIMITS,
+    TRACK_TIMEOUT_MS
 } from './services/constants.js';
 
 
@@ -29,12 +41,77 @@ const logger = {
   }
 };
 
+// Scripts injected into pages (and same-origin frames) that were open before the extension loaded
+const CONTENT_SCRIPT_FILES = ['debug-config.js', 'libs/turndown.js', 'content.js'];
+// Page requests go to the top frame only; frames are read separately by getFrameContents
+const TOP_FRAME = { frameId: 0 };
+const PAGE_CONTENT_TIMEOUT_MS = 10000;
+// A frame reads the transcripts of its captioned videos as well, which can wait twice on a track
+const FRAME_CONTENT_TIMEOUT_MS = 2 * TRACK_TIMEOUT_MS + 2000;
+const MAX_CONTENT_FRAMES = 10;
+// Frames with less text than this (ads, trackers, empty widgets) are left out
+const MIN_FRAME_CHARS = 50;
+
+/**
+ * Largest number among ids such as "p12" or "v2" in `ids`, 0 when there are none
+ */
+function maxIdNumber(ids) {
+    return ids.reduce((max, id) => Math.max(max, Number(String(id).slice(1)) || 0), 0);
+}
+
+/**
+ * A frame's content with its citation ids ("[p3]") and video ids ("[v1 12:34]") numbered on from
+ * `next` ({ citation, video }, advanced in place), so ids stay unique next to the page's and other
+ * frames'. The maps lead from each new id back to the frame's own: { p41: 'p3' } and { v2: 'v1' }.
+ */
+function renumberFrameIds(content, next) {
+    const citations = {};
+    const videos = {};
+    const renamed = new Map();
+    const rename = (ownId, prefix, map) => {
+        const key = `${prefix}:${ownId}`;
+        if (!renamed.has(key)) {
+            const id = prefix === 'p' ? `p${next.citation++}` : `v${next.video++}`;
+            renamed.set(key, id);
+            map[id] = ownId;
+        }
+        return renamed.get(key);
+    };
+    const renumbered = content
+        .replace(/\[(p\d+)\]/g, (_, ownId) => `[${rename(ownId, 'p', citations)}]`)
+        .replace(/\[(v\d+) (?=(?:\d{1,2}:)?\d{1,2}:\d{2}\])/g, (_, ownId) => `[${rename(ownId, 'v', videos)} `);
+    return { content: renumbered, citations, videos };
+}
+
+/**
+ * Settle with the promise, or reject with `message` once `ms` pass first
+ */
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 /**
  * Background Service - Extension coordinator
  */
 class NationAssistantBackground {
     constructor() {
         this.llmService = new LLMService();
+        this.responseCache = new ResponseCache();
+        this.usageTracker = new UsageTracker();
+        // Spending caps and model prices from the options page
+        this.usageLimits = {};
+        this.modelPrices = {};
+        // In-flight side panel requests by requestId, so they can be cancelled
+        this.activeRequests = new Map();
+        this.contextMenuUpdate = Promise.resolve();
+        // The last PDF read ({ url, pdf }), so follow-up questions don't fetch and parse it again
+        this.lastPdf = null;
+        // The last tab checked for a PDF ({ tabId, url, pdf }), as an action checks more than once
+        this.lastPdfCheck = null;
         this.init();
     }
 
@@ -44,6 +121,7 @@ class NationAssistantBackground {
     async init() {
         try {
             await this.llmService.init();
+            await this.loadUsageSettings();
             this.setupEventListeners();
             this.setupContextMenus();
             this.setupMessageHandlers();
@@ -59,8 +137,14 @@ class NationAssistantBackground {
         chrome.storage.onChanged.addListener((changes, namespace) => {
             if (namespace === 'sync') {
                 this.handleStorageChange(changes);
+            } else if (namespace === 'local') {
+                if (changes[STORAGE_KEYS.PROMPT_TEMPLATES]) this.llmService.loadPromptTemplates();
+                if (changes[STORAGE_KEYS.CUSTOM_ACTIONS]) this.setupContextMenus();
             }
         });
+        chrome.contextMenus.onClicked.addListener((info, tab) => {
+            this.handleContextMenuClick(info, tab);
+        });
         chrome.action.onClicked.addListener((tab) => {
             logger.log('Extension icon clicked, opening sidepanel for tab:', tab.id);
             chrome.sidePanel.open({ tabId: tab.id }).catch(error => {
@@ -80,8 +164,8 @@ class NationAssistantBackground {
         });
 
         // Global keyboard shortcut handler
-        chrome.commands.onCommand.addListener((command) => {
-            this.handleCommand(command);
+        chrome.commands.onCommand.addListener((command, tab) => {
+            this.handleCommand(command, tab);
         });
     }
 
@@ -89,23 +173,133 @@ class NationAssistantBackground {
      * Handle storage changes
      */
     async handleStorageChange(changes) {
-        if (changes[STORAGE_KEYS.API_KEY] || changes[STORAGE_KEYS.API_BASE_URL]) {
+        const llmKeys = [
+            STORAGE_KEYS.API_KEY,
+            STORAGE_KEYS.API_BASE_URL,
+            STORAGE_KEYS.LLM_PROVIDER,
+            STORAGE_KEYS.LLM_MODEL,
+            STORAGE_KEYS.LLM_MAX_TOKENS,
+            STORAGE_KEYS.LLM_TEMPERATURE,
+            STORAGE_KEYS.LLM_ACTION_SETTINGS,
+            STORAGE_KEYS.RESPONSE_LANGUAGE
+        ];
+        if (llmKeys.some(key => changes[key])) {
             await this.llmService.loadSettings();
         }
+        if (changes[STORAGE_KEYS.USAGE_LIMITS] || changes[STORAGE_KEYS.MODEL_PRICES]) {
+            await this.loadUsageSettings();
+        }
+    }
+
+    /**
+     * Load the spending caps and per-model prices the guardrails are checked against
+     */
+    async loadUsageSettings() {
+        try {
+            const result = await chrome.storage.sync.get([STORAGE_KEYS.USAGE_LIMITS, STORAGE_KEYS.MODEL_PRICES]);
+            this.usageLimits = result[STORAGE_KEYS.USAGE_LIMITS] || {};
+            this.modelPrices = result[STORAGE_KEYS.MODEL_PRICES] || {};
+        } catch (error) {
+            logger.warn('Failed to load usage limits:', error.message);
+        }
+    }
+
+    /**
+     * Refuse a request once a daily/monthly cap is reached, and hold back inputs above the
+     * action's ceiling until the user confirms. Throws an Error with code USAGE_LIMIT_REACHED
+     * or INPUT_CONFIRMATION_REQUIRED.
+     */
+    async enforceUsageLimits(actionId, inputTokens, confirmed = false) {
+        const statuses = await this.usageTracker.getLimitStatus(this.usageLimits, this.modelPrices);
+        const reached = statuses.find(status => status.ratio >= 1);
+        if (reached) {
+            const period = reached.id.startsWith('daily') ? 'tomorrow' : 'next month';
+            const error = new Error(`${reached.label} reached (${this.formatUsage(reached.used, reached.metric)} of ${this.formatUsage(reached.limit, reached.metric)}). Raise it in Settings or wait until ${period}.`);
+            error.code = 'USAGE_LIMIT_REACHED';
+            throw error;
+        }
+
+        const ceiling = this.llmService.getInputCeiling(actionId);
+        if (!confirmed && ceiling && inputTokens > ceiling) {
+            const error = new Error(`This request would send about ${inputTokens.toLocaleString('en-US')} tokens, above the ${ceiling.toLocaleString('en-US')}-token ceiling for this action.`);
+            error.code = 'INPUT_CONFIRMATION_REQUIRED';
+            error.inputTokens = inputTokens;
+            error.ceiling = ceiling;
+            throw error;
+        }
+    }
+
+    /**
+     * Warning for the side panel once usage passes USAGE_WARNING_RATIO of a cap, or null
+     */
+    async getUsageWarning() {
+        try {
+            const statuses = await this.usageTracker.getLimitStatus(this.usageLimits, this.modelPrices);
+            const closest = statuses
+                .filter(status => status.ratio >= USAGE_WARNING_RATIO)
+                .sort((a, b) => b.ratio - a.ratio)[0];
+            if (!closest) return null;
+            return {
+                id: closest.id,
+                message: `${closest.label}: ${Math.min(100, Math.round(closest.ratio * 100))}% used (${this.formatUsage(closest.used, closest.metric)} of ${this.formatUsage(closest.limit, closest.metric)}).`
+            };
+        } catch (_) {
+            return null;
+        }
+    }
+
+    formatUsage(value, metric) {
+        return metric === 'cost' ? `$${value.toFixed(2)}` : `${Math.round(value).toLocaleString('en-US')} tokens`;
     }
 
     /**
-     * Handle keyboard commands
+     * Error response for requests stopped by the usage guardrails, or null for other errors
      */
-    async handleCommand(command) {
+    getUsageLimitResponse(error) {
+        if (error.code === 'USAGE_LIMIT_REACHED') {
+            return { success: false, error: error.message, limitReached: true };
+        }
+        if (error.code === 'INPUT_CONFIRMATION_REQUIRED') {
+            return {
+                success: false,
+                error: error.message,
+                needsConfirmation: { inputTokens: error.inputTokens, ceiling: error.ceiling }
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Handle keyboard commands; tab is the tab the shortcut was pressed in
+     */
+    async handleCommand(command, tab) {
         try {
             switch (command) {
-                case COMMANDS.OPEN_SIDEPANEL:
-                    const tab = await this.getActiveTab();
-                    if (tab) {
-                        await chrome.sidePanel.open({ tabId: tab.id });
+                case COMMANDS.OPEN_SIDEPANEL: {
+                    const activeTab = tab || await this.getActiveTab();
+                    if (activeTab) {
+                        await chrome.sidePanel.open({ tabId: activeTab.id });
                     }
                     break;
+                }
+                case COMMANDS.EXPLAIN_SELECTION: {
+                    if (!tab) break;
+                    // Open the panel before anything is awaited, while the keypress still counts as a user gesture
+                    chrome.sidePanel.open({ tabId: tab.id }).catch(err => {
+                        console.error('[Background] Failed to open sidepanel:', err);
+                    });
+                    // Saved whether or not the panel opens; no text: the explain request reads the selection from the page
+                    chrome.storage.local.set({
+                        [STORAGE_KEYS.CONTEXT_ACTION]: {
+                            action: 'explain',
+                            text: '',
+                            depth: DEFAULT_EXPLAIN_DEPTH,
+                            timestamp: Date.now(),
+                            tabId: tab.id
+                        }
+                    }).catch(() => {});
+                    break;
+                }
                 default:
                     logger.debug('Unknown command:', command);
             }
@@ -115,10 +309,18 @@ class NationAssistantBackground {
     }
 
     /**
-     * Setup context menus
+     * Build the context menus; rebuilt when custom actions change. Rebuilds run one at a time
+     * so menu ids are never created twice.
      */
     setupContextMenus() {
-        chrome.contextMenus.removeAll();
+        this.contextMenuUpdate = this.contextMenuUpdate
+            .then(() => this.buildContextMenus())
+            .catch(error => logger.error('Failed to build context menus:', error));
+        return this.contextMenuUpdate;
+    }
+
+    async buildContextMenus() {
+        await chrome.contextMenus.removeAll();
 
         chrome.contextMenus.create({
             id: CONTEXT_MENU_IDS.PARENT,
@@ -140,6 +342,22 @@ class NationAssistantBackground {
             contexts: ['selection']
         });
 
+        chrome.contextMenus.create({
+            id: CONTEXT_MENU_IDS.EXPLAIN_SELECTION,
+            parentId: CONTEXT_MENU_IDS.PARENT,
+            title: '🧠 Explain',
+            contexts: ['selection']
+        });
+
+        EXPLAIN_DEPTHS.forEach(depth => {
+            chrome.contextMenus.create({
+                id: `${CONTEXT_MENU_IDS.EXPLAIN_DEPTH_PREFIX}${depth.id}`,
+                parentId: CONTEXT_MENU_IDS.EXPLAIN_SELECTION,
+                title: depth.label,
+                contexts: ['selection']
+            });
+        });
+
         // Add quick translate options - flatten menu structure
         chrome.contextMenus.create({
             id: CONTEXT_MENU_IDS.TRANSLATE_AUTO,
@@ -175,9 +393,23 @@ class NationAssistantBackground {
             });
         });
 
-
-        chrome.contextMenus.onClicked.addListener((info, tab) => {
-            this.handleContextMenuClick(info, tab);
+        // User-defined actions from the options page
+        const customActions = await loadCustomActions();
+        if (customActions.length) {
+            chrome.contextMenus.create({
+                id: `${CONTEXT_MENU_IDS.CUSTOM_ACTION_PREFIX}separator`,
+                parentId: CONTEXT_MENU_IDS.PARENT,
+                type: 'separator',
+                contexts: ['page', 'selection']
+            });
+        }
+        customActions.forEach(action => {
+            chrome.contextMenus.create({
+                id: `${CONTEXT_MENU_IDS.CUSTOM_ACTION_PREFIX}${action.id}`,
+                parentId: CONTEXT_MENU_IDS.PARENT,
+                title: `${action.icon} ${action.name}`,
+                contexts: action.requiresSelection ? ['selection'] : ['page', 'selection']
+            });
         });
     }
 
@@ -206,6 +438,10 @@ class NationAssistantBackground {
                     sendResponse(await this.handleChatWithPage(message));
                     break;
 
+                case MESSAGE_TYPES.CANCEL_REQUEST:
+                    sendResponse(this.handleCancelRequest(message));
+                    break;
+
                 case MESSAGE_TYPES.SUMMARIZE_PAGE:
                     sendResponse(await this.handleSummarizePage(message));
                     break;
@@ -214,9 +450,22 @@ class NationAssistantBackground {
                     sendResponse(await this.handleListKeyPoints(message));
                     break;
 
-                // case MESSAGE_TYPES.EXPLAIN_PAGE:
-                //     sendResponse(await this.handleExplainPage(message));
-                //     break;
+                case MESSAGE_TYPES.SUMMARIZE_DISCUSSION:
+                    sendResponse(await this.handleSummarizeDiscussion(message));
+                    break;
+
+                case MESSAGE_TYPES.RUN_CUSTOM_ACTION:
+                    sendResponse(await this.handleRunCustomAction(message));
+                    break;
+
+                case MESSAGE_TYPES.EXPLAIN_PAGE:
+                    sendResponse(await this.handleExplainPage(message));
+                    break;
+
+                case MESSAGE_TYPES.LIST_TABLES:
+                case MESSAGE_TYPES.GET_TABLE:
+                    sendResponse(await this.handleTableRequest(message));
+                    break;
 
                 case MESSAGE_TYPES.TEST_CONNECTION:
                     if (message.testConfig) {
@@ -231,6 +480,17 @@ class NationAssistantBackground {
                     sendResponse({ success: true, data: { connected: true } });
                     break;
 
+                case MESSAGE_TYPES.LIST_MODELS: {
+                    // List with the unsaved configuration from the options page when provided
+                    let service = this.llmService;
+                    if (message.testConfig) {
+                        service = new LLMService();
+                        await service.initWithConfig(message.testConfig);
+                    }
+                    sendResponse({ success: true, data: { models: await service.listModels() } });
+                    break;
+                }
+
                 case MESSAGE_TYPES.RELOAD_SETTINGS:
                     await this.llmService.loadSettings();
                     sendResponse({ success: true, data: { reloaded: true } });
@@ -286,6 +546,35 @@ class NationAssistantBackground {
                 case CONTEXT_MENU_IDS.TRANSLATE_AUTO:
                     this.startSmartTranslation(selectionText, tab);
                     break;
+                default:
+                    if (typeof menuItemId === 'string' && menuItemId.startsWith(CONTEXT_MENU_IDS.EXPLAIN_DEPTH_PREFIX)) {
+                        chrome.sidePanel.open({ tabId: tab.id }).catch(err => {
+                            console.error('[Background] Failed to open sidepanel:', err);
+                        });
+                        chrome.storage.local.set({
+                            [STORAGE_KEYS.CONTEXT_ACTION]: {
+                                action: 'explain',
+                                text: selectionText || '',
+                                depth: menuItemId.slice(CONTEXT_MENU_IDS.EXPLAIN_DEPTH_PREFIX.length),
+                                timestamp: Date.now(),
+                                tabId: tab.id
+                            }
+                        }).catch(() => {});
+                    } else if (typeof menuItemId === 'string' && menuItemId.startsWith(CONTEXT_MENU_IDS.CUSTOM_ACTION_PREFIX)) {
+                        chrome.sidePanel.open({ tabId: tab.id }).catch(err => {
+                            console.error('[Background] Failed to open sidepanel:', err);
+                        });
+                        // The side panel runs the action when it picks this up
+                        chrome.storage.local.set({
+                            [STORAGE_KEYS.CONTEXT_ACTION]: {
+                                action: 'custom',
+                                customActionId: menuItemId.slice(CONTEXT_MENU_IDS.CUSTOM_ACTION_PREFIX.length),
+                                text: selectionText || '',
+                                timestamp: Date.now(),
+                                tabId: tab.id
+                            }
+                        }).catch(() => {});
+                    }
             }
         } catch (error) {
             console.error('[Background] Context menu error:', error, 'Menu item:', menuItemId);
@@ -308,7 +597,7 @@ class NationAssistantBackground {
         
         try {
             // Check if content script is already injected
-            const response = await chrome.tabs.sendMessage(tabId, { type: MESSAGE_TYPES.PING });
+            const response = await chrome.tabs.sendMessage(tabId, { type: MESSAGE_TYPES.PING }, TOP_FRAME);
             if (response?.pong) return true;
         } catch { 
             // Content script not present, continue with injection
@@ -331,14 +620,14 @@ class NationAssistantBackground {
             // Inject content script
             await chrome.scripting.executeScript({
                 target: { tabId },
-                files: ['debug-config.js', 'content.js']
+                files: CONTENT_SCRIPT_FILES
             });
 
             // Wait for injection to complete
             await new Promise(resolve => setTimeout(resolve, 200));
             
             // Verify injection worked
-            const verify = await chrome.tabs.sendMessage(tabId, { type: MESSAGE_TYPES.PING });
+            const verify = await chrome.tabs.sendMessage(tabId, { type: MESSAGE_TYPES.PING }, TOP_FRAME);
             if (verify?.pong) {
                 logger.log('Content script successfully injected for tab:', tabId);
                 return true;
@@ -369,31 +658,359 @@ class NationAssistantBackground {
         }
     }
 
+    /**
+     * Page text for an action: the top frame's capture followed by the text of same-origin
+     * frames, while it fits CONTENT_LIMITS.CAPTURE_CHARS. The frames that were added are listed
+     * in metadata.frames ({ frameId, url, title, length, citations, videos }); a frame's citation and
+     * video ids are numbered on from the page's, and citations and videos map them back to the ids
+     * the frame knows them by. PDFs are read by getPdfContent instead.
+     * With discussion, the page's comment thread is included and sized up in metadata.discussion.
+     */
+    async getPageContent(tab, { citations = false, discussion = false } = {}) {
+        if (await this.isPdfTab(tab)) return this.getPdfContent(tab);
+
+        const format = getCaptureFormat(await loadCaptureSettings(), tab.url);
+        const response = await withTimeout(
+            chrome.tabs.sendMessage(tab.id, { type: MESSAGE_TYPES.GET_PAGE_CONTENT, citations, discussion, format }, TOP_FRAME),
+            PAGE_CONTENT_TIMEOUT_MS,
+            'Page content extraction timed out'
+        );
+        if (!response || typeof response.pageContent !== 'string') return response;
+
+        const frames = await this.getFrameContents(tab, format, citations);
+        if (frames.length === 0) return response;
+
+        const metadata = response.metadata || {};
+        const markdown = metadata.captureFormat === 'markdown';
+        let pageContent = response.pageContent.trim();
+        let totalLength = metadata.totalLength || pageContent.length;
+        const citationIds = [...(metadata.citationIds || [])];
+        const transcripts = [...(metadata.transcripts || [])];
+        const next = {
+            citation: Math.max(maxIdNumber(citationIds), maxIdNumber(pageContent.match(/(?<=\[)p\d+(?=\])/g) || [])) + 1,
+            video: maxIdNumber(transcripts.map(transcript => transcript.id)) + 1
+        };
+        const included = [];
+        for (const frame of frames) {
+            const heading = `${markdown ? '## ' : ''}Embedded frame: ${frame.title || frame.url}\n${frame.url}\n\n`;
+            const room = CONTENT_LIMITS.CAPTURE_CHARS - pageContent.length - heading.length - 2;
+            if (room < MIN_FRAME_CHARS) break;
+            const renumbered = renumberFrameIds(frame.content, next);
+            const content = renumbered.content.length > room ? `${renumbered.content.slice(0, room - 3)}...` : renumbered.content;
+            pageContent = [pageContent, `${heading}${content}`].filter(Boolean).join('\n\n');
+            totalLength += frame.totalLength;
+            // Only ids the frame handed out can be cited, as on the page itself
+            const ownCitationIds = new Set(frame.citationIds);
+            for (const [id, ownId] of Object.entries(renumbered.citations)) {
+                if (ownCitationIds.has(ownId) && content.includes(`[${id}]`)) citationIds.push(id);
+            }
+            for (const transcript of frame.transcripts) {
+                const id = Object.keys(renumbered.videos).find(videoId => renumbered.videos[videoId] === transcript.id);
+                if (id) transcripts.push({ ...transcript, id });
+            }
+            included.push({
+                frameId: frame.frameId,
+                url: frame.url,
+                title: frame.title,
+                length: content.length,
+                citations: renumbered.citations,
+                videos: renumbered.videos
+            });
+        }
+        if (included.length === 0) return response;
+
+        logger.log(`Added ${included.length} frame(s) to the page content`);
+        return {
+            ...response,
+            pageContent,
+            metadata: { ...metadata, length: pageContent.length, totalLength, citationIds, transcripts, frames: included },
+            error: pageContent ? null : response.error
+        };
+    }
+
+    /**
+     * Whether a tab shows a PDF. Chrome's viewer gives the document the PDF's content type and a
+     * full-page <embed type="application/pdf">. Where the tab can't be scripted, the Content-Type
+     * of a HEAD request decides, and where that fails too, a .pdf at the end of the URL's path.
+     */
+    async isPdfTab(tab) {
+        if (this.lastPdfCheck?.tabId === tab.id && this.lastPdfCheck.url === tab.url) return this.lastPdfCheck.pdf;
+
+        let pdf = null;
+        try {
+            const [injection] = await chrome.scripting.executeScript({
+                target: { tabId: tab.id },
+                func: () => document.contentType === 'application/pdf'
+                    || !!document.querySelector('body > embed[type="application/pdf"]:only-child')
+            });
+            if (typeof injection?.result === 'boolean') pdf = injection.result;
+        } catch (_) {
+            // Not scriptable (the viewer may refuse it as well); ask the server instead
+        }
+        if (pdf === null && /^https?:/.test(tab.url || '')) {
+            try {
+                const response = await withTimeout(
+                    fetch(tab.url, { method: 'HEAD', credentials: 'include' }),
+                    PAGE_CONTENT_TIMEOUT_MS,
+                    'Checking the page type timed out'
+                );
+                if (response.ok) pdf = isPdfContentType(response.headers.get('content-type'));
+            } catch (_) {
+                // Fall back to the URL
+            }
+        }
+        if (pdf === null) pdf = isPdfUrl(tab.url);
+
+        this.lastPdfCheck = { tabId: tab.id, url: tab.url, pdf };
+        return pdf;
+    }
+
+    /**
+     * A PDF tab's text in the shape the content script answers with. Each page starts with a
+     * "[Page 12]" line so answers can cite pages; metadata.pdf is { pageCount, lastPage }.
+     */
+    async getPdfContent(tab) {
+        let pdf = this.lastPdf?.url === tab.url ? this.lastPdf.pdf : null;
+        if (!pdf) {
+            pdf = await extractPdfText(await this.fetchPdf(tab.url));
+            this.lastPdf = { url: tab.url, pdf };
+        }
+
+        const { content, totalLength, lastPage } = formatPdfPages(pdf.pages, CONTENT_LIMITS.CAPTURE_CHARS);
+        if (!content) {
+            throw new Error('This PDF has no text layer to read. It may be a scan - try a version with selectable text.');
+        }
+        return {
+            pageContent: content,
+            metadata: {
+                title: pdf.title || tab.title || '',
+                url: tab.url,
+                readableTitle: pdf.title || null,
+                byline: pdf.author || null,
+                siteName: null,
+                length: content.length,
+                totalLength,
+                usedSource: `pdf:${pdf.pageCount} page${pdf.pageCount === 1 ? '' : 's'}`,
+                captureFormat: 'text',
+                language: pdf.language || undefined,
+                citationIds: [],
+                pdf: { pageCount: pdf.pageCount, lastPage },
+                attempts: []
+            },
+            error: null
+        };
+    }
+
+    /**
+     * Download a PDF's bytes (with the user's cookies, as the viewer did), up to PDF_LIMITS.MAX_BYTES
+     */
+    async fetchPdf(url) {
+        let response;
+        try {
+            response = await withTimeout(fetch(url, { credentials: 'include' }), PAGE_CONTENT_TIMEOUT_MS * 3, 'Downloading the PDF timed out');
+        } catch (error) {
+            if (url.startsWith('file:')) {
+                throw new Error('Local PDFs can\'t be read. Allow access to file URLs for the extension, or open the PDF from the web.');
+            }
+            throw error;
+        }
+        if (!response.ok) throw new Error(`Could not download the PDF (HTTP ${response.status}).`);
+
+        const tooLarge = `This PDF is too large to read (over ${Math.round(PDF_LIMITS.MAX_BYTES / 1024 / 1024)} MB).`;
+        if (Number(response.headers.get('content-length')) > PDF_LIMITS.MAX_BYTES) throw new Error(tooLarge);
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        if (bytes.length > PDF_LIMITS.MAX_BYTES) throw new Error(tooLarge);
+        return bytes;
+    }
+
+    /**
+     * Text of the tab's same-origin frames, in document order:
+     * [{ frameId, url, title, content, totalLength, citationIds, transcripts }]. Frames that fail or time out are skipped.
+     */
+    async getFrameContents(tab, format, citations = false) {
+        let frames = [];
+        try {
+            frames = await this.getContentFrames(tab);
+        } catch (error) {
+            logger.warn('Could not list the page frames:', error.message);
+            return [];
+        }
+
+        const contents = await Promise.all(frames.map(async (frame) => {
+            try {
+                const response = await withTimeout(
+                    chrome.tabs.sendMessage(tab.id, { type: MESSAGE_TYPES.GET_PAGE_CONTENT, citations, format }, { frameId: frame.frameId }),
+                    FRAME_CONTENT_TIMEOUT_MS,
+                    'Frame content extraction timed out'
+                );
+                const content = typeof response?.pageContent === 'string' ? response.pageContent.trim() : '';
+                if (content.length < MIN_FRAME_CHARS) return null;
+                return {
+                    frameId: frame.frameId,
+                    url: response.metadata?.url || frame.url,
+                    title: response.metadata?.title || '',
+                    content,
+                    totalLength: response.metadata?.totalLength || content.length,
+                    citationIds: Array.isArray(response.metadata?.citationIds) ? response.metadata.citationIds : [],
+                    transcripts: Array.isArray(response.metadata?.transcripts) ? response.metadata.transcripts : []
+                };
+            } catch (error) {
+                logger.warn(`Could not read frame ${frame.frameId}:`, error.message);
+                return null;
+            }
+        }));
+        return contents.filter(Boolean);
+    }
+
+    /**
+     * Frames of a tab with the same origin as the page, with the content script running in each.
+     * Frames opened before the extension loaded get it injected; ones that still don't answer are left out.
+     */
+    async getContentFrames(tab) {
+        let origin = 'null';
+        try {
+            origin = new URL(tab.url).origin;
+        } catch (_) {}
+        if (origin === 'null') return [];
+
+        const sameOrigin = (url) => {
+            try {
+                return new URL(url).origin === origin;
+            } catch (_) {
+                return false;
+            }
+        };
+        const frames = ((await chrome.webNavigation.getAllFrames({ tabId: tab.id })) || [])
+            .filter(frame => frame.frameId !== 0 && !frame.errorOccurred && sameOrigin(frame.url))
+            .slice(0, MAX_CONTENT_FRAMES);
+        if (frames.length === 0) return [];
+
+        const ping = (frame) => chrome.tabs.sendMessage(tab.id, { type: MESSAGE_TYPES.PING }, { frameId: frame.frameId })
+            .then(response => !!response?.pong, () => false);
+        const ready = await Promise.all(frames.map(ping));
+        const missing = frames.filter((_, index) => !ready[index]);
+        if (missing.length === 0) return frames;
+
+        try {
+            await chrome.scripting.executeScript({
+                target: { tabId: tab.id, frameIds: missing.map(frame => frame.frameId) },
+                files: CONTENT_SCRIPT_FILES
+            });
+            await new Promise(resolve => setTimeout(resolve, 200));
+        } catch (error) {
+            logger.warn('Content script injection into frames failed:', error.message);
+            return frames.filter((_, index) => ready[index]);
+        }
+
+        const injected = await Promise.all(missing.map(ping));
+        return frames.filter(frame => ready[frames.indexOf(frame)] || injected[missing.indexOf(frame)]);
+    }
+
+    /**
+     * Build callbacks that relay LLM progress for a side panel request.
+     * Requests without a requestId get no callbacks and are answered in one piece.
+     */
+    createStreamRelay(requestId) {
+        if (!requestId) {
+            return { onStatus: () => {}, onChunk: undefined, onRetry: undefined, onProgress: undefined };
+        }
+
+        const send = (payload) => {
+            chrome.runtime.sendMessage({ requestId, ...payload }).catch(() => {});
+        };
+
+        let generating = false;
+        return {
+            onStatus: (stage) => send({ type: MESSAGE_TYPES.STREAM_STATUS, stage }),
+            onChunk: (delta) => {
+                if (!generating) {
+                    generating = true;
+                    send({ type: MESSAGE_TYPES.STREAM_STATUS, stage: 'generating' });
+                }
+                send({ type: MESSAGE_TYPES.STREAM_CHUNK, delta });
+            },
+            onRetry: ({ attempt, maxAttempts, delayMs, reason }) => send({
+                type: MESSAGE_TYPES.STREAM_STATUS,
+                stage: 'retrying',
+                retry: { attempt, maxAttempts, delayMs, reason }
+            }),
+            // Long pages are condensed part by part before the answer streams
+            onProgress: ({ completed, total }) => send({
+                type: MESSAGE_TYPES.STREAM_STATUS,
+                stage: 'condensing',
+                progress: { completed, total }
+            })
+        };
+    }
+
+    /**
+     * Server-requested wait (Retry-After) left over when automatic retries gave up, in whole seconds
+     */
+    getRetryAfterSeconds(error) {
+        return Number.isFinite(error?.retryAfterMs) ? Math.ceil(error.retryAfterMs / 1000) : undefined;
+    }
+
+    /**
+     * Register an abortable request; callers must release it when done
+     */
+    trackRequest(requestId) {
+        const controller = new AbortController();
+        if (requestId) {
+            this.activeRequests.set(requestId, controller);
+        }
+        return controller;
+    }
+
+    releaseRequest(requestId) {
+        if (requestId) {
+            this.activeRequests.delete(requestId);
+        }
+    }
+
+    /**
+     * Abort an in-flight request at the side panel's request (Stop button)
+     */
+    handleCancelRequest(message) {
+        const controller = this.activeRequests.get(message.requestId);
+        if (controller) {
+            controller.abort();
+            logger.log('Cancelled request:', message.requestId);
+        }
+        return { success: true, data: { cancelled: !!controller } };
+    }
+
+    /**
+     * Throw if the request was cancelled while earlier steps (e.g. content extraction) ran
+     */
+    throwIfCancelled(signal) {
+        if (signal.aborted) {
+            throw new DOMException('Request cancelled', 'AbortError');
+        }
+    }
+
     /**
      * Handle chat with page with enhanced error handling
      */
     async handleChatWithPage(message) {
-        const { tabId, question = "", selectedText } = message;
+        const { tabId, question = "", selectedText, tableId, requestId, history = [] } = message;
+        const relay = this.createStreamRelay(requestId);
+        const controller = this.trackRequest(requestId);
 
         try {
             const tab = tabId ? await chrome.tabs.get(tabId) : await this.getActiveTab();
             if (!tab) throw new Error('No active tab found. Please make sure you have a webpage open.');
 
-            // Enhanced content script injection with user feedback
+            // Enhanced content script injection with user feedback; PDFs are read without one
             try {
-                await this.ensureContentScript(tab.id);
+                if (!await this.isPdfTab(tab)) await this.ensureContentScript(tab.id);
             } catch (injectionError) {
                 // Provide specific guidance based on injection failure
                 throw new Error(`${injectionError.message}\n\nTip: Try refreshing the page or navigating to a different website.`);
             }
 
-            // Get page content with timeout
-            const contentPromise = chrome.tabs.sendMessage(tab.id, { type: MESSAGE_TYPES.GET_PAGE_CONTENT });
-            const timeoutPromise = new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Page content extraction timed out')), 10000)
-            );
-            
-            const response = await Promise.race([contentPromise, timeoutPromise]);
+            // Get page content with timeout; paragraphs come tagged with citation ids
+            relay.onStatus('reading');
+            const response = await this.getPageContent(tab, { citations: true });
             logger.debug('Content extraction response metadata:', response?.metadata);
             if (response?.error) logger.error('Content extraction error detail:', response.error);
 
@@ -407,13 +1024,61 @@ class NationAssistantBackground {
                 throw new Error('This page appears to have very little content to analyze.' + reason);
             }
 
+            // A table picked in the side panel goes along as Markdown
+            const table = tableId ? await this.getPageTable(tab.id, tableId) : null;
+            if (tableId && !table) {
+                throw new Error('That table is no longer on the page. List the tables again to pick another one.');
+            }
+
             // Merge selectedText (if provided) into metadata for downstream prompt construction
-            const mergedMetadata = { ...(response?.metadata || {}), selectedText };
-            const llmResponse = await this.llmService.chatWithPage(response.pageContent, question, mergedMetadata);
+            const mergedMetadata = { ...(response?.metadata || {}), selectedText, table };
+            this.throwIfCancelled(controller.signal);
+            relay.onStatus('analyzing');
+            const cacheKeyParts = {
+                pageContent: response.pageContent,
+                title: mergedMetadata.title,
+                url: mergedMetadata.url,
+                question,
+                selectedText,
+                table: table?.markdown || '',
+                history
+            };
+            const result = await this.withResponseCache('chat', cacheKeyParts, message.bypassCache, async () => {
+                const historyText = history.map(turn => turn.content).join('\n');
+                const inputTokens = this.llmService.estimateInputTokens(
+                    'chat', response.pageContent, `${question}\n${selectedText || ''}\n${table?.markdown || ''}\n${historyText}`
+                );
+                await this.enforceUsageLimits('chat', inputTokens, message.confirmLargeInput);
+
+                return this.llmService.chatWithPage(response.pageContent, question, mergedMetadata, {
+                    onChunk: relay.onChunk,
+                    onRetry: relay.onRetry,
+                    onUsage: this.createUsageRecorder('chat', tab.url),
+                    signal: controller.signal,
+                    history
+                });
+            });
 
-            return { success: true, data: { response: llmResponse } };
+            // Cited paragraphs with snippets, and citations the page doesn't have
+            const citations = resolveCitations(result.response, response.pageContent, mergedMetadata.citationIds);
+            return {
+                success: true,
+                data: {
+                    ...result,
+                    citations,
+                    page: this.getExtractionInfo(response.metadata),
+                    usageWarning: await this.getUsageWarning()
+                }
+            };
             
         } catch (error) {
+            if (controller.signal.aborted) {
+                return { success: false, cancelled: true, error: 'Generation stopped' };
+            }
+
+            const limitResponse = this.getUsageLimitResponse(error);
+            if (limitResponse) return limitResponse;
+
             logger.error('Chat with page failed:', error.message);
             
             // Provide user-friendly error messages
@@ -429,27 +1094,98 @@ class NationAssistantBackground {
                 userMessage = 'Network connection issue. Please check your internet connection and try again.';
             }
             
-            return { success: false, error: userMessage };
+            return { success: false, error: userMessage, retryAfter: this.getRetryAfterSeconds(error) };
+        } finally {
+            this.releaseRequest(requestId);
+        }
+    }
+
+    /**
+     * Serve an answer from the response cache, or generate it and cache the result.
+     * bypassCache forces a fresh answer, which then replaces the cached one.
+     */
+    async withResponseCache(actionId, keyParts, bypassCache, generate) {
+        let key = null;
+        try {
+            key = await this.responseCache.createKey({
+                action: actionId,
+                ...this.llmService.getCacheFingerprint(actionId),
+                ...keyParts
+            });
+            if (!bypassCache) {
+                const hit = await this.responseCache.get(key);
+                if (hit) {
+                    logger.log('Serving cached response for', actionId);
+                    return { response: hit.response, cached: true, cachedAt: hit.createdAt };
+                }
+            }
+        } catch (error) {
+            logger.warn('Response cache unavailable:', error.message);
         }
+
+        const response = await generate();
+        if (key) {
+            this.responseCache.set(key, response).catch(error => {
+                logger.warn('Failed to cache response:', error.message);
+            });
+        }
+        return { response };
+    }
+
+    /**
+     * Record token usage of LLM calls made for an action on a page
+     */
+    createUsageRecorder(action, url) {
+        let domain = 'unknown';
+        try {
+            domain = new URL(url).hostname || 'unknown';
+        } catch (_) {}
+
+        return (usage) => {
+            this.usageTracker.record({ ...usage, action, domain }).catch(error => {
+                logger.warn('Failed to record usage:', error.message);
+            });
+        };
+    }
+
+    /**
+     * How the page text was captured, for the side panel's context bar: strategy, format, article
+     * details, page metadata, frames, PDF pages, video transcripts, discussion thread and attempts
+     */
+    getExtractionInfo(metadata = {}) {
+        return {
+            usedSource: metadata?.usedSource || null,
+            readableTitle: metadata?.readableTitle || null,
+            byline: metadata?.byline || null,
+            siteName: metadata?.siteName || null,
+            captureFormat: metadata?.captureFormat || null,
+            pageInfo: metadata?.pageInfo && typeof metadata.pageInfo === 'object' ? metadata.pageInfo : null,
+            frames: Array.isArray(metadata?.frames) ? metadata.frames : [],
+            pdf: metadata?.pdf || null,
+            transcripts: Array.isArray(metadata?.transcripts) ? metadata.transcripts : [],
+            discussion: metadata?.discussion || null,
+            attempts: Array.isArray(metadata?.attempts) ? metadata.attempts : []
+        };
     }
 
     /**
      * A generic handler for page actions like summarize, list key points, etc.
+     * Usage is tagged with actionId, and answers are cached under it. extra.cacheKeyParts adds
+     * inputs besides the page to the cache key; extra.inputText counts toward the input estimate.
+     * extra.contentOptions goes to getPageContent; with citations, the answer's citations are resolved.
      */
-    async _handlePageAction(message, actionCallback) {
+    async _handlePageAction(message, actionCallback, actionId, extra = {}) {
         const { tabId, ...rest } = message;
+        const relay = this.createStreamRelay(message.requestId);
+        const controller = this.trackRequest(message.requestId);
         try {
             const tab = tabId ? await chrome.tabs.get(tabId) : await this.getActiveTab();
             if (!tab) throw new Error('No active tab found.');
 
-            await this.ensureContentScript(tab.id);
-
-            const contentPromise = chrome.tabs.sendMessage(tab.id, { type: MESSAGE_TYPES.GET_PAGE_CONTENT });
-            const timeoutPromise = new Promise((_, reject) =>
-                setTimeout(() => reject(new Error('Page content extraction timed out')), 10000)
-            );
+            if (!await this.isPdfTab(tab)) await this.ensureContentScript(tab.id);
 
-            const response = await Promise.race([contentPromise, timeoutPromise]);
+            relay.onStatus('reading');
+            const response = await this.getPageContent(tab, extra.contentOptions);
             logger.debug('Content extraction response metadata:', response?.metadata);
             if (response?.error) logger.error('Content extraction error detail:', response.error);
             if (!response || typeof response.pageContent !== 'string' || response.pageContent.trim().length === 0) {
@@ -461,11 +1197,50 @@ class NationAssistantBackground {
                 throw new Error('This page appears to have very little content to analyze.' + reason);
             }
 
-            const llmResponse = await actionCallback(response.pageContent, response.metadata, rest);
-            return { success: true, data: { response: llmResponse } };
+            this.throwIfCancelled(controller.signal);
+            relay.onStatus('analyzing');
+            const generate = async () => {
+                const inputTokens = this.llmService.estimateInputTokens(actionId, response.pageContent, extra.inputText);
+                await this.enforceUsageLimits(actionId, inputTokens, message.confirmLargeInput);
+
+                return actionCallback(response.pageContent, response.metadata, rest, {
+                    onChunk: relay.onChunk,
+                    onRetry: relay.onRetry,
+                    onProgress: relay.onProgress,
+                    onUsage: this.createUsageRecorder(actionId, tab.url),
+                    signal: controller.signal
+                });
+            };
+
+            const cacheKeyParts = {
+                pageContent: response.pageContent,
+                title: response.metadata?.title,
+                url: response.metadata?.url,
+                ...extra.cacheKeyParts
+            };
+            const result = await this.withResponseCache(actionId, cacheKeyParts, message.bypassCache, generate);
+            const citations = extra.contentOptions?.citations
+                ? resolveCitations(result.response, response.pageContent, response.metadata?.citationIds)
+                : null;
+            return {
+                success: true,
+                data: {
+                    ...result,
+                    ...(citations && { citations }),
+                    page: this.getExtractionInfo(response.metadata),
+                    usageWarning: await this.getUsageWarning()
+                }
+            };
         } catch (error) {
+            if (controller.signal.aborted) {
+                return { success: false, cancelled: true, error: 'Generation stopped' };
+            }
+            const limitResponse = this.getUsageLimitResponse(error);
+            if (limitResponse) return limitResponse;
             logger.error('Page action failed:', error.message);
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, retryAfter: this.getRetryAfterSeconds(error) };
+        } finally {
+            this.releaseRequest(message.requestId);
         }
     }
 
@@ -473,28 +1248,126 @@ class NationAssistantBackground {
      * Handles summarizing the page
      */
     async handleSummarizePage(message) {
-        return this._handlePageAction(message, (pageContent, metadata) => {
-            return this.llmService.summarizePage(pageContent, metadata);
-        });
+        return this._handlePageAction(message, (pageContent, metadata, _rest, options) => {
+            return this.llmService.summarizePage(pageContent, metadata, options);
+        }, 'summarize');
     }
 
     /**
      * Handles listing key points from the page
      */
     async handleListKeyPoints(message) {
-        return this._handlePageAction(message, (pageContent, metadata) => {
-            return this.llmService.listKeyPoints(pageContent, metadata);
+        return this._handlePageAction(message, (pageContent, metadata, _rest, options) => {
+            return this.llmService.listKeyPoints(pageContent, metadata, options);
+        }, 'keyPoints');
+    }
+
+    /**
+     * Handles summarizing the page's discussion thread, read as a comment tree whose comments can be cited
+     */
+    async handleSummarizeDiscussion(message) {
+        return this._handlePageAction(message, (pageContent, metadata, _rest, options) => {
+            return this.llmService.summarizeDiscussion(pageContent, metadata, options);
+        }, 'discussion', {
+            contentOptions: { citations: true, discussion: true }
         });
     }
 
-    // /**
-    //  * Handles explaining a selection from the page
-    //  */
-    // async handleExplainPage(message) {
-    //     return this._handlePageAction(message, (pageContent, { selectedText }) => {
-    //         return this.llmService.explainPage(pageContent, selectedText);
-    //     });
-    // }
+    /**
+     * Runs a user-defined action. The selection comes from the context menu, or is read from the page.
+     */
+    async handleRunCustomAction(message) {
+        const action = (await loadCustomActions()).find(item => item.id === message.customActionId);
+        if (!action) {
+            return { success: false, error: 'This custom action no longer exists. Check your actions in Settings.' };
+        }
+
+        let selectedText = typeof message.selectedText === 'string' ? message.selectedText.trim() : '';
+        if (!selectedText) {
+            selectedText = (await this.getPageSelection(message.tabId)).text;
+        }
+        if (action.requiresSelection && !selectedText) {
+            return { success: false, error: `Select some text on the page first - "${action.name}" works on a selection.` };
+        }
+
+        return this._handlePageAction(message, (pageContent, metadata, _rest, options) => {
+            return this.llmService.runCustomAction(action, pageContent, { ...metadata, selectedText }, options);
+        }, 'custom', {
+            cacheKeyParts: { prompt: action.prompt, outputFormat: action.outputFormat, selectedText },
+            inputText: `${action.prompt}\n${selectedText}`
+        });
+    }
+
+    /**
+     * Lists the data tables on a page, or returns one of them as Markdown and CSV, for the side panel
+     */
+    async handleTableRequest(message) {
+        const tab = message.tabId ? await chrome.tabs.get(message.tabId) : await this.getActiveTab();
+        if (!tab) throw new Error('No active tab found.');
+        await this.ensureContentScript(tab.id);
+        const response = await chrome.tabs.sendMessage(tab.id, { type: message.type, tableId: message.tableId }, TOP_FRAME);
+        return { success: true, data: response || {} };
+    }
+
+    /**
+     * One data table from a tab ({ id, title, markdown, csv, ... }), or null when the page no longer has it
+     */
+    async getPageTable(tabId, tableId) {
+        try {
+            const response = await chrome.tabs.sendMessage(tabId, { type: MESSAGE_TYPES.GET_TABLE, tableId }, TOP_FRAME);
+            return response?.table || null;
+        } catch (error) {
+            logger.warn('Could not read the table:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Text currently selected in a tab and the page section around it ({ heading, text } or null).
+     * text is '' when there is no selection or the page can't be reached.
+     */
+    async getPageSelection(tabId) {
+        try {
+            const tab = tabId ? await chrome.tabs.get(tabId) : await this.getActiveTab();
+            // Chrome's PDF viewer doesn't run content scripts
+            if (!tab || await this.isPdfTab(tab)) return { text: '', section: null };
+            await this.ensureContentScript(tab.id);
+            const response = await chrome.tabs.sendMessage(tab.id, { type: MESSAGE_TYPES.GET_SELECTION }, TOP_FRAME);
+            return {
+                text: typeof response?.text === 'string' ? response.text.trim() : '',
+                section: response?.section?.text ? response.section : null
+            };
+        } catch (error) {
+            logger.warn('Could not read the page selection:', error.message);
+            return { text: '', section: null };
+        }
+    }
+
+    /**
+     * Handles explaining a selection from the page at the requested depth. The selection comes from
+     * the context menu, or is read from the page along with the section around it.
+     */
+    async handleExplainPage(message) {
+        const depth = EXPLAIN_DEPTHS.some(item => item.id === message.depth) ? message.depth : DEFAULT_EXPLAIN_DEPTH;
+        const pageSelection = await this.getPageSelection(message.tabId);
+        const selectedText = (typeof message.selectedText === 'string' ? message.selectedText.trim() : '') || pageSelection.text;
+        if (!selectedText) {
+            return { success: false, error: 'Select some text on the page first, then choose Explain.' };
+        }
+
+        // Only use the page's section if it belongs to this selection (it may have changed since)
+        const collapse = (text) => text.replace(/\s+/g, ' ');
+        const section = collapse(pageSelection.text) === collapse(selectedText) ? pageSelection.section : null;
+
+        const result = await this._handlePageAction(message, (pageContent, metadata, _rest, options) => {
+            return this.llmService.explainPage(pageContent, selectedText, { ...metadata, section }, { ...options, depth });
+        }, 'explain', {
+            cacheKeyParts: { selectedText, depth, section: section?.text || '' },
+            inputText: selectedText
+        });
+        if (result.success) result.data = { ...result.data, selectedText, depth };
+        return result;
+    }
 
 
     /**
@@ -559,8 +1432,13 @@ class NationAssistantBackground {
                 }
             });
 
+            // Translations are selection-sized, so only the spending caps apply
+            await this.enforceUsageLimits('translate', 0, true);
+
             // Use LLM to detect language and translate to most appropriate target
-            const smartTranslation = await this.llmService.smartTranslate(selectedText);
+            const smartTranslation = await this.llmService.smartTranslate(selectedText, {
+                onUsage: this.createUsageRecorder('translate', tab.url)
+            });
 
             await chrome.storage.local.set({
                 [STORAGE_KEYS.CONTEXT_ACTION]: {
@@ -629,7 +1507,10 @@ class NationAssistantBackground {
                 }
             });
 
-            const translation = await this.llmService.translateText(selectedText, targetLanguage);
+            await this.enforceUsageLimits('translate', 0, true);
+            const translation = await this.llmService.translateText(selectedText, targetLanguage, {
+                onUsage: this.createUsageRecorder('translate', tab.url)
+            });
 
             await chrome.storage.local.set({
                 [STORAGE_KEYS.CONTEXT_ACTION]: {
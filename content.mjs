@@ -1,11 +1,14 @@
 // Nation Assistant Content Script
 'use strict';
 
-import { MESSAGE_TYPES } from './services/constants.js';
+import { MESSAGE_TYPES, CONTENT_LIMITS, TRACK_TIMEOUT_MS } from './services/constants.js';
+import { parseCaptions, cleanCueText, formatTranscript, formatTimestamp } from './services/transcripts.js';
+import { findSiteExtractor } from './services/site-extractors.js';
 
 if (!window.nationAssistantInjected) {
   window.nationAssistantInjected = true;
-  const MAX_TEXT_LENGTH = 12000; // Limit output length
+  // Long pages are condensed in chunks by the background; this only bounds the capture
+  const MAX_TEXT_LENGTH = CONTENT_LIMITS.CAPTURE_CHARS;
 
   function normalizeWhitespace(str) {
     if (typeof str !== 'string') return '';
@@ -24,27 +27,1318 @@ if (!window.nationAssistantInjected) {
     }
   }
 
-  function extractBasicContent() {
-    const candidates = [
-      document.querySelector('article'),
-      document.querySelector('main'),
-      document.body
-    ];
-    for (const el of candidates) {
-      const text = getElementText(el);
-      if (text && text.length > 0) {
-        const sourceTag = el?.tagName ? el.tagName.toLowerCase() : 'body';
-        return { text, source: sourceTag };
+  // Main-content extraction, tried in order until one yields enough text
+  const MIN_READABLE_CHARS = 500;
+  const MIN_PARAGRAPH_CHARS = 25;
+  // Never part of the main text
+  const BOILERPLATE_SELECTOR = [
+    'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'nav', 'aside', 'footer', 'form',
+    'button', 'select', 'dialog', '[hidden]', '[aria-hidden="true"]', '[aria-modal="true"]', '[role="navigation"]',
+    '[role="complementary"]', '[role="contentinfo"]', '[role="banner"]', '[role="dialog"]', '[role="alertdialog"]'
+  ].join(', ');
+  // Class and id hints, as in Mozilla's Readability
+  const POSITIVE_HINTS = /article|body|content|entry|hentry|h-entry|main|page|post|story|text|blog/i;
+  const NEGATIVE_HINTS = /ad-|ads\b|advert|banner|breadcrumb|combx|comment|consent|cookie|disqus|foot|gdpr|header|menu|modal|nav|newsletter|outbrain|popup|promo|related|share|sidebar|social|sponsor|subscribe|taboola|toolbar|widget/i;
+  const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE', 'H1', 'H2', 'H3', 'H4', 'H5',
+    'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'TR', 'UL'
+  ]);
+
+  function classWeight(el) {
+    let weight = 0;
+    for (const hint of [el.className, el.id]) {
+      if (typeof hint !== 'string' || !hint) continue;
+      if (NEGATIVE_HINTS.test(hint)) weight -= 25;
+      if (POSITIVE_HINTS.test(hint)) weight += 25;
+    }
+    return weight;
+  }
+
+  function linkDensity(el) {
+    const textLength = (el.textContent || '').trim().length;
+    if (!textLength) return 0;
+    let linkLength = 0;
+    el.querySelectorAll('a').forEach(link => { linkLength += (link.textContent || '').trim().length; });
+    return linkLength / textLength;
+  }
+
+  /**
+   * Whether an element is chrome around the content: navigation, banners, hidden or link-heavy asides
+   */
+  function isBoilerplate(el) {
+    if (el.matches(BOILERPLATE_SELECTOR)) return true;
+    if (typeof el.checkVisibility === 'function' && !el.checkVisibility()) return true;
+    return classWeight(el) < 0 && linkDensity(el) > 0.33;
+  }
+
+  /**
+   * Child nodes as rendered: an open shadow root's children stand in for its host's, and a slot
+   * holds the light DOM nodes assigned to it
+   */
+  function getComposedChildren(node) {
+    if (node.shadowRoot) return [...node.shadowRoot.childNodes];
+    if (node.tagName === 'SLOT') {
+      const assigned = node.assignedNodes({ flatten: true });
+      if (assigned.length) return assigned;
+    }
+    return [...node.childNodes];
+  }
+
+  // Parent element, stepping out of a shadow root to its host
+  function getComposedParent(el) {
+    return el.parentElement || el.parentNode?.host || null;
+  }
+
+  /**
+   * querySelectorAll that also searches open shadow roots, nested ones included
+   */
+  function queryAllDeep(root, selector) {
+    const found = [...root.querySelectorAll(selector)];
+    for (const el of root.querySelectorAll('*')) {
+      if (el.shadowRoot) found.push(...queryAllDeep(el.shadowRoot, selector));
+    }
+    return found;
+  }
+
+  function isInsideBoilerplate(el, root) {
+    for (let node = el; node && node !== root; node = getComposedParent(node)) {
+      if (isBoilerplate(node)) return true;
+    }
+    return false;
+  }
+
+  function describeElement(el) {
+    const tag = el.tagName.toLowerCase();
+    if (el.id) return `${tag}#${el.id}`;
+    const className = typeof el.className === 'string' ? el.className.trim().split(/\s+/)[0] : '';
+    return className ? `${tag}.${className}` : tag;
+  }
+
+  /**
+   * Text of the given roots with block structure kept as blank lines, leaving out boilerplate
+   */
+  function collectText(roots) {
+    const parts = [];
+    const walk = (node, preformatted) => {
+      for (const child of getComposedChildren(node)) {
+        if (child.nodeType === Node.TEXT_NODE) {
+          parts.push(preformatted ? child.nodeValue : child.nodeValue.replace(/\s+/g, ' '));
+          continue;
+        }
+        if (child.nodeType !== Node.ELEMENT_NODE || isBoilerplate(child)) continue;
+        if (child.tagName === 'TABLE' && isDataTable(child)) {
+          // Cells read as tab-separated text are easy to misalign; a Markdown table keeps the columns
+          parts.push('\n\n', tableToMarkdown(child), '\n\n');
+          continue;
+        }
+        if (child.tagName === 'BR') {
+          parts.push('\n');
+          continue;
+        }
+        const block = BLOCK_TAGS.has(child.tagName);
+        if (block) parts.push('\n\n');
+        else if (child.tagName === 'TD' || child.tagName === 'TH') parts.push('\t');
+        walk(child, preformatted || child.tagName === 'PRE');
+        if (block) parts.push('\n\n');
+      }
+    };
+    roots.forEach(root => {
+      walk(root, root.tagName === 'PRE');
+      parts.push('\n\n');
+    });
+    return normalizeWhitespace(parts.join('').replace(/[ \t]*\n[ \t]*/g, '\n'));
+  }
+
+  /**
+   * Readability-style scoring: paragraphs add to their ancestors' scores (by length and commas),
+   * adjusted for tag, class/id hints and link density. The best container is kept together with
+   * siblings that score close to it.
+   */
+  function extractReadable() {
+    const scores = new Map();
+    const initialScore = (el) => {
+      let score = classWeight(el);
+      if (el.matches('article, main, [role="main"]')) score += 10;
+      else if (el.tagName === 'DIV') score += 5;
+      else if (el.matches('pre, td, blockquote')) score += 3;
+      else if (el.matches('ol, ul, dl, form, li')) score -= 3;
+      else if (el.matches('h1, h2, h3, h4, h5, h6, th')) score -= 5;
+      return score;
+    };
+
+    for (const paragraph of queryAllDeep(document.body, 'p, pre, td, blockquote')) {
+      if (paragraph.closest(BOILERPLATE_SELECTOR)) continue;
+      const text = normalizeWhitespace(paragraph.textContent || '');
+      if (text.length < MIN_PARAGRAPH_CHARS) continue;
+
+      const points = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+      let ancestor = getComposedParent(paragraph);
+      for (let level = 1; ancestor && ancestor !== document.documentElement && level <= 3; level++) {
+        if (!scores.has(ancestor)) scores.set(ancestor, initialScore(ancestor));
+        scores.set(ancestor, scores.get(ancestor) + points / level);
+        ancestor = getComposedParent(ancestor);
+      }
+    }
+
+    let top = null;
+    let topScore = 0;
+    for (const [el, score] of scores) {
+      const adjusted = score * (1 - linkDensity(el));
+      scores.set(el, adjusted);
+      if (adjusted > topScore && !isBoilerplate(el)) {
+        top = el;
+        topScore = adjusted;
+      }
+    }
+    if (!top) return null;
+
+    const threshold = Math.max(10, topScore * 0.2);
+    const roots = top.parentElement && top !== document.body
+      ? [...top.parentElement.children].filter(sibling =>
+        sibling === top || ((scores.get(sibling) || 0) >= threshold && !isBoilerplate(sibling)))
+      : [top];
+    return { text: collectText(roots), source: describeElement(top), roots };
+  }
+
+  function extractSemantic() {
+    const el = queryAllDeep(document, 'article, main, [role="main"]')[0];
+    return el ? { text: collectText([el]), source: describeElement(el), roots: [el] } : null;
+  }
+
+  function extractBody() {
+    if (!document.body) return null;
+    // innerText leaves out shadow roots, so pages built from web components are walked instead
+    const hasShadowRoots = [...document.body.querySelectorAll('*')].some(el => el.shadowRoot);
+    const text = hasShadowRoots ? collectText([document.body]) : getElementText(document.body);
+    return { text, source: 'body', roots: [document.body] };
+  }
+
+  const EXTRACTION_STRATEGIES = [
+    { name: 'readability', run: extractReadable },
+    { name: 'semantic', run: extractSemantic },
+    { name: 'body', run: extractBody }
+  ];
+
+  /**
+   * Run the extraction strategies in order and keep the first with enough text, or else the longest.
+   * Every strategy tried is recorded in attempts: { strategy, source, length, ok, error? }.
+   */
+  function extractMainContent() {
+    const attempts = [];
+    let best = null;
+    for (const { name, run } of EXTRACTION_STRATEGIES) {
+      try {
+        const result = run();
+        const length = result?.text?.length || 0;
+        const ok = length >= MIN_READABLE_CHARS;
+        attempts.push({ strategy: name, source: result?.source || null, length, ok });
+        if (length && (!best || length > best.text.length)) best = { ...result, strategy: name };
+        if (ok) return { ...result, strategy: name, attempts };
+      } catch (error) {
+        attempts.push({ strategy: name, source: null, length: 0, ok: false, error: error?.message || String(error) });
+      }
+    }
+    return best ? { ...best, attempts } : { text: '', source: 'none', strategy: 'none', roots: [], attempts };
+  }
+
+  function getMetaContent(...selectors) {
+    for (const selector of selectors) {
+      const value = document.querySelector(selector)?.getAttribute('content')?.trim();
+      if (value) return value;
+    }
+    return null;
+  }
+
+  /**
+   * Article title without the site name that document.title often carries ("Title | Site")
+   */
+  function getReadableTitle(roots) {
+    const metaTitle = getMetaContent('meta[property="og:title"]', 'meta[name="twitter:title"]');
+    if (metaTitle) return metaTitle;
+
+    const title = (document.title || '').trim();
+    const headings = roots.flatMap(root => [...root.querySelectorAll('h1')]).map(el => normalizeWhitespace(getElementText(el)));
+    // Prefer a heading that the page title also contains
+    const heading = headings.find(text => text && title.includes(text)) || headings.find(Boolean);
+    if (heading) return heading;
+
+    const parts = title.split(/\s+[|\-–—:»]\s+/);
+    return parts.length > 1 ? parts.reduce((a, b) => (b.length > a.length ? b : a)) : title || null;
+  }
+
+  function getByline(roots) {
+    const metaAuthor = getMetaContent('meta[name="author"]', 'meta[property="article:author"]');
+    if (metaAuthor && !/^https?:/i.test(metaAuthor)) return metaAuthor;
+
+    const scopes = [...roots, document];
+    for (const scope of scopes) {
+      const el = scope.querySelector('[rel="author"], [itemprop="author"], .byline, .author, [class*="byline"]');
+      const text = normalizeWhitespace(getElementText(el)).replace(/^by\s+/i, '');
+      if (text && text.length <= 100) return text;
+    }
+    return null;
+  }
+
+  function getSiteName() {
+    return getMetaContent('meta[property="og:site_name"]', 'meta[name="application-name"]') || location.hostname || null;
+  }
+
+  // Page metadata: OpenGraph, Twitter cards, meta tags and JSON-LD entities
+  const ARTICLE_TYPES = new Set([
+    'Article', 'NewsArticle', 'BlogPosting', 'TechArticle', 'ScholarlyArticle', 'Report', 'SocialMediaPosting'
+  ]);
+  const MAX_ENTITIES = 5;
+  const MAX_ENTITY_ITEMS = 30;
+
+  function compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) =>
+      value != null && value !== '' && !(Array.isArray(value) && value.length === 0)
+      && !(typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0)));
+  }
+
+  function getMetaGroup(attribute, prefix, names) {
+    return compact(Object.fromEntries(names.map(name => [
+      name.replace(/_(\w)/g, (_, letter) => letter.toUpperCase()),
+      getMetaContent(`meta[${attribute}="${prefix}:${name}"]`)
+    ])));
+  }
+
+  function getLinkHref(rel) {
+    const href = document.querySelector(`link[rel~="${rel}"][href]`)?.href || '';
+    return /^https?:/i.test(href) ? href : null;
+  }
+
+  // JSON-LD values are strings, { name }, { @value } or arrays of those
+  function ldText(value) {
+    if (value == null) return '';
+    if (Array.isArray(value)) return value.map(ldText).filter(Boolean).join(', ');
+    if (typeof value === 'object') return ldText(value.name ?? value['@value'] ?? value.text ?? '');
+    return normalizeWhitespace(String(value));
+  }
+
+  function ldList(value) {
+    const items = Array.isArray(value) ? value : value == null ? [] : [value];
+    // Steps (HowToStep) keep their full text rather than a short name
+    return items.flatMap(item => (item?.itemListElement ? ldList(item.itemListElement) : [ldText(item?.text ?? item)]))
+      .filter(Boolean)
+      .slice(0, MAX_ENTITY_ITEMS);
+  }
+
+  function ldEnum(value) {
+    return ldText(value).replace(/^https?:\/\/schema\.org\//i, '');
+  }
+
+  function ldOffer(offers) {
+    const offer = Array.isArray(offers) ? offers[0] : offers;
+    if (!offer || typeof offer !== 'object') return null;
+    return compact({
+      price: ldText(offer.price ?? offer.lowPrice),
+      currency: ldText(offer.priceCurrency),
+      availability: ldEnum(offer.availability)
+    });
+  }
+
+  function ldRating(rating) {
+    if (!rating || typeof rating !== 'object') return null;
+    return compact({ value: ldText(rating.ratingValue), count: ldText(rating.reviewCount ?? rating.ratingCount) });
+  }
+
+  function ldLocation(location) {
+    const place = Array.isArray(location) ? location[0] : location;
+    if (!place || typeof place !== 'object') return ldText(place);
+    const address = typeof place.address === 'object' && place.address
+      ? [place.address.streetAddress, place.address.addressLocality, place.address.addressCountry].map(ldText).filter(Boolean).join(', ')
+      : ldText(place.address);
+    return [ldText(place.name), address || ldText(place.url)].filter(Boolean).join(' - ');
+  }
+
+  /**
+   * The fields worth passing on for each supported JSON-LD entity kind
+   */
+  const ENTITY_READERS = {
+    Article: (node) => ({
+      name: ldText(node.headline || node.name),
+      author: ldText(node.author),
+      publisher: ldText(node.publisher),
+      datePublished: ldText(node.datePublished),
+      dateModified: ldText(node.dateModified),
+      section: ldText(node.articleSection)
+    }),
+    Product: (node) => ({
+      name: ldText(node.name),
+      brand: ldText(node.brand),
+      sku: ldText(node.sku || node.gtin13 || node.mpn),
+      offer: ldOffer(node.offers),
+      rating: ldRating(node.aggregateRating)
+    }),
+    Recipe: (node) => ({
+      name: ldText(node.name),
+      author: ldText(node.author),
+      totalTime: ldText(node.totalTime),
+      prepTime: ldText(node.prepTime),
+      cookTime: ldText(node.cookTime),
+      yield: ldText(node.recipeYield),
+      calories: ldText(node.nutrition?.calories),
+      ingredients: ldList(node.recipeIngredient),
+      steps: ldList(node.recipeInstructions),
+      rating: ldRating(node.aggregateRating)
+    }),
+    Event: (node) => ({
+      name: ldText(node.name),
+      startDate: ldText(node.startDate),
+      endDate: ldText(node.endDate),
+      location: ldLocation(node.location),
+      organizer: ldText(node.organizer),
+      status: ldEnum(node.eventStatus),
+      attendanceMode: ldEnum(node.eventAttendanceMode),
+      offer: ldOffer(node.offers)
+    })
+  };
+
+  function getEntityKind(node) {
+    const types = [].concat(node['@type'] || []).map(String);
+    if (types.some(type => ARTICLE_TYPES.has(type))) return 'Article';
+    return types.find(type => ENTITY_READERS[type]) || (types.some(type => type.endsWith('Event')) ? 'Event' : null);
+  }
+
+  /**
+   * Article, Product, Recipe and Event entities from the page's JSON-LD blocks
+   */
+  function getJsonLdEntities() {
+    const nodes = [];
+    const visit = (value) => {
+      if (Array.isArray(value)) return value.forEach(visit);
+      if (!value || typeof value !== 'object') return;
+      if (value['@graph']) visit(value['@graph']);
+      if (value['@type']) nodes.push(value);
+    };
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        visit(JSON.parse(script.textContent || ''));
+      } catch (_e) {
+        // Malformed JSON-LD is common; skip the block
+      }
+    }
+
+    const entities = [];
+    for (const node of nodes) {
+      const kind = getEntityKind(node);
+      if (!kind || entities.length >= MAX_ENTITIES) continue;
+      const entity = compact({ type: kind, schemaType: [].concat(node['@type'])[0], ...ENTITY_READERS[kind](node) });
+      if (entity.name) entities.push(entity);
+    }
+    return entities;
+  }
+
+  /**
+   * Description, canonical URL, author, dates, OpenGraph and Twitter card fields, and JSON-LD entities
+   */
+  function getPageInfo() {
+    const openGraph = compact({
+      ...getMetaGroup('property', 'og', ['title', 'description', 'type', 'url', 'image', 'site_name', 'locale']),
+      ...getMetaGroup('property', 'article', ['published_time', 'modified_time', 'author', 'section'])
+    });
+    const twitter = getMetaGroup('name', 'twitter', ['card', 'title', 'description', 'site', 'creator']);
+    const entities = getJsonLdEntities();
+    const article = entities.find(entity => entity.type === 'Article') || {};
+    const isUrl = (value) => /^https?:/i.test(value || '');
+
+    return compact({
+      description: getMetaContent('meta[name="description"]') || openGraph.description || twitter.description || null,
+      canonicalUrl: getLinkHref('canonical') || (isUrl(openGraph.url) ? openGraph.url : null),
+      author: [getMetaContent('meta[name="author"]'), openGraph.author, article.author, twitter.creator]
+        .find(value => value && !isUrl(value)) || null,
+      published: openGraph.publishedTime || article.datePublished
+        || getMetaContent('meta[name="date"]', 'meta[itemprop="datePublished"]')
+        || document.querySelector('time[itemprop="datePublished"]')?.getAttribute('datetime') || null,
+      modified: openGraph.modifiedTime || article.dateModified || getMetaContent('meta[property="og:updated_time"]') || null,
+      type: openGraph.type || null,
+      openGraph,
+      twitter,
+      entities
+    });
+  }
+
+  // Blocks that can be cited; the innermost one wins when they nest
+  const CITABLE_BLOCKS = 'p, li, h1, h2, h3, h4, h5, h6, blockquote, pre, tr, dd, dt, figcaption';
+  const CITATION_HIGHLIGHT_MS = 2000;
+  let nextCitationNumber = 1;
+
+  /**
+   * Tag the visible readable blocks under the content roots with citation ids (data-na-cite="p12")
+   * and return [{ id, text }]. Ids are kept on the elements, so they stay the same for the life of the page.
+   */
+  function tagCitableBlocks(roots) {
+    const blocks = [];
+    for (const root of roots) {
+      for (const el of queryAllDeep(root, CITABLE_BLOCKS)) {
+        if (el.querySelector(CITABLE_BLOCKS) || el.getClientRects().length === 0) continue;
+        if (isInsideBoilerplate(el, root)) continue;
+        const text = el.tagName === 'TR'
+          ? [...el.cells].map(cell => normalizeWhitespace(cell.textContent || '')).join(' | ')
+          : normalizeWhitespace(getElementText(el));
+        if (!text.replace(/[\s|]/g, '')) continue;
+        if (!el.dataset.naCite) el.dataset.naCite = `p${nextCitationNumber++}`;
+        blocks.push({ id: el.dataset.naCite, text });
+      }
+    }
+    return blocks;
+  }
+
+  /**
+   * Scroll a cited block into view and flash it; false when the page no longer has it
+   */
+  function highlightCitation(citationId) {
+    const el = typeof citationId === 'string'
+      ? queryAllDeep(document, `[data-na-cite="${CSS.escape(citationId)}"]`)[0]
+      : null;
+    if (!el) return false;
+
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const { outline, backgroundColor, transition } = el.style;
+    el.style.transition = 'background-color 0.3s ease, outline-color 0.3s ease';
+    el.style.outline = '2px solid #D0FF16';
+    el.style.backgroundColor = 'rgba(208, 255, 22, 0.25)';
+    setTimeout(() => {
+      el.style.outline = outline;
+      el.style.backgroundColor = backgroundColor;
+      el.style.transition = transition;
+    }, CITATION_HIGHLIGHT_MS);
+    return true;
+  }
+
+  // Markdown capture through the bundled Turndown (libs/turndown.js runs before this script)
+  const HIDDEN_STYLE = /(?:^|;)\s*(?:display\s*:\s*none|visibility\s*:\s*hidden)/i;
+  const DROPPED_TAGS = new Set([
+    'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'BUTTON', 'SELECT', 'INPUT', 'TEXTAREA', 'SVG', 'CANVAS', 'IFRAME'
+  ]);
+  const CODE_LANGUAGE_CLASS = /(?:^|\s)(?:language|lang|highlight-source)-([\w+#.-]+)/i;
+  let markdownService = null;
+
+  /**
+   * Whether a table holds data (header cells, or a grid of rows and columns) rather than page layout
+   */
+  function isDataTable(table) {
+    if (table.matches('[role="presentation"], [role="none"]') || table.querySelector('table')) return false;
+    if (table.querySelector('th, thead, caption')) return true;
+    const rows = [...table.rows];
+    return rows.length >= 2 && Math.max(...rows.map(row => row.cells.length)) >= 2;
+  }
+
+  const NUMERIC_CELL = /^[-+±~≈<>]?\s*[$€£¥]?\s*[\d.,\s]+\s*(%|[kmbx×]|ms|s|gb|mb|kb)?$/i;
+
+  /**
+   * Header detection for a row that isn't marked up as one: every cell is non-empty text, and some
+   * column below it is mostly numbers
+   */
+  function looksLikeHeader(first, rest) {
+    if (!rest.length || first.some(cell => !cell || NUMERIC_CELL.test(cell))) return false;
+    return first.some((_, column) => {
+      const values = rest.map(row => row[column]).filter(Boolean);
+      return values.length > 0 && values.filter(value => NUMERIC_CELL.test(value)).length / values.length >= 0.6;
+    });
+  }
+
+  /**
+   * A data table's cells as { header, rows, width }; colspans are expanded and empty rows dropped.
+   * header is null when the table has none (neither thead nor th cells, nor a text row over numbers).
+   */
+  function getTableData(table) {
+    const rows = [];
+    let headerRow = null;
+    for (const row of table.rows) {
+      const cells = [...row.cells].flatMap(cell => [
+        normalizeWhitespace(cell.textContent || ''),
+        ...Array(Math.max(0, Math.min(cell.colSpan || 1, 50) - 1)).fill('')
+      ]);
+      if (!cells.some(Boolean)) continue;
+      const marked = row.parentElement.tagName === 'THEAD' || [...row.cells].every(cell => cell.tagName === 'TH');
+      if (!rows.length && !headerRow && marked) headerRow = cells;
+      else rows.push(cells);
+    }
+    if (!headerRow && looksLikeHeader(rows[0] || [], rows.slice(1))) headerRow = rows.shift();
+
+    const width = Math.max(0, ...(headerRow ? [headerRow.length] : []), ...rows.map(row => row.length));
+    const pad = (cells) => [...cells, ...Array(width - cells.length).fill('')];
+    return { header: headerRow ? pad(headerRow) : null, rows: rows.map(pad), width };
+  }
+
+  /**
+   * GFM table for a data table, with its caption in bold above it
+   */
+  function tableToMarkdown(table) {
+    const { header, rows, width } = getTableData(table);
+    if (!width) return '';
+    const line = (cells) => `| ${cells.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+    const caption = normalizeWhitespace(table.caption?.textContent || '');
+    const markdown = [line(header || Array(width).fill('')), line(Array(width).fill('---')), ...rows.map(line)].join('\n');
+    return caption ? `**${caption}**\n\n${markdown}` : markdown;
+  }
+
+  /**
+   * RFC 4180 CSV for a data table, header row first when there is one
+   */
+  function tableToCsv(table) {
+    const { header, rows } = getTableData(table);
+    const quote = (cell) => (/[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell);
+    return [...(header ? [header] : []), ...rows].map(cells => cells.map(quote).join(',')).join('\r\n');
+  }
+
+  function getCodeLanguage(pre) {
+    for (const el of [pre.querySelector('code'), pre, pre.parentElement]) {
+      if (!el) continue;
+      const declared = el.getAttribute('data-lang') || el.getAttribute('data-language');
+      const match = declared ? null : (typeof el.className === 'string' ? el.className : '').match(CODE_LANGUAGE_CLASS);
+      const language = (declared || match?.[1] || '').trim().toLowerCase();
+      if (/^[\w+#.-]+$/.test(language)) return language;
+    }
+    return '';
+  }
+
+  // Fenced longer than any backtick run inside the code
+  function fenceCode(code, language) {
+    const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return `${fence}${language || ''}\n${code}\n${fence}`;
+  }
+
+  function getMarkdownService() {
+    if (markdownService || typeof globalThis.TurndownService !== 'function') return markdownService;
+
+    const service = new globalThis.TurndownService({
+      headingStyle: 'atx',
+      codeBlockStyle: 'fenced',
+      bulletListMarker: '-',
+      hr: '---'
+    });
+    // Citation ids ("[p12]") must reach the model unescaped
+    service.escape = (text) => globalThis.TurndownService.prototype.escape.call(service, text)
+      .replace(/\\\[(p\d+)\\\]/g, '[$1]');
+
+    service.addRule('codeBlock', {
+      filter: 'pre',
+      replacement: (_content, node) => {
+        const code = (node.textContent || '').replace(/\n+$/, '');
+        return `\n\n${fenceCode(code, getCodeLanguage(node))}\n\n`;
+      }
+    });
+    service.addRule('dataTable', {
+      filter: (node) => node.nodeName === 'TABLE' && isDataTable(node),
+      replacement: (_content, node) => `\n\n${tableToMarkdown(node)}\n\n`
+    });
+
+    // Added last so it is checked first: hidden code and tables are dropped too
+    service.addRule('dropped', {
+      filter: (node) => DROPPED_TAGS.has(node.nodeName.toUpperCase())
+        || node.hasAttribute('hidden')
+        || node.getAttribute('aria-hidden') === 'true'
+        || HIDDEN_STYLE.test(node.getAttribute('style') || '')
+        || (node.nodeName === 'IMG' && !(node.getAttribute('alt') || '').trim()),
+      replacement: () => ''
+    });
+
+    markdownService = service;
+    return service;
+  }
+
+  /**
+   * Detached copy of a content root without boilerplate, with absolute http(s) links and image
+   * sources, and a "[p12] " marker at the start of each block whose id is in citedIds
+   */
+  function cloneWithoutBoilerplate(root, citedIds) {
+    const copy = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) return node.cloneNode(false);
+      if (node.nodeType !== Node.ELEMENT_NODE || (node !== root && isBoilerplate(node))) return null;
+
+      const clone = node.cloneNode(false);
+      clone.removeAttribute('data-na-cite');
+      for (const child of getComposedChildren(node)) {
+        const childCopy = copy(child);
+        if (childCopy) clone.appendChild(childCopy);
+      }
+      for (const [tag, attribute] of [['A', 'href'], ['IMG', 'src']]) {
+        if (node.tagName !== tag) continue;
+        if (/^https?:/i.test(node[attribute] || '')) clone.setAttribute(attribute, node[attribute]);
+        else clone.removeAttribute(attribute);
       }
+
+      const citationId = node.dataset?.naCite;
+      if (!citationId || !citedIds.has(citationId)) return clone;
+      const marker = `[${citationId}] `;
+      if (node.tagName === 'PRE') {
+        // Code is copied verbatim, so its marker goes in a paragraph of its own
+        const fragment = document.createDocumentFragment();
+        const label = document.createElement('p');
+        label.textContent = marker;
+        fragment.append(label, clone);
+        return fragment;
+      }
+      (node.tagName === 'TR' ? clone.firstElementChild : clone)?.prepend(marker);
+      return clone;
+    };
+
+    return copy(root);
+  }
+
+  /**
+   * Main content roots as Markdown, or null when Turndown is unavailable or fails
+   */
+  function toMarkdown(roots, citedIds) {
+    const service = getMarkdownService();
+    if (!service || !roots.length) return null;
+    try {
+      const container = document.createElement('div');
+      roots.forEach(root => {
+        const clone = cloneWithoutBoilerplate(root, citedIds);
+        if (clone) container.appendChild(clone);
+      });
+      return service.turndown(container).replace(/\n{3,}/g, '\n\n').trim() || null;
+    } catch (_e) {
+      return null;
+    }
+  }
+
+  // Data tables the side panel can list, ask about and download
+  const MAX_LISTED_TABLES = 30;
+  let nextTableNumber = 1;
+
+  function getTableTitle(table, index) {
+    const title = normalizeWhitespace(table.caption?.textContent || '')
+      || table.getAttribute('aria-label')?.trim()
+      || table.getAttribute('title')?.trim()
+      || findPrecedingHeading(table);
+    return title || `Table ${index + 1}`;
+  }
+
+  /**
+   * Visible data tables on the page, tagged with ids (data-na-table="t3") that stay the same for the life of the page
+   */
+  function findDataTables() {
+    return queryAllDeep(document, 'table')
+      .filter(table => isDataTable(table) && (typeof table.checkVisibility !== 'function' || table.checkVisibility()))
+      .slice(0, MAX_LISTED_TABLES)
+      .map(table => {
+        if (!table.dataset.naTable) table.dataset.naTable = `t${nextTableNumber++}`;
+        return table;
+      });
+  }
+
+  /**
+   * The page's data tables: [{ id, title, rowCount, columnCount, header }]
+   */
+  function listTables() {
+    return findDataTables().map((table, index) => {
+      const { header, rows, width } = getTableData(table);
+      return { id: table.dataset.naTable, title: getTableTitle(table, index), rowCount: rows.length, columnCount: width, header };
+    }).filter(table => table.rowCount > 0);
+  }
+
+  /**
+   * One listed table as Markdown (cut to TABLE_CHARS) and CSV, or null when the page no longer has it
+   */
+  function getTable(tableId) {
+    const tables = findDataTables();
+    const index = tables.findIndex(table => table.dataset.naTable === tableId);
+    if (index === -1) return null;
+    const table = tables[index];
+    const markdown = tableToMarkdown(table);
+    const { rows, width } = getTableData(table);
+    return {
+      id: tableId,
+      title: getTableTitle(table, index),
+      rowCount: rows.length,
+      columnCount: width,
+      markdown: markdown.length > CONTENT_LIMITS.TABLE_CHARS ? `${markdown.slice(0, CONTENT_LIMITS.TABLE_CHARS)}...` : markdown,
+      csv: tableToCsv(table)
+    };
+  }
+
+  // Characteristic scripts, checked in order (kana before Han so Japanese isn't taken for Chinese)
+  const SCRIPT_LANGUAGES = [
+    { code: 'ja', pattern: /[\u3040-\u30ff]/g },
+    { code: 'ko', pattern: /[\uac00-\ud7af]/g },
+    { code: 'zh', pattern: /[\u4e00-\u9fff]/g },
+    { code: 'ru', pattern: /[\u0400-\u04ff]/g },
+    { code: 'ar', pattern: /[\u0600-\u06ff]/g },
+    { code: 'he', pattern: /[\u0590-\u05ff]/g },
+    { code: 'el', pattern: /[\u0370-\u03ff]/g },
+    { code: 'th', pattern: /[\u0e00-\u0e7f]/g },
+    { code: 'hi', pattern: /[\u0900-\u097f]/g }
+  ];
+
+  // Frequent short words of Latin-script languages
+  const STOPWORDS = {
+    en: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'for', 'with', 'this'],
+    de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'mit', 'sich', 'auf', 'ein'],
+    fr: ['le', 'la', 'les', 'et', 'des', 'est', 'une', 'dans', 'pour', 'que'],
+    es: ['el', 'la', 'los', 'las', 'y', 'que', 'es', 'en', 'por', 'una'],
+    it: ['il', 'la', 'che', 'di', 'e', 'non', 'per', 'una', 'sono', 'della'],
+    pt: ['o', 'a', 'que', 'de', 'não', 'uma', 'para', 'com', 'os', 'é'],
+    nl: ['de', 'het', 'een', 'en', 'van', 'is', 'niet', 'dat', 'op', 'voor']
+  };
+
+  /**
+   * Guess the language of a text sample: { code, confidence } or null.
+   * Non-Latin scripts are recognized by their characters, Latin ones by stopword frequency.
+   */
+  function guessLanguageFromText(text) {
+    const sample = (text || '').slice(0, 5000);
+    const letters = (sample.match(/\p{L}/gu) || []).length;
+    if (letters < 50) return null;
+
+    for (const { code, pattern } of SCRIPT_LANGUAGES) {
+      const count = (sample.match(pattern) || []).length;
+      if (count / letters > 0.2) return { code, confidence: Math.min(1, count / letters * 2) };
+    }
+
+    const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+    if (words.length < 20) return null;
+    const scores = Object.entries(STOPWORDS).map(([code, list]) => {
+      const set = new Set(list);
+      return { code, hits: words.filter(word => set.has(word)).length };
+    }).sort((a, b) => b.hits - a.hits);
+
+    const [best, second] = scores;
+    if (best.hits < 5) return null;
+    // Confident when the best language clearly beats the runner-up
+    return { code: best.code, confidence: 1 - (second.hits / best.hits) };
+  }
+
+  /**
+   * Page language from <html lang>, overridden by the text when the attribute is missing or
+   * clearly wrong (many sites ship lang="en" templates regardless of content)
+   */
+  function detectPageLanguage(text) {
+    const declared = (document.documentElement.lang || '').trim().toLowerCase().split(/[-_]/)[0] || null;
+    const guessed = guessLanguageFromText(text);
+
+    if (guessed && (!declared || (guessed.code !== declared && guessed.confidence >= 0.5))) {
+      return { language: guessed.code, languageSource: 'text' };
+    }
+    return { language: declared, languageSource: declared ? 'html-lang' : null };
+  }
+
+  function clipContent(content) {
+    return content.length > MAX_TEXT_LENGTH ? content.slice(0, MAX_TEXT_LENGTH) + '...' : content;
+  }
+
+  /**
+   * Main page text with the article details found around it, as Markdown or plain text
+   * (captureFormat says which was used). With citations, each block is prefixed with its id
+   * ("[p12] ...") and citationIds lists the ids inside the captured length. Sites with an extractor
+   * are read by it first.
+   */
+  async function getPageText({ citations = false, format = 'text' } = {}) {
+    const siteAttempts = [];
+    const site = await getSitePageText({ citations, format }, siteAttempts);
+    if (site) return { ...site, attempts: siteAttempts };
+
+    const main = extractMainContent();
+    const { text, source, strategy, roots } = main;
+    const attempts = [...siteAttempts, ...main.attempts];
+    const usedSource = `${strategy}:${source}`;
+    const details = {
+      readableTitle: getReadableTitle(roots),
+      byline: getByline(roots),
+      siteName: getSiteName(),
+      attempts
+    };
+    const blocks = citations ? tagCitableBlocks(roots) : [];
+
+    const markdown = format === 'markdown' ? toMarkdown(roots, new Set(blocks.map(block => block.id))) : null;
+    if (markdown) {
+      const content = clipContent(markdown);
+      const marked = new Set([...content.matchAll(/\[(p\d+)\]/g)].map(match => match[1]));
+      return {
+        content,
+        usedSource,
+        totalLength: markdown.length,
+        citationIds: blocks.map(block => block.id).filter(id => marked.has(id)),
+        captureFormat: 'markdown',
+        ...details
+      };
+    }
+
+    if (blocks.length) {
+      const cited = blocks.map(block => `[${block.id}] ${block.text}`).join('\n\n');
+      const citationIds = [];
+      let offset = 0;
+      for (const block of blocks) {
+        if (offset >= MAX_TEXT_LENGTH) break;
+        citationIds.push(block.id);
+        offset += block.id.length + block.text.length + 5;
+      }
+      return {
+        content: clipContent(cited),
+        usedSource,
+        totalLength: cited.length,
+        citationIds,
+        captureFormat: 'text',
+        ...details
+      };
+    }
+
+    const cleaned = normalizeWhitespace(text);
+    return {
+      content: clipContent(cleaned),
+      usedSource,
+      totalLength: cleaned.length,
+      citationIds: [],
+      captureFormat: 'text',
+      ...details
+    };
+  }
+
+  // Known sites are read by their extractor (services/site-extractors.js) when it finds enough text
+  const MIN_SITE_CHARS = 200;
+  const MAX_COMMENT_DEPTH = 8;
+
+  /**
+   * A site extractor's parts as page text. Comments become nested list items
+   * ("  - [p7] author · 12 points · 3 hours ago: ..."), each cited as a whole.
+   */
+  function renderSiteParts(parts, { citations, markdown }) {
+    const citationIds = [];
+    const cite = (el) => {
+      if (!citations || !el) return '';
+      if (!el.dataset.naCite) el.dataset.naCite = `p${nextCitationNumber++}`;
+      citationIds.push(el.dataset.naCite);
+      return `[${el.dataset.naCite}] `;
+    };
+    const readElement = (el) => (markdown && toMarkdown([el], new Set())) || collectText([el]);
+
+    const blocks = parts.map(part => {
+      if (part.heading) return markdown ? `${'#'.repeat(part.level || 2)} ${part.heading}` : part.heading;
+      if (typeof part.code === 'string') return markdown ? fenceCode(part.code, part.language) : part.code;
+      if (part.comment) {
+        const { author, score, age, context, depth = 0 } = part.comment;
+        const indent = '  '.repeat(Math.min(depth, MAX_COMMENT_DEPTH));
+        const name = author || 'anonymous';
+        const header = [markdown ? `**${name}**` : name, score != null && `${score} points`, age, context]
+          .filter(Boolean).join(' · ');
+        const lines = normalizeWhitespace(part.text ?? readElement(part.element)).split('\n').filter(line => line.trim());
+        const marker = cite(part.element);
+        return [`${indent}- ${marker}${header}: ${lines[0] || ''}`, ...lines.slice(1).map(line => `${indent}  ${line}`)].join('\n');
+      }
+      if (typeof part.text === 'string') return part.text ? `${cite(part.element)}${part.text}` : '';
+      if (!part.element) return '';
+      if (!citations) return readElement(part.element);
+
+      const cited = tagCitableBlocks([part.element]);
+      citationIds.push(...cited.map(block => block.id));
+      return (markdown && toMarkdown([part.element], new Set(cited.map(block => block.id))))
+        || cited.map(block => `[${block.id}] ${block.text}`).join('\n\n')
+        || collectText([part.element]);
+    });
+    return { content: blocks.filter(Boolean).join('\n\n'), citationIds };
+  }
+
+  /**
+   * The page read by the site extractor matching its URL, or null (recorded in attempts) when none
+   * matches or it finds too little, so the generic strategies run instead
+   */
+  async function getSitePageText({ citations, format }, attempts) {
+    const extractor = findSiteExtractor(location.href);
+    if (!extractor) return null;
+    try {
+      const result = await extractor.extract(document, location.href);
+      const markdown = format === 'markdown' && !!getMarkdownService();
+      const { content, citationIds } = result?.parts?.length
+        ? renderSiteParts(result.parts, { citations, markdown })
+        : { content: '', citationIds: [] };
+      const ok = content.length >= MIN_SITE_CHARS;
+      attempts.push({ strategy: 'site', source: extractor.id, length: content.length, ok });
+      if (!ok) return null;
+
+      const clipped = clipContent(content);
+      const marked = new Set([...clipped.matchAll(/\[(p\d+)\]/g)].map(match => match[1]));
+      return {
+        content: clipped,
+        usedSource: `site:${extractor.id}`,
+        totalLength: content.length,
+        citationIds: citationIds.filter(id => marked.has(id)),
+        captureFormat: markdown ? 'markdown' : 'text',
+        readableTitle: result.title || null,
+        byline: result.byline || null,
+        siteName: getSiteName(),
+        thread: describeThread(result.parts)
+      };
+    } catch (error) {
+      attempts.push({ strategy: 'site', source: extractor.id, length: 0, ok: false, error: error?.message || String(error) });
+      return null;
+    }
+  }
+
+  // Captioned videos: transcripts of up to MAX_TRANSCRIPT_VIDEOS of them go along with the page text
+  const MAX_TRANSCRIPT_VIDEOS = 3;
+  // Share of the capture transcripts may take before the page text is cut to make room
+  const TRANSCRIPT_SHARE = 0.75;
+
+  /**
+   * The caption or subtitle track to read for a video: the default one, else one in the page's
+   * language, else the first
+   */
+  function getCaptionTrack(video) {
+    const tracks = [...video.querySelectorAll('track[src]')].filter(track => {
+      const kind = (track.getAttribute('kind') || 'subtitles').toLowerCase();
+      return kind === 'captions' || kind === 'subtitles';
+    });
+    const pageLanguage = (document.documentElement.lang || '').toLowerCase().split(/[-_]/)[0];
+    return tracks.find(track => track.hasAttribute('default'))
+      || tracks.find(track => pageLanguage && (track.getAttribute('srclang') || '').toLowerCase().startsWith(pageLanguage))
+      || tracks[0]
+      || null;
+  }
+
+  /**
+   * Cues the browser parsed for a track, loading it (hidden) when it hasn't been
+   */
+  async function readTrackCues(track) {
+    const textTrack = track.track;
+    if (!textTrack) return [];
+    const disabled = textTrack.mode === 'disabled';
+    if (disabled) textTrack.mode = 'hidden';
+    if (track.readyState !== 2) {
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, TRACK_TIMEOUT_MS);
+        const done = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        track.addEventListener('load', done, { once: true });
+        track.addEventListener('error', done, { once: true });
+      });
+    }
+    const cues = [...(textTrack.cues || [])]
+      .map(cue => ({ start: cue.startTime, end: cue.endTime, text: cleanCueText(cue.text || '') }))
+      .filter(cue => cue.text);
+    if (disabled) textTrack.mode = 'disabled';
+    return cues;
+  }
+
+  /**
+   * A track's cues from its WebVTT or SRT file, or from the browser when the file can't be fetched
+   */
+  async function getTrackCues(track) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TRACK_TIMEOUT_MS);
+    try {
+      const response = await fetch(new URL(track.getAttribute('src'), document.baseURI).href, { signal: controller.signal });
+      if (response.ok) {
+        const cues = parseCaptions(await response.text());
+        if (cues.length) return cues;
+      }
+    } catch (_e) {
+      // Cross-origin or offline; the browser may still have loaded the track
+    } finally {
+      clearTimeout(timer);
+    }
+    return readTrackCues(track);
+  }
+
+  /**
+   * Timestamped transcripts of the page's captioned videos: [{ id, title, language, cueCount, duration, text }].
+   * Each video is tagged (data-na-video="v1") so SEEK_VIDEO can find it again.
+   */
+  async function getTranscripts() {
+    const videos = queryAllDeep(document, 'video')
+      .filter(video => getCaptionTrack(video))
+      .slice(0, MAX_TRANSCRIPT_VIDEOS);
+
+    const transcripts = await Promise.all(videos.map(async (video, index) => {
+      const track = getCaptionTrack(video);
+      const cues = await getTrackCues(track);
+      if (cues.length === 0) return null;
+      const id = `v${index + 1}`;
+      video.setAttribute('data-na-video', id);
+      return {
+        id,
+        title: video.getAttribute('title') || video.getAttribute('aria-label') || track.getAttribute('label') || 'Video',
+        language: track.getAttribute('srclang') || null,
+        cueCount: cues.length,
+        duration: Math.max(...cues.map(cue => cue.end)),
+        text: formatTranscript(cues, id)
+      };
+    }));
+    return transcripts.filter(Boolean);
+  }
+
+  /**
+   * Jump a tagged video (the first transcribed one by default, else the first video) to `time`
+   * seconds and bring it into view
+   */
+  function seekVideo(videoId, time) {
+    const videos = queryAllDeep(document, 'video');
+    const video = videos.find(item => videoId && item.getAttribute('data-na-video') === videoId)
+      || videos.find(item => item.hasAttribute('data-na-video'))
+      || videos[0];
+    if (!video || !Number.isFinite(time)) return false;
+    video.currentTime = Math.max(0, time);
+    video.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return true;
+  }
+
+  /**
+   * Page text with sections appended after it. The sections keep up to `share` of the capture;
+   * the page text is cut to fit the rest. sectionCitationIds are the ids cited inside the sections.
+   */
+  function appendSections(page, sections, share, sectionCitationIds = []) {
+    const fullText = sections.join('\n\n');
+    const room = Math.floor(MAX_TEXT_LENGTH * share);
+    const sectionText = fullText.length > room ? `${fullText.slice(0, room)}...` : fullText;
+
+    const pageRoom = MAX_TEXT_LENGTH - sectionText.length - 2;
+    const pageText = page.content.length > pageRoom ? `${page.content.slice(0, pageRoom)}...` : page.content;
+    const content = [pageText, sectionText].filter(Boolean).join('\n\n');
+    // Paragraphs cut off with the page text (or the sections) can no longer be cited
+    const citationIds = [
+      ...page.citationIds.filter(id => pageText.includes(`[${id}]`)),
+      ...sectionCitationIds.filter(id => sectionText.includes(`[${id}]`))
+    ];
+    return {
+      ...page,
+      content,
+      citationIds,
+      totalLength: page.totalLength + fullText.length
+    };
+  }
+
+  /**
+   * Page text with video transcripts appended, each under its own heading. Transcripts keep up to
+   * TRANSCRIPT_SHARE of the capture.
+   */
+  function appendTranscripts(page, transcripts) {
+    const heading = page.captureFormat === 'markdown' ? '## ' : '';
+    const sections = transcripts.map(transcript => {
+      const details = [transcript.language, formatTimestamp(transcript.duration)].filter(Boolean).join(', ');
+      return `${heading}Transcript: ${transcript.title} (${details})\n\n${transcript.text}`;
+    });
+    return appendSections(page, sections, TRANSCRIPT_SHARE);
+  }
+
+  // Comment threads of pages without a site extractor, read for discussion summaries
+  const MAX_THREAD_COMMENTS = 300;
+  // Share of the capture comments may take before the page text is cut to make room
+  const THREAD_SHARE = 0.8;
+  // Comment markup of common forum and comment systems, most specific first. Fields are selectors
+  // inside the comment (its replies excluded), or "@name" for an attribute of the comment itself.
+  const COMMENT_LAYOUTS = [
+    // Reddit, and old Reddit
+    { item: 'shreddit-comment', author: '@author', score: '@score', age: 'time', body: '[slot="comment"]', depth: '@depth' },
+    { item: '.thing.comment', author: '@data-author', score: '.score.unvoted', age: 'time', body: '.usertext-body' },
+    // Discourse
+    { item: '.topic-post', author: '.names .username, .names a', score: '.post-likes, .like-count', age: '.relative-date', body: '.cooked' },
+    { item: '[itemtype$="schema.org/Comment"]', author: '[itemprop="author"]', score: '[itemprop="upvoteCount"]', age: 'time, [itemprop="dateCreated"]', body: '[itemprop="text"]' },
+    // WordPress, Stack Exchange comments and most hand-made comment sections
+    {
+      item: '.comment, li[id^="comment-"], article[id^="comment-"]',
+      author: '.comment-author .fn, .comment-author, .comment-user, [itemprop="author"], .author, .username',
+      score: '.comment-score, .score, .votes, .points',
+      age: 'time, .comment-date, .comment-metadata, .relativetime-clean',
+      body: '.comment-content, .comment-copy, .comment-body, .comment-text, .comment-text-content'
+    }
+  ];
+
+  // "12 points", "1.2k", "1,024" -> number
+  function parseScore(value) {
+    const match = String(value ?? '').replace(/(\d),(\d{3})/g, '$1$2').match(/-?\d+(?:\.\d+)?\s*([kKmM])?/);
+    if (!match) return null;
+    const multiplier = { k: 1e3, m: 1e6 }[(match[1] || '').toLowerCase()] || 1;
+    return Math.round(parseFloat(match[0]) * multiplier);
+  }
+
+  // A comment's own field element (not one of a reply's), trying the selectors in order, or attribute value
+  function readCommentField(comment, layout, field) {
+    const spec = layout[field];
+    if (!spec) return null;
+    if (spec.startsWith('@')) return comment.getAttribute(spec.slice(1));
+    for (const selector of spec.split(',')) {
+      const match = [...comment.querySelectorAll(selector)].find(el => el.closest(layout.item) === comment);
+      if (match) return match;
+    }
+    return null;
+  }
+
+  function readComment(comment, layout) {
+    const body = readCommentField(comment, layout, 'body');
+    if (!body || !normalizeWhitespace(getElementText(body))) return null;
+
+    const fieldText = (value) => (typeof value === 'string' ? value : normalizeWhitespace(getElementText(value)).replace(/\s+/g, ' '));
+    const author = readCommentField(comment, layout, 'author');
+    const score = readCommentField(comment, layout, 'score');
+    const age = readCommentField(comment, layout, 'age');
+    let depth = parseScore(readCommentField(comment, layout, 'depth'));
+    if (depth === null) {
+      depth = 0;
+      for (let node = comment.parentElement?.closest(layout.item); node; node = node.parentElement?.closest(layout.item)) depth++;
+    }
+    return {
+      comment: {
+        author: author ? fieldText(author).slice(0, 60) || null : null,
+        score: score ? parseScore(typeof score === 'string' ? score : score.getAttribute('title') || fieldText(score)) : null,
+        age: age ? (typeof age === 'string' ? age : age.getAttribute('datetime')?.slice(0, 10) || fieldText(age)) || null : null,
+        depth
+      },
+      element: body
+    };
+  }
+
+  /**
+   * The page's comment thread as comment parts (see renderSiteParts), read with the layout that finds the most comments
+   */
+  function findCommentThread() {
+    let best = [];
+    for (const layout of COMMENT_LAYOUTS) {
+      const comments = queryAllDeep(document, layout.item)
+        .slice(0, MAX_THREAD_COMMENTS)
+        .map(comment => readComment(comment, layout))
+        .filter(Boolean);
+      if (comments.length > best.length) best = comments;
     }
-    return { text: '', source: 'none' };
+    return best;
   }
 
-  function getPageText() {
-    const { text, source } = extractBasicContent();
-    let cleaned = normalizeWhitespace(text);
-    if (cleaned.length > MAX_TEXT_LENGTH) cleaned = cleaned.slice(0, MAX_TEXT_LENGTH) + '...';
-    return { content: cleaned, usedSource: `basic:${source}` };
+  // { comments, participants } of a thread's parts, or null when it has no comments
+  function describeThread(parts) {
+    const comments = parts.filter(part => part.comment);
+    if (comments.length === 0) return null;
+    const authors = new Set(comments.map(part => part.comment.author).filter(Boolean));
+    return { comments: comments.length, participants: authors.size };
+  }
+
+  /**
+   * Page text with its comment thread appended under a "Comments" heading, each comment cited as a whole
+   */
+  function appendComments(page, parts, citations) {
+    const markdown = page.captureFormat === 'markdown';
+    const { content, citationIds } = renderSiteParts(parts, { citations, markdown });
+    return appendSections(page, [`${markdown ? '## ' : ''}Comments\n\n${content}`], THREAD_SHARE, citationIds);
+  }
+
+  const SECTION_BLOCKS = 'p, li, dd, dt, blockquote, pre, td, th, figcaption, section, article';
+
+  /**
+   * Nearest h1-h6 before a node in document order, or ''
+   */
+  function findPrecedingHeading(node) {
+    let heading = '';
+    for (const el of document.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+      if (el.contains(node)) return normalizeWhitespace(getElementText(el));
+      if (!(el.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING)) break;
+      heading = getElementText(el);
+    }
+    return normalizeWhitespace(heading);
+  }
+
+  /**
+   * The page section around the current selection: { heading, text } with up to SECTION_CHARS
+   * of text centred on the selection, or null when nothing is selected
+   */
+  function getSelectionSection() {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return null;
+
+    const range = selection.getRangeAt(0);
+    const node = range.commonAncestorContainer;
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    let container = element?.closest(SECTION_BLOCKS) || element;
+    if (!container) return null;
+
+    // Widen from the selection's block until there is enough surrounding text
+    while (container.parentElement && container !== document.body
+      && getElementText(container).length < CONTENT_LIMITS.SECTION_CHARS) {
+      container = container.parentElement;
+    }
+
+    const text = normalizeWhitespace(getElementText(container));
+    const selected = normalizeWhitespace(selection.toString());
+    const size = CONTENT_LIMITS.SECTION_CHARS;
+    const index = Math.max(0, text.indexOf(selected.slice(0, 200)));
+    const start = Math.max(0, Math.min(index - Math.floor((size - selected.length) / 2), text.length - size));
+    const end = start + size;
+
+    return {
+      heading: findPrecedingHeading(range.startContainer),
+      text: `${start > 0 ? '...' : ''}${text.slice(start, end)}${end < text.length ? '...' : ''}`
+    };
+  }
+
+  /**
+   * Answer to GET_PAGE_CONTENT: the page text, with the transcripts of captioned videos, and its metadata
+   */
+  async function getPageContentResponse(message) {
+    try {
+      let page = await getPageText({ citations: !!message.citations, format: message.format });
+      // A site extractor reads its thread itself; elsewhere discussion summaries look for comment markup
+      let discussion = page.thread || null;
+      if (message.discussion && !discussion) {
+        try {
+          const thread = findCommentThread();
+          discussion = describeThread(thread);
+          if (discussion) page = appendComments(page, thread, !!message.citations);
+        } catch (_e) {
+          // The page text still goes out without its comments
+        }
+      }
+      let transcripts = [];
+      try {
+        transcripts = await getTranscripts();
+      } catch (_e) {
+        // Transcripts are a bonus as well
+      }
+      if (transcripts.length) page = appendTranscripts(page, transcripts);
+
+      const {
+        content, usedSource, totalLength, citationIds, captureFormat, readableTitle, byline, siteName, attempts
+      } = page;
+      let pageInfo = {};
+      try {
+        pageInfo = getPageInfo();
+      } catch (_e) {
+        // Metadata is a bonus; the page text still goes out without it
+      }
+      const { language, languageSource } = detectPageLanguage(content);
+      return {
+        pageContent: content,
+        metadata: {
+          title: document.title,
+          url: location.href,
+          readableTitle,
+          byline,
+          siteName,
+          length: content.length,
+          totalLength,
+          usedSource,
+          captureFormat,
+          language,
+          languageSource,
+          citationIds,
+          pageInfo,
+          transcripts: transcripts.map(({ id, title, language: trackLanguage, cueCount, duration }) => ({
+            id, title, language: trackLanguage, cueCount, duration
+          })),
+          discussion,
+          attempts
+        },
+        error: content ? null : 'No content found'
+      };
+    } catch (err) {
+      return {
+        pageContent: '',
+        metadata: {
+          title: document.title,
+          url: location.href,
+          readableTitle: null,
+          byline: null,
+          siteName: null,
+          length: 0,
+          totalLength: 0,
+          usedSource: 'none:error',
+          attempts: []
+        },
+        error: err?.message || 'Content extraction failed'
+      };
+    }
   }
 
   chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
@@ -53,40 +1347,38 @@ if (!window.nationAssistantInjected) {
       return;
     }
 
+    if (message.type === MESSAGE_TYPES.GET_SELECTION) {
+      sendResponse({
+        text: (window.getSelection()?.toString() || '').trim(),
+        section: getSelectionSection()
+      });
+      return;
+    }
+
+    if (message.type === MESSAGE_TYPES.LIST_TABLES) {
+      sendResponse({ tables: listTables() });
+      return;
+    }
+
+    if (message.type === MESSAGE_TYPES.GET_TABLE) {
+      sendResponse({ table: getTable(message.tableId) });
+      return;
+    }
+
+    if (message.type === MESSAGE_TYPES.SHOW_CITATION) {
+      sendResponse({ found: highlightCitation(message.citationId) });
+      return;
+    }
+
+    if (message.type === MESSAGE_TYPES.SEEK_VIDEO) {
+      sendResponse({ found: seekVideo(message.videoId, message.time) });
+      return;
+    }
+
     if (message.type === MESSAGE_TYPES.GET_PAGE_CONTENT) {
-      try {
-        const { content, usedSource } = getPageText();
-        sendResponse({
-          pageContent: content,
-          metadata: {
-            title: document.title,
-            url: location.href,
-            readableTitle: null,
-            byline: null,
-            siteName: null,
-            length: content.length,
-            usedSource,
-            attempts: []
-          },
-          error: content ? null : 'No content found'
-        });
-      } catch (err) {
-        sendResponse({
-          pageContent: '',
-          metadata: {
-            title: document.title,
-            url: location.href,
-            readableTitle: null,
-            byline: null,
-            siteName: null,
-            length: 0,
-            usedSource: 'basic:error',
-            attempts: []
-          },
-          error: err?.message || 'Content extraction failed'
-        });
-      }
-      return false;
+      // Caption files are fetched, so the answer comes asynchronously
+      getPageContentResponse(message).then(sendResponse);
+      return true;
     }
 
     sendResponse({ error: 'Unknown message type' });
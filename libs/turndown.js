@@ -4,310 +4,109 @@
   (global = typeof globalThis !== 'undefined' ? globalThis : global || self, global.TurndownService = factory());
 })(this, (function () { 'use strict';
 
-  function extend (destination) {
+  function extend(destination) {
     for (var i = 1; i < arguments.length; i++) {
       var source = arguments[i];
       for (var key in source) {
-        if (source.hasOwnProperty(key)) destination[key] = source[key];
+        if (Object.prototype.hasOwnProperty.call(source, key)) destination[key] = source[key];
       }
     }
-    return destination
+    return destination;
   }
-
-  function repeat (character, count) {
-    return Array(count + 1).join(character)
+  function repeat(character, count) {
+    return Array(count + 1).join(character);
   }
-
-  var blockElements = [
-    'address', 'article', 'aside', 'audio', 'blockquote', 'body', 'canvas',
-    'center', 'dd', 'dir', 'div', 'dl', 'dt', 'fieldset', 'figcaption',
-    'figure', 'footer', 'form', 'frameset', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
-    'header', 'hgroup', 'hr', 'html', 'isindex', 'li', 'main', 'menu', 'nav',
-    'noframes', 'noscript', 'ol', 'p', 'pre', 'section', 'table', 'tbody',
-    'tfoot', 'th', 'thead', 'tr', 'ul', 'video'
-  ];
-
-  function isBlock (node) {
-    return blockElements.indexOf(node.nodeName.toLowerCase()) !== -1
+  function trimLeadingNewlines(string) {
+    return string.replace(/^\n*/, '');
   }
-
-  var voidElements = [
-    'area', 'base', 'br', 'col', 'command', 'embed', 'hr', 'img', 'input',
-    'keygen', 'link', 'meta', 'param', 'source', 'track', 'wbr'
-  ];
-
-  function isVoid (node) {
-    return voidElements.indexOf(node.nodeName.toLowerCase()) !== -1
+  function trimTrailingNewlines(string) {
+    // avoid match-at-end regexp bottleneck, see #370
+    var indexEnd = string.length;
+    while (indexEnd > 0 && string[indexEnd - 1] === '\n') indexEnd--;
+    return string.substring(0, indexEnd);
   }
-
-  var NAME_CHAR = '[A-Za-z_]';
-  var IDENT_CHAR = '[A-Za-z0-9_-]';
-
-  var ESCAPE_CHAR_AFTER = '(?!' + IDENT_CHAR + ')';
-
-  var ESCAPE_CHAR = '\\';
-  var ASTERISK = '*';
-  var UNDERSCORE = '_';
-  var BACKTICK = '`';
-  var DOLLAR = '$';
-
-  // Safer literal regex definitions to avoid bracket/paren escaping issues
-  var REGEX_ESCAPE_CHAR = /([\\`*_{}\[\]()#+\-.!>])/g;
-
-  var REGEX_SPECIAL_CHAR = /([\\*_{}\[\]()#+\-.!>`])/g;
-
-  var REGEX_SPECIAL_CHAR_WITH_DOLLAR = /([\\*_{}\[\]()#+\-.!>`$])/g;
-
-  var leadingWhitespace = /^[ \r\n\t]/;
-  var trailingWhitespace = /[ \r\n\t]$/;
-  var leadingNewLine = /^\n/;
-  var trailingNewLine = /\n$/;
-
-  /**
-   * Manages a collection of rules used to convert HTML to Markdown
-   */
-
-  function Rules (options) {
-    this.options = options;
-    this._keep = [];
-    this._remove = [];
-
-    this.blankRule = {
-      replacement: function (content, node) {
-        return node.isBlock ? '\n\n' : ''
-      }
-    };
-
-    this.defaultRule = {
-      replacement: function (content, node) {
-        return node.isBlock ? '\n\n' + content + '\n\n' : content
-      }
-    };
-
-    this.array = [];
-    for (var key in options.rules) this.array.push(options.rules[key]);
+  function trimNewlines(string) {
+    return trimTrailingNewlines(trimLeadingNewlines(string));
   }
-
-  Rules.prototype = {
-    add: function (key, rule) {
-      this.array.unshift(rule);
-    },
-
-    keep: function (filter) {
-      this._keep.unshift({
-        filter: filter,
-        replacement: this.options.keepReplacement
-      });
-    },
-
-    remove: function (filter) {
-      this._remove.unshift({
-        filter: filter,
-        replacement: function () {
-          return ''
-        }
-      });
-    },
-
-    forNode: function (node) {
-      if (node.isBlank) return this.blankRule
-      var rule;
-
-      if ((rule = findRule(this.array, node, this))) return rule
-      if ((rule = findRule(this._keep, node, this))) return rule
-      if ((rule = findRule(this._remove, node, this))) return rule
-
-      return this.defaultRule
-    },
-
-    forEach: function (fn) {
-      for (var i = 0; i < this.array.length; i++) fn(this.array[i], i);
-    }
-  };
-
-  function findRule (rules, node, thisArg) {
-    for (var i = 0; i < rules.length; i++) {
-      var rule = rules[i];
-      if (filterValue(rule, node, thisArg)) return rule
-    }
-    return void 0
+  var blockElements = ['ADDRESS', 'ARTICLE', 'ASIDE', 'AUDIO', 'BLOCKQUOTE', 'BODY', 'CANVAS', 'CENTER', 'DD', 'DIR', 'DIV', 'DL', 'DT', 'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'FRAMESET', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HGROUP', 'HR', 'HTML', 'ISINDEX', 'LI', 'MAIN', 'MENU', 'NAV', 'NOFRAMES', 'NOSCRIPT', 'OL', 'OUTPUT', 'P', 'PRE', 'SECTION', 'TABLE', 'TBODY', 'TD', 'TFOOT', 'TH', 'THEAD', 'TR', 'UL'];
+  function isBlock(node) {
+    return is(node, blockElements);
   }
-
-  function filterValue (rule, node, thisArg) {
-    var filter = rule.filter;
-    if (typeof filter === 'string') {
-      return (filter === node.nodeName.toLowerCase())
-    } else if (Array.isArray(filter)) {
-      return (filter.indexOf(node.nodeName.toLowerCase()) > -1)
-    } else if (typeof filter === 'function') {
-      return filter.call(thisArg, node)
-    } else {
-      throw new TypeError('`filter` needs to be a string, array, or function')
-    }
+  var voidElements = ['AREA', 'BASE', 'BR', 'COL', 'COMMAND', 'EMBED', 'HR', 'IMG', 'INPUT', 'KEYGEN', 'LINK', 'META', 'PARAM', 'SOURCE', 'TRACK', 'WBR'];
+  function isVoid(node) {
+    return is(node, voidElements);
   }
-
-  /**
-   * The collapseWhitespace function is adapted from collapse-whitespace
-   * by Luc Thevenard.
-   *
-   * The MIT License (MIT)
-   *
-   * Copyright (c) 2014 Luc Thevenard <lucthevenard@gmail.com>
-   *
-   * Permission is hereby granted, free of charge, to any person obtaining a copy
-   * of this software and associated documentation files (the "Software"), to deal
-   * in the Software without restriction, including without limitation the rights
-   * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
-   * copies of the Software, and to permit persons to whom the Software is
-   * furnished to do so, subject to the following conditions:
-   *
-   * The above copyright notice and this permission notice shall be included in
-   * all copies or substantial portions of the Software.
-   *
-   * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
-   * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
-   * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
-   * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
-   * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
-   * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
-   * THE SOFTWARE.
-   */
-
-  /**
-   * collapse-whitespace
-   *
-   * @param {Object}     options
-   * @param {Boolean}    options.removeLeadingNewLine
-   * @param {Boolean}    options.removeTrailingNewLine
-   * @param {Boolean}    options.trimStart
-   * @param {Boolean}    options.trimEnd
-   * @param {Boolean}    options.preserveWithinCode
-   */
-  function collapseWhitespace (options) {
-    var removeLeadingNewLine = options.removeLeadingNewLine;
-    var removeTrailingNewLine = options.removeTrailingNewLine;
-    var trimStart = options.trimStart;
-    var trimEnd = options.trimEnd;
-    var preserveWithinCode = options.preserveWithinCode;
-    var regStart = /^\s+/;
-    var regEnd = /\s+$/;
-
-    return function (node) {
-      if (node.isCode && preserveWithinCode) return
-
-      var text = node.textContent;
-
-      if (trimStart) text = text.replace(regStart, '');
-      if (trimEnd) text = text.replace(regEnd, '');
-
-      var prev = node.previousSibling;
-      var next = node.nextSibling;
-
-      if (!prev || !next) {
-        if (removeLeadingNewLine && removeTrailingNewLine) return
-        if (removeLeadingNewLine) text = text.replace(leadingNewLine, '');
-        if (removeTrailingNewLine) text = text.replace(trailingNewLine, '');
-        node.textContent = text;
-        return
-      }
-
-      var prevIsBlock = isBlock(prev);
-      var nextIsBlock = isBlock(next);
-      var prevIsVoid = isVoid(prev);
-      var nextIsVoid = isVoid(next);
-
-      if (prevIsBlock && removeLeadingNewLine) {
-        text = text.replace(leadingNewLine, '');
-      }
-      if (nextIsBlock && removeTrailingNewLine) {
-        text = text.replace(trailingNewLine, '');
-      }
-      if (
-        (prevIsBlock || prevIsVoid) &&
-        (nextIsBlock || nextIsVoid)
-      ) {
-        text = text.replace(/\s+/g, ' ');
-      } else if (
-        (prevIsBlock || prevIsVoid)
-      ) {
-        text = text.replace(/^[ \t\r\n]+/g, '');
-        text = text.replace(/\s+/g, ' ');
-      } else if (
-        (nextIsBlock || nextIsVoid)
-      ) {
-        text = text.replace(/[ \t\r\n]+$/g, '');
-        text = text.replace(/\s+/g, ' ');
-      } else {
-        text = text.replace(/\s+/g, ' ');
-      }
-
-      node.textContent = text;
-    }
+  function hasVoid(node) {
+    return has(node, voidElements);
+  }
+  var meaningfulWhenBlankElements = ['A', 'TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TH', 'TD', 'IFRAME', 'SCRIPT', 'AUDIO', 'VIDEO'];
+  function isMeaningfulWhenBlank(node) {
+    return is(node, meaningfulWhenBlankElements);
+  }
+  function hasMeaningfulWhenBlank(node) {
+    return has(node, meaningfulWhenBlankElements);
+  }
+  function is(node, tagNames) {
+    return tagNames.indexOf(node.nodeName) >= 0;
+  }
+  function has(node, tagNames) {
+    return node.getElementsByTagName && tagNames.some(function (tagName) {
+      return node.getElementsByTagName(tagName).length;
+    });
+  }
+  var markdownEscapes = [[/\\/g, '\\\\'], [/\*/g, '\\*'], [/^-/g, '\\-'], [/^\+ /g, '\\+ '], [/^(=+)/g, '\\$1'], [/^(#{1,6}) /g, '\\$1 '], [/`/g, '\\`'], [/^~~~/g, '\\~~~'], [/\[/g, '\\['], [/\]/g, '\\]'], [/^>/g, '\\>'], [/_/g, '\\_'], [/^(\d+)\. /g, '$1\\. ']];
+  function escapeMarkdown(string) {
+    return markdownEscapes.reduce(function (accumulator, escape) {
+      return accumulator.replace(escape[0], escape[1]);
+    }, string);
   }
 
   var rules = {};
-
   rules.paragraph = {
     filter: 'p',
-
     replacement: function (content) {
-      return '\n\n' + content + '\n\n'
+      return '\n\n' + content + '\n\n';
     }
   };
-
   rules.lineBreak = {
     filter: 'br',
-
     replacement: function (content, node, options) {
-      return options.br + '\n'
+      return options.br + '\n';
     }
   };
-
   rules.heading = {
     filter: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'],
-
     replacement: function (content, node, options) {
       var hLevel = Number(node.nodeName.charAt(1));
-
       if (options.headingStyle === 'setext' && hLevel < 3) {
-        var underline = repeat((hLevel === 1 ? '=' : '-'), content.length);
-        return (
-          '\n\n' + content + '\n' + underline + '\n\n'
-        )
+        var underline = repeat(hLevel === 1 ? '=' : '-', content.length);
+        return '\n\n' + content + '\n' + underline + '\n\n';
       } else {
-        return '\n\n' + repeat('#', hLevel) + ' ' + content + '\n\n'
+        return '\n\n' + repeat('#', hLevel) + ' ' + content + '\n\n';
       }
     }
   };
-
   rules.blockquote = {
     filter: 'blockquote',
-
     replacement: function (content) {
-      content = content.replace(/^\n+|\n+$/g, '');
-      content = content.replace(/^/gm, '> ');
-      return '\n\n' + content + '\n\n'
+      content = trimNewlines(content).replace(/^/gm, '> ');
+      return '\n\n' + content + '\n\n';
     }
   };
-
   rules.list = {
     filter: ['ul', 'ol'],
-
     replacement: function (content, node) {
       var parent = node.parentNode;
       if (parent.nodeName === 'LI' && parent.lastElementChild === node) {
-        return '\n' + content
+        return '\n' + content;
       } else {
-        return '\n\n' + content + '\n\n'
+        return '\n\n' + content + '\n\n';
       }
     }
   };
-
   rules.listItem = {
     filter: 'li',
-
     replacement: function (content, node, options) {
-      content = content.replace(/^\n+/, '').replace(/\n+$/, '\n').replace(/\n/gm, '\n    ');
       var prefix = options.bulletListMarker + '   ';
       var parent = node.parentNode;
       if (parent.nodeName === 'OL') {
@@ -315,41 +114,24 @@
         var index = Array.prototype.indexOf.call(parent.children, node);
         prefix = (start ? Number(start) + index : index + 1) + '.  ';
       }
-      return (
-        prefix + content + (node.nextSibling && !/\n$/.test(content) ? '\n' : '')
-      )
+      var isParagraph = /\n$/.test(content);
+      content = trimNewlines(content) + (isParagraph ? '\n' : '');
+      content = content.replace(/\n/gm, '\n' + ' '.repeat(prefix.length)); // indent
+      return prefix + content + (node.nextSibling ? '\n' : '');
     }
   };
-
   rules.indentedCodeBlock = {
     filter: function (node, options) {
-      return (
-        options.codeBlockStyle === 'indented' &&
-        node.nodeName === 'PRE' &&
-        node.firstChild &&
-        node.firstChild.nodeName === 'CODE'
-      )
+      return options.codeBlockStyle === 'indented' && node.nodeName === 'PRE' && node.firstChild && node.firstChild.nodeName === 'CODE';
     },
-
     replacement: function (content, node, options) {
-      return (
-        '\n\n    ' +
-        node.firstChild.textContent.replace(/\n/g, '\n    ') +
-        '\n\n'
-      )
+      return '\n\n    ' + node.firstChild.textContent.replace(/\n/g, '\n    ') + '\n\n';
     }
   };
-
   rules.fencedCodeBlock = {
     filter: function (node, options) {
-      return (
-        options.codeBlockStyle === 'fenced' &&
-        node.nodeName === 'PRE' &&
-        node.firstChild &&
-        node.firstChild.nodeName === 'CODE'
-      )
+      return options.codeBlockStyle === 'fenced' && node.nodeName === 'PRE' && node.firstChild && node.firstChild.nodeName === 'CODE';
     },
-
     replacement: function (content, node, options) {
       var className = node.firstChild.getAttribute('class') || '';
       var language = (className.match(/language-(\S+)/) || [null, ''])[1];
@@ -357,654 +139,469 @@
       var fenceChar = options.fence.charAt(0);
       var fenceSize = 3;
       var fenceInCodeRegex = new RegExp('^' + fenceChar + '{3,}', 'gm');
-
       var match;
-      while ((match = fenceInCodeRegex.exec(code))) {
+      while (match = fenceInCodeRegex.exec(code)) {
         if (match[0].length >= fenceSize) {
           fenceSize = match[0].length + 1;
         }
       }
-
       var fence = repeat(fenceChar, fenceSize);
-
-      return (
-        '\n\n' + fence + language + '\n' +
-        code.replace(/\n$/, '') +
-        '\n' + fence + '\n\n'
-      )
+      return '\n\n' + fence + language + '\n' + code.replace(/\n$/, '') + '\n' + fence + '\n\n';
     }
   };
-
   rules.horizontalRule = {
     filter: 'hr',
-
     replacement: function (content, node, options) {
-      return '\n\n' + options.hr + '\n\n'
+      return '\n\n' + options.hr + '\n\n';
     }
   };
-
   rules.inlineLink = {
     filter: function (node, options) {
-      return (
-        options.linkStyle === 'inlined' &&
-        node.nodeName === 'A' &&
-        node.getAttribute('href')
-      )
+      return options.linkStyle === 'inlined' && node.nodeName === 'A' && node.getAttribute('href');
     },
-
     replacement: function (content, node) {
-      var href = node.getAttribute('href');
-      var title = cleanAttribute(node.getAttribute('title'));
-      if (title) title = ' "' + title + '"';
-      return '[' + content + '](' + href + title + ')'
+      var href = escapeLinkDestination(node.getAttribute('href'));
+      var title = escapeLinkTitle(cleanAttribute(node.getAttribute('title')));
+      var titlePart = title ? ' "' + title + '"' : '';
+      return '[' + content + '](' + href + titlePart + ')';
     }
   };
-
   rules.referenceLink = {
     filter: function (node, options) {
-      return (
-        options.linkStyle === 'referenced' &&
-        node.nodeName === 'A' &&
-        node.getAttribute('href')
-      )
+      return options.linkStyle === 'referenced' && node.nodeName === 'A' && node.getAttribute('href');
     },
-
     replacement: function (content, node, options) {
-      var href = node.getAttribute('href');
+      var href = escapeLinkDestination(node.getAttribute('href'));
       var title = cleanAttribute(node.getAttribute('title'));
-      if (title) title = ' "' + title + '"';
+      if (title) title = ' "' + escapeLinkTitle(title) + '"';
       var replacement;
       var reference;
-
       switch (options.linkReferenceStyle) {
         case 'collapsed':
           replacement = '[' + content + '][]';
           reference = '[' + content + ']: ' + href + title;
-          break
+          break;
         case 'shortcut':
           replacement = '[' + content + ']';
           reference = '[' + content + ']: ' + href + title;
-          break
+          break;
         default:
           var id = this.references.length + 1;
           replacement = '[' + content + '][' + id + ']';
           reference = '[' + id + ']: ' + href + title;
       }
-
       this.references.push(reference);
-      return replacement
+      return replacement;
     },
-
     references: [],
-
     append: function (options) {
       var references = '';
       if (this.references.length) {
         references = '\n\n' + this.references.join('\n') + '\n\n';
         this.references = []; // Reset references
       }
-      return references
+      return references;
     }
   };
-
   rules.emphasis = {
     filter: ['em', 'i'],
-
     replacement: function (content, node, options) {
-      if (!content.trim()) return ''
-      return options.emDelimiter + content + options.emDelimiter
+      if (!content.trim()) return '';
+      return options.emDelimiter + content + options.emDelimiter;
     }
   };
-
   rules.strong = {
     filter: ['strong', 'b'],
-
     replacement: function (content, node, options) {
-      if (!content.trim()) return ''
-      return options.strongDelimiter + content + options.strongDelimiter
+      if (!content.trim()) return '';
+      return options.strongDelimiter + content + options.strongDelimiter;
     }
   };
-
   rules.code = {
     filter: function (node) {
       var hasSiblings = node.previousSibling || node.nextSibling;
       var isCodeBlock = node.parentNode.nodeName === 'PRE' && !hasSiblings;
-
-      return node.nodeName === 'CODE' && !isCodeBlock
+      return node.nodeName === 'CODE' && !isCodeBlock;
     },
-
     replacement: function (content) {
-      if (!content.trim()) return ''
-
-      var delimiter = BACKTICK;
-      var leadingSpace = '';
-      var trailingSpace = '';
-      var matches = content.match(/`+/gm);
-      if (matches) {
-        if (leadingWhitespace.test(content)) leadingSpace = ' ';
-        if (trailingWhitespace.test(content)) trailingSpace = ' ';
-        while (matches.indexOf(delimiter) !== -1) delimiter += BACKTICK;
-      }
-
-      return delimiter + leadingSpace + content + trailingSpace + delimiter
+      if (!content) return '';
+      content = content.replace(/\r?\n|\r/g, ' ');
+      var extraSpace = /^`|^ .*?[^ ].* $|`$/.test(content) ? ' ' : '';
+      var delimiter = '`';
+      var matches = content.match(/`+/gm) || [];
+      while (matches.indexOf(delimiter) !== -1) delimiter = delimiter + '`';
+      return delimiter + extraSpace + content + extraSpace + delimiter;
     }
   };
-
   rules.image = {
     filter: 'img',
-
     replacement: function (content, node) {
-      var alt = cleanAttribute(node.getAttribute('alt'));
-      var src = node.getAttribute('src') || '';
+      var alt = escapeMarkdown(cleanAttribute(node.getAttribute('alt')));
+      var src = escapeLinkDestination(node.getAttribute('src') || '');
       var title = cleanAttribute(node.getAttribute('title'));
-      var titlePart = title ? ' "' + title + '"' : '';
-      return src ? '![' + alt + ']' + '(' + src + titlePart + ')' : ''
+      var titlePart = title ? ' "' + escapeLinkTitle(title) + '"' : '';
+      return src ? '![' + alt + ']' + '(' + src + titlePart + ')' : '';
     }
   };
-
-  function cleanAttribute (attribute) {
-    return attribute ? attribute.replace(/(\n+\s*)+/g, '\n') : ''
+  function cleanAttribute(attribute) {
+    return attribute ? attribute.replace(/(\n+\s*)+/g, '\n') : '';
+  }
+  function escapeLinkDestination(destination) {
+    var escaped = destination.replace(/([<>()])/g, '\\$1');
+    return escaped.indexOf(' ') >= 0 ? '<' + escaped + '>' : escaped;
+  }
+  function escapeLinkTitle(title) {
+    return title.replace(/"/g, '\\"');
   }
 
-  var reduce = Array.prototype.reduce;
-  var leadingNewLines = /^\n*/;
-  var trailingNewLines = /\n*$/;
-  var escapes = [
-    [/\\/g, '\\\\'],
-    [/\*/g, '\\*'],
-    [/^-/g, '\\-'],
-    [/^\+ /g, '\\+ '],
-    [/^(=+)/g, '\\$1'],
-    [/^(#{1,6}) /g, '\\$1 '],
-    [/`/g, '\\`'],
-    [/^~~~/g, '\\~~~'],
-    [/\[/g, '\\['],
-    [/\]/g, '\\]'],
-    [/^>/g, '\\>'],
-    [/_/g, '\\_'],
-    [/^(\d+)\. /g, '$1\\. ']
-  ];
+  /**
+   * Manages a collection of rules used to convert HTML to Markdown
+   */
 
-  function Node (node, options) {
-    this.node = node;
+  function Rules(options) {
     this.options = options;
+    this._keep = [];
+    this._remove = [];
+    this.blankRule = {
+      replacement: options.blankReplacement
+    };
+    this.keepReplacement = options.keepReplacement;
+    this.defaultRule = {
+      replacement: options.defaultReplacement
+    };
+    this.array = [];
+    for (var key in options.rules) this.array.push(options.rules[key]);
   }
-
-  Node.prototype = {
-    /**
-     * Creates a Node instance from a DOM node.
-     * @param {DOMNode} node
-     * @return {Node}
-     */
-    init: function (node) {
-      if (!node) return
-
-      this.node = node;
-      this.nodeName = node.nodeName.toLowerCase();
-      this.textContent = this.getTextContent();
-      this.isBlock = isBlock(node);
-      this.isCode = this.nodeName === 'code' || this.isPre;
-      this.isBlank = this.getIsBlank();
-      this.flankingWhitespace = this.getFlankingWhitespace();
-      this.isPre = this.nodeName === 'pre' || (this.options.preformattedCode && this.isPreLike());
-    },
-
-    /**
-     * Return true if the node is a pre-like element.
-     * @return {Boolean}
-     */
-    isPreLike: function () {
-      var isPreLike = false;
-      if (this.node.nodeType === 3) return isPreLike
-
-      var isPre = this.nodeName === 'pre';
-      var hasPreParent = false;
-      var hasPreSibling = false;
-      var el = this.node;
-
-      while (el) {
-        if (el.previousSibling) {
-          var ps = el.previousSibling;
-          while (ps) {
-            if (ps.nodeName === 'PRE') hasPreSibling = true;
-            ps = ps.previousSibling;
-          }
-        }
-        if (el.parentNode) {
-          el = el.parentNode;
-          if (el.nodeName === 'PRE') hasPreParent = true;
-        } else {
-          el = null;
-        }
-      }
-
-      if (isPre || hasPreParent || hasPreSibling) {
-        isPreLike = true;
-      }
-
-      return isPreLike
-    },
-
-    /**
-     * Gets the text content of the node.
-     * @return {string}
-     */
-    getTextContent: function () {
-      if (this.isPre) {
-        return this.node.textContent
-      }
-      return this.node.innerText || this.node.textContent
-    },
-
-    /**
-     * Returns true if the node is blank, or a block-level element with no text.
-     * @return {Boolean}
-     */
-    getIsBlank: function () {
-      return (
-        ['hr', 'br', 'script', 'style'].indexOf(this.nodeName) !== -1 ||
-        (this.isBlock && !this.textContent && !this.hasVoidOrBlockChildren())
-      )
-    },
-
-    /**
-     * Returns true if the node has a void or block-level child.
-     * @return {Boolean}
-     */
-    hasVoidOrBlockChildren: function () {
-      var children = this.node.childNodes;
-      for (var i = 0; i < children.length; i++) {
-        var child = children[i];
-        if (isVoid(child) || isBlock(child)) return true
-      }
-      return false
+  Rules.prototype = {
+    add: function (key, rule) {
+      this.array.unshift(rule);
     },
-
-    /**
-     * Determines whether the node is surrounded by whitespace.
-     * @return {Object}
-     */
-    getFlankingWhitespace: function () {
-      var content = this.textContent;
-      var leading = '';
-      var trailing = '';
-
-      if (!this.isBlock) {
-        if (leadingWhitespace.test(content)) leading = ' ';
-        if (trailingWhitespace.test(content)) trailing = ' ';
-      }
-
-      return { leading: leading, trailing: trailing }
+    keep: function (filter) {
+      this._keep.unshift({
+        filter: filter,
+        replacement: this.keepReplacement
+      });
     },
-
-    /**
-     * Escapes markdown syntax.
-     * @param {String} string
-     * @return {String}
-     */
-    escape: function (string) {
-      var isCode = this.isCode;
-      var isPre = this.isPre;
-      var options = this.options;
-      var lang = '';
-
-      if (isPre) {
-        var preNode = this.node;
-        var codeNode = preNode.querySelector('code');
-        if (codeNode) {
-          lang = codeNode.getAttribute('class');
-          if (lang) {
-            lang = lang.replace('language-', '');
-          }
-        }
-      }
-
-      if (isCode) {
-        return string.replace(/`/g, '\\`')
-      }
-
-      if (options.escapeMode === 'bksp-pre-code') {
-        if (isPre) {
-          return string
-        } else if (isCode) {
-          return string.replace(/\\/g, '\\\\').replace(/`/g, '\\`')
-        }
-      }
-
-      if (options.escapeMode === 'pre-code') {
-        if (isPre || isCode) {
-          return string
+    remove: function (filter) {
+      this._remove.unshift({
+        filter: filter,
+        replacement: function () {
+          return '';
         }
-      }
-
-      return reduce.call(escapes, function (string, escape) {
-        return string.replace(escape[0], escape[1])
-      }, string)
+      });
     },
-
-    /**
-     * Appends markdown to the current state.
-     * @param {string} markdown
-     */
-    output: function (markdown) {
-      var state = this.state;
-      var options = this.options;
-      var isBlock = this.isBlock;
-      var isVoid = this.isVoid;
-      var isPre = this.isPre;
-      var isCode = this.isCode;
-      var flankingWhitespace = this.flankingWhitespace;
-      var leading = flankingWhitespace.leading;
-      var trailing = flankingWhitespace.trailing;
-      var text = this.textContent;
-
-      if (state.output) {
-        if (isBlock || isPre) {
-          // Add a double newline before a block element
-          var newlines = isPre ? '\n\n' : '\n\n';
-          var previousIsBlock = state.previous && state.previous.isBlock;
-
-          if (state.output.slice(-2) !== newlines) {
-            if (!previousIsBlock) {
-              state.output = state.output.replace(trailingNewLines, newlines);
-            } else {
-              state.output += newlines;
-            }
-          }
-        }
-      }
-
-      // Add leading whitespace
-      if (leading) {
-        if (!leadingWhitespace.test(state.output)) {
-          state.output += leading;
-        }
-      }
-
-      // Add the markdown
-      state.output += markdown;
-
-      // Add trailing whitespace
-      if (trailing) {
-        if (!trailingWhitespace.test(state.output)) {
-          state.output += trailing;
-        }
-      }
-
-      // Save the current node as the previous
-      state.previous = this;
+    forNode: function (node) {
+      if (node.isBlank) return this.blankRule;
+      var rule;
+      if (rule = findRule(this.array, node, this.options)) return rule;
+      if (rule = findRule(this._keep, node, this.options)) return rule;
+      if (rule = findRule(this._remove, node, this.options)) return rule;
+      return this.defaultRule;
     },
-
-    /**
-     * Processes the given node and its children.
-     * @param {Node} node
-     * @return {String}
-     */
-    process: function (node) {
-      var self = this;
-      var state = {
-        output: '',
-        previous: null
-      };
-
-      var processNode = function (node) {
-        self.init(node);
-        var replacement = self.options.rules.forNode(self).replacement;
-        var content = self.processChildren(node);
-        var markdown = replacement.call(self, content, self);
-        self.output(markdown);
-      };
-
-      var processChildren = function (node) {
-        var children = node.childNodes;
-        for (var i = 0; i < children.length; i++) {
-          processNode(children[i]);
-        }
-        return state.output
-      };
-
-      processNode(node);
-      return state.output
+    forEach: function (fn) {
+      for (var i = 0; i < this.array.length; i++) fn(this.array[i], i);
     }
   };
-
-  function RootNode (element, options) {
-    this.element = element;
-    this.options = options;
-    this.state = {
-      output: '',
-      references: {},
-      previous: null
-    };
+  function findRule(rules, node, options) {
+    for (var i = 0; i < rules.length; i++) {
+      var rule = rules[i];
+      if (filterValue(rule, node, options)) return rule;
+    }
+    return undefined;
+  }
+  function filterValue(rule, node, options) {
+    var filter = rule.filter;
+    if (typeof filter === 'string') {
+      if (filter === node.nodeName.toLowerCase()) return true;
+    } else if (Array.isArray(filter)) {
+      if (filter.indexOf(node.nodeName.toLowerCase()) > -1) return true;
+    } else if (typeof filter === 'function') {
+      if (filter.call(rule, node, options)) return true;
+    } else {
+      throw new TypeError('`filter` needs to be a string, array, or function');
+    }
   }
 
-  RootNode.prototype = {
-    /**
-     * Converts an element to markdown.
-     * @return {String}
-     */
-    convert: function () {
-      var markdown = this.processChildren(this.element);
-      return this.postProcess(markdown)
-    },
+  /**
+   * The collapseWhitespace function is adapted from collapse-whitespace
+   * by Luc Thevenard.
+   *
+   * The MIT License (MIT)
+   *
+   * Copyright (c) 2014 Luc Thevenard <lucthevenard@gmail.com>
+   *
+   * Permission is hereby granted, free of charge, to any person obtaining a copy
+   * of this software and associated documentation files (the "Software"), to deal
+   * in the Software without restriction, including without limitation the rights
+   * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+   * copies of the Software, and to permit persons to whom the Software is
+   * furnished to do so, subject to the following conditions:
+   *
+   * The above copyright notice and this permission notice shall be included in
+   * all copies or substantial portions of the Software.
+   *
+   * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+   * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+   * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+   * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+   * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+   * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+   * THE SOFTWARE.
+   */
 
-    /**
-     * Post-processes the markdown.
-     * @param {String} markdown
-     * @return {String}
-     */
-    postProcess: function (markdown) {
-      var self = this;
-      this.options.rules.forEach(function (rule) {
-        if (typeof rule.append === 'function') {
-          markdown += rule.append.call(self, self.options);
+  /**
+   * collapseWhitespace(options) removes extraneous whitespace from an the given element.
+   *
+   * @param {Object} options
+   */
+  function collapseWhitespace(options) {
+    var element = options.element;
+    var isBlock = options.isBlock;
+    var isVoid = options.isVoid;
+    var isPre = options.isPre || function (node) {
+      return node.nodeName === 'PRE';
+    };
+    if (!element.firstChild || isPre(element)) return;
+    var prevText = null;
+    var keepLeadingWs = false;
+    var prev = null;
+    var node = next(prev, element, isPre);
+    while (node !== element) {
+      if (node.nodeType === 3 || node.nodeType === 4) {
+        // Node.TEXT_NODE or Node.CDATA_SECTION_NODE
+        var text = node.data.replace(/[ \r\n\t]+/g, ' ');
+        if ((!prevText || / $/.test(prevText.data)) && !keepLeadingWs && text[0] === ' ') {
+          text = text.substr(1);
         }
-      });
-      return markdown.replace(/^[\t\r\n]+/, '').replace(/[\t\r\n\s]+$/, '')
-    },
-
-    /**
-     * Processes the children of the given node.
-     * @param {Node} node
-     * @return {String}
-     */
-    processChildren: function (node) {
-      var self = this;
-      var children = node.childNodes;
-      for (var i = 0; i < children.length; i++) {
-        var child = new Node(children[i], this.options);
-        this.processNode(child);
-      }
-      return this.state.output
-    },
-
-    /**
-     * Processes a node.
-     * @param {Node} node
-     */
-    processNode: function (node) {
-      var self = this;
-      var replacement = this.options.rules.forNode(node).replacement;
-      var content = this.processChildren(node.node);
-      var markdown = replacement.call(this, content, node);
-      this.output(markdown);
-    },
 
-    /**
-     * Appends markdown to the current state.
-     * @param {string} markdown
-     */
-    output: function (markdown) {
-      var state = this.state;
-      var options = this.options;
-      var isBlock = this.isBlock;
-      var isVoid = this.isVoid;
-      var isPre = this.isPre;
-      var isCode = this.isCode;
-      var flankingWhitespace = this.flankingWhitespace;
-      var leading = flankingWhitespace.leading;
-      var trailing = flankingWhitespace.trailing;
-      var text = this.textContent;
-
-      if (state.output) {
-        if (isBlock || isPre) {
-          // Add a double newline before a block element
-          var newlines = isPre ? '\n\n' : '\n\n';
-          var previousIsBlock = state.previous && state.previous.isBlock;
-
-          if (state.output.slice(-2) !== newlines) {
-            if (!previousIsBlock) {
-              state.output = state.output.replace(trailingNewLines, newlines);
-            } else {
-              state.output += newlines;
-            }
-          }
+        // `text` might be empty at this point.
+        if (!text) {
+          node = remove(node);
+          continue;
         }
-      }
-
-      // Add leading whitespace
-      if (leading) {
-        if (!leadingWhitespace.test(state.output)) {
-          state.output += leading;
+        node.data = text;
+        prevText = node;
+      } else if (node.nodeType === 1) {
+        // Node.ELEMENT_NODE
+        if (isBlock(node) || node.nodeName === 'BR') {
+          if (prevText) {
+            prevText.data = prevText.data.replace(/ $/, '');
+          }
+          prevText = null;
+          keepLeadingWs = false;
+        } else if (isVoid(node) || isPre(node)) {
+          // Avoid trimming space around non-block, non-BR void elements and inline PRE.
+          prevText = null;
+          keepLeadingWs = true;
+        } else if (prevText) {
+          // Drop protection if set previously.
+          keepLeadingWs = false;
         }
+      } else {
+        node = remove(node);
+        continue;
       }
-
-      // Add the markdown
-      state.output += markdown;
-
-      // Add trailing whitespace
-      if (trailing) {
-        if (!trailingWhitespace.test(state.output)) {
-          state.output += trailing;
-        }
+      var nextNode = next(prev, node, isPre);
+      prev = node;
+      node = nextNode;
+    }
+    if (prevText) {
+      prevText.data = prevText.data.replace(/ $/, '');
+      if (!prevText.data) {
+        remove(prevText);
       }
-
-      // Save the current node as the previous
-      state.previous = this;
     }
-  };
+  }
 
   /**
-   * Escapes special characters in a string.
-   * @param {String} string
-   * @return {String}
+   * remove(node) removes the given node from the DOM and returns the
+   * next node in the sequence.
+   *
+   * @param {Node} node
+   * @return {Node} node
    */
-  function escapeSpecialChars (string, options) {
-    if (options.escapeMode === 'dollar') {
-      return string.replace(REGEX_SPECIAL_CHAR_WITH_DOLLAR, function (match) {
-        return ESCAPE_CHAR + match
-      })
-    }
-    return string.replace(REGEX_SPECIAL_CHAR, function (match) {
-      return ESCAPE_CHAR + match
-    })
+  function remove(node) {
+    var next = node.nextSibling || node.parentNode;
+    node.parentNode.removeChild(node);
+    return next;
   }
 
   /**
-   * Replaces escaped characters in a string.
-   * @param {String} string
-   * @return {String}
+   * next(prev, current, isPre) returns the next node in the sequence, given the
+   * current and previous nodes.
+   *
+   * @param {Node} prev
+   * @param {Node} current
+   * @param {Function} isPre
+   * @return {Node}
    */
-  function unescapeSpecialChars (string) {
-    return string.replace(REGEX_ESCAPE_CHAR, function (match, character) {
-      return character
-    })
+  function next(prev, current, isPre) {
+    if (prev && prev.parentNode === current || isPre(current)) {
+      return current.nextSibling || current.parentNode;
+    }
+    return current.firstChild || current.nextSibling || current.parentNode;
   }
 
-  var nodeConversion = {
-    /**
-     * Appends markdown to the current state.
-     * @param {string} markdown
-     */
-    output: function (markdown) {
-      var state = this.state;
-      var options = this.options;
-      var isBlock = this.isBlock;
-      var isVoid = this.isVoid;
-      var isPre = this.isPre;
-      var isCode = this.isCode;
-      var flankingWhitespace = this.flankingWhitespace;
-      var leading = flankingWhitespace.leading;
-      var trailing = flankingWhitespace.trailing;
-      var text = this.textContent;
-
-      if (state.output) {
-        if (isBlock || isPre) {
-          // Add a double newline before a block element
-          var newlines = isPre ? '\n\n' : '\n\n';
-          var previousIsBlock = state.previous && state.previous.isBlock;
+  /*
+   * Set up window for Node.js
+   */
 
-          if (state.output.slice(-2) !== newlines) {
-            if (!previousIsBlock) {
-              state.output = state.output.replace(trailingNewLines, newlines);
-            } else {
-              state.output += newlines;
-            }
-          }
-        }
-      }
+  var root = typeof window !== 'undefined' ? window : {};
 
-      // Add leading whitespace
-      if (leading) {
-        if (!leadingWhitespace.test(state.output)) {
-          state.output += leading;
-        }
-      }
+  /*
+   * Parsing HTML strings
+   */
 
-      // Add the markdown
-      state.output += markdown;
+  function canParseHTMLNatively() {
+    var Parser = root.DOMParser;
+    var canParse = false;
 
-      // Add trailing whitespace
-      if (trailing) {
-        if (!trailingWhitespace.test(state.output)) {
-          state.output += trailing;
-        }
+    // Adapted from https://gist.github.com/1129031
+    // Firefox/Opera/IE throw errors on unsupported types
+    try {
+      // WebKit returns null on unsupported types
+      if (new Parser().parseFromString('', 'text/html')) {
+        canParse = true;
       }
+    } catch (e) {}
+    return canParse;
+  }
+  function createHTMLParser() {
+    var Parser = function () {};
+    {
+      if (shouldUseActiveX()) {
+        Parser.prototype.parseFromString = function (string) {
+          var doc = new window.ActiveXObject('htmlfile');
+          doc.designMode = 'on'; // disable on-page scripts
+          doc.open();
+          doc.write(string);
+          doc.close();
+          return doc;
+        };
+      } else {
+        Parser.prototype.parseFromString = function (string) {
+          var doc = document.implementation.createHTMLDocument('');
+          doc.open();
+          doc.write(string);
+          doc.close();
+          return doc;
+        };
+      }
+    }
+    return Parser;
+  }
+  function shouldUseActiveX() {
+    var useActiveX = false;
+    try {
+      document.implementation.createHTMLDocument('').open();
+    } catch (e) {
+      if (root.ActiveXObject) useActiveX = true;
+    }
+    return useActiveX;
+  }
+  var HTMLParser = canParseHTMLNatively() ? root.DOMParser : createHTMLParser();
+
+  function RootNode(input, options) {
+    var root;
+    if (typeof input === 'string') {
+      var doc = htmlParser().parseFromString(
+      // DOM parsers arrange elements in the <head> and <body>.
+      // Wrapping in a custom element ensures elements are reliably arranged in
+      // a single element.
+      '<x-turndown id="turndown-root">' + input + '</x-turndown>', 'text/html');
+      root = doc.getElementById('turndown-root');
+    } else {
+      root = input.cloneNode(true);
+    }
+    collapseWhitespace({
+      element: root,
+      isBlock: isBlock,
+      isVoid: isVoid,
+      isPre: options.preformattedCode ? isPreOrCode : null
+    });
+    return root;
+  }
+  var _htmlParser;
+  function htmlParser() {
+    _htmlParser = _htmlParser || new HTMLParser();
+    return _htmlParser;
+  }
+  function isPreOrCode(node) {
+    return node.nodeName === 'PRE' || node.nodeName === 'CODE';
+  }
 
-      // Save the current node as the previous
-      state.previous = this;
-    },
-
-    /**
-     * Processes the given node and its children.
-     * @param {Node} node
-     * @return {String}
-     */
-    process: function (node) {
-      var self = this;
-      var state = {
-        output: '',
-        previous: null
-      };
-
-      var processNode = function (node) {
-        self.init(node);
-        var replacement = self.options.rules.forNode(self).replacement;
-        var content = self.processChildren(node);
-        var markdown = replacement.call(self, content, self);
-        self.output(markdown);
-      };
-
-      var processChildren = function (node) {
-        var children = node.childNodes;
-        for (var i = 0; i < children.length; i++) {
-          processNode(children[i]);
-        }
-        return state.output
+  function Node(node, options) {
+    node.isBlock = isBlock(node);
+    node.isCode = node.nodeName === 'CODE' || node.parentNode.isCode;
+    node.isBlank = isBlank(node);
+    node.flankingWhitespace = flankingWhitespace(node, options);
+    return node;
+  }
+  function isBlank(node) {
+    return !isVoid(node) && !isMeaningfulWhenBlank(node) && /^\s*$/i.test(node.textContent) && !hasVoid(node) && !hasMeaningfulWhenBlank(node);
+  }
+  function flankingWhitespace(node, options) {
+    if (node.isBlock || options.preformattedCode && node.isCode) {
+      return {
+        leading: '',
+        trailing: ''
       };
+    }
+    var edges = edgeWhitespace(node.textContent);
 
-      processNode(node);
-      return state.output
+    // abandon leading ASCII WS if left-flanked by ASCII WS
+    if (edges.leadingAscii && isFlankedByWhitespace('left', node, options)) {
+      edges.leading = edges.leadingNonAscii;
     }
-  };
 
-  /**
-   * turndown
-   * @param {Object} options
-   */
-  function TurndownService (options) {
-    if (!(this instanceof TurndownService)) return new TurndownService(options)
+    // abandon trailing ASCII WS if right-flanked by ASCII WS
+    if (edges.trailingAscii && isFlankedByWhitespace('right', node, options)) {
+      edges.trailing = edges.trailingNonAscii;
+    }
+    return {
+      leading: edges.leading,
+      trailing: edges.trailing
+    };
+  }
+  function edgeWhitespace(string) {
+    var m = string.match(/^(([ \t\r\n]*)(\s*))(?:(?=\S)[\s\S]*\S)?((\s*?)([ \t\r\n]*))$/);
+    return {
+      leading: m[1],
+      // whole string for whitespace-only strings
+      leadingAscii: m[2],
+      leadingNonAscii: m[3],
+      trailing: m[4],
+      // empty for whitespace-only strings
+      trailingNonAscii: m[5],
+      trailingAscii: m[6]
+    };
+  }
+  function isFlankedByWhitespace(side, node, options) {
+    var sibling;
+    var regExp;
+    var isFlanked;
+    if (side === 'left') {
+      sibling = node.previousSibling;
+      regExp = / $/;
+    } else {
+      sibling = node.nextSibling;
+      regExp = /^ /;
+    }
+    if (sibling) {
+      if (sibling.nodeType === 3) {
+        isFlanked = regExp.test(sibling.nodeValue);
+      } else if (options.preformattedCode && sibling.nodeName === 'CODE') {
+        isFlanked = false;
+      } else if (sibling.nodeType === 1 && !isBlock(sibling)) {
+        isFlanked = regExp.test(sibling.textContent);
+      }
+    }
+    return isFlanked;
+  }
 
+  var reduce = Array.prototype.reduce;
+  function TurndownService(options) {
+    if (!(this instanceof TurndownService)) return new TurndownService(options);
     var defaults = {
       rules: rules,
       headingStyle: 'setext',
@@ -1018,131 +615,188 @@
       linkReferenceStyle: 'full',
       br: '  ',
       preformattedCode: false,
-      keepReplacement: function (content, node) {
-        return node.isBlock ? '\n\n' + node.outerHTML + '\n\n' : node.outerHTML
-      },
       blankReplacement: function (content, node) {
-        return node.isBlock ? '\n\n' : ''
+        return node.isBlock ? '\n\n' : '';
       },
-      defaultReplacement: function (content, node) {
-        return node.isBlock ? '\n\n' + content + '\n\n' : content
+      keepReplacement: function (content, node) {
+        return node.isBlock ? '\n\n' + node.outerHTML + '\n\n' : node.outerHTML;
       },
-      escapeMode: 'default'
+      defaultReplacement: function (content, node) {
+        return node.isBlock ? '\n\n' + content + '\n\n' : content;
+      }
     };
     this.options = extend({}, defaults, options);
     this.rules = new Rules(this.options);
-    this.escape = this.options.escapeMode === 'none'
-      ? function (string) { return string }
-      : escapeSpecialChars;
   }
-
   TurndownService.prototype = {
     /**
-     * Converts an HTML string to markdown
-     * @param {String} html
-     * @return {String}
+     * The entry point for converting a string or DOM node to Markdown
+     * @public
+     * @param {String|HTMLElement} input The string or DOM node to convert
+     * @returns A Markdown representation of the input
+     * @type String
      */
-    turndown: function (html) {
-      if (typeof html !== 'string') {
-        throw new TypeError(html + ' is not a string')
-      }
 
-      var rootNode = new RootNode(this.htmlToElement(html), this.options);
-      var markdown = rootNode.convert();
-      return markdown
+    turndown: function (input) {
+      if (!canConvert(input)) {
+        throw new TypeError(input + ' is not a string, or an element/document/fragment node.');
+      }
+      if (input === '') return '';
+      var output = process.call(this, new RootNode(input, this.options));
+      return postProcess.call(this, output);
     },
+    /**
+     * Add one or more plugins
+     * @public
+     * @param {Function|Array} plugin The plugin or array of plugins to add
+     * @returns The Turndown instance for chaining
+     * @type Object
+     */
 
+    use: function (plugin) {
+      if (Array.isArray(plugin)) {
+        for (var i = 0; i < plugin.length; i++) this.use(plugin[i]);
+      } else if (typeof plugin === 'function') {
+        plugin(this);
+      } else {
+        throw new TypeError('plugin must be a Function or an Array of Functions');
+      }
+      return this;
+    },
     /**
      * Adds a rule
-     * @param {String} key
-     * @param {Object} rule
+     * @public
+     * @param {String} key The unique key of the rule
+     * @param {Object} rule The rule
+     * @returns The Turndown instance for chaining
+     * @type Object
      */
+
     addRule: function (key, rule) {
       this.rules.add(key, rule);
-      return this
+      return this;
     },
-
     /**
      * Keep a node (as HTML) that matches the filter
-     * @param {String|Array|Function} filter
+     * @public
+     * @param {String|Array|Function} filter The unique key of the rule
+     * @returns The Turndown instance for chaining
+     * @type Object
      */
+
     keep: function (filter) {
       this.rules.keep(filter);
-      return this
+      return this;
     },
-
     /**
      * Remove a node that matches the filter
-     * @param {String|Array|Function} filter
+     * @public
+     * @param {String|Array|Function} filter The unique key of the rule
+     * @returns The Turndown instance for chaining
+     * @type Object
      */
+
     remove: function (filter) {
       this.rules.remove(filter);
-      return this
+      return this;
     },
-
     /**
-     * Use a plugin
-     * @param {Function} plugin
+     * Escapes Markdown syntax
+     * @public
+     * @param {String} string The string to escape
+     * @returns A string with Markdown syntax escaped
+     * @type String
      */
-    use: function (plugin) {
-      if (Array.isArray(plugin)) {
-        for (var i = 0; i < plugin.length; i++) this.use(plugin[i]);
-      } else if (typeof plugin === 'function') {
-        plugin(this);
-      } else {
-        throw new TypeError('plugin must be a Function or an Array of Functions')
-      }
-      return this
-    },
 
-    /**
-     * Escapes Markdown characters
-     * @param {String} string
-     * @return {String}
-     */
     escape: function (string) {
-      return this.escape(string)
-    },
+      return escapeMarkdown(string);
+    }
+  };
 
-    /**
-     * Unescapes Markdown characters
-     * @param {String} string
-     * @return {String}
-     */
-    unescape: function (string) {
-      return unescapeSpecialChars(string)
-    },
+  /**
+   * Reduces a DOM node down to its Markdown string equivalent
+   * @private
+   * @param {HTMLElement} parentNode The node to convert
+   * @returns A Markdown representation of the node
+   * @type String
+   */
 
-    /**
-     * Converts an HTML string to a DOM element
-     * @param {String} html
-     * @return {HTMLElement}
-     */
-    htmlToElement: function (html) {
-      var element = document.createElement('div');
-      element.innerHTML = html;
-      return element
-    },
+  function process(parentNode) {
+    var self = this;
+    return reduce.call(parentNode.childNodes, function (output, node) {
+      node = new Node(node, self.options);
+      var replacement = '';
+      if (node.nodeType === 3) {
+        replacement = node.isCode ? node.nodeValue : self.escape(node.nodeValue);
+      } else if (node.nodeType === 1) {
+        replacement = replacementForNode.call(self, node);
+      }
+      return join(output, replacement);
+    }, '');
+  }
 
-    /**
-     * Converts an HTML string to a DOM node
-     * @param {String} html
-     * @return {Node}
-     */
-    htmlToNode: function (html) {
-      var node = this.htmlToElement(html);
-      return this.nodeFor(node)
-    },
+  /**
+   * Appends strings as each rule requires and trims the output
+   * @private
+   * @param {String} output The conversion output
+   * @returns A trimmed version of the ouput
+   * @type String
+   */
 
-    /**
-     * Creates a Node instance from a DOM node
-     * @param {DOMNode} node
-     * @return {Node}
-     */
-    nodeFor: function (node) {
-      return new Node(node, this.options)
-    }
-  };
+  function postProcess(output) {
+    var self = this;
+    this.rules.forEach(function (rule) {
+      if (typeof rule.append === 'function') {
+        output = join(output, rule.append(self.options));
+      }
+    });
+    return output.replace(/^[\t\r\n]+/, '').replace(/[\t\r\n\s]+$/, '');
+  }
+
+  /**
+   * Converts an element node to its Markdown equivalent
+   * @private
+   * @param {HTMLElement} node The node to convert
+   * @returns A Markdown representation of the node
+   * @type String
+   */
+
+  function replacementForNode(node) {
+    var rule = this.rules.forNode(node);
+    var content = process.call(this, node);
+    var whitespace = node.flankingWhitespace;
+    if (whitespace.leading || whitespace.trailing) content = content.trim();
+    return whitespace.leading + rule.replacement(content, node, this.options) + whitespace.trailing;
+  }
+
+  /**
+   * Joins replacement to the current output with appropriate number of new lines
+   * @private
+   * @param {String} output The current conversion output
+   * @param {String} replacement The string to append to the output
+   * @returns Joined output
+   * @type String
+   */
+
+  function join(output, replacement) {
+    var s1 = trimTrailingNewlines(output);
+    var s2 = trimLeadingNewlines(replacement);
+    var nls = Math.max(output.length - s1.length, replacement.length - s2.length);
+    var separator = '\n\n'.substring(0, nls);
+    return s1 + separator + s2;
+  }
+
+  /**
+   * Determines whether an input can be converted
+   * @private
+   * @param {String|HTMLElement} input Describe this parameter
+   * @returns Describe what it returns
+   * @type String|Object|Array|Boolean|Number
+   */
+
+  function canConvert(input) {
+    return input != null && (typeof input === 'string' || input.nodeType && (input.nodeType === 1 || input.nodeType === 9 || input.nodeType === 11));
+  }
 
   return TurndownService;
 
@@ -1,14 +1,754 @@
 // Nation Assistant Options - Simplified
 'use strict';
 
+import {
+  MESSAGE_TYPES,
+  STORAGE_KEYS,
+  DEFAULT_LLM_SETTINGS,
+  LLM_PROVIDERS,
+  LLM_ACTIONS,
+  LLM_LIMITS,
+  DEFAULT_MODEL_PRICES,
+  USAGE_LIMIT_TYPES,
+  CUSTOM_ACTION_FORMATS,
+  CUSTOM_ACTION_ICONS,
+  CUSTOM_ACTION_LIMITS,
+  RESPONSE_LANGUAGE_MODES,
+  DEFAULT_RESPONSE_LANGUAGE,
+  LANGUAGE_NAMES,
+  CAPTURE_FORMATS,
+  DEFAULT_CAPTURE_FORMAT
+} from './services/constants.js';
+import { UsageTracker } from './services/usage-tracker.js';
+import { PROMPT_TEMPLATES, PREVIEW_VALUES, getDefaultTemplate, renderTemplate } from './services/prompt-templates.js';
+import { createCustomActionId, loadCustomActions } from './services/custom-actions.js';
+import { normalizeDomain, normalizeCaptureSettings } from './services/capture-format.js';
+
+// Accepted range and label for each per-action setting
+const ACTION_FIELD_LIMITS = {
+  maxTokens: { min: LLM_LIMITS.MIN_TOKENS, max: LLM_LIMITS.MAX_TOKENS, label: 'max tokens' },
+  temperature: { min: LLM_LIMITS.MIN_TEMPERATURE, max: LLM_LIMITS.MAX_TEMPERATURE, label: 'temperature' },
+  maxInputTokens: { min: LLM_LIMITS.MIN_INPUT_TOKENS, max: LLM_LIMITS.MAX_INPUT_TOKENS, label: 'input ceiling' }
+};
+
 class OptionsManager {
   constructor() {
+    this.usageTracker = new UsageTracker();
+    this.modelPrices = {};
+    this.usageLimits = {};
+    // Edited prompt templates ({ [id]: { system, user } }) and the versions last saved
+    this.promptOverrides = {};
+    this.savedPromptOverrides = {};
     this.init();
   }
 
   async init() {
+    this.renderProviderOptions();
+    this.renderActionSettings();
+    this.renderResponseLanguageOptions();
+    this.renderCaptureFormatOptions();
+    this.renderPromptTemplateOptions();
     this.setupEventListeners();
     await this.loadSettings();
+    this.showPromptTemplate();
+    await this.renderPriceRows();
+    await this.renderUsage();
+  }
+
+  /**
+   * Fill the API format select from the supported provider adapters
+   */
+  renderProviderOptions() {
+    const select = document.getElementById('llm-provider');
+    if (!select) return;
+
+    LLM_PROVIDERS.forEach(provider => {
+      const option = document.createElement('option');
+      option.value = provider.id;
+      option.textContent = provider.label;
+      select.appendChild(option);
+    });
+    select.value = DEFAULT_LLM_SETTINGS.provider;
+  }
+
+  getProviderInfo() {
+    const providerId = document.getElementById('llm-provider')?.value;
+    return LLM_PROVIDERS.find(provider => provider.id === providerId) || LLM_PROVIDERS[0];
+  }
+
+  /**
+   * Resolve the endpoint from the Crestal preset radios or the custom URL field
+   */
+  getBaseUrl() {
+    const provider = this.getProviderInfo();
+    const selectedPreset = document.querySelector('input[name="api-provider"]:checked');
+    if (provider.id === 'openai' && selectedPreset && selectedPreset.value !== 'custom') {
+      return selectedPreset.value;
+    }
+    return document.getElementById('custom-base-url')?.value.trim() || provider.defaultBaseUrl;
+  }
+
+  /**
+   * Connection settings currently entered in the form (may be unsaved)
+   */
+  getConnectionConfig() {
+    const provider = this.getProviderInfo();
+    return {
+      provider: provider.id,
+      apiKey: document.getElementById('api-key')?.value.trim() || '',
+      baseUrl: this.getBaseUrl(),
+      model: document.getElementById('llm-model')?.value.trim() || provider.defaultModel
+    };
+  }
+
+  /**
+   * Show the fields that apply to the selected API format
+   */
+  updateProviderFields() {
+    const provider = this.getProviderInfo();
+    const isOpenAI = provider.id === 'openai';
+    const selectedPreset = document.querySelector('input[name="api-provider"]:checked');
+
+    const presets = document.getElementById('api-presets');
+    if (presets) presets.style.display = isOpenAI ? '' : 'none';
+
+    const customField = document.getElementById('custom-url-field');
+    if (customField) {
+      customField.style.display = !isOpenAI || selectedPreset?.value === 'custom' ? '' : 'none';
+    }
+
+    const customInput = document.getElementById('custom-base-url');
+    if (customInput) customInput.placeholder = provider.defaultBaseUrl;
+
+    const modelInput = document.getElementById('llm-model');
+    if (modelInput) modelInput.placeholder = provider.defaultModel;
+
+    const apiKeyInfo = document.getElementById('api-key-info');
+    if (apiKeyInfo) {
+      apiKeyInfo.textContent = provider.requiresApiKey
+        ? 'Your API key enables AI-powered web analysis'
+        : 'Optional - only needed when Ollama sits behind an authenticating proxy';
+    }
+
+    const baseUrlInfo = document.getElementById('base-url-info');
+    if (baseUrlInfo) {
+      baseUrlInfo.textContent = provider.id === 'ollama'
+        ? 'Start Ollama with OLLAMA_ORIGINS=chrome-extension://* so the extension may call it'
+        : 'Select your preferred API provider for AI completions';
+    }
+  }
+
+  /**
+   * Build the per-action token/temperature rows from the built-in action list
+   */
+  renderActionSettings() {
+    const container = document.getElementById('action-settings');
+    if (!container) return;
+
+    const head = ['Action', 'Max tokens', 'Temperature', 'Input ceiling'].map(text => {
+      const el = document.createElement('div');
+      el.className = 'action-settings-head';
+      el.textContent = text;
+      return el;
+    });
+    container.append(...head);
+
+    LLM_ACTIONS.forEach(action => {
+      const label = document.createElement('div');
+      label.className = 'action-settings-label';
+      label.textContent = action.label;
+
+      const tokens = document.createElement('input');
+      tokens.type = 'number';
+      tokens.className = 'neural-input';
+      tokens.min = LLM_LIMITS.MIN_TOKENS;
+      tokens.max = LLM_LIMITS.MAX_TOKENS;
+      tokens.step = 50;
+      tokens.value = action.maxTokens;
+      tokens.dataset.action = action.id;
+      tokens.dataset.field = 'maxTokens';
+      tokens.setAttribute('aria-label', `${action.label} max tokens`);
+
+      const temperature = document.createElement('input');
+      temperature.type = 'number';
+      temperature.className = 'neural-input';
+      temperature.min = LLM_LIMITS.MIN_TEMPERATURE;
+      temperature.max = LLM_LIMITS.MAX_TEMPERATURE;
+      temperature.step = 0.1;
+      temperature.value = action.temperature;
+      temperature.dataset.action = action.id;
+      temperature.dataset.field = 'temperature';
+      temperature.setAttribute('aria-label', `${action.label} temperature`);
+
+      // Inputs estimated above this many tokens need confirmation in the side panel
+      const ceiling = document.createElement('input');
+      ceiling.type = 'number';
+      ceiling.className = 'neural-input';
+      ceiling.min = LLM_LIMITS.MIN_INPUT_TOKENS;
+      ceiling.max = LLM_LIMITS.MAX_INPUT_TOKENS;
+      ceiling.step = 500;
+      ceiling.value = action.maxInputTokens;
+      ceiling.dataset.action = action.id;
+      ceiling.dataset.field = 'maxInputTokens';
+      ceiling.setAttribute('aria-label', `${action.label} input ceiling in tokens`);
+
+      container.append(label, tokens, temperature, ceiling);
+    });
+  }
+
+  /**
+   * Read per-action settings from the form, skipping values that match the defaults
+   */
+  collectActionSettings() {
+    const settings = {};
+    document.querySelectorAll('#action-settings input[data-action]').forEach(input => {
+      const { action, field } = input.dataset;
+      const defaults = LLM_ACTIONS.find(a => a.id === action);
+      const value = field === 'temperature' ? parseFloat(input.value) : parseInt(input.value, 10);
+      if (!defaults || !Number.isFinite(value) || value === defaults[field]) return;
+
+      const { min, max, label } = ACTION_FIELD_LIMITS[field];
+      if (value < min || value > max) {
+        throw new Error(`${defaults.label} ${label} must be between ${min} and ${max}`);
+      }
+
+      settings[action] = { ...settings[action], [field]: value };
+    });
+    return settings;
+  }
+
+  renderResponseLanguageOptions() {
+    const modeSelect = document.getElementById('response-language-mode');
+    const languageSelect = document.getElementById('response-language');
+    if (!modeSelect || !languageSelect) return;
+
+    modeSelect.replaceChildren(...RESPONSE_LANGUAGE_MODES.map(mode => {
+      const option = document.createElement('option');
+      option.value = mode.id;
+      option.textContent = mode.label;
+      return option;
+    }));
+    const languages = [...new Set(Object.values(LANGUAGE_NAMES))].sort();
+    languageSelect.replaceChildren(...languages.map(language => {
+      const option = document.createElement('option');
+      option.value = language;
+      option.textContent = language;
+      return option;
+    }));
+
+    modeSelect.value = DEFAULT_RESPONSE_LANGUAGE.mode;
+    languageSelect.value = DEFAULT_RESPONSE_LANGUAGE.language;
+    this.updateResponseLanguageFields();
+  }
+
+  /**
+   * The language picker only applies to the fixed-language mode
+   */
+  updateResponseLanguageFields() {
+    const mode = document.getElementById('response-language-mode')?.value;
+    const languageSelect = document.getElementById('response-language');
+    if (languageSelect) languageSelect.hidden = mode !== 'fixed';
+  }
+
+  fillCaptureFormatOptions(select, value) {
+    select.replaceChildren(...CAPTURE_FORMATS.map(format => {
+      const option = document.createElement('option');
+      option.value = format.id;
+      option.textContent = format.label;
+      return option;
+    }));
+    select.value = value || DEFAULT_CAPTURE_FORMAT;
+  }
+
+  renderCaptureFormatOptions() {
+    const select = document.getElementById('capture-format');
+    if (select) this.fillCaptureFormatOptions(select, DEFAULT_CAPTURE_FORMAT);
+  }
+
+  /**
+   * Add a row choosing the capture format for one domain (a blank one when none is given)
+   */
+  addCaptureDomainRow(domain = '', format = '') {
+    const container = document.getElementById('capture-domains');
+    if (!container) return;
+
+    const row = document.createElement('div');
+    row.className = 'capture-domain-row';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'neural-input';
+    input.dataset.field = 'domain';
+    input.placeholder = 'docs.example.com';
+    input.value = domain;
+    input.setAttribute('aria-label', 'Domain');
+
+    // A new row defaults to the format the default isn't
+    const select = document.createElement('select');
+    select.className = 'neural-input neural-select';
+    this.fillCaptureFormatOptions(select, format || (
+      document.getElementById('capture-format')?.value === 'text' ? 'markdown' : 'text'
+    ));
+    select.dataset.field = 'format';
+    select.setAttribute('aria-label', 'Page format for this domain');
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'field-status inline-btn';
+    remove.title = 'Remove this domain';
+    remove.innerHTML = '<i class="fas fa-trash-alt"></i>';
+    remove.addEventListener('click', () => row.remove());
+
+    row.append(input, select, remove);
+    container.appendChild(row);
+    return row;
+  }
+
+  /**
+   * Read the capture format setting; blank domain rows are skipped
+   */
+  collectCaptureSettings() {
+    const domains = {};
+    document.querySelectorAll('#capture-domains .capture-domain-row').forEach(row => {
+      const value = row.querySelector('[data-field="domain"]').value.trim();
+      if (!value) return;
+      const domain = normalizeDomain(value);
+      if (!domain) throw new Error(`"${value}" is not a valid domain`);
+      domains[domain] = row.querySelector('[data-field="format"]').value;
+    });
+    return normalizeCaptureSettings({
+      default: document.getElementById('capture-format')?.value,
+      domains
+    });
+  }
+
+  /**
+   * Add an editor card for a custom action (a blank one when no action is given)
+   */
+  addCustomActionCard(action = {}) {
+    const container = document.getElementById('custom-actions');
+    if (!container) return;
+    if (container.children.length >= CUSTOM_ACTION_LIMITS.MAX_ACTIONS) {
+      this.showStatus(`You can define up to ${CUSTOM_ACTION_LIMITS.MAX_ACTIONS} custom actions`, 'error');
+      return;
+    }
+
+    const card = document.createElement('div');
+    card.className = 'custom-action-card';
+    card.dataset.actionId = action.id || createCustomActionId();
+
+    const icon = document.createElement('select');
+    icon.className = 'neural-input neural-select';
+    icon.dataset.field = 'icon';
+    icon.setAttribute('aria-label', 'Icon');
+    const icons = CUSTOM_ACTION_ICONS.includes(action.icon) || !action.icon ? CUSTOM_ACTION_ICONS : [action.icon, ...CUSTOM_ACTION_ICONS];
+    icon.replaceChildren(...icons.map(symbol => {
+      const option = document.createElement('option');
+      option.value = symbol;
+      option.textContent = symbol;
+      return option;
+    }));
+    icon.value = action.icon || CUSTOM_ACTION_ICONS[0];
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'neural-input';
+    name.dataset.field = 'name';
+    name.maxLength = CUSTOM_ACTION_LIMITS.NAME_CHARS;
+    name.placeholder = 'Extract API endpoints';
+    name.value = action.name || '';
+    name.setAttribute('aria-label', 'Action name');
+
+    const format = document.createElement('select');
+    format.className = 'neural-input neural-select';
+    format.dataset.field = 'outputFormat';
+    format.setAttribute('aria-label', 'Output format');
+    format.replaceChildren(...CUSTOM_ACTION_FORMATS.map(item => {
+      const option = document.createElement('option');
+      option.value = item.id;
+      option.textContent = item.label;
+      return option;
+    }));
+    format.value = action.outputFormat || CUSTOM_ACTION_FORMATS[0].id;
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'field-status inline-btn';
+    remove.title = 'Delete this action';
+    remove.innerHTML = '<i class="fas fa-trash-alt"></i>';
+    remove.addEventListener('click', () => card.remove());
+
+    const prompt = document.createElement('textarea');
+    prompt.className = 'neural-input prompt-textarea';
+    prompt.dataset.field = 'prompt';
+    prompt.maxLength = CUSTOM_ACTION_LIMITS.PROMPT_CHARS;
+    prompt.spellcheck = false;
+    prompt.placeholder = 'List every API endpoint on this page with its method and purpose.';
+    prompt.value = action.prompt || '';
+    prompt.setAttribute('aria-label', 'Action prompt');
+
+    const option = document.createElement('label');
+    option.className = 'custom-action-option';
+    const requiresSelection = document.createElement('input');
+    requiresSelection.type = 'checkbox';
+    requiresSelection.dataset.field = 'requiresSelection';
+    requiresSelection.checked = !!action.requiresSelection;
+    option.append(requiresSelection, 'Only run on selected text');
+
+    card.append(icon, name, format, remove, prompt, option);
+    container.appendChild(card);
+    return card;
+  }
+
+  /**
+   * Read custom actions from the editor cards; blank cards are skipped
+   */
+  collectCustomActions() {
+    const actions = [];
+    document.querySelectorAll('#custom-actions .custom-action-card').forEach(card => {
+      const field = (name) => card.querySelector(`[data-field="${name}"]`);
+      const name = field('name').value.trim();
+      const prompt = field('prompt').value.trim();
+      if (!name && !prompt) return;
+      if (!name) throw new Error('Every custom action needs a name');
+      if (!prompt) throw new Error(`Custom action "${name}" needs a prompt`);
+
+      actions.push({
+        id: card.dataset.actionId,
+        name,
+        icon: field('icon').value,
+        prompt,
+        outputFormat: field('outputFormat').value,
+        requiresSelection: field('requiresSelection').checked
+      });
+    });
+    return actions;
+  }
+
+  renderPromptTemplateOptions() {
+    const select = document.getElementById('prompt-template');
+    if (!select) return;
+
+    select.replaceChildren(...PROMPT_TEMPLATES.map(template => {
+      const option = document.createElement('option');
+      option.value = template.id;
+      option.textContent = template.label;
+      return option;
+    }));
+  }
+
+  /**
+   * The selected template's current text: the user's edit, or the built-in default
+   */
+  getPromptDraft(templateId) {
+    const template = getDefaultTemplate(templateId);
+    return this.promptOverrides[templateId] || { system: template.system, user: template.user };
+  }
+
+  /**
+   * Load the selected template into the editor
+   */
+  showPromptTemplate() {
+    const templateId = document.getElementById('prompt-template')?.value;
+    const template = getDefaultTemplate(templateId);
+    if (!template) return;
+
+    const draft = this.getPromptDraft(templateId);
+    document.getElementById('prompt-system').value = draft.system;
+    document.getElementById('prompt-user').value = draft.user;
+
+    const placeholders = document.getElementById('prompt-placeholders');
+    if (placeholders) {
+      const codes = template.placeholders.map(name => {
+        const code = document.createElement('code');
+        code.textContent = `{{${name}}}`;
+        return code;
+      });
+      placeholders.replaceChildren(
+        'Placeholders: ',
+        ...codes.flatMap((code, i) => (i ? [', ', code] : [code])),
+        '. Wrap text in {{#name}}...{{/name}} to keep it only when the value is present'
+      );
+    }
+
+    this.renderPromptPreview();
+  }
+
+  /**
+   * Store the editor's text as an override, dropping it again when it matches the default
+   */
+  updatePromptDraft() {
+    const templateId = document.getElementById('prompt-template')?.value;
+    const template = getDefaultTemplate(templateId);
+    if (!template) return;
+
+    const system = document.getElementById('prompt-system').value;
+    const user = document.getElementById('prompt-user').value;
+    if (system === template.system && user === template.user) {
+      delete this.promptOverrides[templateId];
+    } else {
+      this.promptOverrides[templateId] = { system, user };
+    }
+    this.renderPromptPreview();
+  }
+
+  renderPromptPreview() {
+    const templateId = document.getElementById('prompt-template')?.value;
+    const preview = document.getElementById('prompt-preview');
+    const status = document.getElementById('prompt-template-status');
+    if (!preview) return;
+
+    const draft = this.getPromptDraft(templateId);
+    const system = renderTemplate(draft.system, PREVIEW_VALUES);
+    const user = renderTemplate(draft.user, PREVIEW_VALUES);
+    preview.textContent = `${system ? `[system]\n${system}\n\n` : ''}[user]\n${user}`;
+
+    if (status) {
+      const customized = !!this.promptOverrides[templateId];
+      status.textContent = customized ? 'Customized' : 'Default';
+      status.classList.toggle('optional', !customized);
+    }
+  }
+
+  resetPromptTemplate() {
+    const templateId = document.getElementById('prompt-template')?.value;
+    delete this.promptOverrides[templateId];
+    this.showPromptTemplate();
+  }
+
+  /**
+   * Validate edited templates and version them: unchanged ones keep their saved version,
+   * changed ones get a new one so answers cached for the old text are not reused
+   */
+  collectPromptTemplates() {
+    const templates = {};
+    for (const [templateId, draft] of Object.entries(this.promptOverrides)) {
+      const template = getDefaultTemplate(templateId);
+      if (!template) continue;
+      if (!draft.user.trim()) {
+        throw new Error(`${template.label} prompt needs a user message`);
+      }
+
+      const used = [...`${draft.system}\n${draft.user}`.matchAll(/\{\{[#/]?(\w+)\}\}/g)].map(match => match[1]);
+      const unknown = used.find(name => !template.placeholders.includes(name));
+      if (unknown) {
+        throw new Error(`${template.label} prompt uses unknown placeholder {{${unknown}}}`);
+      }
+
+      const saved = this.savedPromptOverrides[templateId];
+      const unchanged = saved && saved.system === draft.system && saved.user === draft.user;
+      templates[templateId] = { ...draft, version: unchanged ? saved.version : Date.now() };
+    }
+    return templates;
+  }
+
+  /**
+   * Read the daily/monthly caps; blank or zero means no limit
+   */
+  collectUsageLimits() {
+    const limits = {};
+    document.querySelectorAll('#usage-limits input[data-limit]').forEach(input => {
+      if (input.value === '') return;
+      const value = parseFloat(input.value);
+      if (!Number.isFinite(value) || value < 0) {
+        const type = USAGE_LIMIT_TYPES.find(t => t.id === input.dataset.limit);
+        throw new Error(`${type?.label || 'Usage limit'} must be a positive number`);
+      }
+      if (value > 0) limits[input.dataset.limit] = value;
+    });
+    return limits;
+  }
+
+  /**
+   * Price rows for the configured model, models with saved prices and every model in the usage log
+   */
+  async renderPriceRows() {
+    const container = document.getElementById('model-prices');
+    if (!container) return;
+
+    const currentModel = document.getElementById('llm-model')?.value.trim();
+    const models = new Set([
+      ...(currentModel ? [currentModel] : []),
+      ...Object.keys(this.modelPrices),
+      ...(await this.usageTracker.getModels())
+    ]);
+
+    const head = ['Model', 'Input', 'Output'].map(text => {
+      const el = document.createElement('div');
+      el.className = 'action-settings-head';
+      el.textContent = text;
+      return el;
+    });
+    container.replaceChildren(...head);
+    [...models].sort().forEach(model => this.addPriceRow(model));
+  }
+
+  addPriceRow(model) {
+    const container = document.getElementById('model-prices');
+    if (!container || container.querySelector(`input[data-model="${CSS.escape(model)}"]`)) return;
+
+    const price = this.modelPrices[model] || DEFAULT_MODEL_PRICES[model] || {};
+    const label = document.createElement('div');
+    label.className = 'action-settings-label';
+    label.textContent = model;
+
+    const inputs = ['input', 'output'].map(field => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.className = 'neural-input';
+      input.min = 0;
+      input.step = 0.01;
+      input.placeholder = '-';
+      input.value = price[field] ?? '';
+      input.dataset.model = model;
+      input.dataset.field = field;
+      input.setAttribute('aria-label', `${model} ${field} price per million tokens`);
+      return input;
+    });
+
+    container.append(label, ...inputs);
+  }
+
+  /**
+   * Read model prices from the form, skipping blank fields
+   */
+  collectModelPrices() {
+    const prices = {};
+    document.querySelectorAll('#model-prices input[data-model]').forEach(input => {
+      if (input.value === '') return;
+      const value = parseFloat(input.value);
+      const { model, field } = input.dataset;
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`${model} ${field} price must be a positive number`);
+      }
+      prices[model] = { input: 0, output: 0, ...prices[model], [field]: value };
+    });
+    return prices;
+  }
+
+  /**
+   * Today / this month cards and the usage breakdown table
+   */
+  async renderUsage() {
+    const summaryEl = document.getElementById('usage-summary');
+    const breakdownEl = document.getElementById('usage-breakdown');
+    if (!summaryEl || !breakdownEl) return;
+
+    const summary = await this.usageTracker.getSummary(this.modelPrices);
+    const limitStatus = await this.usageTracker.getLimitStatus(this.usageLimits, this.modelPrices);
+
+    const periods = [['Today', 'today', summary.today], ['This month', 'month', summary.month]];
+    summaryEl.replaceChildren(...periods.map(([title, periodId, period]) => {
+      const { totals } = period;
+      const card = document.createElement('div');
+      card.className = 'usage-card';
+      card.innerHTML = `
+        <div class="usage-card-title"></div>
+        <div class="usage-card-cost"></div>
+        <div class="usage-card-detail"></div>
+        <div class="usage-card-detail usage-card-limits"></div>
+      `;
+      card.querySelector('.usage-card-title').textContent = title;
+      card.querySelector('.usage-card-cost').textContent = this.formatCost(totals.cost);
+      const unpriced = totals.unpricedRequests ? ` · ${totals.unpricedRequests} unpriced` : '';
+      card.querySelector('.usage-card-detail').textContent =
+        `${totals.requests} requests · ${this.formatTokens(totals.promptTokens)} in · ${this.formatTokens(totals.completionTokens)} out${unpriced}`;
+
+      const periodLimits = limitStatus.filter(status => USAGE_LIMIT_TYPES.find(t => t.id === status.id)?.period === periodId);
+      card.querySelector('.usage-card-limits').textContent = periodLimits
+        .map(status => `${Math.round(status.ratio * 100)}% of ${status.metric === 'cost' ? this.formatCost(status.limit) : `${this.formatTokens(status.limit)} tokens`}`)
+        .join(' · ');
+      return card;
+    }));
+
+    const period = document.getElementById('usage-period')?.value === 'today' ? summary.today : summary.month;
+    const rows = period[document.getElementById('usage-group')?.value || 'byAction'] || [];
+
+    if (!rows.length) {
+      const empty = document.createElement('div');
+      empty.className = 'usage-empty';
+      empty.textContent = 'No requests recorded for this period yet';
+      breakdownEl.replaceChildren(empty);
+      return;
+    }
+
+    const cells = ['Name', 'Requests', 'Tokens in', 'Tokens out', 'Cost'].map(text => {
+      const el = document.createElement('div');
+      el.className = 'action-settings-head';
+      el.textContent = text;
+      return el;
+    });
+    rows.forEach(row => {
+      const values = [
+        row.name,
+        String(row.requests),
+        this.formatTokens(row.promptTokens),
+        this.formatTokens(row.completionTokens),
+        row.unpricedRequests === row.requests ? '-' : this.formatCost(row.cost)
+      ];
+      values.forEach(value => {
+        const el = document.createElement('div');
+        el.className = 'action-settings-label';
+        el.textContent = value;
+        el.title = value;
+        cells.push(el);
+      });
+    });
+    breakdownEl.replaceChildren(...cells);
+  }
+
+  formatTokens(count) {
+    return count.toLocaleString('en-US');
+  }
+
+  formatCost(cost) {
+    return `$${cost.toFixed(cost > 0 && cost < 1 ? 4 : 2)}`;
+  }
+
+  /**
+   * Populate the model picker from the provider's /models list
+   */
+  async loadModels() {
+    const refreshBtn = document.getElementById('refresh-models-btn');
+    const datalist = document.getElementById('llm-model-options');
+    const status = document.getElementById('model-list-status');
+    const config = this.getConnectionConfig();
+
+    if (!datalist) return;
+    if (this.getProviderInfo().requiresApiKey && !config.apiKey) {
+      if (status) status.textContent = 'Enter an API key to load the model list';
+      return;
+    }
+
+    if (refreshBtn) refreshBtn.disabled = true;
+    if (status) status.textContent = 'Loading models...';
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: MESSAGE_TYPES.LIST_MODELS,
+        testConfig: config
+      });
+
+      if (!response?.success) {
+        throw new Error(response?.error || 'Unable to list models');
+      }
+
+      const models = response.data.models;
+      datalist.replaceChildren(...models.map(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        return option;
+      }));
+      if (status) {
+        status.textContent = models.length
+          ? `${models.length} models available - pick one or type a model id`
+          : 'The provider returned no models - type a model id';
+      }
+    } catch (error) {
+      if (status) status.textContent = `Could not load models: ${error.message}`;
+    } finally {
+      if (refreshBtn) refreshBtn.disabled = false;
+    }
   }
 
   setupEventListeners() {
@@ -32,6 +772,79 @@ class OptionsManager {
       });
     }
 
+    const providerSelect = document.getElementById('llm-provider');
+    if (providerSelect) {
+      providerSelect.addEventListener('change', () => {
+        // Models and endpoints of one format don't carry over to another
+        const modelInput = document.getElementById('llm-model');
+        if (modelInput) modelInput.value = '';
+        const customInput = document.getElementById('custom-base-url');
+        if (customInput) customInput.value = '';
+        document.getElementById('llm-model-options')?.replaceChildren();
+        this.updateProviderFields();
+      });
+    }
+
+    document.querySelectorAll('input[name="api-provider"]').forEach(radio => {
+      radio.addEventListener('change', () => this.updateProviderFields());
+    });
+
+    const refreshModelsBtn = document.getElementById('refresh-models-btn');
+    if (refreshModelsBtn) {
+      refreshModelsBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.loadModels();
+      });
+    }
+
+    // A newly picked model gets a price row
+    document.getElementById('llm-model')?.addEventListener('change', (e) => {
+      const model = e.target.value.trim();
+      if (model) this.addPriceRow(model);
+    });
+
+    document.getElementById('response-language-mode')?.addEventListener('change', () => this.updateResponseLanguageFields());
+
+    document.getElementById('add-capture-domain-btn')?.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.addCaptureDomainRow()?.querySelector('[data-field="domain"]')?.focus();
+    });
+
+    document.getElementById('add-custom-action-btn')?.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.addCustomActionCard()?.querySelector('[data-field="name"]')?.focus();
+    });
+
+    document.getElementById('prompt-template')?.addEventListener('change', () => this.showPromptTemplate());
+    ['prompt-system', 'prompt-user'].forEach(id => {
+      document.getElementById(id)?.addEventListener('input', () => this.updatePromptDraft());
+    });
+    document.getElementById('reset-prompt-btn')?.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.resetPromptTemplate();
+    });
+
+    ['usage-period', 'usage-group'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', () => this.renderUsage());
+    });
+
+    const resetUsageBtn = document.getElementById('reset-usage-btn');
+    if (resetUsageBtn) {
+      resetUsageBtn.addEventListener('click', async (e) => {
+        e.preventDefault();
+        if (!confirm('Clear all recorded usage in this browser?')) return;
+        await this.usageTracker.clear();
+        await this.renderUsage();
+      });
+    }
+
+    // Keep the dashboard live while requests are made from the side panel
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[STORAGE_KEYS.USAGE_STATS]) {
+        this.renderUsage();
+      }
+    });
+
     // Add keyboard shortcuts
     document.addEventListener('keydown', (e) => {
       if (e.ctrlKey || e.metaKey) {
@@ -48,23 +861,101 @@ class OptionsManager {
 
   async loadSettings() {
     try {
-      const result = await chrome.storage.sync.get(['crestalApiKey', 'apiBaseUrl']);
+      const result = await chrome.storage.sync.get([
+        STORAGE_KEYS.API_KEY,
+        STORAGE_KEYS.API_BASE_URL,
+        STORAGE_KEYS.LLM_PROVIDER,
+        STORAGE_KEYS.LLM_MODEL,
+        STORAGE_KEYS.LLM_ACTION_SETTINGS,
+        STORAGE_KEYS.MODEL_PRICES,
+        STORAGE_KEYS.USAGE_LIMITS,
+        STORAGE_KEYS.RESPONSE_LANGUAGE,
+        STORAGE_KEYS.CAPTURE_FORMAT
+      ]);
+
+      this.modelPrices = result[STORAGE_KEYS.MODEL_PRICES] || {};
+      this.usageLimits = result[STORAGE_KEYS.USAGE_LIMITS] || {};
+      document.querySelectorAll('#usage-limits input[data-limit]').forEach(input => {
+        const saved = this.usageLimits[input.dataset.limit];
+        input.value = saved > 0 ? saved : '';
+      });
+
+      const providerSelect = document.getElementById('llm-provider');
+      if (providerSelect && result[STORAGE_KEYS.LLM_PROVIDER]) {
+        providerSelect.value = result[STORAGE_KEYS.LLM_PROVIDER];
+      }
+      const provider = this.getProviderInfo();
 
       const apiKeyElement = document.getElementById('api-key');
-      if (apiKeyElement && result.crestalApiKey) {
-        apiKeyElement.value = result.crestalApiKey;
+      if (apiKeyElement && result[STORAGE_KEYS.API_KEY]) {
+        apiKeyElement.value = result[STORAGE_KEYS.API_KEY];
       }
 
-      // Handle API provider selection
-      const savedApiUrl = result.apiBaseUrl || 'https://open.service.crestal.network/v1';
+      // Handle API provider selection - URLs that match no preset are custom endpoints
+      const savedApiUrl = result[STORAGE_KEYS.API_BASE_URL] || provider.defaultBaseUrl;
       const apiRadios = document.querySelectorAll('input[name="api-provider"]');
-      
+      let matchedPreset = false;
+
       apiRadios.forEach(radio => {
         if (radio.value === savedApiUrl) {
           radio.checked = true;
+          matchedPreset = true;
+        }
+      });
+
+      if (!matchedPreset) {
+        const customRadio = document.getElementById('api-custom');
+        if (customRadio && provider.id === 'openai') customRadio.checked = true;
+        const customInput = document.getElementById('custom-base-url');
+        if (customInput && savedApiUrl !== provider.defaultBaseUrl) customInput.value = savedApiUrl;
+      }
+
+      this.updateProviderFields();
+
+      const modelElement = document.getElementById('llm-model');
+      if (modelElement) {
+        modelElement.value = result[STORAGE_KEYS.LLM_MODEL] || provider.defaultModel;
+      }
+
+      // Prompt templates live in chrome.storage.local (too large for sync's per-item quota)
+      const localResult = await chrome.storage.local.get([STORAGE_KEYS.PROMPT_TEMPLATES]);
+      this.savedPromptOverrides = localResult[STORAGE_KEYS.PROMPT_TEMPLATES] || {};
+      this.promptOverrides = {};
+      for (const [templateId, saved] of Object.entries(this.savedPromptOverrides)) {
+        if (getDefaultTemplate(templateId) && typeof saved?.user === 'string') {
+          this.promptOverrides[templateId] = { system: saved.system || '', user: saved.user };
+        }
+      }
+
+      const responseLanguage = { ...DEFAULT_RESPONSE_LANGUAGE, ...result[STORAGE_KEYS.RESPONSE_LANGUAGE] };
+      const modeSelect = document.getElementById('response-language-mode');
+      const languageSelect = document.getElementById('response-language');
+      if (modeSelect) modeSelect.value = responseLanguage.mode;
+      if (languageSelect) languageSelect.value = responseLanguage.language;
+      this.updateResponseLanguageFields();
+
+      const captureSettings = normalizeCaptureSettings(result[STORAGE_KEYS.CAPTURE_FORMAT]);
+      const captureSelect = document.getElementById('capture-format');
+      if (captureSelect) captureSelect.value = captureSettings.default;
+      document.getElementById('capture-domains')?.replaceChildren();
+      Object.entries(captureSettings.domains).forEach(([domain, format]) => this.addCaptureDomainRow(domain, format));
+
+      document.getElementById('custom-actions')?.replaceChildren();
+      (await loadCustomActions()).forEach(action => this.addCustomActionCard(action));
+
+      const actionSettings = result[STORAGE_KEYS.LLM_ACTION_SETTINGS] || {};
+      document.querySelectorAll('#action-settings input[data-action]').forEach(input => {
+        const saved = actionSettings[input.dataset.action]?.[input.dataset.field];
+        if (saved !== undefined && saved !== null) {
+          input.value = saved;
         }
       });
 
+      // Fill the model picker in the background when the connection is already configured
+      if (result[STORAGE_KEYS.API_KEY] || !provider.requiresApiKey) {
+        this.loadModels();
+      }
+
       // Settings loaded successfully
     } catch (error) {
       // Silent fail for loading settings - user will see when they try to save
@@ -74,38 +965,55 @@ class OptionsManager {
   async saveSettings() {
     const saveBtn = document.querySelector('.save-btn');
     const apiKeyElement = document.getElementById('api-key');
-    const selectedApiProvider = document.querySelector('input[name="api-provider"]:checked');
 
     if (!apiKeyElement) {
       throw new Error('Nation Agent API key field not found');
     }
 
-    if (!selectedApiProvider) {
-      throw new Error('Please select an API provider');
-    }
-
-    const apiKey = apiKeyElement.value.trim();
-    const baseUrl = selectedApiProvider.value;
+    const { provider, apiKey, baseUrl, model } = this.getConnectionConfig();
 
-    if (!apiKey) {
+    if (!apiKey && this.getProviderInfo().requiresApiKey) {
       throw new Error('Nation Agent API key is required');
     }
 
+    if (!/^https?:\/\//i.test(baseUrl)) {
+      throw new Error('API endpoint must be an http(s) URL');
+    }
+
     // Subtle loading state
     this.setButtonState(saveBtn, 'loading');
 
     try {
       const settings = {
-        crestalApiKey: apiKey,
-        apiBaseUrl: baseUrl,
-        llmModel: 'gpt-4.1-nano',
-        llmMaxTokens: 300,
-        llmTemperature: 0.7
+        [STORAGE_KEYS.API_KEY]: apiKey,
+        [STORAGE_KEYS.API_BASE_URL]: baseUrl,
+        [STORAGE_KEYS.LLM_PROVIDER]: provider,
+        [STORAGE_KEYS.LLM_MODEL]: model,
+        [STORAGE_KEYS.LLM_MAX_TOKENS]: DEFAULT_LLM_SETTINGS.maxTokens,
+        [STORAGE_KEYS.LLM_TEMPERATURE]: DEFAULT_LLM_SETTINGS.temperature,
+        [STORAGE_KEYS.LLM_ACTION_SETTINGS]: this.collectActionSettings(),
+        [STORAGE_KEYS.MODEL_PRICES]: this.collectModelPrices(),
+        [STORAGE_KEYS.USAGE_LIMITS]: this.collectUsageLimits(),
+        [STORAGE_KEYS.RESPONSE_LANGUAGE]: {
+          mode: document.getElementById('response-language-mode')?.value || DEFAULT_RESPONSE_LANGUAGE.mode,
+          language: document.getElementById('response-language')?.value || DEFAULT_RESPONSE_LANGUAGE.language
+        },
+        [STORAGE_KEYS.CAPTURE_FORMAT]: this.collectCaptureSettings()
       };
+      const promptTemplates = this.collectPromptTemplates();
+      const customActions = this.collectCustomActions();
 
       await chrome.storage.sync.set(settings);
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.PROMPT_TEMPLATES]: promptTemplates,
+        [STORAGE_KEYS.CUSTOM_ACTIONS]: customActions
+      });
+      this.savedPromptOverrides = promptTemplates;
+      this.modelPrices = settings[STORAGE_KEYS.MODEL_PRICES];
+      this.usageLimits = settings[STORAGE_KEYS.USAGE_LIMITS];
+      this.renderUsage();
 
-      await chrome.runtime.sendMessage({ type: 'reloadSettings' });
+      await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.RELOAD_SETTINGS });
       await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
 
       // Show success state in button
@@ -127,7 +1035,6 @@ class OptionsManager {
   async testConnection() {
     const testBtn = document.getElementById('test-btn');
     const apiKeyElement = document.getElementById('api-key');
-    const selectedApiProvider = document.querySelector('input[name="api-provider"]:checked');
 
     if (!testBtn) {
       throw new Error('Test button not found');
@@ -137,18 +1044,9 @@ class OptionsManager {
       throw new Error('API key field not found');
     }
 
-    if (!selectedApiProvider) {
-      this.setButtonState(testBtn, 'error');
-      setTimeout(() => {
-        this.setButtonState(testBtn, 'default');
-      }, 3000);
-      throw new Error('Please select an API provider to test');
-    }
-
-    const apiKey = apiKeyElement.value.trim();
-    const baseUrl = selectedApiProvider.value;
+    const testConfig = this.getConnectionConfig();
 
-    if (!apiKey) {
+    if (!testConfig.apiKey && this.getProviderInfo().requiresApiKey) {
       this.setButtonState(testBtn, 'error');
       setTimeout(() => {
         this.setButtonState(testBtn, 'default');
@@ -161,12 +1059,8 @@ class OptionsManager {
 
     try {
       const response = await chrome.runtime.sendMessage({ 
-        type: 'testConnection',
-        testConfig: {
-          apiKey: apiKey,
-          baseUrl: baseUrl,
-          model: 'gpt-4.1-nano'
-        }
+        type: MESSAGE_TYPES.TEST_CONNECTION,
+        testConfig
       });
 
       if (response.success) {
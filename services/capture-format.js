@@ -0,0 +1,73 @@
+// Nation Assistant Capture Format - Markdown or plain text page capture, per domain
+'use strict';
+
+import { STORAGE_KEYS, CAPTURE_FORMATS, DEFAULT_CAPTURE_FORMAT } from './constants.js';
+
+/**
+ * Stored in chrome.storage.sync as { default, domains: { 'example.com': 'text' } }.
+ * A domain entry also covers its subdomains; the most specific entry wins.
+ */
+
+function isCaptureFormat(id) {
+  return CAPTURE_FORMATS.some(format => format.id === id);
+}
+
+/**
+ * Bare lowercase host from a domain or URL the user typed ("https://www.Example.com/x" -> "example.com"),
+ * or '' when it isn't one
+ */
+function normalizeDomain(value) {
+  let host = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (!host) return '';
+  try {
+    host = new URL(/^[a-z][a-z\d+.-]*:\/\//.test(host) ? host : `http://${host}`).hostname;
+  } catch (_) {
+    return '';
+  }
+  host = host.replace(/^www\./, '').replace(/\.$/, '');
+  return /^[a-z\d-]+(\.[a-z\d-]+)*$/.test(host) ? host : '';
+}
+
+function normalizeCaptureSettings(raw) {
+  const domains = {};
+  if (raw?.domains && typeof raw.domains === 'object') {
+    for (const [domain, format] of Object.entries(raw.domains)) {
+      const host = normalizeDomain(domain);
+      if (host && isCaptureFormat(format)) domains[host] = format;
+    }
+  }
+  return {
+    default: isCaptureFormat(raw?.default) ? raw.default : DEFAULT_CAPTURE_FORMAT,
+    domains
+  };
+}
+
+/**
+ * Format to capture a page in: the entry for its host or closest parent domain, else the default
+ */
+function getCaptureFormat(settings, url) {
+  const { default: fallback, domains } = normalizeCaptureSettings(settings);
+  let host = '';
+  try {
+    host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (_) {
+    return fallback;
+  }
+
+  for (let candidate = host; candidate; candidate = candidate.slice(candidate.indexOf('.') + 1)) {
+    if (domains[candidate]) return domains[candidate];
+    if (!candidate.includes('.')) break;
+  }
+  return fallback;
+}
+
+async function loadCaptureSettings() {
+  try {
+    const result = await chrome.storage.sync.get([STORAGE_KEYS.CAPTURE_FORMAT]);
+    return normalizeCaptureSettings(result[STORAGE_KEYS.CAPTURE_FORMAT]);
+  } catch (_) {
+    return normalizeCaptureSettings(null);
+  }
+}
+
+export { normalizeDomain, normalizeCaptureSettings, getCaptureFormat, loadCaptureSettings };
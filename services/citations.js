@@ -0,0 +1,78 @@
+// Nation Assistant Citations - paragraph ids in page content and answers
+'use strict';
+
+/**
+ * The content script tags readable page blocks with ids (data-na-cite="p12") and marks the start
+ * of each block in the captured content with its id: "[p12] text" in plain text, or after the
+ * Markdown prefix ("## [p3] Heading", "- [p4] item", "| [p5] cell |").
+ * Answers cite those ids in brackets - "[p12]" or "[p3, p7]".
+ */
+const CITATION_GROUP_PATTERN = /\[(p\d+(?:\s*,\s*p\d+)*)\]/g;
+const SNIPPET_CHARS = 160;
+
+/**
+ * Ids cited in an answer, in order of first appearance
+ */
+function findCitations(text) {
+  const ids = [];
+  for (const match of (text || '').matchAll(CITATION_GROUP_PATTERN)) {
+    for (const id of match[1].split(/\s*,\s*/)) {
+      if (!ids.includes(id)) ids.push(id);
+    }
+  }
+  return ids;
+}
+
+// A block marker at the start of a line, after any Markdown list, heading, quote or table prefix
+const BLOCK_MARKER_PATTERN = /^[ \t>#*+\-|\d.]*\[(p\d+)\](?: |$)/gm;
+
+/**
+ * Readable text of a captured block, without Markdown fences, table rules and line prefixes
+ */
+function toPlainSnippet(block) {
+  return block
+    .replace(/^\s*(?:```|~~~).*$/gm, '')
+    .replace(/^[\s|:-]+$/gm, '')
+    .replace(/^[ \t>#*+\-|]+/gm, '')
+    .replace(/[ \t|]+$/gm, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Text of each tagged block in captured page content, by id; a block runs until the next marker
+ */
+function getCitedBlocks(pageContent) {
+  const text = pageContent || '';
+  const markers = [...text.matchAll(BLOCK_MARKER_PATTERN)];
+  const blocks = new Map();
+  markers.forEach((match, index) => {
+    const end = index + 1 < markers.length ? markers[index + 1].index : text.length;
+    blocks.set(match[1], toPlainSnippet(text.slice(match.index + match[0].length, end)));
+  });
+  return blocks;
+}
+
+/**
+ * Match an answer's citations against the page: { sources: [{ id, snippet }], unresolved: [id] }.
+ * knownIds are the ids the content script handed out; null when the page had none to cite.
+ */
+function resolveCitations(answer, pageContent, knownIds) {
+  if (!Array.isArray(knownIds) || knownIds.length === 0) return null;
+
+  const known = new Set(knownIds);
+  const blocks = getCitedBlocks(pageContent);
+  const sources = [];
+  const unresolved = [];
+  for (const id of findCitations(answer)) {
+    if (!known.has(id) || !blocks.has(id)) {
+      unresolved.push(id);
+      continue;
+    }
+    const text = blocks.get(id);
+    sources.push({ id, snippet: text.length > SNIPPET_CHARS ? `${text.slice(0, SNIPPET_CHARS)}…` : text });
+  }
+  return { sources, unresolved };
+}
+
+export { CITATION_GROUP_PATTERN, findCitations, getCitedBlocks, resolveCitations };
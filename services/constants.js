@@ -8,9 +8,20 @@ export const MESSAGE_TYPES = {
   TRANSLATION_READY: 'TRANSLATION_READY',
   TRANSLATION_ERROR: 'TRANSLATION_ERROR',
   SUMMARIZE_PAGE: 'summarizePage',
-  // EXPLAIN_PAGE: 'explainPage',
+  EXPLAIN_PAGE: 'explainPage',
   LIST_KEY_POINTS: 'listKeyPoints',
+  SUMMARIZE_DISCUSSION: 'summarizeDiscussion',
   TAB_ACTIVATED: 'tabActivated',
+  STREAM_STATUS: 'streamStatus',
+  STREAM_CHUNK: 'streamChunk',
+  LIST_MODELS: 'listModels',
+  CANCEL_REQUEST: 'cancelRequest',
+  RUN_CUSTOM_ACTION: 'runCustomAction',
+  GET_SELECTION: 'GET_SELECTION',
+  SHOW_CITATION: 'SHOW_CITATION',
+  LIST_TABLES: 'LIST_TABLES',
+  GET_TABLE: 'GET_TABLE',
+  SEEK_VIDEO: 'SEEK_VIDEO',
 };
 
 export const CONTEXT_MENU_IDS = {
@@ -29,18 +40,178 @@ export const CONTEXT_MENU_IDS = {
   TRANSLATE_KOREAN: 'translate-korean',
   TRANSLATE_ARABIC: 'translate-arabic',
   TRANSLATE_MORE: 'translate-more',
+  // Followed by the custom action id
+  CUSTOM_ACTION_PREFIX: 'custom-action:',
+  EXPLAIN_SELECTION: 'explain-selection',
+  // Followed by the explain depth id
+  EXPLAIN_DEPTH_PREFIX: 'explain-depth:',
 };
 
 export const COMMANDS = {
   OPEN_SIDEPANEL: 'open-sidepanel',
+  EXPLAIN_SELECTION: 'explain-selection',
 };
 
 export const STORAGE_KEYS = {
   CONTEXT_ACTION: 'contextAction',
   API_KEY: 'crestalApiKey',
   API_BASE_URL: 'apiBaseUrl',
+  LLM_PROVIDER: 'llmProvider',
+  LLM_MODEL: 'llmModel',
+  LLM_MAX_TOKENS: 'llmMaxTokens',
+  LLM_TEMPERATURE: 'llmTemperature',
+  LLM_ACTION_SETTINGS: 'llmActionSettings',
+  RESPONSE_CACHE: 'responseCache',
+  USAGE_STATS: 'usageStats',
+  MODEL_PRICES: 'modelPrices',
+  USAGE_LIMITS: 'usageLimits',
+  PROMPT_TEMPLATES: 'promptTemplates',
+  CUSTOM_ACTIONS: 'customActions',
+  RESPONSE_LANGUAGE: 'responseLanguage',
+  CAPTURE_FORMAT: 'captureFormat',
 };
 
+export const DEFAULT_API_BASE_URL = 'https://open.service.crestal.network/v1';
+
+// Supported API formats; adapters live in services/providers.js
+export const LLM_PROVIDERS = [
+  { id: 'openai', label: 'OpenAI-compatible', defaultBaseUrl: DEFAULT_API_BASE_URL, defaultModel: 'gpt-4.1-nano', requiresApiKey: true },
+  { id: 'anthropic', label: 'Anthropic', defaultBaseUrl: 'https://api.anthropic.com/v1', defaultModel: 'claude-3-5-haiku-latest', requiresApiKey: true },
+  { id: 'ollama', label: 'Ollama (local)', defaultBaseUrl: 'http://localhost:11434', defaultModel: 'llama3.1', requiresApiKey: false },
+];
+
+export const DEFAULT_LLM_SETTINGS = {
+  provider: 'openai',
+  model: 'gpt-4.1-nano',
+  maxTokens: 300,
+  temperature: 0.7,
+};
+
+// Built-in LLM actions with their own token and temperature settings
+// maxInputTokens: larger inputs need the user's confirmation before they are sent
+export const LLM_ACTIONS = [
+  { id: 'chat', label: 'Chat with page', maxTokens: 600, temperature: 0.7, maxInputTokens: 8000 },
+  { id: 'summarize', label: 'Summarize', maxTokens: 500, temperature: 0.7, maxInputTokens: 15000 },
+  { id: 'keyPoints', label: 'Key points', maxTokens: 600, temperature: 0.7, maxInputTokens: 15000 },
+  { id: 'discussion', label: 'Discussion summary', maxTokens: 900, temperature: 0.5, maxInputTokens: 15000 },
+  { id: 'analyze', label: 'Analyze', maxTokens: 700, temperature: 0.7, maxInputTokens: 8000 },
+  { id: 'translate', label: 'Translate', maxTokens: 600, temperature: 0.3, maxInputTokens: 4000 },
+  { id: 'custom', label: 'Custom actions', maxTokens: 800, temperature: 0.5, maxInputTokens: 8000 },
+  { id: 'explain', label: 'Explain', maxTokens: 600, temperature: 0.4, maxInputTokens: 6000 },
+];
+
+export const LLM_LIMITS = {
+  MIN_TOKENS: 16,
+  MAX_TOKENS: 32000,
+  MIN_TEMPERATURE: 0,
+  MAX_TEMPERATURE: 2,
+  MIN_INPUT_TOKENS: 500,
+  MAX_INPUT_TOKENS: 500000,
+};
+
+// Page text limits: a single prompt carries PROMPT_CHARS; longer captures are summarized in chunks
+export const CONTENT_LIMITS = {
+  PROMPT_CHARS: 12000,
+  CAPTURE_CHARS: 120000,
+  CHUNK_CHARS: 10000,
+  // Surrounding section sent with an Explain request
+  SECTION_CHARS: 3000,
+  // Page metadata (description, dates, JSON-LD entities) added to prompts
+  PAGE_INFO_CHARS: 1500,
+  // A table asked about from the side panel, sent as Markdown next to the page
+  TABLE_CHARS: 8000,
+};
+
+// Longest wait for one caption track of a page video, once for its file and once for the browser to load it
+export const TRACK_TIMEOUT_MS = 4000;
+
+// PDFs are fetched and read in the background; larger files are refused
+export const PDF_LIMITS = {
+  MAX_BYTES: 50 * 1024 * 1024,
+  MAX_PAGES: 1000,
+};
+
+// Default prices in USD per million tokens; editable per model on the options page
+export const DEFAULT_MODEL_PRICES = {
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'claude-3-5-haiku-latest': { input: 0.8, output: 4 },
+  'llama3.1': { input: 0, output: 0 },
+};
+
+// Daily/monthly caps set on the options page (stored under STORAGE_KEYS.USAGE_LIMITS)
+export const USAGE_LIMIT_TYPES = [
+  { id: 'dailyTokens', period: 'today', metric: 'tokens', label: 'Daily token limit' },
+  { id: 'monthlyTokens', period: 'month', metric: 'tokens', label: 'Monthly token limit' },
+  { id: 'dailyCost', period: 'today', metric: 'cost', label: 'Daily spending limit' },
+  { id: 'monthlyCost', period: 'month', metric: 'cost', label: 'Monthly spending limit' },
+];
+
+// Share of a cap at which the side panel starts warning
+export const USAGE_WARNING_RATIO = 0.8;
+
+// Days of daily usage buckets kept in chrome.storage.local
+export const USAGE_RETENTION_DAYS = 62;
+
+// Cached answers (chrome.storage.local): expiry and eviction limits
+export const RESPONSE_CACHE_LIMITS = {
+  TTL_MS: 24 * 60 * 60 * 1000,
+  MAX_ENTRIES: 100,
+  MAX_BYTES: 2 * 1024 * 1024,
+};
+
+// Language of answers: a fixed language, the page's language, or the language of the user's question
+export const RESPONSE_LANGUAGE_MODES = [
+  { id: 'fixed', label: 'Always use one language' },
+  { id: 'page', label: 'Match the page language' },
+  { id: 'question', label: 'Match the language of my question' },
+];
+
+export const DEFAULT_RESPONSE_LANGUAGE = { mode: 'fixed', language: 'English' };
+
+// How page content is handed to the model; chosen per domain on the options page
+export const CAPTURE_FORMATS = [
+  { id: 'markdown', label: 'Markdown (keeps headings, lists, tables, links and code)' },
+  { id: 'text', label: 'Plain text' },
+];
+
+export const DEFAULT_CAPTURE_FORMAT = 'markdown';
+
+// Names for detected page languages (ISO 639-1)
+export const LANGUAGE_NAMES = {
+  en: 'English', de: 'German', fr: 'French', es: 'Spanish', it: 'Italian', pt: 'Portuguese',
+  nl: 'Dutch', pl: 'Polish', sv: 'Swedish', tr: 'Turkish', ru: 'Russian', uk: 'Ukrainian',
+  ja: 'Japanese', ko: 'Korean', zh: 'Chinese', ar: 'Arabic', he: 'Hebrew', el: 'Greek',
+  hi: 'Hindi', th: 'Thai', vi: 'Vietnamese', id: 'Indonesian',
+};
+
+// User-defined smart actions (options page): output formats, icon choices and size limits
+export const CUSTOM_ACTION_FORMATS = [
+  { id: 'markdown', label: 'Markdown', instruction: 'Format the answer as well-structured Markdown with short headings and bullet lists where useful.' },
+  { id: 'bullets', label: 'Bullet list', instruction: 'Format the answer as a concise Markdown bullet list.' },
+  { id: 'checklist', label: 'Checklist', instruction: 'Format the answer as a Markdown checklist of "- [ ]" items, grouped under short headings when helpful.' },
+  { id: 'table', label: 'Table', instruction: 'Format the answer as a Markdown table with a header row.' },
+  { id: 'plain', label: 'Plain text', instruction: 'Answer in plain prose paragraphs without Markdown headings or lists.' },
+];
+
+export const CUSTOM_ACTION_ICONS = ['⚡', '🔍', '📋', '✅', '🧩', '🛠️', '📊', '🔗', '💬', '🧪', '📝', '🎯'];
+
+export const CUSTOM_ACTION_LIMITS = {
+  MAX_ACTIONS: 12,
+  NAME_CHARS: 40,
+  PROMPT_CHARS: 4000,
+};
+
+// Explain depth levels; maxTokens caps the action's configured limit
+export const EXPLAIN_DEPTHS = [
+  { id: 'oneLiner', label: 'One-liner', maxTokens: 120, instruction: 'Explain it in a single sentence of at most 30 words. No headings or lists.' },
+  { id: 'detailed', label: 'Detailed', instruction: 'Give a thorough explanation: what it means, why it matters in this section, and any terms or background the reader needs. Use short paragraphs or bullets.' },
+  { id: 'eli5', label: 'Explain like I\'m 5', instruction: 'Explain it as you would to a curious five-year-old: simple words, short sentences and one everyday analogy. No jargon.' },
+];
+
+export const DEFAULT_EXPLAIN_DEPTH = 'detailed';
+
 export const LANGUAGES = [
     { id: CONTEXT_MENU_IDS.TRANSLATE_SPANISH, title: '🇪🇸 Spanish', code: 'es', language: 'Spanish' },
     { id: CONTEXT_MENU_IDS.TRANSLATE_FRENCH, title: '🇫🇷 French', code: 'fr', language: 'French' },
@@ -71,4 +242,8 @@ export const ELEMENT_IDS = {
     TYPING_INDICATOR: 'typing-indicator',
     TRANSLATION_LOADING: 'translation-loading',
     HELP_DIALOG: 'help-dialog',
+    QUICK_ACTION_BAR: 'quick-action-bar',
+    PAGE_SOURCE: 'page-source',
+    PAGE_INFO: 'page-info',
+    TABLE_FOCUS: 'table-focus',
 };
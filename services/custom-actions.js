@@ -0,0 +1,58 @@
+// Nation Assistant Custom Actions - user-defined smart actions
+'use strict';
+
+import {
+  STORAGE_KEYS,
+  CUSTOM_ACTION_FORMATS,
+  CUSTOM_ACTION_ICONS,
+  CUSTOM_ACTION_LIMITS
+} from './constants.js';
+
+/**
+ * A custom action is { id, name, icon, prompt, outputFormat, requiresSelection }.
+ * The prompt may use {{title}}, {{url}} and {{selection}}; the page text is always attached.
+ * Actions are kept in chrome.storage.local (prompts can outgrow sync's per-item quota).
+ */
+
+function createCustomActionId() {
+  return `ca-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Clean up one stored action, or null when it has no name or prompt
+ */
+function normalizeCustomAction(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const name = typeof raw.name === 'string' ? raw.name.trim().slice(0, CUSTOM_ACTION_LIMITS.NAME_CHARS) : '';
+  const prompt = typeof raw.prompt === 'string' ? raw.prompt.trim().slice(0, CUSTOM_ACTION_LIMITS.PROMPT_CHARS) : '';
+  if (!name || !prompt) return null;
+
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : createCustomActionId(),
+    name,
+    icon: typeof raw.icon === 'string' && raw.icon.trim() ? raw.icon.trim() : CUSTOM_ACTION_ICONS[0],
+    prompt,
+    outputFormat: CUSTOM_ACTION_FORMATS.some(format => format.id === raw.outputFormat) ? raw.outputFormat : 'markdown',
+    requiresSelection: !!raw.requiresSelection
+  };
+}
+
+function normalizeCustomActions(list) {
+  if (!Array.isArray(list)) return [];
+  return list.map(normalizeCustomAction).filter(Boolean).slice(0, CUSTOM_ACTION_LIMITS.MAX_ACTIONS);
+}
+
+async function loadCustomActions() {
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEYS.CUSTOM_ACTIONS]);
+    return normalizeCustomActions(result[STORAGE_KEYS.CUSTOM_ACTIONS]);
+  } catch (_) {
+    return [];
+  }
+}
+
+function getOutputFormat(formatId) {
+  return CUSTOM_ACTION_FORMATS.find(format => format.id === formatId) || CUSTOM_ACTION_FORMATS[0];
+}
+
+export { createCustomActionId, normalizeCustomAction, normalizeCustomActions, loadCustomActions, getOutputFormat };
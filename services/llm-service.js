@@ -1,6 +1,26 @@
 // Nation Assistant LLM Service - Crestal Network Integration
 'use strict';
 
+import {
+  STORAGE_KEYS,
+  DEFAULT_LLM_SETTINGS,
+  LLM_PROVIDERS,
+  LLM_ACTIONS,
+  LLM_LIMITS,
+  CONTENT_LIMITS,
+  RESPONSE_LANGUAGE_MODES,
+  DEFAULT_RESPONSE_LANGUAGE,
+  LANGUAGE_NAMES,
+  EXPLAIN_DEPTHS,
+  DEFAULT_EXPLAIN_DEPTH
+} from './constants.js';
+import { createProvider } from './providers.js';
+import { SCHEMAS, validateAgainstSchema, parseJsonResponse } from './structured-output.js';
+import { resolvePromptTemplates, renderTemplate } from './prompt-templates.js';
+import { formatPageInfo } from './page-info.js';
+import { PDF_PAGE_MARKER_PATTERN } from './pdf-text.js';
+import { getOutputFormat } from './custom-actions.js';
+
 // Enable comprehensive logging for debugging - disable in production
 const DEBUG = false;
 const logger = {
@@ -18,19 +38,260 @@ const logger = {
   }
 };
 
+// Asks for paragraph citations when the page content is tagged with ids (see services/citations.js)
+const CITATION_INSTRUCTION = 'Each paragraph of the webpage content starts with an id in brackets, such as [p12]. After each statement taken from the page, cite the paragraph it came from with that id in brackets, e.g. "The plan costs $10 a month [p12]." or "[p3, p7]" for several. Only cite ids that appear in the content, and do not cite general knowledge.';
+
+// Asks for page citations when the content is a PDF's text, each page after a "[Page 12]" line (see services/pdf-text.js)
+const PDF_CITATION_INSTRUCTION = 'The content is the text of a PDF document. Each page starts with a marker such as [Page 12], and notes taken from it name their pages as (p. 12). After each statement taken from the document, cite its page as "(p. 12)", or "(pp. 3-4)" for a range. Only cite pages that appear in the content.';
+
+// Actions that read the whole capture, condensing long pages part by part, and what their notes keep
+const CONDENSED_ACTIONS = new Set(['summarize', 'keyPoints', 'discussion']);
+const CONDENSE_FOCUS = {
+  keyPoints: 'insights, decisions, metrics, and actionable steps',
+  discussion: 'positions taken, arguments, agreements, disagreements, and unanswered questions, with their authors and scores',
+  default: 'main ideas, facts, figures, names, and conclusions'
+};
+
+// Conversation memory budget: prior turns beyond this are condensed into a short recap
+const HISTORY_TOKEN_BUDGET = 2000;
+const HISTORY_RECAP_TOKEN_BUDGET = 300;
+
+// Transient failures (rate limits, 5xx, dropped connections) are retried with exponential backoff
+const RETRY_POLICY = {
+  maxAttempts: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 20000,
+  // Give up instead of waiting longer than this in total
+  maxTotalWaitMs: 45000
+};
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Structured output: replies that fail to parse or validate are sent back for repair this many times
+const STRUCTURED_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter so parallel requests don't retry in lockstep
+ */
+function backoffDelay(attempt) {
+  const exponential = Math.min(RETRY_POLICY.maxDelayMs, RETRY_POLICY.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+/**
+ * Wait for a delay, rejecting early if the request is aborted
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Request aborted', 'AbortError'));
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Request aborted', 'AbortError'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Why a failed attempt may be retried: 'rateLimit', 'unavailable', 'network' - or null if it may not
+ */
+function getRetryReason(error) {
+  if (error.name === 'AbortError') return null;
+  if (error.status === 429) return 'rateLimit';
+  if (RETRYABLE_STATUSES.has(error.status)) return 'unavailable';
+  // fetch rejects with a TypeError when the connection fails
+  if (error instanceof TypeError) return 'network';
+  return null;
+}
+
+/**
+ * Title, URL and page details placeholder values from page metadata
+ */
+function pageValues(metadata) {
+  return {
+    title: typeof metadata?.title === 'string' ? metadata.title : '',
+    url: typeof metadata?.url === 'string' ? metadata.url : '',
+    pageInfo: formatPageInfo(metadata?.pageInfo)
+  };
+}
+
+// Asks for transcript timestamps when the content includes a video transcript (see services/transcripts.js)
+const TRANSCRIPT_CITATION_INSTRUCTION = 'The content includes video transcripts whose paragraphs start with the video\'s id and the time they are spoken, such as [v1 12:34]. When a statement comes from a transcript, give the moment as that timestamp in brackets, video id included, e.g. "The speaker demos the tool [v1 12:34]."';
+
+/**
+ * The {{citations}} instruction: pages for a PDF; paragraph ids for tagged page content and
+ * timestamps for video transcripts; else none
+ */
+function citationInstruction(metadata) {
+  if (metadata?.pdf) return PDF_CITATION_INSTRUCTION;
+  return [
+    metadata?.citationIds?.length ? CITATION_INSTRUCTION : '',
+    metadata?.transcripts?.length ? TRANSCRIPT_CITATION_INSTRUCTION : ''
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Cut text to a single prompt's worth, marking the cut
+ */
+function clipContent(text, limit = CONTENT_LIMITS.PROMPT_CHARS) {
+  return text.length > limit ? `${text.slice(0, limit)}...` : text;
+}
+
+/**
+ * Up to `size` characters of text centred on the first occurrence of `passage`, or '' when it isn't found
+ */
+function excerptAround(text, passage, size) {
+  const index = passage ? text.indexOf(passage.slice(0, 200)) : -1;
+  if (index === -1) return '';
+  const start = Math.max(0, Math.min(index - Math.floor((size - passage.length) / 2), text.length - size));
+  const end = start + size;
+  return `${start > 0 ? '...' : ''}${text.slice(start, end)}${end < text.length ? '...' : ''}`;
+}
+
+/**
+ * Split text into chunks of at most `size` characters, preferring paragraph, then sentence, boundaries
+ */
+function splitIntoChunks(text, size) {
+  const chunks = [];
+  let current = '';
+
+  const pushPiece = (piece) => {
+    if (current && current.length + piece.length + 2 > size) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  };
+
+  for (const paragraph of text.split(/\n{2,}/)) {
+    if (paragraph.length <= size) {
+      pushPiece(paragraph);
+      continue;
+    }
+    // Oversized paragraph: break at sentence ends, hard-cutting anything still too long
+    let rest = paragraph;
+    while (rest.length > size) {
+      const window = rest.slice(0, size);
+      const cut = Math.max(window.lastIndexOf('. '), window.lastIndexOf('\n'));
+      const end = cut > size / 2 ? cut + 1 : size;
+      pushPiece(rest.slice(0, end).trim());
+      rest = rest.slice(end).trim();
+    }
+    if (rest) pushPiece(rest);
+  }
+
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function formatCharCount(count) {
+  return count.toLocaleString('en-US');
+}
+
+/**
+ * Rough token estimate (~4 characters per token) - good enough for budgeting prompts
+ */
+function estimateTokens(text) {
+  return Math.ceil((typeof text === 'string' ? text.length : 0) / 4);
+}
+
+/**
+ * Coerce a stored token count into the supported range, or return the fallback
+ */
+function normalizeMaxTokens(value, fallback) {
+  const parsed = parseInt(value, 10);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.min(Math.max(parsed, LLM_LIMITS.MIN_TOKENS), LLM_LIMITS.MAX_TOKENS);
+}
+
+/**
+ * Coerce a stored temperature into the supported range, or return the fallback
+ */
+function normalizeTemperature(value, fallback) {
+  const parsed = parseFloat(value);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.min(Math.max(parsed, LLM_LIMITS.MIN_TEMPERATURE), LLM_LIMITS.MAX_TEMPERATURE);
+}
+
+/**
+ * Coerce a stored input ceiling into the supported range, or return the fallback
+ */
+function normalizeInputCeiling(value, fallback) {
+  const parsed = parseInt(value, 10);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.min(Math.max(parsed, LLM_LIMITS.MIN_INPUT_TOKENS), LLM_LIMITS.MAX_INPUT_TOKENS);
+}
+
+/**
+ * Provider metadata (defaults, key requirement) for a provider id
+ */
+function getProviderInfo(providerId) {
+  return LLM_PROVIDERS.find(provider => provider.id === providerId) || LLM_PROVIDERS[0];
+}
+
+/**
+ * Merge stored per-action overrides over the built-in action defaults
+ */
+function resolveActionSettings(stored = {}) {
+  const settings = {};
+  for (const action of LLM_ACTIONS) {
+    const override = stored?.[action.id] || {};
+    settings[action.id] = {
+      maxTokens: normalizeMaxTokens(override.maxTokens, action.maxTokens),
+      temperature: normalizeTemperature(override.temperature, action.temperature),
+      maxInputTokens: normalizeInputCeiling(override.maxInputTokens, action.maxInputTokens)
+    };
+  }
+  return settings;
+}
+
+/**
+ * Valid response language setting ({ mode, language }), falling back to the default
+ */
+function normalizeResponseLanguage(value) {
+  const mode = RESPONSE_LANGUAGE_MODES.some(item => item.id === value?.mode) ? value.mode : DEFAULT_RESPONSE_LANGUAGE.mode;
+  const language = typeof value?.language === 'string' && value.language.trim()
+    ? value.language.trim()
+    : DEFAULT_RESPONSE_LANGUAGE.language;
+  return { mode, language };
+}
+
 class LLMService {
   constructor() {
     this.apiKey = null;
-    this.model = 'gpt-4.1-nano';
-    this.maxTokens = 300;
-    this.temperature = 0.7;
-    this.baseUrl = 'https://open.service.crestal.network/v1';
+    this.providerInfo = getProviderInfo(DEFAULT_LLM_SETTINGS.provider);
+    this.provider = createProvider(this.providerInfo.id);
+    this.model = DEFAULT_LLM_SETTINGS.model;
+    this.maxTokens = DEFAULT_LLM_SETTINGS.maxTokens;
+    this.temperature = DEFAULT_LLM_SETTINGS.temperature;
+    this.actionSettings = resolveActionSettings();
+    this.baseUrl = this.providerInfo.defaultBaseUrl;
+    this.promptTemplates = resolvePromptTemplates();
+    this.responseLanguage = normalizeResponseLanguage();
     this.initialized = false;
   }
 
   async init() {
     if (this.initialized) return;
     try {
+      await this.loadPromptTemplates();
       await this.loadSettings();
       this.initialized = true;
     } catch (error) {
@@ -39,79 +300,345 @@ class LLMService {
   }
 
   async initWithConfig(config) {
-    if (!config.apiKey?.trim()) {
+    this.setProvider(config.provider);
+    if (this.providerInfo.requiresApiKey && !config.apiKey?.trim()) {
       throw new Error('No API key provided in test configuration');
     }
-    this.apiKey = config.apiKey.trim();
-    this.baseUrl = config.baseUrl?.trim() || 'https://open.service.crestal.network/v1';
-    this.model = config.model || 'gpt-4.1-nano';
-    this.maxTokens = config.maxTokens || 300;
-    this.temperature = config.temperature || 0.7;
+    this.apiKey = config.apiKey?.trim() || null;
+    this.baseUrl = config.baseUrl?.trim() || this.providerInfo.defaultBaseUrl;
+    this.model = config.model?.trim() || this.providerInfo.defaultModel;
+    this.maxTokens = normalizeMaxTokens(config.maxTokens, DEFAULT_LLM_SETTINGS.maxTokens);
+    this.temperature = normalizeTemperature(config.temperature, DEFAULT_LLM_SETTINGS.temperature);
+    this.actionSettings = resolveActionSettings(config.actionSettings);
     this.initialized = true;
   }
 
   async loadSettings() {
-    const result = await chrome.storage.sync.get(['crestalApiKey', 'apiBaseUrl']);
-    if (!result.crestalApiKey?.trim()) {
+    const result = await chrome.storage.sync.get([
+      STORAGE_KEYS.API_KEY,
+      STORAGE_KEYS.API_BASE_URL,
+      STORAGE_KEYS.LLM_PROVIDER,
+      STORAGE_KEYS.LLM_MODEL,
+      STORAGE_KEYS.LLM_MAX_TOKENS,
+      STORAGE_KEYS.LLM_TEMPERATURE,
+      STORAGE_KEYS.LLM_ACTION_SETTINGS,
+      STORAGE_KEYS.RESPONSE_LANGUAGE
+    ]);
+    this.setProvider(result[STORAGE_KEYS.LLM_PROVIDER]);
+    this.responseLanguage = normalizeResponseLanguage(result[STORAGE_KEYS.RESPONSE_LANGUAGE]);
+    if (this.providerInfo.requiresApiKey && !result[STORAGE_KEYS.API_KEY]?.trim()) {
       throw new Error('No Crestal API key configured');
     }
-    this.apiKey = result.crestalApiKey.trim();
-    this.model = 'gpt-4.1-nano';
-    this.maxTokens = 300;
-    this.temperature = 0.7;
-    this.baseUrl = result.apiBaseUrl?.trim() || 'https://open.service.crestal.network/v1';
+    this.apiKey = result[STORAGE_KEYS.API_KEY]?.trim() || null;
+    this.model = result[STORAGE_KEYS.LLM_MODEL]?.trim() || this.providerInfo.defaultModel;
+    this.maxTokens = normalizeMaxTokens(result[STORAGE_KEYS.LLM_MAX_TOKENS], DEFAULT_LLM_SETTINGS.maxTokens);
+    this.temperature = normalizeTemperature(result[STORAGE_KEYS.LLM_TEMPERATURE], DEFAULT_LLM_SETTINGS.temperature);
+    this.actionSettings = resolveActionSettings(result[STORAGE_KEYS.LLM_ACTION_SETTINGS]);
+    this.baseUrl = result[STORAGE_KEYS.API_BASE_URL]?.trim() || this.providerInfo.defaultBaseUrl;
+  }
+
+  /**
+   * Load the user's prompt template overrides (kept in chrome.storage.local - they can outgrow
+   * chrome.storage.sync's per-item quota)
+   */
+  async loadPromptTemplates() {
+    try {
+      const result = await chrome.storage.local.get([STORAGE_KEYS.PROMPT_TEMPLATES]);
+      this.promptTemplates = resolvePromptTemplates(result[STORAGE_KEYS.PROMPT_TEMPLATES]);
+    } catch (error) {
+      logger.warn('Failed to load prompt templates:', error.message);
+      this.promptTemplates = resolvePromptTemplates();
+    }
+  }
+
+  getPromptTemplate(templateId) {
+    const template = this.promptTemplates[templateId];
+    if (!template) throw new Error(`Unknown prompt template: ${templateId}`);
+    return template;
+  }
+
+  /**
+   * Render a prompt template into messages; `between` (e.g. conversation history) goes between
+   * the system and user messages
+   */
+  buildPromptMessages(templateId, values, between = []) {
+    const template = this.getPromptTemplate(templateId);
+    const system = renderTemplate(template.system, values);
+    return [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      ...between,
+      { role: 'user', content: renderTemplate(template.user, values) }
+    ];
+  }
+
+  /**
+   * The {{responseLanguage}} instruction for the configured mode. metadata.language is the page
+   * language detected by the content script; without a question, "match my question" follows the page.
+   */
+  getLanguageInstruction(metadata = {}, hasQuestion = false) {
+    const { mode, language } = this.responseLanguage;
+    const override = 'unless the user explicitly asks for another language';
+
+    if (mode === 'question' && hasQuestion) {
+      return `Respond in the same language as the user's question, ${override}.`;
+    }
+    if (mode === 'page' || mode === 'question') {
+      const pageLanguage = LANGUAGE_NAMES[metadata?.language];
+      return pageLanguage
+        ? `Respond in ${pageLanguage}, the language of the page, ${override}.`
+        : `Respond in the language the page is written in, ${override}.`;
+    }
+    return `Respond in ${language} ${override}.`;
+  }
+
+  /**
+   * Switch the request/response adapter (OpenAI-compatible, Anthropic, Ollama)
+   */
+  setProvider(providerId) {
+    this.providerInfo = getProviderInfo(providerId);
+    this.provider = createProvider(this.providerInfo.id);
+    // Re-probe native JSON output and streamed usage support for the new endpoint
+    this.responseFormatSupported = undefined;
+    this.streamUsageSupported = undefined;
+  }
+
+  /**
+   * Whether requests can be made with the current configuration
+   */
+  isConfigured() {
+    return !this.provider.requiresApiKey || !!this.apiKey;
+  }
+
+  /**
+   * Request options (maxTokens, temperature) configured for a built-in action
+   */
+  getActionOptions(actionId) {
+    const settings = this.actionSettings[actionId];
+    if (!settings) return { maxTokens: this.maxTokens, temperature: this.temperature };
+    return { maxTokens: settings.maxTokens, temperature: settings.temperature };
   }
 
+  /**
+   * Input size (tokens) above which an action needs the user's confirmation, or null for no ceiling
+   */
+  getInputCeiling(actionId) {
+    return this.actionSettings[actionId]?.maxInputTokens ?? null;
+  }
+
+  /**
+   * Estimated input tokens an action will send for this page: summaries read the whole capture
+   * (in chunks), Explain only the section around the selection, other actions the part that fits one prompt
+   */
+  estimateInputTokens(actionId, pageContent = '', extraText = '') {
+    const condensed = CONDENSED_ACTIONS.has(actionId);
+    const promptChars = actionId === 'explain' ? CONTENT_LIMITS.SECTION_CHARS : CONTENT_LIMITS.PROMPT_CHARS;
+    const pageChars = condensed ? pageContent.length : Math.min(pageContent.length, promptChars);
+    return Math.ceil(pageChars / 4) + estimateTokens(extraText);
+  }
+
+  /**
+   * Everything besides the page and question that shapes an action's answer - part of its cache key
+   */
+  getCacheFingerprint(actionId) {
+    return {
+      provider: this.providerInfo.id,
+      baseUrl: this.baseUrl,
+      model: this.model,
+      ...this.getActionOptions(actionId),
+      promptVersion: this.getPromptTemplate(actionId).version,
+      responseLanguage: this.responseLanguage
+    };
+  }
+
+  /**
+   * makeRequest options for an action, carrying over the caller's stream/abort/retry/usage callbacks
+   */
+  getRequestOptions(actionId, options = {}) {
+    return {
+      ...this.getActionOptions(actionId),
+      onChunk: options.onChunk,
+      onRetry: options.onRetry,
+      onUsage: options.onUsage,
+      signal: options.signal
+    };
+  }
+
+  /**
+   * List model ids available at the configured endpoint
+   */
+  async listModels() {
+    if (!this.isConfigured()) throw new Error('API key not configured');
+
+    const { url, init } = this.provider.buildModelsRequest({ baseUrl: this.baseUrl, apiKey: this.apiKey });
+    const response = await fetch(url, init);
+
+    if (!response.ok) {
+      if (response.status === 401) {
+        throw new Error(`API Error (${response.status}): Invalid API key or authentication failed`);
+      }
+      throw new Error(`API Error (${response.status}): Unable to list models`);
+    }
+
+    const data = await response.json();
+    return this.provider.parseModels(data)
+      .filter(id => typeof id === 'string' && id)
+      .sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Send a chat completion, retrying transient failures.
+   * options.onRetry({ attempt, maxAttempts, delayMs, reason }) is called before each retry wait;
+   * options.onUsage({ model, promptTokens, completionTokens, estimated }) once the answer is complete.
+   */
   async makeRequest(messages, options = {}) {
-    if (!this.apiKey) throw new Error('API key not configured');
+    if (!this.isConfigured()) throw new Error('API key not configured');
+
+    // Once text has reached the caller a retry would repeat it, so only retry before the first chunk
+    let streamed = false;
+    const attemptOptions = options.onChunk
+      ? { ...options, onChunk: (delta) => { streamed = true; options.onChunk(delta); } }
+      : options;
+
+    let totalWaitMs = 0;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const { content, usage } = await this.sendRequest(messages, attemptOptions);
+        options.onUsage?.(this.completeUsage(usage, messages, content));
+        return content;
+      } catch (error) {
+        const reason = getRetryReason(error);
+        if (!reason || streamed || attempt >= RETRY_POLICY.maxAttempts) throw error;
+
+        const delayMs = error.retryAfterMs ?? backoffDelay(attempt);
+        if (totalWaitMs + delayMs > RETRY_POLICY.maxTotalWaitMs) throw error;
+        totalWaitMs += delayMs;
+
+        logger.warn(`Attempt ${attempt} failed (${reason}), retrying in ${delayMs}ms`);
+        options.onRetry?.({ attempt, maxAttempts: RETRY_POLICY.maxAttempts, delayMs, reason });
+        await sleep(delayMs, options.signal);
+      }
+    }
+  }
+
+  /**
+   * Token counts for a finished request, estimated from text length where the provider reported none
+   */
+  completeUsage(usage, messages, content) {
+    const promptTokens = usage?.promptTokens
+      ?? messages.reduce((total, message) => total + estimateTokens(message.content), 0);
+    const completionTokens = usage?.completionTokens ?? estimateTokens(content);
+    return {
+      model: this.model,
+      promptTokens,
+      completionTokens,
+      estimated: !Number.isFinite(usage?.promptTokens) || !Number.isFinite(usage?.completionTokens)
+    };
+  }
+
+  /**
+   * Request a JSON object matching a declared schema ({ name, schema }, see SCHEMAS).
+   * Uses the provider's schema-constrained output when available, validates the reply and
+   * re-prompts with the problems found until it validates. Resolves to the parsed object.
+   */
+  async requestStructured(messages, { name, schema }, options = {}) {
+    const instruction = {
+      role: 'system',
+      content: `Respond with only a JSON object (no Markdown, no code fences, no commentary) that matches this JSON Schema:\n${JSON.stringify(schema)}`
+    };
+    let conversation = [instruction, ...messages];
+    let useResponseFormat = this.provider.supportsResponseFormat && this.responseFormatSupported !== false;
+    let problems = [];
+
+    for (let attempt = 0; attempt <= STRUCTURED_REPAIR_ATTEMPTS; attempt++) {
+      let raw;
+      try {
+        raw = await this.makeRequest(conversation, {
+          ...options,
+          // Partial JSON isn't useful to stream
+          onChunk: undefined,
+          responseFormat: useResponseFormat ? { name, schema } : undefined
+        });
+      } catch (error) {
+        // Many OpenAI-compatible servers reject response_format; fall back to prompt-only JSON
+        if (useResponseFormat && error.status === 400) {
+          logger.warn('Provider rejected response_format, retrying without it');
+          this.responseFormatSupported = false;
+          useResponseFormat = false;
+          attempt--;
+          continue;
+        }
+        throw error;
+      }
+
+      let value;
+      try {
+        value = parseJsonResponse(raw);
+        problems = validateAgainstSchema(value, schema);
+      } catch (_) {
+        problems = ['the reply is not valid JSON'];
+      }
+      if (problems.length === 0) return value;
+
+      logger.warn(`Structured output "${name}" invalid (attempt ${attempt + 1}):`, problems);
+      conversation = [
+        ...conversation,
+        { role: 'assistant', content: raw },
+        {
+          role: 'user',
+          content: `That reply does not match the schema: ${problems.slice(0, 5).join('; ')}. Reply again with only the corrected JSON object.`
+        }
+      ];
+    }
+
+    throw new Error(`Could not get a valid ${name} response from the model (${problems[0] || 'invalid output'})`);
+  }
+
+  /**
+   * Single request attempt resolving to { content, usage }; failed responses throw an Error
+   * carrying status and retryAfterMs
+   */
+  async sendRequest(messages, options) {
+    // Stream tokens when the caller wants incremental output
+    const stream = typeof options.onChunk === 'function';
+    const includeUsage = stream && !!this.provider.supportsStreamUsage && this.streamUsageSupported !== false;
 
     try {
-      const response = await fetch(`${this.baseUrl}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: this.model,
-          messages,
-          max_tokens: options.maxTokens || this.maxTokens,
-          temperature: options.temperature || this.temperature,
-        })
+      const { url, init } = this.provider.buildChatRequest({
+        baseUrl: this.baseUrl,
+        apiKey: this.apiKey,
+        model: this.model,
+        messages,
+        maxTokens: options.maxTokens ?? this.maxTokens,
+        temperature: options.temperature ?? this.temperature,
+        stream,
+        responseFormat: options.responseFormat,
+        includeUsage
       });
+      // options.signal lets the caller abort the request, including an in-progress stream
+      const response = await fetch(url, { ...init, signal: options.signal });
 
       if (!response.ok) {
-        // Secure error handling - don't expose sensitive data
-        let errorMessage = 'Request failed';
-
-        try {
-          const errorData = await response.json();
-          // Only use safe error messages, avoid exposing API details
-          if (response.status === 401) {
-            errorMessage = 'Invalid API key or authentication failed';
-          } else if (response.status === 429) {
-            errorMessage = 'Rate limit exceeded. Please try again later';
-          } else if (response.status === 403) {
-            errorMessage = 'Access forbidden. Check your API permissions';
-          } else if (response.status >= 500) {
-            errorMessage = 'Service temporarily unavailable';
-          } else if (errorData.error?.message && !this.containsSensitiveData(errorData.error.message)) {
-            errorMessage = errorData.error.message;
-          }
-        } catch (parseError) {
-          // If we can't parse the error, use generic message
-          logger.warn('Failed to parse error response');
+        const error = await this.createResponseError(response);
+        // Many OpenAI-compatible servers reject stream_options; stream without it and estimate the usage
+        if (includeUsage && error.status === 400) {
+          logger.warn('Provider rejected stream_options, retrying without it');
+          this.streamUsageSupported = false;
+          return await this.sendRequest(messages, options);
         }
+        throw error;
+      }
 
-        throw new Error(`API Error (${response.status}): ${errorMessage}`);
+      if (stream) {
+        return await this.readStream(response, options.onChunk);
       }
 
       const data = await response.json();
-      if (!data.choices?.[0]?.message?.content) {
+      const content = this.provider.parseChatResponse(data);
+      if (!content) {
         throw new Error('Invalid API response format');
       }
 
-      return data.choices[0].message.content;
+      return { content, usage: this.provider.parseUsage(data) };
     } catch (error) {
       // Sanitize error before re-throwing
       if (error.message && this.containsSensitiveData(error.message)) {
@@ -121,6 +648,112 @@ class LLMService {
     }
   }
 
+  /**
+   * Build a safe error for a failed response without exposing API details
+   */
+  async createResponseError(response) {
+    let errorMessage = 'Request failed';
+
+    try {
+      const errorData = await response.json();
+      const providerMessage = this.provider.parseErrorMessage(errorData);
+      // Only use safe error messages, avoid exposing API details
+      if (response.status === 401) {
+        errorMessage = 'Invalid API key or authentication failed';
+      } else if (response.status === 429) {
+        errorMessage = 'Rate limit exceeded. Please try again later';
+      } else if (response.status === 403) {
+        errorMessage = 'Access forbidden. Check your API permissions';
+      } else if (response.status >= 500) {
+        errorMessage = 'Service temporarily unavailable';
+      } else if (providerMessage && !this.containsSensitiveData(providerMessage)) {
+        errorMessage = providerMessage;
+      }
+    } catch (parseError) {
+      // If we can't parse the error, use generic message
+      logger.warn('Failed to parse error response');
+    }
+
+    const error = new Error(`API Error (${response.status}): ${errorMessage}`);
+    error.status = response.status;
+    error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+    return error;
+  }
+
+  /**
+   * Read a streamed completion (SSE or NDJSON, per provider), forwarding each content delta to onChunk.
+   * Resolves to { content, usage }.
+   */
+  async readStream(response, onChunk) {
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.body || !contentType.includes(this.provider.streamContentType)) {
+      // Some compatible servers ignore the stream flag and answer with plain JSON
+      const data = await response.json();
+      const content = this.provider.parseChatResponse(data);
+      if (!content) {
+        throw new Error('Invalid API response format');
+      }
+      onChunk(content);
+      return { content, usage: this.provider.parseUsage(data) };
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let usage = null;
+    let finished = false;
+
+    const processLine = (line) => {
+      let event = null;
+      try {
+        event = this.provider.parseStreamLine(line.trim());
+      } catch (parseError) {
+        if (parseError instanceof SyntaxError) {
+          logger.warn('Skipping malformed stream event');
+          return;
+        }
+        throw parseError;
+      }
+      if (!event) return;
+      // Some providers split token counts across events
+      if (event.usage) usage = { ...usage, ...event.usage };
+      if (event.delta) {
+        content += event.delta;
+        onChunk(event.delta);
+      }
+      if (event.done) finished = true;
+    };
+
+    while (!finished) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      // Keep the trailing partial line until the rest of it arrives
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        processLine(line);
+        if (finished) break;
+      }
+    }
+
+    if (finished) {
+      reader.cancel().catch(() => {});
+    } else if (buffer.trim()) {
+      // The stream may end without a trailing newline
+      processLine(buffer);
+    }
+
+    if (!content) {
+      throw new Error('Invalid API response format');
+    }
+
+    return { content, usage };
+  }
+
   /**
    * Check if error message contains sensitive data that should not be exposed
    */
@@ -178,219 +811,306 @@ class LLMService {
   }
 
   /**
-   * Chat with webpage content using simple query + page content
+   * Fit prior conversation turns into the history token budget.
+   * The newest turns are kept verbatim; older ones are condensed into a recap note.
    */
-  async chatWithPage(pageContent, userQuery = "", metadata = {}) {
-    const finalQuery = userQuery && userQuery.trim() !== ""
-      ? userQuery
-      : "What is this page about? Give me a brief overview.";
+  buildHistoryMessages(history = [], budget = HISTORY_TOKEN_BUDGET) {
+    const turns = Array.isArray(history)
+      ? history.filter(turn => (turn?.role === 'user' || turn?.role === 'assistant') &&
+        typeof turn.content === 'string' && turn.content.trim())
+      : [];
 
-    const metaParts = [];
-    try {
-      if (metadata && typeof metadata === 'object') {
-        if (metadata.title) metaParts.push(`Title: ${metadata.title}`);
-        if (metadata.url) metaParts.push(`URL: ${metadata.url}`);
-      }
-    } catch (_) {}
-    const metaBlock = metaParts.length ? `Metadata:\n- ${metaParts.join('\n- ')}\n\n` : "";
+    let used = 0;
+    let keepFrom = turns.length;
+    while (keepFrom > 0) {
+      const cost = estimateTokens(turns[keepFrom - 1].content);
+      if (used + cost > budget) break;
+      used += cost;
+      keepFrom--;
+    }
 
-    // Focused selection block (if provided)
-    const selected = typeof metadata?.selectedText === 'string' && metadata.selectedText.trim().length > 0
-      ? metadata.selectedText.trim()
-      : null;
-    const selectionBlock = selected ? `\n\nFocused selection (treat as primary context):\n"""\n${selected}\n"""\n` : '';
+    // Never start the kept window on an assistant turn without its question
+    while (keepFrom < turns.length && turns[keepFrom].role !== 'user') {
+      keepFrom++;
+    }
 
-    const messages = [
-      {
-        role: 'system',
-        content: `You read web pages and answer questions. Infer the page type and adapt structure and tone to the content and the user's question.
+    const kept = turns.slice(keepFrom).map(({ role, content }) => ({ role, content }));
+    const dropped = turns.slice(0, keepFrom);
+    if (dropped.length === 0) return kept;
 
-If a focused selection is provided, prioritize it over the rest of the page content when answering.
+    // Condense dropped turns newest-first so the most relevant context survives the recap budget
+    const recapLines = [];
+    let recapUsed = 0;
+    for (let i = dropped.length - 1; i >= 0; i--) {
+      const { role, content } = dropped[i];
+      const firstLine = content.trim().split('\n')[0];
+      const excerpt = firstLine.length > 160 ? `${firstLine.slice(0, 160)}…` : firstLine;
+      const line = `- ${role === 'user' ? 'User asked' : 'You answered'}: ${excerpt}`;
+      recapUsed += estimateTokens(line);
+      if (recapUsed > HISTORY_RECAP_TOKEN_BUDGET) break;
+      recapLines.unshift(line);
+    }
 
-Return format:
-- Use well-structured Markdown: short headings, bullet lists, and tables when useful.
-- When appropriate, include a "Guidelines" or "Recommendations" section tailored to the user's question and the page.
-- Include only sections that add value; avoid rigid templates and emojis.
- - Do not include JSON or code-fenced JSON blocks. Return only concise Markdown.
+    if (recapLines.length === 0) return kept;
 
-Default to English unless explicitly requested otherwise.`
-      },
+    return [
       {
-        role: 'user',
-        content: `${metaBlock}Question: ${finalQuery}${selectionBlock}\nWebpage content:\n${pageContent}`
-      }
+        role: 'system',
+        content: `Earlier in this conversation (condensed):\n${recapLines.join('\n')}`
+      },
+      ...kept
     ];
+  }
+
+  /**
+   * Chat with webpage content using simple query + page content.
+   * The page is attached once in the system prompt; options.history carries prior turns.
+   * When metadata.citationIds is non-empty the content carries paragraph ids and the answer cites them;
+   * for a PDF (metadata.pdf) it cites pages.
+   * metadata.table ({ title, markdown }) is a table the question is about.
+   */
+  async chatWithPage(pageContent, userQuery = "", metadata = {}, options = {}) {
+    const finalQuery = userQuery && userQuery.trim() !== ""
+      ? userQuery
+      : "What is this page about? Give me a brief overview.";
+
+    const selected = typeof metadata?.selectedText === 'string' ? metadata.selectedText.trim() : '';
+
+    const messages = this.buildPromptMessages('chat', {
+      ...pageValues(metadata),
+      responseLanguage: this.getLanguageInstruction(metadata, !!userQuery?.trim()),
+      content: clipContent(pageContent),
+      selection: selected,
+      table: metadata?.table?.markdown ? `${metadata.table.title}\n\n${metadata.table.markdown}` : '',
+      question: finalQuery,
+      citations: citationInstruction(metadata)
+    }, this.buildHistoryMessages(options.history));
 
-    const rawResponse = await this.makeRequest(messages, { maxTokens: 600 });
+    const rawResponse = await this.makeRequest(messages, this.getRequestOptions('chat', options));
     return this.formatResponse(rawResponse);
   }
 
   /**
    * Smart translate - auto-detect source language and choose best target
    */
-  async smartTranslate(text) {
-    const messages = [
-      {
-        role: 'user',
-        content: `You are a professional translator. Analyze this text and:
-1. Detect the source language
-2. Choose the most appropriate target language (English if source is non-English, or Spanish/French if source is English)
-3. Provide an accurate translation
-
-Respond in this exact JSON format:
-{
-  "detectedLanguage": "detected language name",
-  "targetLanguage": "target language name", 
-  "translation": "translated text"
-}
+  async smartTranslate(text, options = {}) {
+    const messages = this.buildPromptMessages('smartTranslate', { selection: text });
 
-Text to analyze and translate:
-${text}`
-      }
-    ];
-
-    const response = await this.makeRequest(messages, { maxTokens: 600 });
-
-    try {
-      const parsed = JSON.parse(response.trim());
-      return {
-        detectedLanguage: parsed.detectedLanguage,
-        targetLanguage: parsed.targetLanguage,
-        translation: parsed.translation
-      };
-    } catch (error) {
-      // Fallback if JSON parsing fails
-      return {
-        detectedLanguage: 'Unknown',
-        targetLanguage: 'English',
-        translation: response.trim()
-      };
-    }
+    const result = await this.requestStructured(messages, SCHEMAS.translation, this.getRequestOptions('translate', options));
+    return {
+      detectedLanguage: result.detectedLanguage.trim(),
+      targetLanguage: result.targetLanguage.trim(),
+      translation: result.translation.trim()
+    };
   }
 
   /**
    * Translate text to target language
    */
-  async translateText(text, targetLanguage) {
-    const messages = [
-      {
-        role: 'user',
-        content: `You are a professional translator. Translate the following text accurately to ${targetLanguage}. Only provide the translation, no explanations or additional text. Maintain the original tone and meaning.
-
-Text to translate:
-${text}`
-      }
-    ];
+  async translateText(text, targetLanguage, options = {}) {
+    const messages = this.buildPromptMessages('translate', { selection: text, language: targetLanguage });
 
-    const translation = await this.makeRequest(messages, { maxTokens: 500 });
+    const translation = await this.makeRequest(messages, this.getRequestOptions('translate', options));
     return translation.trim();
   }
 
   /**
-   * Summarize page content with adaptive structure and tone
+   * Fit page text into a single prompt. Text over the prompt limit is condensed chunk by chunk into
+   * notes (map step) that the caller's prompt then merges (reduce step).
+   * Reports options.onProgress({ completed, total }) and returns a Markdown note on page coverage.
    */
-  async summarizePage(pageContent, metadata = {}) {
-    const metaParts = [];
-    try {
-      if (metadata && typeof metadata === 'object') {
-        if (metadata.title) metaParts.push(`Title: ${metadata.title}`);
-        if (metadata.url) metaParts.push(`URL: ${metadata.url}`);
-      }
-    } catch (_) {}
-    const metaBlock = metaParts.length ? `Metadata:\n- ${metaParts.join('\n- ')}\n\n` : "";
+  async condensePageContent(pageContent, metadata = {}, actionId, options = {}) {
+    const totalLength = Math.max(metadata?.totalLength || 0, pageContent.length);
 
-    const messages = [
-      {
-        role: 'system',
-        content: `You summarize web pages. Infer the page type and adapt structure and tone accordingly. Provide a concise overview, then include only the most helpful sections (e.g., key points, steps, metrics, risks, next steps).
+    if (pageContent.length <= CONTENT_LIMITS.PROMPT_CHARS) {
+      return { content: pageContent, coverageNote: this.buildCoverageNote(pageContent.length, totalLength, 1) };
+    }
 
-Return format:
-- Use well-structured Markdown with clear headings and bullet lists.
-- Include a short "Guidelines" or "Next Steps" section when helpful, tailored to the page and the reader's likely goal.
-- Avoid rigid templates and emojis; include only sections that add value.
- - Do not include JSON or code-fenced JSON blocks. Return only concise Markdown.
+    const chunks = splitIntoChunks(pageContent, CONTENT_LIMITS.CHUNK_CHARS);
+    const { maxTokens, temperature } = this.getActionOptions(actionId);
+    // Keep the combined notes within one prompt
+    const notesTokens = Math.max(
+      LLM_LIMITS.MIN_TOKENS,
+      Math.min(maxTokens, Math.floor(CONTENT_LIMITS.PROMPT_CHARS / chunks.length / 4))
+    );
+    const focus = CONDENSE_FOCUS[actionId] || CONDENSE_FOCUS.default;
+    // PDF notes keep page numbers so the merged answer can still cite pages
+    const pdf = !!metadata?.pdf;
+    const source = pdf ? 'PDF document' : 'web page';
+    let pageNote = pdf ? ' End each bullet with the page it came from, as (p. 12).' : '';
+    // Transcript notes keep their timestamps for the same reason
+    if (metadata?.transcripts?.length) pageNote += ' For points from the video transcript, keep the [v1 12:34] timestamp of the moment.';
+    // Thread notes keep comment ids so the merged summary can link to representative comments
+    if (actionId === 'discussion' && metadata?.citationIds?.length) pageNote += ' End each bullet with the ids of the comments it draws on, as [p12].';
+    let page = 0;
 
-Default to English unless requested otherwise.`
-      },
-      {
-        role: 'user',
-        content: `${metaBlock}Summarize this page for a busy reader:\n${pageContent}`
-      }
-    ];
+    const notes = [];
+    for (let i = 0; i < chunks.length; i++) {
+      options.onProgress?.({ completed: i, total: chunks.length });
+      // A part that starts mid-page says which page it continues
+      const chunk = pdf && page && !chunks[i].startsWith('[Page ') ? `[Page ${page}, continued]\n${chunks[i]}` : chunks[i];
+      const markers = [...chunks[i].matchAll(PDF_PAGE_MARKER_PATTERN)];
+      if (markers.length) page = Number(markers[markers.length - 1][1]);
+
+      const messages = [
+        {
+          role: 'system',
+          content: `You condense one part of a longer ${source} into notes that will later be merged with notes from the other parts. Keep the ${focus}; skip navigation, ads, and boilerplate.${pageNote} Return only terse Markdown bullet points.`
+        },
+        {
+          role: 'user',
+          content: `Part ${i + 1} of ${chunks.length}${metadata?.title ? ` of "${metadata.title}"` : ''}:\n${chunk}`
+        }
+      ];
+      const note = await this.makeRequest(messages, {
+        maxTokens: notesTokens,
+        temperature,
+        onRetry: options.onRetry,
+        onUsage: options.onUsage,
+        signal: options.signal
+      });
+      notes.push(`### Part ${i + 1}\n${note.trim()}`);
+    }
+    options.onProgress?.({ completed: chunks.length, total: chunks.length });
 
-    const summary = await this.makeRequest(messages, { maxTokens: 500 });
-    return summary.trim();
+    const content = `(This ${pdf ? 'document' : 'page'} is long. Below are notes taken from each of its ${chunks.length} consecutive parts, in order.)\n\n${notes.join('\n\n')}`;
+    return {
+      content: clipContent(content),
+      coverageNote: this.buildCoverageNote(pageContent.length, totalLength, chunks.length)
+    };
   }
 
   /**
-   * Extract key insights with adaptive grouping and tone
+   * Markdown footnote saying how much of the page an answer is based on (empty for short, complete pages)
    */
-  async listKeyPoints(pageContent, metadata = {}) {
-    const metaParts = [];
-    try {
-      if (metadata && typeof metadata === 'object') {
-        if (metadata.title) metaParts.push(`Title: ${metadata.title}`);
-        if (metadata.url) metaParts.push(`URL: ${metadata.url}`);
-      }
-    } catch (_) {}
-    const metaBlock = metaParts.length ? `Metadata:\n- ${metaParts.join('\n- ')}\n\n` : "";
+  buildCoverageNote(coveredLength, totalLength, parts) {
+    const covered = Math.min(coveredLength, totalLength);
+    if (covered >= totalLength) {
+      return parts > 1
+        ? `\n\n_Covers the full page (${formatCharCount(totalLength)} characters, read in ${parts} parts)._`
+        : '';
+    }
+    const percent = Math.round((covered / totalLength) * 100);
+    const partsText = parts > 1 ? `, read in ${parts} parts` : '';
+    return `\n\n_Covers the first ${formatCharCount(covered)} of ${formatCharCount(totalLength)} characters (${percent}%) of this page${partsText}._`;
+  }
 
-    const messages = [
-      {
-        role: 'system',
-        content: `You extract the most important insights and actions from content. Adapt structure and tone to the page. Return only the most valuable items; group related items under short headings when helpful. Prefer concrete facts, metrics, decisions, and actionable steps present in the page. Avoid speculation and rigid counts.
+  /**
+   * Summarize page content with adaptive structure and tone
+   */
+  async summarizePage(pageContent, metadata = {}, options = {}) {
+    const { content, coverageNote } = await this.condensePageContent(pageContent, metadata, 'summarize', options);
+    const messages = this.buildPromptMessages('summarize', {
+      ...pageValues(metadata),
+      citations: citationInstruction(metadata),
+      content,
+      responseLanguage: this.getLanguageInstruction(metadata)
+    });
 
-Return format:
-- Use well-structured Markdown with brief headings and bullet points.
-- Include a "Guidelines/Actions" section when applicable.
- - Do not include JSON or code-fenced JSON blocks. Return only concise Markdown.
+    const summary = await this.makeRequest(messages, this.getRequestOptions('summarize', options));
+    return `${summary.trim()}${coverageNote}`;
+  }
 
-Default to English unless requested otherwise.`
-      },
-      {
-        role: 'user',
-        content: `${metaBlock}From this page, highlight the key insights and actions:\n${pageContent}`
-      }
-    ];
+  /**
+   * Extract key insights with adaptive grouping and tone
+   */
+  async listKeyPoints(pageContent, metadata = {}, options = {}) {
+    const { content, coverageNote } = await this.condensePageContent(pageContent, metadata, 'keyPoints', options);
+    const messages = this.buildPromptMessages('keyPoints', {
+      ...pageValues(metadata),
+      citations: citationInstruction(metadata),
+      content,
+      responseLanguage: this.getLanguageInstruction(metadata)
+    });
 
-    const keyPoints = await this.makeRequest(messages, { maxTokens: 600 });
-    return keyPoints.trim();
+    const keyPoints = await this.makeRequest(messages, this.getRequestOptions('keyPoints', options));
+    return `${keyPoints.trim()}${coverageNote}`;
+  }
+
+  /**
+   * Summarize a page's discussion thread: viewpoints, agreement and disagreement, open questions.
+   * metadata.discussion ({ comments, participants }) sizes up the thread when comments were found.
+   */
+  async summarizeDiscussion(pageContent, metadata = {}, options = {}) {
+    const { content, coverageNote } = await this.condensePageContent(pageContent, metadata, 'discussion', options);
+    const thread = metadata?.discussion;
+    const messages = this.buildPromptMessages('discussion', {
+      ...pageValues(metadata),
+      discussion: thread?.comments
+        ? `${thread.comments} comment${thread.comments === 1 ? '' : 's'} from ${thread.participants} participant${thread.participants === 1 ? '' : 's'}`
+        : '',
+      citations: citationInstruction(metadata),
+      content,
+      responseLanguage: this.getLanguageInstruction(metadata)
+    });
+
+    const summary = await this.makeRequest(messages, this.getRequestOptions('discussion', options));
+    return `${summary.trim()}${coverageNote}`;
   }
 
   /**
    * Analyze page content with flexible, professional structure and tone
    */
-  async analyzePage(pageContent, metadata = {}) {
-    const metaParts = [];
-    try {
-      if (metadata && typeof metadata === 'object') {
-        if (metadata.title) metaParts.push(`Title: ${metadata.title}`);
-        if (metadata.url) metaParts.push(`URL: ${metadata.url}`);
-      }
-    } catch (_) {}
-    const metaBlock = metaParts.length ? `Metadata:\n- ${metaParts.join('\n- ')}\n\n` : "";
+  async analyzePage(pageContent, metadata = {}, options = {}) {
+    const messages = this.buildPromptMessages('analyze', {
+      ...pageValues(metadata),
+      citations: citationInstruction(metadata),
+      content: clipContent(pageContent),
+      responseLanguage: this.getLanguageInstruction(metadata)
+    });
 
-    const messages = [
-      {
-        role: 'system',
-        content: `You analyze web content. Infer the context and adapt structure and tone to the page. Provide a concise, professional analysis with only sections that add value.
+    const analysis = await this.makeRequest(messages, this.getRequestOptions('analyze', options));
+    return analysis.trim();
+  }
 
-Return format:
-- Use well-structured Markdown with clear headings and bullet lists.
-- Include a "Guidelines" or "Recommendations" section for the reader when appropriate.
-- Avoid emojis and rigid templates.
- - Do not include JSON or code-fenced JSON blocks. Return only concise Markdown.
+  /**
+   * Run a user-defined action ({ prompt, outputFormat }, see services/custom-actions.js) on the page.
+   * metadata.selectedText fills {{selection}}.
+   */
+  async runCustomAction(action, pageContent, metadata = {}, options = {}) {
+    const selection = typeof metadata?.selectedText === 'string' ? metadata.selectedText.trim() : '';
+    const values = { ...pageValues(metadata), selection };
 
-Default to English unless requested otherwise.`
-      },
-      {
-        role: 'user',
-        content: `${metaBlock}Analyze this page:\n${pageContent}`
-      }
-    ];
+    const messages = this.buildPromptMessages('custom', {
+      ...values,
+      content: clipContent(pageContent),
+      instructions: renderTemplate(action.prompt, values),
+      format: getOutputFormat(action.outputFormat).instruction,
+      citations: citationInstruction(metadata),
+      // The action's prompt plays the part of the question
+      responseLanguage: this.getLanguageInstruction(metadata, true)
+    });
 
-    const analysis = await this.makeRequest(messages, { maxTokens: 700 });
-    return analysis.trim();
+    const result = await this.makeRequest(messages, this.getRequestOptions('custom', options));
+    return result.trim();
+  }
+
+  /**
+   * Explain a selected passage at options.depth (see EXPLAIN_DEPTHS). metadata.section ({ heading, text })
+   * is the page section around it; without one, the page text around the passage stands in.
+   */
+  async explainPage(pageContent, selectedText, metadata = {}, options = {}) {
+    const depth = EXPLAIN_DEPTHS.find(item => item.id === options.depth)
+      || EXPLAIN_DEPTHS.find(item => item.id === DEFAULT_EXPLAIN_DEPTH);
+    const selection = (selectedText || '').trim();
+    const section = metadata?.section?.text
+      ? clipContent(metadata.section.text, CONTENT_LIMITS.SECTION_CHARS)
+      : excerptAround(pageContent, selection, CONTENT_LIMITS.SECTION_CHARS);
+
+    const messages = this.buildPromptMessages('explain', {
+      ...pageValues(metadata),
+      selection,
+      heading: metadata?.section?.heading || '',
+      // A selection that is the whole section needs no separate context
+      section: section.trim() === selection ? '' : section,
+      depth: depth.instruction,
+      responseLanguage: this.getLanguageInstruction(metadata)
+    });
+
+    const requestOptions = this.getRequestOptions('explain', options);
+    if (depth.maxTokens) requestOptions.maxTokens = Math.min(requestOptions.maxTokens, depth.maxTokens);
+    const explanation = await this.makeRequest(messages, requestOptions);
+    return explanation.trim();
   }
 }
 
@@ -0,0 +1,115 @@
+// Nation Assistant Page Info - page metadata as labelled facts for prompts and the side panel
+'use strict';
+
+import { CONTENT_LIMITS } from './constants.js';
+
+/**
+ * The content script sends metadata.pageInfo: { description, canonicalUrl, author, published,
+ * modified, type, openGraph, twitter, entities } where each entity is an Article, Product, Recipe
+ * or Event read from JSON-LD ({ type, schemaType, name, ...fields }). Missing fields are left out.
+ */
+const ENTITY_FIELDS = {
+  Article: [
+    ['author', 'Author'], ['publisher', 'Publisher'], ['datePublished', 'Published'], ['dateModified', 'Updated'],
+    ['section', 'Section']
+  ],
+  Product: [['brand', 'Brand'], ['sku', 'SKU'], ['offer', 'Price'], ['rating', 'Rating']],
+  Recipe: [
+    ['author', 'Author'], ['totalTime', 'Total time'], ['prepTime', 'Prep time'], ['cookTime', 'Cook time'],
+    ['yield', 'Yield'], ['calories', 'Calories'], ['rating', 'Rating'], ['ingredients', 'Ingredients'], ['steps', 'Steps']
+  ],
+  Event: [
+    ['startDate', 'Starts'], ['endDate', 'Ends'], ['location', 'Location'], ['organizer', 'Organizer'],
+    ['status', 'Status'], ['attendanceMode', 'Attendance'], ['offer', 'Tickets']
+  ]
+};
+
+const DATE_FIELDS = new Set(['published', 'modified', 'datePublished', 'dateModified', 'startDate', 'endDate']);
+const DURATION_FIELDS = new Set(['totalTime', 'prepTime', 'cookTime']);
+
+/**
+ * "2024-03-05T14:30:00Z" -> "2024-03-05 14:30"; anything else is shown as given
+ */
+function formatDate(value) {
+  const match = String(value).match(/^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2}))?/);
+  if (!match) return String(value);
+  return match[2] && match[2] !== '00:00' ? `${match[1]} ${match[2]}` : match[1];
+}
+
+/**
+ * ISO 8601 duration ("PT1H30M") -> "1 h 30 min"
+ */
+function formatDuration(value) {
+  const match = String(value).match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/i);
+  if (!match) return String(value);
+  const parts = [[match[1], 'd'], [match[2], 'h'], [match[3], 'min']]
+    .filter(([amount]) => amount && Number(amount) > 0)
+    .map(([amount, unit]) => `${Number(amount)} ${unit}`);
+  return parts.join(' ') || String(value);
+}
+
+// schema.org enum names ("InStock", "EventScheduled") -> "In stock", "Event scheduled"
+function formatEnum(value) {
+  const words = String(value).replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function formatFact(key, value) {
+  if (Array.isArray(value)) {
+    return key === 'steps' ? value.map((step, index) => `${index + 1}. ${step}`).join(' ') : value.join('; ');
+  }
+  if (key === 'offer') {
+    const price = [value.price, value.currency].filter(Boolean).join(' ');
+    return [price, value.availability && `(${formatEnum(value.availability)})`].filter(Boolean).join(' ');
+  }
+  if (key === 'rating') {
+    return value.count ? `${value.value} from ${value.count} reviews` : String(value.value || '');
+  }
+  if (key === 'status' || key === 'attendanceMode') return formatEnum(value);
+  if (DATE_FIELDS.has(key)) return formatDate(value);
+  if (DURATION_FIELDS.has(key)) return formatDuration(value);
+  return String(value);
+}
+
+/**
+ * Page-wide facts: [{ label, value }]
+ */
+function getPageInfoFacts(pageInfo) {
+  if (!pageInfo || typeof pageInfo !== 'object') return [];
+  return [
+    ['description', 'Description'],
+    ['author', 'Author'],
+    ['published', 'Published'],
+    ['modified', 'Updated'],
+    ['type', 'Type'],
+    ['canonicalUrl', 'Canonical URL']
+  ]
+    .filter(([key]) => pageInfo[key])
+    .map(([key, label]) => ({ label, value: formatFact(key, pageInfo[key]) }));
+}
+
+/**
+ * One JSON-LD entity's facts: [{ label, value }], without its name
+ */
+function getEntityFacts(entity) {
+  return (ENTITY_FIELDS[entity?.type] || [])
+    .filter(([key]) => entity[key] != null)
+    .map(([key, label]) => ({ label, value: formatFact(key, entity[key]) }))
+    .filter(fact => fact.value);
+}
+
+/**
+ * Page details for the {{pageInfo}} prompt placeholder: one "Label: value" line per fact, each
+ * entity under its own heading line. Empty when the page has no metadata.
+ */
+function formatPageInfo(pageInfo, limit = CONTENT_LIMITS.PAGE_INFO_CHARS) {
+  const lines = getPageInfoFacts(pageInfo).map(fact => `${fact.label}: ${fact.value}`);
+  for (const entity of Array.isArray(pageInfo?.entities) ? pageInfo.entities : []) {
+    lines.push(`${entity.type}: ${entity.name}`);
+    getEntityFacts(entity).forEach(fact => lines.push(`- ${fact.label}: ${fact.value}`));
+  }
+  const text = lines.join('\n');
+  return text.length > limit ? `${text.slice(0, limit)}...` : text;
+}
+
+export { getPageInfoFacts, getEntityFacts, formatPageInfo };
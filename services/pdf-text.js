@@ -0,0 +1,896 @@
+// Nation Assistant PDF Text - offline text extraction from PDF files, page by page
+'use strict';
+
+import { PDF_LIMITS } from './constants.js';
+
+/**
+ * A small PDF reader for the text layer of ordinary documents. It handles classic and compressed
+ * (object stream) files, Flate/ASCIIHex/ASCII85 streams, ToUnicode maps, the standard encodings
+ * with /Differences, the predefined Unicode and legacy CJK CMaps, glyph widths for word spacing, and
+ * form XObjects. Encrypted files are refused. Scanned pages (images without a text layer) come out
+ * without text; so do CID fonts with neither a ToUnicode map nor a CMap whose codes are text
+ * (Identity-H), and a document whose text is all in such fonts is refused saying so.
+ */
+
+// Each page of the captured text starts with a "[Page 12]" line
+const PDF_PAGE_MARKER_PATTERN = /^\[Page (\d+)\]$/gm;
+
+const WHITESPACE = '\0\t\n\f\r ';
+const DELIMITERS = '()<>[]{}/%';
+
+class PdfName {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+class PdfString {
+  constructor(bytes) {
+    this.bytes = bytes;
+  }
+}
+
+class PdfRef {
+  constructor(num) {
+    this.num = num;
+  }
+}
+
+class PdfStream {
+  constructor(dict, data) {
+    this.dict = dict;
+    this.data = data;
+  }
+}
+
+class PdfOperator {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+/**
+ * Bytes as a string of char codes 0-255, the form the lexer and regular expressions work on
+ */
+function toBinaryString(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return text;
+}
+
+function toBytes(binary) {
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Tokenizer for PDF objects and content streams. Names come back as PdfName, strings as PdfString
+ * (raw bytes), "n g R" as PdfRef and bare keywords as PdfOperator.
+ */
+class PdfLexer {
+  constructor(text, pos = 0) {
+    this.text = text;
+    this.pos = pos;
+  }
+
+  skipWhitespace() {
+    const { text } = this;
+    while (this.pos < text.length) {
+      const char = text[this.pos];
+      if (char === '%') {
+        while (this.pos < text.length && text[this.pos] !== '\n' && text[this.pos] !== '\r') this.pos++;
+      } else if (WHITESPACE.includes(char)) {
+        this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  readWord() {
+    const start = this.pos;
+    const { text } = this;
+    while (this.pos < text.length && !WHITESPACE.includes(text[this.pos]) && !DELIMITERS.includes(text[this.pos])) {
+      this.pos++;
+    }
+    return text.slice(start, this.pos);
+  }
+
+  /**
+   * The next value, or undefined at the end of the text. Closing "]" and ">>" come back as operators.
+   */
+  read() {
+    this.skipWhitespace();
+    const { text } = this;
+    if (this.pos >= text.length) return undefined;
+    const char = text[this.pos];
+
+    if (char === '/') {
+      this.pos++;
+      return new PdfName(this.readWord().replace(/#([\da-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))));
+    }
+    if (char === '(') return this.readLiteralString();
+    if (char === '<') {
+      if (text[this.pos + 1] === '<') {
+        this.pos += 2;
+        return this.readDict();
+      }
+      return this.readHexString();
+    }
+    if (char === '>' && text[this.pos + 1] === '>') {
+      this.pos += 2;
+      return new PdfOperator('>>');
+    }
+    if (char === '[') {
+      this.pos++;
+      return this.readArray();
+    }
+    if (DELIMITERS.includes(char)) {
+      this.pos++;
+      return new PdfOperator(char);
+    }
+
+    const word = this.readWord();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+      const number = Number(word);
+      // "12 0 R" is a reference
+      if (/^\d+$/.test(word)) {
+        const mark = this.pos;
+        const match = /^\s+\d+\s+R(?![^\0\t\n\f\r ()<>[\]{}/%])/.exec(text.slice(this.pos, this.pos + 24));
+        if (match) {
+          this.pos = mark + match[0].length;
+          return new PdfRef(number);
+        }
+      }
+      return number;
+    }
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    return new PdfOperator(word);
+  }
+
+  readDict() {
+    const dict = {};
+    for (;;) {
+      const key = this.read();
+      if (key === undefined || (key instanceof PdfOperator && key.name === '>>')) return dict;
+      if (!(key instanceof PdfName)) continue;
+      const value = this.read();
+      if (value instanceof PdfOperator && value.name === '>>') return dict;
+      dict[key.value] = value;
+    }
+  }
+
+  readArray() {
+    const array = [];
+    for (;;) {
+      const value = this.read();
+      if (value === undefined || (value instanceof PdfOperator && value.name === ']')) return array;
+      array.push(value);
+    }
+  }
+
+  readHexString() {
+    const end = this.text.indexOf('>', this.pos);
+    const hex = this.text.slice(this.pos + 1, end === -1 ? this.text.length : end).replace(/[^\da-fA-F]/g, '');
+    this.pos = end === -1 ? this.text.length : end + 1;
+    let bytes = '';
+    for (let i = 0; i < hex.length; i += 2) {
+      bytes += String.fromCharCode(parseInt(hex.slice(i, i + 2).padEnd(2, '0'), 16));
+    }
+    return new PdfString(bytes);
+  }
+
+  readLiteralString() {
+    const { text } = this;
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    let depth = 1;
+    let bytes = '';
+    this.pos++;
+    while (this.pos < text.length) {
+      const char = text[this.pos++];
+      if (char === '\\') {
+        const next = text[this.pos++];
+        if (next in escapes) {
+          bytes += escapes[next];
+        } else if (next >= '0' && next <= '7') {
+          let octal = next;
+          while (octal.length < 3 && text[this.pos] >= '0' && text[this.pos] <= '7') octal += text[this.pos++];
+          bytes += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (next === '\r') {
+          // Line continuation
+          if (text[this.pos] === '\n') this.pos++;
+        } else if (next !== '\n' && next !== undefined) {
+          bytes += next;
+        }
+      } else if (char === '(') {
+        depth++;
+        bytes += char;
+      } else if (char === ')') {
+        if (--depth === 0) break;
+        bytes += char;
+      } else {
+        bytes += char;
+      }
+    }
+    return new PdfString(bytes);
+  }
+
+  /**
+   * Skip inline image data after an "ID" operator, up to its "EI"
+   */
+  skipInlineImage() {
+    const match = /\sEI(?=[\0\t\n\f\r ]|$)/g;
+    match.lastIndex = this.pos + 1;
+    const found = match.exec(this.text);
+    this.pos = found ? found.index + found[0].length : this.text.length;
+  }
+}
+
+/**
+ * Inflate zlib data. A truncated or damaged stream keeps whatever decoded before the damage.
+ */
+async function inflate(data) {
+  const stream = new Blob([toBytes(data)]).stream().pipeThrough(new DecompressionStream('deflate'));
+  const reader = stream.getReader();
+  let text = '';
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      text += toBinaryString(value);
+    }
+  } catch (_) {
+    // Keep the part that decoded
+  }
+  return text;
+}
+
+function decodeAsciiHex(data) {
+  const hex = data.split('>')[0].replace(/[^\da-fA-F]/g, '');
+  let bytes = '';
+  for (let i = 0; i < hex.length; i += 2) bytes += String.fromCharCode(parseInt(hex.slice(i, i + 2).padEnd(2, '0'), 16));
+  return bytes;
+}
+
+function decodeAscii85(data) {
+  const text = data.replace(/^\s*<~/, '').split('~>')[0].replace(/\s+/g, '');
+  let bytes = '';
+  let group = [];
+  const flush = (count) => {
+    while (group.length < 5) group.push(84);
+    let value = 0;
+    for (const digit of group) value = value * 85 + digit;
+    for (let i = 0; i < count; i++) bytes += String.fromCharCode((value >>> (24 - i * 8)) & 0xff);
+    group = [];
+  };
+  for (const char of text) {
+    if (char === 'z' && group.length === 0) {
+      bytes += '\0\0\0\0';
+      continue;
+    }
+    group.push(char.charCodeAt(0) - 33);
+    if (group.length === 5) flush(4);
+  }
+  if (group.length > 1) flush(group.length - 1);
+  return bytes;
+}
+
+/**
+ * Text names of the glyphs TeX and other producers list in /Differences
+ */
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+  quotesingle: "'", quoteright: '’', quoteleft: '‘', parenleft: '(', parenright: ')', asterisk: '*',
+  plus: '+', comma: ',', hyphen: '-', minus: '−', period: '.', slash: '/', colon: ':', semicolon: ';',
+  less: '<', equal: '=', greater: '>', question: '?', at: '@', bracketleft: '[', backslash: '\\',
+  bracketright: ']', asciicircum: '^', underscore: '_', grave: '`', braceleft: '{', bar: '|',
+  braceright: '}', asciitilde: '~', zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5',
+  six: '6', seven: '7', eight: '8', nine: '9', endash: '–', emdash: '—', bullet: '•', ellipsis: '…',
+  quotedblleft: '“', quotedblright: '”', quotedblbase: '„', quotesinglbase: '‚', guillemotleft: '«',
+  guillemotright: '»', dagger: '†', daggerdbl: '‡', section: '§', paragraph: '¶', copyright: '©',
+  registered: '®', trademark: '™', degree: '°', periodcentered: '·', multiply: '×', divide: '÷',
+  plusminus: '±', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl', dotlessi: 'ı', germandbls: 'ß',
+  ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', oslash: 'ø', Oslash: 'Ø', exclamdown: '¡', questiondown: '¿',
+  sterling: '£', yen: '¥', Euro: '€', cent: '¢', florin: 'ƒ', perthousand: '‰', nbspace: ' ',
+  visiblespace: '␣', arrowright: '→', arrowleft: '←', lessequal: '≤', greaterequal: '≥', notequal: '≠',
+  infinity: '∞', summation: '∑', product: '∏', integral: '∫', radical: '√', partialdiff: '∂',
+  Delta: 'Δ', Omega: 'Ω', alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', lambda: 'λ',
+  mu: 'μ', pi: 'π', sigma: 'σ', tau: 'τ', phi: 'φ', omega: 'ω', theta: 'θ'
+};
+
+// Accent suffixes of composed glyph names ("eacute"), as combining marks
+const GLYPH_ACCENTS = {
+  acute: '\u0301', grave: '\u0300', dieresis: '\u0308', circumflex: '\u0302', tilde: '\u0303',
+  cedilla: '\u0327', ring: '\u030a', caron: '\u030c', macron: '\u0304', breve: '\u0306', ogonek: '\u0328',
+  dotaccent: '\u0307', hungarumlaut: '\u030b'
+};
+
+function glyphToText(name) {
+  if (GLYPH_NAMES[name] !== undefined) return GLYPH_NAMES[name];
+  if (/^[A-Za-z]$/.test(name)) return name;
+  const unicode = /^uni([\dA-F]{4})/i.exec(name) || /^u([\dA-F]{4,6})$/i.exec(name);
+  if (unicode) return String.fromCodePoint(parseInt(unicode[1], 16));
+  const base = name.split(/[._]/)[0];
+  if (base !== name) return glyphToText(base);
+  const accented = /^([A-Za-z])([a-z]+)$/.exec(name);
+  if (accented && GLYPH_ACCENTS[accented[2]]) return `${accented[1]}${GLYPH_ACCENTS[accented[2]]}`.normalize('NFC');
+  return '';
+}
+
+// Upper halves (0x80-0xFF) of the single-byte encodings; the lower half is ASCII
+const WIN_ANSI_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ'
+  + Array.from({ length: 0x60 }, (_, i) => String.fromCharCode(0xa0 + i)).join('');
+const MAC_ROMAN_HIGH = 'ÄÅÇÉÑÖÜáàâäãåçéèêëíìîïñóòôöõúùûü†°¢£§•¶ß®©™´¨≠ÆØ∞±≤≥¥µ∂∑∏π∫ªºΩæø¿¡¬√ƒ≈∆«»…\u00a0ÀÃÕŒœ–—“”‘’÷◊ÿŸ⁄€‹›ﬁﬂ‡·‚„‰ÂÊÁËÈÍÎÏÌÓÔÒÚÛÙıˆ˜¯˘˙˚¸˝˛ˇ';
+const STANDARD_HIGH = {
+  0xa1: '¡', 0xa2: '¢', 0xa3: '£', 0xa5: '¥', 0xa7: '§', 0xa9: "'", 0xaa: '“', 0xab: '«', 0xae: 'fi',
+  0xaf: 'fl', 0xb1: '–', 0xb2: '†', 0xb3: '‡', 0xb4: '·', 0xb6: '¶', 0xb7: '•', 0xb9: '„', 0xba: '”',
+  0xbb: '»', 0xbc: '…', 0xbd: '‰', 0xbf: '¿', 0xd0: '—', 0xe1: 'Æ', 0xe9: 'Ø', 0xea: 'Œ', 0xf1: 'æ',
+  0xf5: 'ı', 0xf9: 'ø', 0xfa: 'œ', 0xfb: 'ß'
+};
+
+function baseEncodingChar(encoding, code) {
+  if (encoding === 'StandardEncoding') {
+    if (code === 0x27) return '’';
+    if (code === 0x60) return '‘';
+    if (code >= 0x80) return STANDARD_HIGH[code] || '';
+  } else if (code >= 0x80) {
+    return (encoding === 'MacRomanEncoding' ? MAC_ROMAN_HIGH : WIN_ANSI_HIGH)[code - 0x80] || '';
+  }
+  return code >= 0x20 ? String.fromCharCode(code) : '';
+}
+
+// Predefined CMaps whose character codes are text in a known encoding, so CJK fonts using them can be
+// read without a ToUnicode map
+const CMAP_TEXT_ENCODINGS = [
+  [/^Uni[A-Z]+-(?:UCS2|UTF16)(?:-HW)?-[HV]$/, 'utf-16be'],
+  [/^Uni[A-Z]+-UTF8-[HV]$/, 'utf-8'],
+  [/-RKSJ-[HV]$/, 'shift_jis'],
+  [/^EUC-[HV]$/, 'euc-jp'],
+  [/^GB(?:pc|K|Kp)?-EUC-[HV]$|^GBK2K-[HV]$/, 'gb18030'],
+  [/^(?:B5pc|ETen-B5|ETenms-B5|HKscs-B5)-[HV]$/, 'big5'],
+  [/^KSC(?:pc)?-EUC-[HV]$|^KSCms-UHC(?:-HW)?-[HV]$/, 'euc-kr']
+];
+
+function getCMapTextDecoder(cmapName) {
+  const label = CMAP_TEXT_ENCODINGS.find(([pattern]) => pattern.test(cmapName || ''))?.[1];
+  try {
+    return label ? new TextDecoder(label) : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Text from a PDF text string: UTF-16 with a byte order mark, UTF-8 with one, else PDFDocEncoding
+ * (read as Windows-1252, which agrees on the characters documents use)
+ */
+function decodeTextString(value) {
+  const bytes = value instanceof PdfString ? value.bytes : '';
+  if (bytes.startsWith('\xfe\xff') || bytes.startsWith('\xff\xfe')) {
+    return new TextDecoder(bytes[0] === '\xfe' ? 'utf-16be' : 'utf-16le').decode(toBytes(bytes.slice(2)));
+  }
+  if (bytes.startsWith('\xef\xbb\xbf')) return new TextDecoder().decode(toBytes(bytes.slice(3)));
+  return [...bytes].map(char => baseEncodingChar('WinAnsiEncoding', char.charCodeAt(0))).join('');
+}
+
+function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+  ];
+}
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Objects of one PDF file, by object number. Later definitions (incremental updates) win.
+ */
+class PdfDocument {
+  constructor(bytes) {
+    this.text = toBinaryString(bytes);
+    this.objects = new Map();
+    this.positions = new Map();
+    this.fonts = new Map();
+
+    for (const match of this.text.matchAll(/(\d+)\s+\d+\s+obj\b/g)) {
+      this.positions.set(Number(match[1]), { offset: match.index + match[0].length, position: match.index });
+    }
+  }
+
+  /**
+   * Parse the file's index and unpack object streams; call once before reading pages
+   */
+  async load() {
+    if (!this.text.startsWith('%PDF-') && !this.text.slice(0, 1024).includes('%PDF-')) {
+      throw new Error('This file is not a PDF.');
+    }
+    if (/\/Encrypt\s*(\d+\s+\d+\s+R|<<)/.test(this.text)) {
+      throw new Error('This PDF is encrypted, so its text can\'t be read.');
+    }
+
+    for (const [num, location] of [...this.positions]) {
+      const value = this.get(num);
+      if (!(value instanceof PdfStream) || this.resolve(value.dict.Type)?.value !== 'ObjStm') continue;
+      const data = await this.decodeStream(value);
+      const lexer = new PdfLexer(data);
+      const count = this.resolve(value.dict.N) || 0;
+      const first = this.resolve(value.dict.First) || 0;
+      const entries = [];
+      for (let i = 0; i < count; i++) entries.push([lexer.read(), lexer.read()]);
+      for (const [objectNum, offset] of entries) {
+        const existing = this.positions.get(objectNum);
+        if (typeof objectNum !== 'number' || (existing && existing.position > location.position)) continue;
+        this.positions.set(objectNum, { position: location.position });
+        this.objects.set(objectNum, new PdfLexer(data, first + offset).read());
+      }
+    }
+  }
+
+  get(num) {
+    if (this.objects.has(num)) return this.objects.get(num);
+    const location = this.positions.get(num);
+    if (location?.offset === undefined) return undefined;
+    // Mark it first so a self-referencing /Length can't loop
+    this.objects.set(num, undefined);
+    const value = this.parseObjectAt(location.offset);
+    this.objects.set(num, value);
+    return value;
+  }
+
+  resolve(value) {
+    for (let depth = 0; value instanceof PdfRef && depth < 10; depth++) value = this.get(value.num);
+    return value;
+  }
+
+  parseObjectAt(offset) {
+    const lexer = new PdfLexer(this.text, offset);
+    const value = lexer.read();
+    if (!value || typeof value !== 'object' || value.constructor !== Object) return value;
+
+    lexer.skipWhitespace();
+    if (!this.text.startsWith('stream', lexer.pos)) return value;
+    let start = lexer.pos + 6;
+    if (this.text[start] === '\r') start++;
+    if (this.text[start] === '\n') start++;
+
+    const length = this.resolve(value.Length);
+    let end = typeof length === 'number' ? start + length : -1;
+    if (end < 0 || !/^\s*endstream/.test(this.text.slice(end, end + 20))) {
+      end = this.text.indexOf('endstream', start);
+      if (end === -1) end = this.text.length;
+      if (this.text[end - 1] === '\n') end--;
+      if (this.text[end - 1] === '\r') end--;
+    }
+    return new PdfStream(value, this.text.slice(start, end));
+  }
+
+  /**
+   * A stream's decoded bytes, or '' when it uses a filter this reader doesn't support
+   */
+  async decodeStream(stream) {
+    const filter = this.resolve(stream.dict.Filter);
+    const filters = (Array.isArray(filter) ? filter : [filter]).map(item => this.resolve(item)?.value).filter(Boolean);
+    let data = stream.data;
+    for (const name of filters) {
+      if (name === 'FlateDecode' || name === 'Fl') data = await inflate(data);
+      else if (name === 'ASCIIHexDecode' || name === 'AHx') data = decodeAsciiHex(data);
+      else if (name === 'ASCII85Decode' || name === 'A85') data = decodeAscii85(data);
+      else return '';
+    }
+    return data;
+  }
+
+  /**
+   * The document catalog: the root named by the last trailer, else the last /Catalog object
+   */
+  getCatalog() {
+    const roots = [...this.text.matchAll(/\/Root\s+(\d+)\s+\d+\s+R/g)];
+    const root = roots.length ? this.get(Number(roots[roots.length - 1][1])) : null;
+    if (root?.Pages) return root;
+
+    let catalog = null;
+    for (const num of this.positions.keys()) {
+      const value = this.get(num);
+      if (value && typeof value === 'object' && this.resolve(value.Type)?.value === 'Catalog') catalog = value;
+    }
+    return catalog;
+  }
+
+  getInfo() {
+    const infos = [...this.text.matchAll(/\/Info\s+(\d+)\s+\d+\s+R/g)];
+    const info = infos.length ? this.get(Number(infos[infos.length - 1][1])) : null;
+    return info && typeof info === 'object' ? info : {};
+  }
+
+  /**
+   * Page dictionaries in reading order, with inherited /Resources filled in
+   */
+  getPages(limit) {
+    const pages = [];
+    const seen = new Set();
+    const walk = (node, resources) => {
+      if (!node || typeof node !== 'object' || seen.has(node) || pages.length >= limit) return;
+      seen.add(node);
+      const ownResources = this.resolve(node.Resources) || resources;
+      const kids = this.resolve(node.Kids);
+      if (Array.isArray(kids)) {
+        kids.forEach(kid => walk(this.resolve(kid), ownResources));
+      } else {
+        pages.push({ dict: node, resources: ownResources || {} });
+      }
+    };
+    walk(this.resolve(this.getCatalog()?.Pages), null);
+    return pages;
+  }
+
+  async getFont(fontRef) {
+    const dict = this.resolve(fontRef);
+    if (!dict || typeof dict !== 'object') return null;
+    if (!this.fonts.has(dict)) this.fonts.set(dict, PdfFont.load(this, dict));
+    return this.fonts.get(dict);
+  }
+}
+
+/**
+ * Turns the bytes of a shown string into text and glyph widths for one font
+ */
+class PdfFont {
+  static async load(doc, dict) {
+    const font = new PdfFont();
+    const subtype = doc.resolve(dict.Subtype)?.value;
+    font.composite = subtype === 'Type0';
+    font.codeRanges = font.composite ? [[2, 0, 0xffff]] : [[1, 0, 0xff]];
+    font.toUnicode = null;
+    font.encoding = new Map();
+    font.widths = new Map();
+    font.defaultWidth = font.composite ? 1000 : 500;
+    font.widthScale = 0.001;
+    font.textDecoder = null;
+    // Character codes of a composite font that no map turned into text
+    font.unmapped = 0;
+
+    const toUnicode = doc.resolve(dict.ToUnicode);
+    if (toUnicode instanceof PdfStream) {
+      font.readCMap(await doc.decodeStream(toUnicode));
+    }
+
+    if (font.composite) {
+      const encoding = doc.resolve(dict.Encoding);
+      if (encoding instanceof PdfName) font.textDecoder = getCMapTextDecoder(encoding.value);
+      const descendant = doc.resolve(doc.resolve(dict.DescendantFonts)?.[0]) || {};
+      font.defaultWidth = doc.resolve(descendant.DW) ?? 1000;
+      font.readCidWidths(doc, doc.resolve(descendant.W) || []);
+    } else {
+      font.readEncoding(doc, doc.resolve(dict.Encoding));
+      const first = doc.resolve(dict.FirstChar) ?? 0;
+      (doc.resolve(dict.Widths) || []).forEach((width, index) => font.widths.set(first + index, doc.resolve(width)));
+      // Type 3 glyphs are measured in their own units
+      const matrix = doc.resolve(dict.FontMatrix);
+      if (subtype === 'Type3' && Array.isArray(matrix)) font.widthScale = Math.abs(matrix[0]) || 0.001;
+    }
+    return font;
+  }
+
+  readEncoding(doc, encoding) {
+    let baseName = encoding instanceof PdfName ? encoding.value : doc.resolve(encoding?.BaseEncoding)?.value;
+    if (!['WinAnsiEncoding', 'MacRomanEncoding', 'StandardEncoding'].includes(baseName)) baseName = 'StandardEncoding';
+    this.baseEncoding = baseName;
+
+    let code = 0;
+    for (const item of doc.resolve(encoding?.Differences) || []) {
+      if (typeof item === 'number') {
+        code = item;
+      } else if (item instanceof PdfName) {
+        this.encoding.set(code++, glyphToText(item.value));
+      }
+    }
+  }
+
+  readCidWidths(doc, widths) {
+    for (let i = 0; i < widths.length;) {
+      const first = doc.resolve(widths[i]);
+      const next = doc.resolve(widths[i + 1]);
+      if (Array.isArray(next)) {
+        next.forEach((width, index) => this.widths.set(first + index, doc.resolve(width)));
+        i += 2;
+      } else {
+        const width = doc.resolve(widths[i + 2]);
+        for (let cid = first; cid <= next && cid - first < 0x10000; cid++) this.widths.set(cid, width);
+        i += 3;
+      }
+    }
+  }
+
+  /**
+   * Read a ToUnicode CMap: code space ranges and bfchar/bfrange mappings
+   */
+  readCMap(data) {
+    const hexToCode = hex => parseInt(hex, 16);
+    const hexToText = (hex) => {
+      let text = '';
+      for (let i = 0; i + 4 <= hex.length; i += 4) text += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+      return hex.length === 2 ? String.fromCharCode(parseInt(hex, 16)) : text;
+    };
+    this.toUnicode = new Map();
+
+    const ranges = [];
+    for (const block of data.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+      for (const [, low, high] of block[1].matchAll(/<([\da-fA-F]+)>\s*<([\da-fA-F]+)>/g)) {
+        ranges.push([low.length / 2, hexToCode(low), hexToCode(high)]);
+      }
+    }
+    if (ranges.length) this.codeRanges = ranges.sort((a, b) => a[0] - b[0]);
+
+    for (const block of data.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+      for (const [, code, text] of block[1].matchAll(/<([\da-fA-F]+)>\s*<([\da-fA-F]*)>/g)) {
+        this.toUnicode.set(hexToCode(code), hexToText(text));
+      }
+    }
+    for (const block of data.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+      for (const [, low, high, target] of block[1].matchAll(/<([\da-fA-F]+)>\s*<([\da-fA-F]+)>\s*(<[\da-fA-F]*>|\[[^\]]*\])/g)) {
+        const first = hexToCode(low);
+        const last = Math.min(hexToCode(high), first + 0xffff);
+        if (target.startsWith('[')) {
+          [...target.matchAll(/<([\da-fA-F]*)>/g)].forEach(([, text], index) => {
+            if (first + index <= last) this.toUnicode.set(first + index, hexToText(text));
+          });
+          continue;
+        }
+        // Consecutive codes map to consecutive characters, counting up in the last one
+        const base = hexToText(target.slice(1, -1));
+        const prefix = base.slice(0, -1);
+        const lastChar = base.charCodeAt(base.length - 1);
+        for (let code = first; code <= last; code++) {
+          this.toUnicode.set(code, prefix + String.fromCharCode(lastChar + code - first));
+        }
+      }
+    }
+  }
+
+  /**
+   * [{ text, width }] for each character code in the shown bytes; width is in text space units per point of font size
+   */
+  decode(bytes) {
+    if (this.textDecoder && !this.toUnicode) {
+      const width = this.defaultWidth * this.widthScale;
+      return [...this.textDecoder.decode(toBytes(bytes))].map(text => ({ text, width }));
+    }
+    const glyphs = [];
+    for (let pos = 0; pos < bytes.length;) {
+      let length = 1;
+      let code = bytes.charCodeAt(pos);
+      for (const [size, low, high] of this.codeRanges) {
+        let candidate = 0;
+        for (let i = 0; i < size; i++) candidate = candidate * 256 + (bytes.charCodeAt(pos + i) || 0);
+        length = size;
+        code = candidate;
+        if (candidate >= low && candidate <= high) break;
+      }
+      pos += length;
+
+      let text = this.toUnicode?.get(code);
+      if (text === undefined && !this.composite) {
+        text = this.encoding.has(code) ? this.encoding.get(code) : baseEncodingChar(this.baseEncoding, code);
+      } else if (text === undefined) {
+        this.unmapped++;
+      }
+      glyphs.push({ text: text || '', width: (this.widths.get(code) ?? this.defaultWidth) * this.widthScale });
+    }
+    return glyphs;
+  }
+}
+
+/**
+ * Collects shown text runs into lines, adding spaces at gaps and breaks where the baseline moves
+ */
+class TextCollector {
+  constructor() {
+    this.text = '';
+    this.last = null;
+  }
+
+  add(text, x, y, endX, size) {
+    if (!text) return;
+    const last = this.last;
+    if (last) {
+      const lineHeight = Math.max(size, last.size, 1);
+      const dy = Math.abs(y - last.y);
+      if (dy > lineHeight * 0.5) {
+        this.text += dy > lineHeight * 1.8 ? '\n\n' : '\n';
+      } else if ((x - last.endX > lineHeight * 0.15 || x < last.x - lineHeight)
+        && !/\s$/.test(this.text) && !/^\s/.test(text)) {
+        this.text += ' ';
+      }
+    }
+    this.text += text;
+    this.last = { x, y, endX, size };
+  }
+
+  toString() {
+    return this.text
+      .replace(/[ \t ]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+/**
+ * Run a content stream's text operators, adding what it shows to the collector
+ */
+async function readContent(doc, data, resources, collector, ctm = IDENTITY, depth = 0) {
+  const lexer = new PdfLexer(data);
+  const stack = [];
+  let state = { ctm, font: null, size: 0, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, rise: 0 };
+  let textMatrix = IDENTITY;
+  let lineMatrix = IDENTITY;
+  let operands = [];
+
+  const moveLine = (tx, ty) => {
+    lineMatrix = multiply([1, 0, 0, 1, tx, ty], lineMatrix);
+    textMatrix = lineMatrix;
+  };
+
+  const show = (bytes) => {
+    if (!state.font || !(bytes instanceof PdfString)) return;
+    const matrix = multiply(multiply([state.size * state.scale, 0, 0, state.size, 0, state.rise], textMatrix), state.ctm);
+    const size = Math.hypot(matrix[2], matrix[3]);
+    let advance = 0;
+    let text = '';
+    for (const glyph of state.font.decode(bytes.bytes)) {
+      text += glyph.text;
+      advance += (glyph.width * state.size + state.charSpacing + (glyph.text === ' ' ? state.wordSpacing : 0)) * state.scale;
+    }
+    const end = multiply([1, 0, 0, 1, advance, 0], multiply(textMatrix, state.ctm));
+    collector.add(text, matrix[4], matrix[5], end[4], size);
+    textMatrix = multiply([1, 0, 0, 1, advance, 0], textMatrix);
+  };
+
+  for (let token = lexer.read(); token !== undefined; token = lexer.read()) {
+    if (!(token instanceof PdfOperator)) {
+      operands.push(token);
+      continue;
+    }
+    const args = operands;
+    operands = [];
+    switch (token.name) {
+      case 'q': stack.push(state); state = { ...state }; break;
+      case 'Q': state = stack.pop() || state; break;
+      case 'cm': if (args.length === 6) state.ctm = multiply(args, state.ctm); break;
+      case 'BT': textMatrix = IDENTITY; lineMatrix = IDENTITY; break;
+      case 'Tf':
+        state.font = await doc.getFont(doc.resolve(resources.Font)?.[args[0]?.value]);
+        state.size = args[1] || 0;
+        break;
+      case 'Tc': state.charSpacing = args[0] || 0; break;
+      case 'Tw': state.wordSpacing = args[0] || 0; break;
+      case 'Tz': state.scale = (args[0] ?? 100) / 100; break;
+      case 'TL': state.leading = args[0] || 0; break;
+      case 'Ts': state.rise = args[0] || 0; break;
+      case 'Td': moveLine(args[0] || 0, args[1] || 0); break;
+      case 'TD': state.leading = -(args[1] || 0); moveLine(args[0] || 0, args[1] || 0); break;
+      case 'Tm': if (args.length === 6) { lineMatrix = args; textMatrix = args; } break;
+      case 'T*': moveLine(0, -state.leading); break;
+      case 'Tj': show(args[0]); break;
+      case "'": moveLine(0, -state.leading); show(args[0]); break;
+      case '"':
+        state.wordSpacing = args[0] || 0;
+        state.charSpacing = args[1] || 0;
+        moveLine(0, -state.leading);
+        show(args[2]);
+        break;
+      case 'TJ':
+        for (const item of Array.isArray(args[0]) ? args[0] : []) {
+          if (typeof item === 'number') {
+            textMatrix = multiply([1, 0, 0, 1, (-item / 1000) * state.size * state.scale, 0], textMatrix);
+          } else {
+            show(item);
+          }
+        }
+        break;
+      case 'ID': lexer.skipInlineImage(); break;
+      case 'Do': {
+        const xobject = doc.resolve(doc.resolve(resources.XObject)?.[args[0]?.value]);
+        if (depth < 5 && xobject instanceof PdfStream && doc.resolve(xobject.dict.Subtype)?.value === 'Form') {
+          const matrix = doc.resolve(xobject.dict.Matrix);
+          const formCtm = Array.isArray(matrix) && matrix.length === 6 ? multiply(matrix, state.ctm) : state.ctm;
+          const formResources = doc.resolve(xobject.dict.Resources) || resources;
+          await readContent(doc, await doc.decodeStream(xobject), formResources, collector, formCtm, depth + 1);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+}
+
+/**
+ * Text of a PDF file, page by page: { pages: [{ number, text }], pageCount, title, author, language }.
+ * Reads at most PDF_LIMITS.MAX_PAGES pages; pageCount is the number read.
+ */
+async function extractPdfText(bytes) {
+  const doc = new PdfDocument(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+  await doc.load();
+
+  const pages = [];
+  for (const [index, page] of doc.getPages(PDF_LIMITS.MAX_PAGES).entries()) {
+    const collector = new TextCollector();
+    const contents = doc.resolve(page.dict.Contents);
+    const streams = (Array.isArray(contents) ? contents : [contents]).map(item => doc.resolve(item));
+    const data = [];
+    for (const stream of streams) {
+      if (stream instanceof PdfStream) data.push(await doc.decodeStream(stream));
+    }
+    try {
+      await readContent(doc, data.join('\n'), page.resources, collector);
+    } catch (_) {
+      // A damaged page keeps the text read before the damage
+    }
+    pages.push({ number: index + 1, text: collector.toString() });
+  }
+  if (pages.length === 0) throw new Error('No pages were found in this PDF.');
+  if (pages.every(page => !page.text) && (await Promise.all(doc.fonts.values())).some(font => font?.unmapped)) {
+    throw new Error('This PDF\'s text is in fonts without a Unicode map (common in CJK documents), so it can\'t be read.');
+  }
+
+  const info = doc.getInfo();
+  const language = decodeTextString(doc.resolve(doc.getCatalog()?.Lang)).trim();
+  return {
+    pages,
+    pageCount: pages.length,
+    title: decodeTextString(doc.resolve(info.Title)).trim(),
+    author: decodeTextString(doc.resolve(info.Author)).trim(),
+    language: language ? language.split('-')[0].toLowerCase() : ''
+  };
+}
+
+/**
+ * Pages as prompt text, each after a "[Page 12]" line, up to `limit` characters. Pages without text are left out.
+ * Returns { content, totalLength, lastPage } where lastPage is the last page that fit.
+ */
+function formatPdfPages(pages, limit) {
+  const sections = pages.filter(page => page.text).map(page => ({ number: page.number, text: `[Page ${page.number}]\n${page.text}` }));
+  const totalLength = sections.reduce((sum, section) => sum + section.text.length + 2, 0);
+  let content = '';
+  let lastPage = 0;
+  for (const section of sections) {
+    const separator = content ? '\n\n' : '';
+    const room = limit - content.length - separator.length;
+    if (room <= 0) break;
+    content += separator + (section.text.length > room ? `${section.text.slice(0, room)}...` : section.text);
+    lastPage = section.number;
+  }
+  return { content, totalLength, lastPage };
+}
+
+/**
+ * Whether a Content-Type (or document.contentType) is a PDF's
+ */
+function isPdfContentType(contentType) {
+  return /^\s*application\/(?:x-)?pdf\s*(?:;|$)/i.test(contentType || '');
+}
+
+/**
+ * Whether a URL's path ends in .pdf. Many PDFs are served from other paths (arxiv.org/pdf/<id>,
+ * download endpoints), so this is only the fallback when the content type can't be learned.
+ */
+function isPdfUrl(url) {
+  try {
+    const { protocol, pathname } = new URL(url);
+    return ['http:', 'https:', 'file:'].includes(protocol) && /\.pdf$/i.test(decodeURIComponent(pathname));
+  } catch (_) {
+    return false;
+  }
+}
+
+export { PDF_PAGE_MARKER_PATTERN, extractPdfText, formatPdfPages, isPdfContentType, isPdfUrl };
@@ -0,0 +1,293 @@
+// Nation Assistant Prompt Templates - built-in action prompts and placeholder rendering
+'use strict';
+
+/**
+ * Built-in prompt templates, one per LLM action. `system` and `user` become the system and
+ * user messages (an empty system prompt is left out). Placeholders:
+ * - {{name}} inserts a value; {{#name}}...{{/name}} keeps its text only when the value is non-empty
+ * - {{pageInfo}} is the page's metadata (description, author, dates, JSON-LD entities), one "Label: value" per line
+ * - {{citations}} asks the answer to cite paragraph ids, or pages for a PDF; empty when the content has neither
+ * - {{discussion}} sizes up a comment thread ("148 comments from 63 participants"); empty when none was found
+ * Bump `version` whenever a default's wording changes so answers cached for the old prompt are not reused.
+ */
+const PROMPT_TEMPLATES = [
+  {
+    id: 'chat',
+    label: 'Chat with page',
+    version: 5,
+    placeholders: ['title', 'url', 'pageInfo', 'content', 'selection', 'table', 'question', 'citations', 'responseLanguage'],
+    system: `You read web pages and answer questions. Infer the page type and adapt structure and tone to the content and the user's question.
+
+If a focused selection is provided, prioritize it over the rest of the page content when answering.
+This may be a follow-up in an ongoing conversation; use earlier turns to resolve references like "point 3" or "that section".
+
+Return format:
+- Use well-structured Markdown: short headings, bullet lists, and tables when useful.
+- When appropriate, include a "Guidelines" or "Recommendations" section tailored to the user's question and the page.
+- Include only sections that add value; avoid rigid templates and emojis.
+- Do not include JSON or code-fenced JSON blocks. Return only concise Markdown.
+{{#citations}}
+Citations: {{citations}}
+{{/citations}}
+{{responseLanguage}}
+
+{{#title}}Title: {{title}}
+{{/title}}{{#url}}URL: {{url}}
+{{/url}}{{#pageInfo}}Page details:
+{{pageInfo}}
+{{/pageInfo}}
+Webpage content:
+{{content}}`,
+    user: `Question: {{question}}{{#selection}}
+
+Focused selection (treat as primary context):
+"""
+{{selection}}
+"""{{/selection}}{{#table}}
+
+The question is about this table from the page (treat as primary context):
+{{table}}{{/table}}`
+  },
+  {
+    id: 'summarize',
+    label: 'Summarize',
+    version: 4,
+    placeholders: ['title', 'url', 'pageInfo', 'content', 'citations', 'responseLanguage'],
+    system: `You summarize web pages. Infer the page type and adapt structure and tone accordingly. Provide a concise overview, then include only the most helpful sections (e.g., key points, steps, metrics, risks, next steps).
+
+Return format:
+- Use well-structured Markdown with clear headings and bullet lists.
+- Include a short "Guidelines" or "Next Steps" section when helpful, tailored to the page and the reader's likely goal.
+- Avoid rigid templates and emojis; include only sections that add value.
+- Do not include JSON or code-fenced JSON blocks. Return only concise Markdown.
+{{#citations}}
+Citations: {{citations}}
+{{/citations}}
+{{responseLanguage}}`,
+    user: `{{#title}}Title: {{title}}
+{{/title}}{{#url}}URL: {{url}}
+{{/url}}{{#pageInfo}}Page details:
+{{pageInfo}}
+{{/pageInfo}}
+Summarize this page for a busy reader:
+{{content}}`
+  },
+  {
+    id: 'keyPoints',
+    label: 'Key points',
+    version: 4,
+    placeholders: ['title', 'url', 'pageInfo', 'content', 'citations', 'responseLanguage'],
+    system: `You extract the most important insights and actions from content. Adapt structure and tone to the page. Return only the most valuable items; group related items under short headings when helpful. Prefer concrete facts, metrics, decisions, and actionable steps present in the page. Avoid speculation and rigid counts.
+
+Return format:
+- Use well-structured Markdown with brief headings and bullet points.
+- Include a "Guidelines/Actions" section when applicable.
+- Do not include JSON or code-fenced JSON blocks. Return only concise Markdown.
+{{#citations}}
+Citations: {{citations}}
+{{/citations}}
+{{responseLanguage}}`,
+    user: `{{#title}}Title: {{title}}
+{{/title}}{{#url}}URL: {{url}}
+{{/url}}{{#pageInfo}}Page details:
+{{pageInfo}}
+{{/pageInfo}}
+From this page, highlight the key insights and actions:
+{{content}}`
+  },
+  {
+    id: 'discussion',
+    label: 'Discussion summary',
+    version: 1,
+    placeholders: ['title', 'url', 'pageInfo', 'content', 'discussion', 'citations', 'responseLanguage'],
+    system: `You summarize discussion threads: forum topics, comment sections, issue trackers and code reviews. Comments are listed as a tree; each starts with its author, its score when the site shows one, and its age, and replies are indented under the comment they answer. Weigh a position by the scores and replies that back it and by how many participants hold it, not by how often one person repeats it.
+
+Return format:
+- Open with one or two sentences on what the thread is about and where it stands.
+- "Main viewpoints": each distinct position, how widely it is held, and its strongest argument.
+- "Agreement" and "Disagreement": where participants converge and where they clash, and over what.
+- "Open questions": what was asked or disputed and never settled.
+- Back each point with one or two representative comments, naming their authors.
+- Use well-structured Markdown; leave out sections the thread gives nothing for. Do not include JSON or code-fenced JSON blocks.
+{{#citations}}
+Citations: {{citations}}
+{{/citations}}
+{{responseLanguage}}`,
+    user: `{{#title}}Title: {{title}}
+{{/title}}{{#url}}URL: {{url}}
+{{/url}}{{#pageInfo}}Page details:
+{{pageInfo}}
+{{/pageInfo}}{{#discussion}}Thread: {{discussion}}
+{{/discussion}}
+Summarize the discussion on this page:
+{{content}}`
+  },
+  {
+    id: 'analyze',
+    label: 'Analyze',
+    version: 4,
+    placeholders: ['title', 'url', 'pageInfo', 'content', 'citations', 'responseLanguage'],
+    system: `You analyze web content. Infer the context and adapt structure and tone to the page. Provide a concise, professional analysis with only sections that add value.
+
+Return format:
+- Use well-structured Markdown with clear headings and bullet lists.
+- Include a "Guidelines" or "Recommendations" section for the reader when appropriate.
+- Avoid emojis and rigid templates.
+- Do not include JSON or code-fenced JSON blocks. Return only concise Markdown.
+{{#citations}}
+Citations: {{citations}}
+{{/citations}}
+{{responseLanguage}}`,
+    user: `{{#title}}Title: {{title}}
+{{/title}}{{#url}}URL: {{url}}
+{{/url}}{{#pageInfo}}Page details:
+{{pageInfo}}
+{{/pageInfo}}
+Analyze this page:
+{{content}}`
+  },
+  {
+    id: 'custom',
+    label: 'Custom actions',
+    version: 4,
+    placeholders: ['title', 'url', 'pageInfo', 'content', 'selection', 'instructions', 'format', 'citations', 'responseLanguage'],
+    system: `You carry out a task the user defined for web pages. Follow the task's instructions using only what the page contains; say so when the page doesn't have what the task asks for.{{#selection}} The user selected part of the page - focus on the selection and use the rest of the page as context.{{/selection}}
+
+{{format}}
+Do not include JSON or code-fenced JSON blocks unless the task asks for them.
+{{#citations}}
+Citations: {{citations}}
+{{/citations}}
+{{responseLanguage}}
+
+{{#title}}Title: {{title}}
+{{/title}}{{#url}}URL: {{url}}
+{{/url}}{{#pageInfo}}Page details:
+{{pageInfo}}
+{{/pageInfo}}
+Webpage content:
+{{content}}`,
+    user: `{{instructions}}{{#selection}}
+
+Selected text:
+"""
+{{selection}}
+"""{{/selection}}`
+  },
+  {
+    id: 'explain',
+    label: 'Explain',
+    version: 2,
+    placeholders: ['title', 'url', 'pageInfo', 'selection', 'heading', 'section', 'depth', 'responseLanguage'],
+    system: `You explain passages from web pages. Use the surrounding section to work out what the passage refers to, but explain the passage itself rather than summarizing the section. If the passage relies on context that is not available, say what is missing instead of guessing.
+
+{{depth}}
+Do not include JSON or code-fenced JSON blocks.
+
+{{responseLanguage}}`,
+    user: `{{#title}}Title: {{title}}
+{{/title}}{{#url}}URL: {{url}}
+{{/url}}{{#pageInfo}}Page details:
+{{pageInfo}}
+{{/pageInfo}}{{#heading}}Section: {{heading}}
+{{/heading}}{{#section}}
+Surrounding text:
+"""
+{{section}}
+"""
+{{/section}}
+Explain this passage:
+"""
+{{selection}}
+"""`
+  },
+  {
+    id: 'translate',
+    label: 'Translate',
+    version: 1,
+    placeholders: ['selection', 'language'],
+    system: '',
+    user: `You are a professional translator. Translate the following text accurately to {{language}}. Only provide the translation, no explanations or additional text. Maintain the original tone and meaning.
+
+Text to translate:
+{{selection}}`
+  },
+  {
+    id: 'smartTranslate',
+    label: 'Auto translate',
+    version: 1,
+    placeholders: ['selection'],
+    system: '',
+    user: `You are a professional translator. Analyze this text and:
+1. Detect the source language
+2. Choose the most appropriate target language (English if source is non-English, or Spanish/French if source is English)
+3. Provide an accurate translation
+
+Use full language names (e.g. "Spanish"), and put only the translated text in "translation".
+
+Text to analyze and translate:
+{{selection}}`
+  }
+];
+
+// Sample values for the options page preview
+const PREVIEW_VALUES = {
+  title: 'Example Domain',
+  url: 'https://example.com/article',
+  content: 'This domain is for use in illustrative examples in documents...',
+  selection: 'illustrative examples',
+  question: 'What is this page about?',
+  language: 'Spanish',
+  instructions: 'List every API endpoint mentioned on this page.',
+  format: 'Format the answer as a concise Markdown bullet list.',
+  responseLanguage: 'Respond in English unless the user explicitly asks for another language.',
+  citations: 'Each paragraph of the webpage content starts with an id in brackets, such as [p12]. After each statement taken from the page, cite the paragraph it came from with that id in brackets.',
+  heading: 'Example Domain',
+  section: 'This domain is for use in illustrative examples in documents. You may use this domain in literature without prior coordination or asking for permission.',
+  pageInfo: 'Description: An example page for documentation.\nAuthor: Jane Roe\nPublished: 2024-03-05',
+  table: 'Prices\n\n| Plan | Price |\n| --- | --- |\n| Basic | $10 |',
+  discussion: '148 comments from 63 participants',
+  depth: 'Give a thorough explanation: what it means, why it matters in this section, and any terms or background the reader needs.'
+};
+
+function getDefaultTemplate(id) {
+  return PROMPT_TEMPLATES.find(template => template.id === id) || null;
+}
+
+/**
+ * Merge saved overrides ({ [id]: { system, user, version } }) over the defaults.
+ * A customized template's version is the time it was saved, so edits invalidate cached answers.
+ */
+function resolvePromptTemplates(overrides = {}) {
+  const templates = {};
+  for (const template of PROMPT_TEMPLATES) {
+    const override = overrides?.[template.id];
+    const customized = !!override && typeof override.user === 'string' && override.user.trim() !== '';
+    templates[template.id] = customized
+      ? {
+        ...template,
+        system: typeof override.system === 'string' ? override.system : template.system,
+        user: override.user,
+        version: `custom-${override.version || 0}`,
+        customized: true
+      }
+      : { ...template, customized: false };
+  }
+  return templates;
+}
+
+/**
+ * Fill a template's placeholders. Values are inserted in a single pass, so page text
+ * containing "{{...}}" is never expanded.
+ */
+function renderTemplate(text, values = {}) {
+  const present = (name) => typeof values[name] === 'string' ? values[name].trim() !== '' : values[name] != null;
+
+  return (text || '')
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, name, inner) => (present(name) ? inner : ''))
+    .replace(/\{\{(\w+)\}\}/g, (_, name) => (values[name] == null ? '' : String(values[name])))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+export { PROMPT_TEMPLATES, PREVIEW_VALUES, getDefaultTemplate, resolvePromptTemplates, renderTemplate };
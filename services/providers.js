@@ -0,0 +1,313 @@
+// Nation Assistant LLM Provider Adapters
+'use strict';
+
+/**
+ * Each adapter translates the service's OpenAI-style chat messages into one
+ * provider's wire format and parses that provider's responses back into text.
+ *
+ * Adapter interface:
+ * - buildChatRequest({ baseUrl, apiKey, model, messages, maxTokens, temperature, stream, responseFormat, includeUsage }) -> { url, init }
+ *   responseFormat ({ name, schema }) asks for schema-constrained JSON when supportsResponseFormat is true
+ *   includeUsage asks a stream to report token counts when supportsStreamUsage is true
+ * - parseChatResponse(data) -> string | null
+ * - parseUsage(data) -> { promptTokens?, completionTokens? } | null
+ * - parseStreamLine(line) -> { delta?, done?, usage? } | null
+ * - buildModelsRequest({ baseUrl, apiKey }) -> { url, init }
+ * - parseModels(data) -> string[]
+ * - parseErrorMessage(data) -> string | null
+ */
+
+function trimTrailingSlash(url) {
+  return (url || '').replace(/\/+$/, '');
+}
+
+/**
+ * Token counts from a provider's usage fields; null when it reported none
+ */
+function toUsage(promptTokens, completionTokens) {
+  const usage = {};
+  if (Number.isFinite(promptTokens)) usage.promptTokens = promptTokens;
+  if (Number.isFinite(completionTokens)) usage.completionTokens = completionTokens;
+  return Object.keys(usage).length ? usage : null;
+}
+
+/**
+ * OpenAI /chat/completions format - Crestal, OpenAI, LM Studio, vLLM, OpenRouter, ...
+ */
+class OpenAICompatibleProvider {
+  constructor() {
+    this.id = 'openai';
+    this.requiresApiKey = true;
+    this.streamContentType = 'text/event-stream';
+    this.supportsResponseFormat = true;
+    // Token counts in a stream need stream_options, which not every compatible server accepts
+    this.supportsStreamUsage = true;
+  }
+
+  headers(apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+    return headers;
+  }
+
+  buildChatRequest({ baseUrl, apiKey, model, messages, maxTokens, temperature, stream, responseFormat, includeUsage }) {
+    return {
+      url: `${trimTrailingSlash(baseUrl)}/chat/completions`,
+      init: {
+        method: 'POST',
+        headers: this.headers(apiKey),
+        body: JSON.stringify({
+          model,
+          messages,
+          max_tokens: maxTokens,
+          temperature,
+          ...(stream ? { stream: true } : {}),
+          // include_usage adds a final chunk with token counts
+          ...(stream && includeUsage ? { stream_options: { include_usage: true } } : {}),
+          ...(responseFormat ? {
+            response_format: {
+              type: 'json_schema',
+              json_schema: { name: responseFormat.name, schema: responseFormat.schema }
+            }
+          } : {})
+        })
+      }
+    };
+  }
+
+  parseChatResponse(data) {
+    return data?.choices?.[0]?.message?.content || null;
+  }
+
+  parseUsage(data) {
+    return toUsage(data?.usage?.prompt_tokens, data?.usage?.completion_tokens);
+  }
+
+  parseStreamLine(line) {
+    if (!line.startsWith('data:')) return null;
+    const payload = line.slice(5).trim();
+    if (payload === '[DONE]') return { done: true };
+    const event = JSON.parse(payload);
+    return { delta: event.choices?.[0]?.delta?.content || '', usage: this.parseUsage(event) };
+  }
+
+  buildModelsRequest({ baseUrl, apiKey }) {
+    return {
+      url: `${trimTrailingSlash(baseUrl)}/models`,
+      init: { headers: this.headers(apiKey) }
+    };
+  }
+
+  parseModels(data) {
+    return Array.isArray(data?.data) ? data.data.map(model => model?.id) : [];
+  }
+
+  parseErrorMessage(data) {
+    return data?.error?.message || null;
+  }
+}
+
+/**
+ * Anthropic Messages API - system prompt is a top-level field and turns must alternate
+ */
+class AnthropicProvider {
+  constructor() {
+    this.id = 'anthropic';
+    this.requiresApiKey = true;
+    this.streamContentType = 'text/event-stream';
+    // No JSON mode; structured output relies on the prompt and validation
+    this.supportsResponseFormat = false;
+  }
+
+  headers(apiKey) {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01',
+      // Required for requests made from a browser context such as the extension service worker
+      'anthropic-dangerous-direct-browser-access': 'true'
+    };
+  }
+
+  /**
+   * Split out system messages and merge consecutive same-role turns
+   */
+  convertMessages(messages) {
+    const system = [];
+    const turns = [];
+
+    for (const message of messages) {
+      if (message.role === 'system') {
+        system.push(message.content);
+        continue;
+      }
+      const role = message.role === 'assistant' ? 'assistant' : 'user';
+      const last = turns[turns.length - 1];
+      if (last && last.role === role) {
+        last.content += `\n\n${message.content}`;
+      } else {
+        turns.push({ role, content: message.content });
+      }
+    }
+
+    // The conversation has to open with a user turn
+    if (turns.length === 0 || turns[0].role !== 'user') {
+      turns.unshift({ role: 'user', content: 'Continue.' });
+    }
+
+    return { system: system.join('\n\n'), turns };
+  }
+
+  buildChatRequest({ baseUrl, apiKey, model, messages, maxTokens, temperature, stream }) {
+    const { system, turns } = this.convertMessages(messages);
+    return {
+      url: `${trimTrailingSlash(baseUrl)}/messages`,
+      init: {
+        method: 'POST',
+        headers: this.headers(apiKey),
+        body: JSON.stringify({
+          model,
+          messages: turns,
+          max_tokens: maxTokens,
+          // Anthropic accepts temperatures from 0 to 1
+          temperature: Math.min(temperature, 1),
+          ...(system ? { system } : {}),
+          ...(stream ? { stream: true } : {})
+        })
+      }
+    };
+  }
+
+  parseChatResponse(data) {
+    if (!Array.isArray(data?.content)) return null;
+    const text = data.content
+      .filter(block => block?.type === 'text')
+      .map(block => block.text)
+      .join('');
+    return text || null;
+  }
+
+  parseUsage(data) {
+    return toUsage(data?.usage?.input_tokens, data?.usage?.output_tokens);
+  }
+
+  parseStreamLine(line) {
+    if (!line.startsWith('data:')) return null;
+    const event = JSON.parse(line.slice(5).trim());
+    if (event.type === 'message_stop') return { done: true };
+    // Input tokens arrive with message_start, output tokens with message_delta
+    if (event.type === 'message_start') return { usage: this.parseUsage(event.message) };
+    if (event.type === 'message_delta') return { usage: this.parseUsage(event) };
+    if (event.type === 'error') throw new Error(event.error?.message || 'Stream error');
+    if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+      return { delta: event.delta.text || '' };
+    }
+    return null;
+  }
+
+  buildModelsRequest({ baseUrl, apiKey }) {
+    return {
+      url: `${trimTrailingSlash(baseUrl)}/models`,
+      init: { headers: this.headers(apiKey) }
+    };
+  }
+
+  parseModels(data) {
+    return Array.isArray(data?.data) ? data.data.map(model => model?.id) : [];
+  }
+
+  parseErrorMessage(data) {
+    return data?.error?.message || null;
+  }
+}
+
+/**
+ * Ollama native /api/chat - local models, no key required, newline-delimited JSON streaming
+ */
+class OllamaProvider {
+  constructor() {
+    this.id = 'ollama';
+    this.requiresApiKey = false;
+    this.streamContentType = 'application/x-ndjson';
+    this.supportsResponseFormat = true;
+  }
+
+  headers(apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+    // Only needed when Ollama sits behind an authenticating proxy
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+    return headers;
+  }
+
+  buildChatRequest({ baseUrl, apiKey, model, messages, maxTokens, temperature, stream, responseFormat }) {
+    return {
+      url: `${trimTrailingSlash(baseUrl)}/api/chat`,
+      init: {
+        method: 'POST',
+        headers: this.headers(apiKey),
+        body: JSON.stringify({
+          model,
+          messages,
+          stream: !!stream,
+          // Ollama takes a JSON schema directly as the output format
+          ...(responseFormat ? { format: responseFormat.schema } : {}),
+          options: {
+            num_predict: maxTokens,
+            temperature
+          }
+        })
+      }
+    };
+  }
+
+  parseChatResponse(data) {
+    return data?.message?.content || null;
+  }
+
+  parseUsage(data) {
+    return toUsage(data?.prompt_eval_count, data?.eval_count);
+  }
+
+  parseStreamLine(line) {
+    if (!line) return null;
+    const event = JSON.parse(line);
+    if (event.error) throw new Error(event.error);
+    // Token counts come with the final (done) object
+    return {
+      delta: event.message?.content || '',
+      done: !!event.done,
+      usage: event.done ? this.parseUsage(event) : null
+    };
+  }
+
+  buildModelsRequest({ baseUrl, apiKey }) {
+    return {
+      url: `${trimTrailingSlash(baseUrl)}/api/tags`,
+      init: { headers: this.headers(apiKey) }
+    };
+  }
+
+  parseModels(data) {
+    return Array.isArray(data?.models) ? data.models.map(model => model?.name) : [];
+  }
+
+  parseErrorMessage(data) {
+    return typeof data?.error === 'string' ? data.error : null;
+  }
+}
+
+const PROVIDER_CLASSES = {
+  openai: OpenAICompatibleProvider,
+  anthropic: AnthropicProvider,
+  ollama: OllamaProvider
+};
+
+/**
+ * Create the adapter for a provider id, defaulting to OpenAI-compatible
+ */
+function createProvider(providerId) {
+  const ProviderClass = PROVIDER_CLASSES[providerId] || OpenAICompatibleProvider;
+  return new ProviderClass();
+}
+
+export { createProvider, OpenAICompatibleProvider, AnthropicProvider, OllamaProvider };
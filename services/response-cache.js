@@ -0,0 +1,97 @@
+// Nation Assistant Response Cache
+'use strict';
+
+import { STORAGE_KEYS, RESPONSE_CACHE_LIMITS } from './constants.js';
+
+/**
+ * Stores LLM answers in chrome.storage.local so repeating an action on an unchanged page
+ * (same text, action, model and prompt version) doesn't cost a new request.
+ * Entries expire after a TTL; the oldest are evicted past the entry/size limits.
+ */
+class ResponseCache {
+  constructor(limits = RESPONSE_CACHE_LIMITS) {
+    this.limits = limits;
+    // Serialize read-modify-write cycles on the shared storage entry
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * SHA-256 of everything that determines the answer
+   */
+  async createKey(parts) {
+    const data = new TextEncoder().encode(JSON.stringify(parts));
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Cached entry ({ response, createdAt }) for a key, or null when missing or expired
+   */
+  async get(key) {
+    const entries = await this.load();
+    const entry = entries[key];
+    if (!entry || this.isExpired(entry)) return null;
+    return { response: entry.response, createdAt: entry.createdAt };
+  }
+
+  async set(key, response) {
+    if (typeof response !== 'string' || !response) return;
+    const size = response.length * 2;
+    // Never let one huge answer push everything else out
+    if (size > this.limits.MAX_BYTES / 4) return;
+
+    await this.update(entries => {
+      entries[key] = { response, createdAt: Date.now(), size };
+      return this.prune(entries);
+    });
+  }
+
+  async clear() {
+    await this.update(() => ({}));
+  }
+
+  isExpired(entry) {
+    return Date.now() - entry.createdAt > this.limits.TTL_MS;
+  }
+
+  /**
+   * Drop expired entries, then the oldest until within the entry and size limits
+   */
+  prune(entries) {
+    const live = Object.entries(entries)
+      .filter(([, entry]) => entry && !this.isExpired(entry))
+      .sort(([, a], [, b]) => b.createdAt - a.createdAt);
+
+    const kept = {};
+    let totalSize = 0;
+    for (const [key, entry] of live) {
+      if (Object.keys(kept).length >= this.limits.MAX_ENTRIES) break;
+      if (totalSize + entry.size > this.limits.MAX_BYTES) break;
+      kept[key] = entry;
+      totalSize += entry.size;
+    }
+    return kept;
+  }
+
+  async load() {
+    try {
+      const result = await chrome.storage.local.get([STORAGE_KEYS.RESPONSE_CACHE]);
+      const entries = result[STORAGE_KEYS.RESPONSE_CACHE];
+      return entries && typeof entries === 'object' ? entries : {};
+    } catch (_) {
+      return {};
+    }
+  }
+
+  update(mutate) {
+    const run = this.queue.then(async () => {
+      const entries = mutate(await this.load());
+      await chrome.storage.local.set({ [STORAGE_KEYS.RESPONSE_CACHE]: entries });
+    });
+    // Keep the queue usable after a failed write
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+export { ResponseCache };
@@ -0,0 +1,372 @@
+// Nation Assistant Site Extractors - structured reading of sites the generic extraction handles poorly
+'use strict';
+
+/**
+ * Each extractor matches page URLs by pattern and reads the page's DOM into parts, in reading order:
+ * - { heading, level }: a heading (level 1-4)
+ * - { text, element? }: a paragraph, which may span lines; with an element, that element is cited for it
+ * - { element }: an element read like main content, as Markdown and with citations inside it
+ * - { code, language }: preformatted text such as a diff
+ * - { comment: { author, score, age, context, depth }, element, text? }: one post of a thread, cited as a whole
+ * extract(document, url) resolves to { title, byline, parts }, or null when the page does not have the
+ * expected layout and the generic extraction should run instead. The content script renders the parts.
+ */
+
+// A pull request's diff beyond this is cut; files further down are listed by name only
+const MAX_DIFF_CHARS = 30000;
+const DIFF_TIMEOUT_MS = 5000;
+// Answers shown besides the accepted (or top) one
+const MAX_OTHER_ANSWERS = 2;
+
+// Wikipedia sections that are lists of sources and links rather than article text
+const SKIPPED_WIKI_SECTIONS = /^(?:references|notes|footnotes|citations|sources|bibliography|further reading|external links|see also)$/i;
+const SKIPPED_WIKI_BLOCKS = [
+  '.infobox', '.navbox', '.navbox-styles', '.vertical-navbox', '.sidebar', '.reflist', '.references', '.mw-references-wrap',
+  '.hatnote', '.metadata', '.ambox', '.toc', '#toc', '.thumb', 'figure', '.mw-empty-elt', '.shortdescription',
+  '.portalbox', '.noprint', 'style', 'link', 'meta'
+].join(', ');
+const WIKI_NOISE = 'sup.reference, .mw-editsection, .noprint, style, .mw-ref';
+
+function textOf(el) {
+  if (!el) return '';
+  return (el.innerText || el.textContent || '').replace(/[\t ]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+}
+
+function singleLine(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function toNumber(value) {
+  const number = Number(String(value ?? '').replace(/[^\d-]/g, ''));
+  return value != null && String(value).trim() !== '' && Number.isFinite(number) ? number : null;
+}
+
+// Text of an element without the given descendants (footnote markers, edit links)
+function textWithout(el, selector) {
+  const clone = el.cloneNode(true);
+  clone.querySelectorAll(selector).forEach(node => node.remove());
+  // Line breaks separate values, as in an infobox's "Born" row
+  clone.querySelectorAll('br').forEach(node => node.replaceWith(' '));
+  return singleLine(clone.textContent);
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('Timed out')), ms); })
+  ]).finally(() => clearTimeout(timer));
+}
+
+function clipDiff(diff) {
+  if (diff.length <= MAX_DIFF_CHARS) return diff;
+  const cut = diff.lastIndexOf('\n', MAX_DIFF_CHARS);
+  const kept = diff.slice(0, cut > 0 ? cut : MAX_DIFF_CHARS);
+  const skippedFiles = [...diff.slice(kept.length).matchAll(/^diff --git a\/\S+ b\/(\S+)/gm)].map(match => match[1]);
+  return `${kept}\n... (diff cut here${skippedFiles.length ? `; also changed: ${skippedFiles.join(', ')}` : ''})`;
+}
+
+/**
+ * Unified diff of the files shown on a pull request's "Files changed" tab (unified or split view)
+ */
+function readRenderedDiff(doc) {
+  const files = [...doc.querySelectorAll('.file')]
+    .filter(file => !file.closest('.js-discussion') && file.querySelector('.blob-code-inner, .blob-code-hunk'));
+  return files.map(file => {
+    const path = file.querySelector('[data-path]')?.getAttribute('data-path')
+      || file.getAttribute('data-tagsearch-path')
+      || textOf(file.querySelector('.file-info a'));
+    const lines = [`diff --git a/${path} b/${path}`];
+    for (const row of file.querySelectorAll('tr')) {
+      const hunk = row.querySelector('.blob-code-hunk');
+      if (hunk) {
+        lines.push(singleLine(hunk.textContent));
+        continue;
+      }
+      let contextDone = false;
+      for (const cell of row.querySelectorAll('td.blob-code')) {
+        if (cell.classList.contains('blob-code-empty')) continue;
+        const code = (cell.querySelector('.blob-code-inner') || cell).textContent.replace(/\n$/, '');
+        if (cell.classList.contains('blob-code-deletion')) lines.push(`-${code}`);
+        else if (cell.classList.contains('blob-code-addition')) lines.push(`+${code}`);
+        else if (!contextDone) {
+          lines.push(` ${code}`);
+          contextDone = true;
+        }
+      }
+    }
+    return lines.join('\n');
+  }).join('\n');
+}
+
+/**
+ * The pull request's .diff, for the Conversation tab where no diff is rendered. The request may be
+ * blocked (it redirects to another origin); the pull request is then read without its diff.
+ */
+async function fetchDiff(url) {
+  const base = url.match(/^https:\/\/github\.com\/[^/]+\/[^/]+\/pull\/\d+/)?.[0];
+  if (!base) return '';
+  try {
+    const response = await withTimeout(fetch(`${base}.diff`, { credentials: 'include' }), DIFF_TIMEOUT_MS);
+    if (!response.ok) return '';
+    const diff = await response.text();
+    return /^diff --git /m.test(diff) ? diff : '';
+  } catch (_e) {
+    return '';
+  }
+}
+
+/**
+ * GitHub pull request or issue: title and state, the description, conversation and review comments,
+ * and a pull request's diff
+ */
+async function extractGitHubConversation(doc, url) {
+  const title = singleLine(textOf(doc.querySelector('.js-issue-title, .gh-header-title .markdown-title, [data-testid="issue-title"]')));
+  if (!title) return null;
+
+  const [, kind, number] = url.match(/\/(pull|issues)\/(\d+)/) || [];
+  const state = singleLine(textOf(doc.querySelector('.gh-header-meta .State, [data-testid="header-state"]')));
+  const summary = singleLine(textOf(doc.querySelector('.gh-header-meta .flex-auto')));
+  const parts = [{ heading: `${kind === 'pull' ? 'Pull request' : 'Issue'} #${number}: ${title}`, level: 1 }];
+  const facts = [state && `State: ${state}`, summary].filter(Boolean);
+  if (facts.length) parts.push({ text: facts.join(' · ') });
+
+  const bodies = [...doc.querySelectorAll('.js-discussion .comment-body, .review-comment .comment-body')];
+  let byline = null;
+  let commented = false;
+  bodies.forEach((body, index) => {
+    const post = body.closest('.timeline-comment, .review-comment, .js-comment') || body;
+    const author = singleLine(textOf(post.querySelector('.author')));
+    const review = post.classList.contains('review-comment');
+    if (index === 0 && !review) {
+      // The first post of the conversation is the description
+      byline = author || null;
+      parts.push({ heading: 'Description', level: 2 }, { element: body });
+      return;
+    }
+    if (!commented) parts.push({ heading: 'Comments', level: 2 });
+    commented = true;
+    const path = body.closest('[data-path]')?.getAttribute('data-path')
+      || textOf(body.closest('.file')?.querySelector('.file-info a'));
+    parts.push({
+      comment: {
+        author,
+        age: post.querySelector('relative-time')?.getAttribute('datetime')?.slice(0, 10) || null,
+        context: path ? `on ${path}` : null,
+        depth: review ? 1 : 0
+      },
+      element: body
+    });
+  });
+
+  const diff = kind === 'pull' ? readRenderedDiff(doc) || await fetchDiff(url) : '';
+  if (diff) parts.push({ heading: 'Diff', level: 2 }, { code: clipDiff(diff), language: 'diff' });
+  return { title, byline, parts };
+}
+
+function readStackExchangePost(post) {
+  const signatures = [...post.querySelectorAll('.post-signature')];
+  // An edited post lists the editor first and the author last
+  const signature = signatures[signatures.length - 1];
+  const vote = post.querySelector('.js-vote-count');
+  return {
+    element: post.querySelector('.js-post-body, .s-prose, .post-text'),
+    score: toNumber(vote?.getAttribute('data-value') ?? textOf(vote)),
+    author: singleLine(textOf(signature?.querySelector('.user-details [itemprop="name"], .user-details a'))) || null,
+    date: signature?.querySelector('.relativetime')?.getAttribute('title')?.split(/[ ,]/)[0] || null,
+    accepted: post.matches('.accepted-answer, [itemprop="acceptedAnswer"]')
+      || !!post.querySelector('.js-accepted-answer-indicator:not(.d-none)')
+  };
+}
+
+function describePost(post) {
+  return [
+    post.score != null && `Score ${post.score}`,
+    post.author && `by ${post.author}`,
+    post.date
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Stack Overflow and other Stack Exchange sites: the question with its score and tags, then the accepted
+ * answer (or the top-voted one) and the next best answers
+ */
+function extractStackExchangeQuestion(doc) {
+  const question = doc.querySelector('#question, .question');
+  const title = singleLine(textOf(doc.querySelector('#question-header h1, h1[itemprop="name"]')));
+  if (!question || !title) return null;
+
+  const asked = readStackExchangePost(question);
+  if (!asked.element) return null;
+  const tags = [...new Set([...question.querySelectorAll('.post-tag')].map(tag => singleLine(textOf(tag))))].filter(Boolean);
+  const parts = [
+    { heading: `Question: ${title}`, level: 1 },
+    { text: [describePost(asked), tags.length && `Tags: ${tags.join(', ')}`].filter(Boolean).join(' · ') },
+    { element: asked.element }
+  ];
+
+  const answers = [...doc.querySelectorAll('.answer')].map(readStackExchangePost).filter(answer => answer.element);
+  const ranked = [...answers].sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+  const first = answers.find(answer => answer.accepted) || ranked[0];
+  if (first) {
+    parts.push(
+      { heading: first.accepted ? 'Accepted answer' : 'Top answer', level: 2 },
+      { text: describePost(first) },
+      { element: first.element }
+    );
+  }
+  for (const answer of ranked.filter(answer => answer !== first).slice(0, MAX_OTHER_ANSWERS)) {
+    parts.push({ heading: 'Other answer', level: 2 }, { text: describePost(answer) }, { element: answer.element });
+  }
+  if (answers.length > MAX_OTHER_ANSWERS + 1) {
+    parts.push({ text: `(${answers.length - MAX_OTHER_ANSWERS - 1} more answers not included)` });
+  }
+  return { title, byline: asked.author, parts };
+}
+
+function readInfobox(infobox) {
+  const facts = [];
+  for (const row of infobox.querySelectorAll('tr')) {
+    const label = row.querySelector('th');
+    const value = row.querySelector('td');
+    if (!label || !value) continue;
+    const text = textWithout(value, WIKI_NOISE);
+    if (text) facts.push(`- ${textWithout(label, WIKI_NOISE)}: ${text}`);
+  }
+  return facts.join('\n');
+}
+
+/**
+ * Wikipedia article: the infobox as facts, then the article's sections, without references and navigation boxes
+ */
+function extractWikipediaArticle(doc) {
+  const root = doc.querySelector('#mw-content-text .mw-parser-output');
+  const title = singleLine(textOf(doc.querySelector('#firstHeading')));
+  if (!root || !title) return null;
+
+  const parts = [{ heading: title, level: 1 }];
+  const infobox = root.querySelector('table.infobox');
+  const facts = infobox ? readInfobox(infobox) : '';
+  if (facts) parts.push({ heading: 'Infobox', level: 2 }, { text: facts, element: infobox });
+
+  // Level of the section being skipped; headings at that level or above end it
+  let skipping = null;
+  const walk = (container) => {
+    for (const el of container.children) {
+      const heading = el.matches('h2, h3, h4, h5') ? el : el.matches('.mw-heading') ? el.querySelector('h2, h3, h4, h5') : null;
+      if (heading) {
+        const level = Number(heading.tagName[1]);
+        const text = textWithout(heading, WIKI_NOISE);
+        if (skipping !== null && level > skipping) continue;
+        skipping = SKIPPED_WIKI_SECTIONS.test(text) ? level : null;
+        if (skipping === null && text) parts.push({ heading: text, level: Math.min(level, 4) });
+        continue;
+      }
+      if (skipping !== null || el.matches(SKIPPED_WIKI_BLOCKS)) continue;
+
+      if (el.matches('p')) {
+        const text = textWithout(el, WIKI_NOISE);
+        if (text) parts.push({ text, element: el });
+      } else if (el.matches('ul, ol')) {
+        const items = [...el.children].filter(item => item.matches('li'))
+          .map((item, index) => `${el.matches('ol') ? `${index + 1}.` : '-'} ${textWithout(item, WIKI_NOISE)}`);
+        if (items.length) parts.push({ text: items.join('\n'), element: el });
+      } else if (el.matches('dl')) {
+        const lines = [...el.children].map(item => textWithout(item, WIKI_NOISE)).filter(Boolean);
+        if (lines.length) parts.push({ text: lines.join('\n'), element: el });
+      } else if (el.matches('table.wikitable, blockquote, pre')) {
+        parts.push({ element: el });
+      } else if (el.matches('section, div')) {
+        walk(el);
+      }
+    }
+  };
+  walk(root);
+  return { title, byline: null, parts };
+}
+
+/**
+ * Hacker News item: the story (or the comment the page is about) and the comment tree under it
+ */
+function extractHackerNewsThread(doc) {
+  const item = doc.querySelector('.fatitem');
+  if (!item) return null;
+
+  const link = item.querySelector('.titleline > a');
+  const author = singleLine(textOf(item.querySelector('.hnuser'))) || null;
+  const title = singleLine(textOf(link)) || (author ? `Comment by ${author}` : 'Hacker News thread');
+  const points = toNumber(textOf(item.querySelector('.score')));
+  const facts = [
+    points != null && `${points} points`,
+    author && `by ${author}`,
+    singleLine(textOf(item.querySelector('.age'))),
+    link && /^https?:/i.test(link.getAttribute('href') || '') && `Link: ${link.href}`
+  ].filter(Boolean);
+  const parts = [{ heading: title, level: 1 }];
+  if (facts.length) parts.push({ text: facts.join(' · ') });
+  const text = item.querySelector('.toptext, .commtext');
+  if (text && textOf(text)) parts.push({ element: text });
+
+  const rows = [...doc.querySelectorAll('tr.athing.comtr')];
+  if (rows.length) parts.push({ heading: 'Comments', level: 2 });
+  for (const row of rows) {
+    const body = row.querySelector('.commtext');
+    // Deleted and flagged comments have no text
+    if (!body) continue;
+    const indent = row.querySelector('td.ind');
+    const depth = toNumber(indent?.getAttribute('indent'))
+      ?? Math.round((toNumber(indent?.querySelector('img')?.getAttribute('width')) || 0) / 40);
+    parts.push({
+      comment: {
+        author: singleLine(textOf(row.querySelector('.hnuser'))) || null,
+        age: singleLine(textOf(row.querySelector('.age'))) || null,
+        depth
+      },
+      element: body
+    });
+  }
+  return { title, byline: author, parts };
+}
+
+const SITE_EXTRACTORS = [
+  {
+    id: 'github-pr',
+    label: 'GitHub pull request',
+    pattern: /^https:\/\/github\.com\/[^/]+\/[^/]+\/pull\/\d+/,
+    extract: extractGitHubConversation
+  },
+  {
+    id: 'github-issue',
+    label: 'GitHub issue',
+    pattern: /^https:\/\/github\.com\/[^/]+\/[^/]+\/issues\/\d+/,
+    extract: extractGitHubConversation
+  },
+  {
+    id: 'stack-exchange',
+    label: 'Stack Exchange question',
+    pattern: /^https:\/\/(?:[\w-]+\.)?(?:stackoverflow\.com|stackexchange\.com|superuser\.com|serverfault\.com|askubuntu\.com|mathoverflow\.net|stackapps\.com)\/questions\/\d+/,
+    extract: extractStackExchangeQuestion
+  },
+  {
+    id: 'wikipedia',
+    label: 'Wikipedia article',
+    pattern: /^https:\/\/[\w-]+\.(?:m\.)?wikipedia\.org\/wiki\/(?!(?:Special|Talk|User|User_talk|Wikipedia|File|Help|Category|Portal|Template):)/,
+    extract: extractWikipediaArticle
+  },
+  {
+    id: 'hacker-news',
+    label: 'Hacker News thread',
+    pattern: /^https:\/\/news\.ycombinator\.com\/item\?(?:[^#]*&)?id=\d+/,
+    extract: extractHackerNewsThread
+  }
+];
+
+function findSiteExtractor(url) {
+  return SITE_EXTRACTORS.find(extractor => extractor.pattern.test(url || '')) || null;
+}
+
+function getSiteExtractorLabel(id) {
+  return SITE_EXTRACTORS.find(extractor => extractor.id === id)?.label || id;
+}
+
+export { SITE_EXTRACTORS, findSiteExtractor, getSiteExtractorLabel };
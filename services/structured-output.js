@@ -0,0 +1,115 @@
+// Nation Assistant Structured Output - JSON schemas, parsing and validation
+'use strict';
+
+/**
+ * Schemas for actions that return objects instead of Markdown.
+ * Each entry is { name, schema } with a JSON Schema subset: type, properties, required,
+ * additionalProperties, items, enum, minLength, minItems, maxItems, minimum, maximum.
+ */
+const SCHEMAS = {
+  translation: {
+    name: 'translation',
+    schema: {
+      type: 'object',
+      properties: {
+        detectedLanguage: { type: 'string', minLength: 1, description: 'Language of the source text' },
+        targetLanguage: { type: 'string', minLength: 1, description: 'Language translated into' },
+        translation: { type: 'string', minLength: 1, description: 'The translated text' }
+      },
+      required: ['detectedLanguage', 'targetLanguage', 'translation'],
+      additionalProperties: false
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validate a value against a schema; returns a list of human-readable problems (empty when valid)
+ */
+function validateAgainstSchema(value, schema, path = '$') {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') return errors;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path} should be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string' && Number.isFinite(schema.minLength) && value.trim().length < schema.minLength) {
+    errors.push(`${path} should not be empty`);
+  }
+
+  if (typeof value === 'number') {
+    if (Number.isFinite(schema.minimum) && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+    if (Number.isFinite(schema.maximum) && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (Number.isFinite(schema.minItems) && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} items`);
+    }
+    if (Number.isFinite(schema.maxItems) && value.length > schema.maxItems) {
+      errors.push(`${path} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateAgainstSchema(child, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse the JSON object in a model reply, tolerating code fences and text around it.
+ * Throws a SyntaxError when there is no parseable JSON.
+ */
+function parseJsonResponse(text) {
+  const trimmed = (text || '').trim();
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1].trim() : trimmed;
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    // Fall back to the outermost {...} or [...] span
+    const start = candidate.search(/[{[]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(candidate.slice(start, end + 1));
+  }
+}
+
+export { SCHEMAS, validateAgainstSchema, parseJsonResponse };
@@ -0,0 +1,113 @@
+// Nation Assistant Transcripts - WebVTT/SRT caption parsing and timestamped transcripts
+'use strict';
+
+/**
+ * Captions come from a video's <track kind="captions|subtitles"> file, WebVTT or SRT.
+ * Transcripts reach the model as paragraphs that start with their video's id and the time they begin
+ * ("[v2 12:34] ..."); answers cite moments the same way and the side panel turns those into links
+ * that seek that video.
+ */
+
+// Paragraphs start a new timestamp after this long, at the next sentence end (or twice this long regardless)
+const PARAGRAPH_SECONDS = 30;
+
+// "[v2 12:34]" or "[v1 1:02:03]" in an answer; the video id may be missing ("[12:34]")
+const TIMESTAMP_PATTERN = /\[(?:(v\d+) )?((?:\d{1,2}:)?\d{1,2}:\d{2})\]/g;
+
+const CUE_TIME = /(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?/;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', lrm: '', rlm: '' };
+
+function parseCueTime(value) {
+  const match = CUE_TIME.exec(value || '');
+  if (!match) return null;
+  const [, hours = 0, minutes, seconds, fraction = '0'] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(`0.${fraction}`);
+}
+
+/**
+ * Cue text without markup: WebVTT voice/class/timestamp tags, SRT font tags and {\an8} overrides, entities
+ */
+function cleanCueText(text) {
+  return text
+    .replace(/<[^>]*>/g, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/&(#\d+|#x[\da-f]+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+      }
+      return ENTITIES[name.toLowerCase()] ?? entity;
+    })
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Cues of a WebVTT or SRT file: [{ start, end, text }] with times in seconds, in file order
+ */
+function parseCaptions(source) {
+  const cues = [];
+  const blocks = String(source || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timing = lines.findIndex(line => line.includes('-->'));
+    // Header, NOTE, STYLE and REGION blocks have no timing line
+    if (timing === -1) continue;
+    const [from, to] = lines[timing].split('-->');
+    const start = parseCueTime(from);
+    const end = parseCueTime(to);
+    const text = cleanCueText(lines.slice(timing + 1).join('\n'));
+    if (start === null || !text) continue;
+    cues.push({ start, end: end ?? start, text });
+  }
+  return cues;
+}
+
+/**
+ * Seconds as "m:ss", or "h:mm:ss" from an hour on
+ */
+function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const rest = String(total % 60).padStart(2, '0');
+  return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+/**
+ * "12:34" or "1:02:03" -> seconds, or null
+ */
+function parseTimestamp(value) {
+  const parts = String(value || '').split(':').map(Number);
+  if (parts.length < 2 || parts.length > 3 || parts.some(part => !Number.isFinite(part))) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Cues as timestamped paragraphs, each timestamp led by videoId when given. Lines repeated from the
+ * previous cue (rolling captions) are dropped.
+ */
+function formatTranscript(cues, videoId = '') {
+  const paragraphs = [];
+  let current = null;
+  let previousLines = [];
+  for (const cue of cues) {
+    const lines = cue.text.split('\n').filter(line => !previousLines.includes(line));
+    previousLines = cue.text.split('\n');
+    if (lines.length === 0) continue;
+
+    const elapsed = current ? cue.start - current.start : 0;
+    const sentenceEnded = current && /[.!?…]["')\]]?$/.test(current.text);
+    if (!current || (elapsed >= PARAGRAPH_SECONDS && sentenceEnded) || elapsed >= PARAGRAPH_SECONDS * 2) {
+      current = { start: cue.start, text: '' };
+      paragraphs.push(current);
+    }
+    current.text = [current.text, ...lines].filter(Boolean).join(' ');
+  }
+  const prefix = videoId ? `${videoId} ` : '';
+  return paragraphs.map(paragraph => `[${prefix}${formatTimestamp(paragraph.start)}] ${paragraph.text}`).join('\n\n');
+}
+
+export { TIMESTAMP_PATTERN, cleanCueText, parseCaptions, formatTimestamp, parseTimestamp, formatTranscript };
@@ -0,0 +1,168 @@
+// Nation Assistant Usage Tracker
+'use strict';
+
+import { STORAGE_KEYS, DEFAULT_MODEL_PRICES, USAGE_RETENTION_DAYS, USAGE_LIMIT_TYPES } from './constants.js';
+
+/**
+ * Local calendar day (YYYY-MM-DD) used to bucket usage
+ */
+function dayKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function emptyTotals() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpricedRequests: 0 };
+}
+
+/**
+ * Estimated cost in USD from per-million-token prices, or null when the model has no price
+ */
+function estimateCost(model, promptTokens, completionTokens, prices = {}) {
+  const price = prices[model] || DEFAULT_MODEL_PRICES[model];
+  if (!price) return null;
+  return (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1e6;
+}
+
+/**
+ * Records prompt/completion tokens per request in chrome.storage.local, bucketed by day and
+ * tagged with action, model and domain, and summarizes them for the options page.
+ */
+class UsageTracker {
+  constructor() {
+    // Serialize read-modify-write cycles on the shared storage entry
+    this.queue = Promise.resolve();
+  }
+
+  async record({ action, model, domain, promptTokens = 0, completionTokens = 0, estimated = false }) {
+    const today = dayKey(new Date());
+    const key = [action, model, domain].join('|');
+
+    await this.update(stats => {
+      const day = stats.days[today] || (stats.days[today] = {});
+      const entry = day[key] || (day[key] = {
+        action: action || 'unknown',
+        model: model || 'unknown',
+        domain: domain || 'unknown',
+        requests: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        estimatedRequests: 0
+      });
+      entry.requests += 1;
+      entry.promptTokens += promptTokens;
+      entry.completionTokens += completionTokens;
+      if (estimated) entry.estimatedRequests += 1;
+      return this.prune(stats);
+    });
+  }
+
+  /**
+   * Today's and this month's totals with cost, broken down by action, model and domain
+   */
+  async getSummary(prices = {}, now = new Date()) {
+    const stats = await this.load();
+    const today = dayKey(now);
+    const monthPrefix = today.slice(0, 8);
+
+    const summarize = (dayKeys) => {
+      const totals = emptyTotals();
+      const groups = { action: {}, model: {}, domain: {} };
+
+      for (const key of dayKeys) {
+        for (const entry of Object.values(stats.days[key] || {})) {
+          const cost = estimateCost(entry.model, entry.promptTokens, entry.completionTokens, prices);
+          const add = (target) => {
+            target.requests += entry.requests;
+            target.promptTokens += entry.promptTokens;
+            target.completionTokens += entry.completionTokens;
+            if (cost === null) target.unpricedRequests += entry.requests;
+            else target.cost += cost;
+          };
+          add(totals);
+          for (const field of Object.keys(groups)) {
+            const name = entry[field];
+            add(groups[field][name] || (groups[field][name] = { name, ...emptyTotals() }));
+          }
+        }
+      }
+
+      const byTokens = (a, b) => (b.promptTokens + b.completionTokens) - (a.promptTokens + a.completionTokens);
+      return {
+        totals,
+        byAction: Object.values(groups.action).sort(byTokens),
+        byModel: Object.values(groups.model).sort(byTokens),
+        byDomain: Object.values(groups.domain).sort(byTokens)
+      };
+    };
+
+    return {
+      today: summarize([today]),
+      month: summarize(Object.keys(stats.days).filter(key => key.startsWith(monthPrefix)))
+    };
+  }
+
+  /**
+   * Usage against each configured cap: [{ id, label, metric, used, limit, ratio }]
+   */
+  async getLimitStatus(limits = {}, prices = {}) {
+    const configured = USAGE_LIMIT_TYPES.filter(type => Number(limits[type.id]) > 0);
+    if (!configured.length) return [];
+
+    const summary = await this.getSummary(prices);
+    return configured.map(type => {
+      const { totals } = summary[type.period];
+      const used = type.metric === 'cost' ? totals.cost : totals.promptTokens + totals.completionTokens;
+      const limit = Number(limits[type.id]);
+      return { id: type.id, label: type.label, metric: type.metric, used, limit, ratio: used / limit };
+    });
+  }
+
+  /**
+   * Models that appear in the stored usage, for the price table
+   */
+  async getModels() {
+    const stats = await this.load();
+    const models = new Set();
+    Object.values(stats.days).forEach(day => Object.values(day).forEach(entry => models.add(entry.model)));
+    return [...models].sort();
+  }
+
+  async clear() {
+    await this.update(() => ({ days: {} }));
+  }
+
+  /**
+   * Keep the last USAGE_RETENTION_DAYS days - enough for the current month
+   */
+  prune(stats) {
+    const cutoff = dayKey(new Date(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    for (const key of Object.keys(stats.days)) {
+      if (key < cutoff) delete stats.days[key];
+    }
+    return stats;
+  }
+
+  async load() {
+    try {
+      const result = await chrome.storage.local.get([STORAGE_KEYS.USAGE_STATS]);
+      const stats = result[STORAGE_KEYS.USAGE_STATS];
+      return stats?.days && typeof stats.days === 'object' ? stats : { days: {} };
+    } catch (_) {
+      return { days: {} };
+    }
+  }
+
+  update(mutate) {
+    const run = this.queue.then(async () => {
+      const stats = mutate(await this.load());
+      await chrome.storage.local.set({ [STORAGE_KEYS.USAGE_STATS]: stats });
+    });
+    // Keep the queue usable after a failed write
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+export { UsageTracker, estimateCost };
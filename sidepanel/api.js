@@ -2,7 +2,7 @@
 'use strict';
 
 import { state, updateState } from './state.js';
-import { logger, validateAndSanitizeInput } from './utils.js';
+import { logger, validateAndSanitizeInput, createRequestId } from './utils.js';
 import {
     addAIMessage,
     addSystemMessage,
@@ -13,9 +13,338 @@ import {
     updateTypingIndicator,
     setProcessing,
     handleInputChange,
-    smoothScrollToBottom
+    smoothScrollToBottom,
+    createStreamingMessage,
+    markMessageCached,
+    addExplainDepthOptions,
+    addCitationSources,
+    updatePageSource,
+    addTableList,
+    setFocusedTable
 } from './ui.js';
-import { MESSAGE_TYPES, STORAGE_KEYS } from '../services/constants.js';
+import { MESSAGE_TYPES, STORAGE_KEYS, EXPLAIN_DEPTHS } from '../services/constants.js';
+
+// Status text shown for each progress stage reported by the background
+const STAGE_LABELS = {
+    reading: 'SCANNING...',
+    analyzing: 'PROCESSING...',
+    generating: 'GENERATING...'
+};
+
+// Timestamp of the last context menu action handled, so none runs twice
+let lastContextActionTimestamp = null;
+
+// Typing indicator text while the background waits to retry a failed request
+const RETRY_LABELS = {
+    rateLimit: 'Rate limited',
+    unavailable: 'Service busy',
+    network: 'Connection lost'
+};
+
+// Upper bound on remembered turns; the background trims further to its token budget
+const MAX_HISTORY_MESSAGES = 40;
+
+/**
+ * Remember a completed question/answer pair for follow-up questions
+ */
+function recordExchange(question, answer) {
+    if (!question || !answer) return;
+    const history = [
+        ...state.conversationHistory,
+        { role: 'user', content: question },
+        { role: 'assistant', content: answer }
+    ].slice(-MAX_HISTORY_MESSAGES);
+    updateState({ conversationHistory: history });
+}
+
+/**
+ * Forget the most recent exchange when it is being asked again (regenerate/re-run)
+ */
+function forgetLastExchange(question) {
+    const history = state.conversationHistory;
+    const lastQuestion = history[history.length - 2];
+    if (lastQuestion?.role === 'user' && lastQuestion.content === question) {
+        updateState({ conversationHistory: history.slice(0, -2) });
+    }
+}
+
+/**
+ * Register a new streamed request; background broadcasts carrying its requestId are rendered live
+ */
+function beginStream() {
+    const stream = { requestId: createRequestId(), message: null };
+    updateState({ activeStream: stream });
+    return stream;
+}
+
+/**
+ * Render the final answer of a stream, reusing the live message if chunks already arrived.
+ * Answers served from the background's response cache get a "cached" badge, cited
+ * page passages are listed under the answer, and the context bar shows how the page was read.
+ */
+function completeStream(stream, { response, cached = false, cachedAt = null, citations = null, page = null }) {
+    stopRetryCountdown(stream);
+    if (page) updatePageSource(page);
+    const messageEl = stream.message ? stream.message.finish(response) : addAIMessage(response);
+    if (cached && messageEl) {
+        markMessageCached(messageEl, cachedAt);
+    }
+    if (citations && messageEl) {
+        addCitationSources(messageEl, citations, response);
+    }
+    return messageEl;
+}
+
+/**
+ * The frame an id from the last page capture belongs to, and the id the frame knows it by.
+ * `kind` is 'citations' or 'videos'; ids that no frame gave are the top frame's.
+ */
+function locateInFrame(kind, id) {
+    const frame = state.pageFrames.find(item => id && item[kind]?.[id]);
+    return frame ? { frameId: frame.frameId, id: frame[kind][id] } : { frameId: 0, id };
+}
+
+/**
+ * Ask the page to play one of its captioned videos (videoId, e.g. "v2") from `time` seconds
+ */
+export async function seekVideo(time, videoId) {
+    const target = locateInFrame('videos', videoId);
+    try {
+        const response = await chrome.tabs.sendMessage(state.currentTabId, {
+            type: MESSAGE_TYPES.SEEK_VIDEO,
+            videoId: target.id,
+            time
+        }, { frameId: target.frameId });
+        if (!response?.found) {
+            addSystemMessage('There is no video on the page to jump to. It may have been removed or the page reloaded.');
+        }
+    } catch (error) {
+        logger.warn('Could not seek the video:', error.message);
+        addSystemMessage('Could not reach the page to play the video. Make sure its tab is still open.');
+    }
+}
+
+/**
+ * Ask the page to scroll to a cited passage and highlight it
+ */
+export async function showCitationSource(citationId) {
+    const target = locateInFrame('citations', citationId);
+    try {
+        const response = await chrome.tabs.sendMessage(state.currentTabId, {
+            type: MESSAGE_TYPES.SHOW_CITATION,
+            citationId: target.id
+        }, { frameId: target.frameId });
+        if (!response?.found) {
+            addSystemMessage('That passage is no longer on the page. It may have changed or been reloaded since this answer.');
+        }
+    } catch (error) {
+        logger.warn('Could not show citation:', error.message);
+        addSystemMessage('Could not reach the page to show that passage. Make sure its tab is still open.');
+    }
+}
+
+/**
+ * List the data tables on the current page in the chat
+ */
+export async function listPageTables() {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.LIST_TABLES, tabId: state.currentTabId });
+        if (!response?.success) throw new Error(response?.error || 'No response from the page');
+        addTableList(Array.isArray(response.data?.tables) ? response.data.tables : []);
+    } catch (error) {
+        logger.warn('Could not list tables:', error.message);
+        addSystemMessage(`Could not read the tables on this page. ${error.message}`);
+    }
+}
+
+/**
+ * Save a listed table ({ id, title }) as a CSV file
+ */
+export async function downloadTableCsv(table) {
+    try {
+        const response = await chrome.runtime.sendMessage({
+            type: MESSAGE_TYPES.GET_TABLE,
+            tabId: state.currentTabId,
+            tableId: table.id
+        });
+        if (!response?.success) throw new Error(response?.error || 'No response from the page');
+        if (!response.data?.table) {
+            addSystemMessage('That table is no longer on the page. List the tables again to pick another one.');
+            return;
+        }
+
+        // The byte order mark makes spreadsheet apps read the file as UTF-8
+        const blob = new Blob(['\ufeff', response.data.table.csv], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${table.title.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'table'}.csv`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+        logger.warn('Could not download table:', error.message);
+        addSystemMessage(`Could not download the table. ${error.message}`);
+    }
+}
+
+/**
+ * Drop a stream whose request failed so the error is shown on its own
+ */
+function abortStream(stream) {
+    stopRetryCountdown(stream);
+    stream.message?.discard();
+    stream.message = null;
+}
+
+/**
+ * Error for a failed background response, keeping the server-requested retry delay for the error card
+ */
+function createResponseError(response, fallbackMessage) {
+    const error = new Error(response?.error || fallbackMessage);
+    error.retryAfter = response?.retryAfter;
+    error.limitReached = !!response?.limitReached;
+    return error;
+}
+
+/**
+ * Send a request to the background; when its input is above the action's ceiling, ask the user
+ * before sending it again with confirmLargeInput. Resolves to { declined: true } if they say no.
+ */
+async function sendWithInputConfirmation(request, stream) {
+    const response = await chrome.runtime.sendMessage(request);
+    if (!response?.needsConfirmation || stream.cancelled) return response;
+
+    const { inputTokens, ceiling } = response.needsConfirmation;
+    const confirmed = window.confirm(
+        `This page is large: about ${inputTokens.toLocaleString('en-US')} tokens would be sent, ` +
+        `above the ${ceiling.toLocaleString('en-US')}-token ceiling set for this action.\n\nSend it anyway?`
+    );
+    if (!confirmed) return { success: false, declined: true };
+
+    return chrome.runtime.sendMessage({ ...request, confirmLargeInput: true });
+}
+
+/**
+ * Show the background's "80% of your limit used" warning once per limit in this session
+ */
+function showUsageWarning(warning) {
+    if (!warning || state.shownUsageWarnings.has(warning.id)) return;
+    state.shownUsageWarnings.add(warning.id);
+    addSystemMessage(`⚠️ ${warning.message}`);
+}
+
+/**
+ * Count down "Rate limited, retrying in 8s" in the typing indicator until the next attempt
+ */
+function startRetryCountdown(stream, { delayMs, reason }) {
+    stopRetryCountdown(stream);
+    const label = RETRY_LABELS[reason] || 'Request failed';
+    let remaining = Math.max(1, Math.ceil(delayMs / 1000));
+
+    const render = () => {
+        const text = `${label}, retrying in ${remaining}s`;
+        updateTypingIndicator(text, 'retrying');
+        setProcessing(true, text, 'retrying');
+    };
+
+    render();
+    stream.retryTimer = setInterval(() => {
+        remaining--;
+        if (remaining > 0) {
+            render();
+        } else {
+            stopRetryCountdown(stream);
+            updateTypingIndicator('RETRYING...', 'analyzing');
+        }
+    }, 1000);
+    state.activeIntervals.add(stream.retryTimer);
+}
+
+function stopRetryCountdown(stream) {
+    if (!stream.retryTimer) return;
+    clearInterval(stream.retryTimer);
+    state.activeIntervals.delete(stream.retryTimer);
+    stream.retryTimer = null;
+}
+
+/**
+ * Progress through a long page that is read part by part before the answer is written
+ */
+function showCondenseProgress({ completed, total }) {
+    const label = completed < total
+        ? `READING PART ${completed + 1}/${total}...`
+        : `MERGING ${total} PARTS...`;
+    updateTypingIndicator(label, 'analyzing', { completed, total });
+    setProcessing(true, label, 'analyzing');
+}
+
+/**
+ * Keep whatever was generated before the user pressed Stop, marked as interrupted
+ */
+function completeCancelledStream(stream, question) {
+    stopRetryCountdown(stream);
+    const partial = stream.message?.content?.trim();
+    if (partial) {
+        stream.message.finish(partial, { interrupted: true });
+        recordExchange(question, partial);
+    } else {
+        abortStream(stream);
+        addSystemMessage('Generation stopped.');
+    }
+}
+
+/**
+ * Ask the background to abort the running request (Stop button / Escape)
+ */
+export async function cancelActiveRequest() {
+    const stream = state.activeStream;
+    if (!stream || stream.cancelled) return;
+
+    stream.cancelled = true;
+    setProcessing(true, 'STOPPING...', 'thinking');
+    logger.log('Cancelling request:', stream.requestId);
+
+    try {
+        await chrome.runtime.sendMessage({
+            type: MESSAGE_TYPES.CANCEL_REQUEST,
+            requestId: stream.requestId
+        });
+    } catch (error) {
+        logger.warn('Failed to send cancel request:', error.message);
+    }
+}
+
+/**
+ * Handle STREAM_STATUS / STREAM_CHUNK broadcasts from the background
+ */
+export function handleStreamMessage(message) {
+    const stream = state.activeStream;
+    if (!stream || stream.cancelled || message.requestId !== stream.requestId) return;
+
+    if (message.type === MESSAGE_TYPES.STREAM_STATUS) {
+        if (message.stage === 'retrying' && message.retry) {
+            startRetryCountdown(stream, message.retry);
+            return;
+        }
+        stopRetryCountdown(stream);
+        if (message.stage === 'condensing' && message.progress) {
+            showCondenseProgress(message.progress);
+            return;
+        }
+        const label = STAGE_LABELS[message.stage] || 'PROCESSING...';
+        updateTypingIndicator(label, message.stage);
+        setProcessing(true, label, message.stage);
+        return;
+    }
+
+    if (message.type === MESSAGE_TYPES.STREAM_CHUNK) {
+        if (!stream.message) {
+            hideTypingIndicator();
+            stream.message = createStreamingMessage();
+        }
+        stream.message?.append(message.delta);
+    }
+}
 
 export async function handleSendMessage(messageText = null, isRegenerate = false) {
     const chatInput = document.getElementById('chat-input');
@@ -83,42 +412,59 @@ export async function handleSendMessage(messageText = null, isRegenerate = false
         }
     }
 
+    // A regenerated answer replaces the previous one in the conversation memory
+    if (isRegenerate) {
+        forgetLastExchange(sanitizedMessage);
+    }
+
+    // Progress stages and answer text arrive as background broadcasts for this request
+    const stream = beginStream();
+
     // Show immediate feedback with sleek status updates
     showTypingIndicator('SCANNING...', 'reading');
     setProcessing(true, isRegenerate ? 'REGENERATING...' : 'SCANNING...', 'reading');
 
     try {
-        // Progressive status updates with terminal-style messages
-        setTimeout(() => {
-            updateTypingIndicator('PROCESSING...', 'analyzing');
-            setProcessing(true, 'PROCESSING...', 'analyzing');
-        }, 800);
-
-        setTimeout(() => {
-            updateTypingIndicator('GENERATING...', 'generating');
-            setProcessing(true, 'GENERATING...', 'generating');
-        }, 1600);
-
-        const response = await chrome.runtime.sendMessage({
+        const request = {
             type: MESSAGE_TYPES.CHAT_WITH_PAGE,
             tabId: state.currentTabId,
             question: sanitizedMessage,
-            selectedText
-        });
+            selectedText,
+            tableId: state.focusedTable?.id,
+            history: state.conversationHistory,
+            requestId: stream.requestId,
+            // Regenerating asks for a fresh answer rather than the cached one
+            bypassCache: isRegenerate
+        };
+        const response = await sendWithInputConfirmation(request, stream);
 
         hideTypingIndicator();
 
         if (response?.success) {
-            addAIMessage(response.data.response);
+            completeStream(stream, response.data);
+            recordExchange(sanitizedMessage, response.data.response);
+            showUsageWarning(response.data.usageWarning);
+        } else if (response?.declined) {
+            abortStream(stream);
+            addSystemMessage('Request not sent.');
+        } else if (response?.cancelled || stream.cancelled) {
+            completeCancelledStream(stream, sanitizedMessage);
         } else {
-            throw new Error(response?.error || 'Unknown error');
+            throw createResponseError(response, 'Unknown error');
         }
     } catch (error) {
         hideTypingIndicator();
+        if (stream.cancelled) {
+            completeCancelledStream(stream, sanitizedMessage);
+            return;
+        }
+        abortStream(stream);
 
         showError(error.message, {
             apiKey: error.message.includes('API key') || error.message.includes('401'),
-            connection: error.message.includes('fetch') || error.message.includes('Failed to fetch')
+            connection: error.message.includes('fetch') || error.message.includes('Failed to fetch'),
+            retryAfter: error.retryAfter,
+            limitReached: error.limitReached
         });
     } finally {
         // Comprehensive cleanup in finally block
@@ -128,7 +474,7 @@ export async function handleSendMessage(messageText = null, isRegenerate = false
             userMessageEl?.classList.remove('loading');
 
             // Always reset processing state
-            updateState({ isProcessing: false });
+            updateState({ isProcessing: false, activeStream: null });
             setProcessing(false);
 
             // Re-enable input and focus
@@ -150,9 +496,10 @@ export async function handleSendMessage(messageText = null, isRegenerate = false
 }
 
 /**
- * Retry the last action (chat message or smart action)
+ * Retry the last action (chat message or smart action).
+ * options.bypassCache asks for a fresh answer for smart actions (chat retries always skip the cache).
  */
-export function retryLastMessage() {
+export function retryLastMessage(options = {}) {
     try {
         logger.log('Retry attempt - lastAction:', state.lastAction, 'isProcessing:', state.isProcessing);
 
@@ -180,7 +527,8 @@ export function retryLastMessage() {
             } else if (state.lastAction.type === 'smart') {
                 // Retry smart action - import dynamically to avoid circular imports
                 import('./ui.js').then(({ handleSmartAction }) => {
-                    handleSmartAction(state.lastAction.data.actionType);
+                    const { actionType, selectedText, depth } = state.lastAction.data;
+                    handleSmartAction(actionType, { ...options, selectedText, depth });
                 }).catch(error => {
                     logger.error('Failed to load smart action handler for retry:', error);
                     addSystemMessage("Failed to retry smart action. Please try again manually.");
@@ -205,6 +553,9 @@ export async function loadCurrentTab() {
             const tabUrl = document.getElementById('tab-url');
             if (tabTitle) tabTitle.textContent = tab.title || 'Current Page';
             if (tabUrl) tabUrl.textContent = tab.url ? new URL(tab.url).hostname : '';
+            // Known again after the next answer for this page
+            updatePageSource(null);
+            setFocusedTable(null);
         }
     } catch (error) {
         // Silently handle error
@@ -229,6 +580,10 @@ export async function handleContextAction() {
 
         if (!contextAction) return;
 
+        // Startup and the storage listener can both see the same action
+        if (contextAction.timestamp && contextAction.timestamp === lastContextActionTimestamp) return;
+        lastContextActionTimestamp = contextAction.timestamp;
+
         // Check if context action is stale (older than 5 minutes)
         const now = Date.now();
         const actionAge = now - (contextAction.timestamp || 0);
@@ -240,8 +595,10 @@ export async function handleContextAction() {
             return;
         }
 
-        // Validate context action data
-        if (!contextAction.action || (!contextAction.text && !contextAction.originalText)) {
+        // Validate context action data - custom actions may run on the whole page without a selection,
+        // and the explain command reads the selection from the page itself
+        const needsText = contextAction.action !== 'custom' && contextAction.action !== 'explain';
+        if (!contextAction.action || (needsText && !contextAction.text && !contextAction.originalText)) {
             logger.warn('Invalid context action data, cleaning up');
             chrome.storage.local.remove([STORAGE_KEYS.CONTEXT_ACTION]);
             return;
@@ -270,9 +627,12 @@ export async function handleContextAction() {
                 case 'summarize':
                     handleSummarizeAction(contextAction);
                     break;
-                // case 'explain':
-                //     handleExplainAction(contextAction);
-                //     break;
+                case 'custom':
+                    handleCustomContextAction(contextAction);
+                    break;
+                case 'explain':
+                    handleExplainAction(contextAction);
+                    break;
                 default:
                     // Generic context action - handle legacy format
                     if (contextAction.text || contextAction.originalText) {
@@ -348,8 +708,14 @@ function handleTranslateAction(contextAction) {
     }
 }
 
+/**
+ * Run a page action in the background and render its answer.
+ * onComplete(messageEl, data) is called once a successful answer is shown.
+ */
 export async function _sendPageAction(action) {
-    const { type, payload = {}, processingMessage } = action;
+    const { type, payload = {}, processingMessage, historyLabel, bypassCache = false, onComplete } = action;
+    // What the user effectively asked, as remembered in the conversation history
+    const question = historyLabel || payload.question;
     logger.log(`_sendPageAction called:`, { type, payload, isProcessing: state.isProcessing });
 
     if (state.isProcessing) {
@@ -358,26 +724,52 @@ export async function _sendPageAction(action) {
     }
 
     updateState({ isProcessing: true });
+    forgetLastExchange(question);
+    const stream = beginStream();
     setProcessing(true, processingMessage, 'analyzing');
+    // Stage and long-page progress updates are shown in the typing indicator
+    showTypingIndicator(processingMessage, 'analyzing');
 
     try {
-        const response = await chrome.runtime.sendMessage({
+        const request = {
             type: type,
             tabId: state.currentTabId,
-            ...payload
-        });
+            ...payload,
+            history: state.conversationHistory,
+            requestId: stream.requestId,
+            bypassCache
+        };
+        const response = await sendWithInputConfirmation(request, stream);
+
+        hideTypingIndicator();
 
         if (response?.success) {
-            addAIMessage(response.data.response);
+            const messageEl = completeStream(stream, response.data);
+            if (messageEl) onComplete?.(messageEl, response.data);
+            recordExchange(question, response.data.response);
+            showUsageWarning(response.data.usageWarning);
+        } else if (response?.declined) {
+            abortStream(stream);
+            addSystemMessage('Request not sent.');
+        } else if (response?.cancelled || stream.cancelled) {
+            completeCancelledStream(stream, question);
         } else {
-            throw new Error(response?.error || 'Unknown error performing action');
+            throw createResponseError(response, 'Unknown error performing action');
         }
     } catch (error) {
+        hideTypingIndicator();
+        if (stream.cancelled) {
+            completeCancelledStream(stream, question);
+            return;
+        }
+        abortStream(stream);
         showError(error.message, {
-            connection: error.message.includes('fetch') || error.message.includes('Failed to fetch')
+            connection: error.message.includes('fetch') || error.message.includes('Failed to fetch'),
+            retryAfter: error.retryAfter,
+            limitReached: error.limitReached
         });
     } finally {
-        updateState({ isProcessing: false });
+        updateState({ isProcessing: false, activeStream: null });
         setProcessing(false);
         const chatInput = document.getElementById('chat-input');
         if (chatInput) {
@@ -392,24 +784,62 @@ function handleSummarizeAction(contextAction) {
     addSystemMessage('Summarizing the page...');
     _sendPageAction({
         type: MESSAGE_TYPES.SUMMARIZE_PAGE,
-        processingMessage: 'SUMMARIZING...'
+        processingMessage: 'SUMMARIZING...',
+        historyLabel: 'Summarize this page'
+    });
+}
+
+/**
+ * Run a user-defined action on the page. The background reads the current page selection when
+ * selectedText isn't given.
+ */
+export function runCustomAction(action, { bypassCache = false, selectedText } = {}) {
+    addSystemMessage(`${action.icon} ${action.name}...`);
+    _sendPageAction({
+        type: MESSAGE_TYPES.RUN_CUSTOM_ACTION,
+        payload: { customActionId: action.id, selectedText },
+        processingMessage: 'WORKING...',
+        historyLabel: action.name,
+        bypassCache
+    });
+}
+
+function handleCustomContextAction(contextAction) {
+    import('./ui.js').then(({ handleSmartAction }) => {
+        handleSmartAction(`custom:${contextAction.customActionId}`, { selectedText: contextAction.text || undefined });
+    });
+}
+
+/**
+ * Explain a passage at a depth from EXPLAIN_DEPTHS. Without selectedText the background explains
+ * whatever is selected on the page. The answer offers the other depths for the same passage.
+ */
+export function explainSelection({ selectedText, depth, bypassCache = false } = {}) {
+    const level = EXPLAIN_DEPTHS.find(item => item.id === depth);
+    const text = (selectedText || '').trim();
+    const shown = text.length > 120 ? `${text.slice(0, 120)}…` : text;
+    addSystemMessage(`🧠 Explaining${level ? ` (${level.label})` : ''}${shown ? `: "${shown}"` : ' the selected text...'}`);
+    _sendPageAction({
+        type: MESSAGE_TYPES.EXPLAIN_PAGE,
+        payload: { selectedText: text || undefined, depth },
+        processingMessage: 'EXPLAINING...',
+        historyLabel: `Explain${level ? ` (${level.label})` : ''}: "${shown || 'selected text'}"`,
+        bypassCache,
+        onComplete: (messageEl, data) => addExplainDepthOptions(messageEl, data)
     });
 }
 
-// function handleExplainAction(contextAction) {
-//     const { text } = contextAction;
-//     addSystemMessage(`Explaining: "${text}"`);
-//     _sendPageAction({
-//         type: MESSAGE_TYPES.EXPLAIN_PAGE,
-//         payload: { selectedText: text },
-//         processingMessage: 'EXPLAINING...'
-//     });
-// }
+function handleExplainAction(contextAction) {
+    import('./ui.js').then(({ handleSmartAction }) => {
+        handleSmartAction('explain', { selectedText: contextAction.text || undefined, depth: contextAction.depth });
+    });
+}
 
 function handleListKeyPointsAction(contextAction) {
     addSystemMessage('Extracting key points from the page...');
     _sendPageAction({
         type: MESSAGE_TYPES.LIST_KEY_POINTS,
-        processingMessage: 'EXTRACTING...'
+        processingMessage: 'EXTRACTING...',
+        historyLabel: 'List the key points of this page'
     });
 }
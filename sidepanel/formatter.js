@@ -1,3 +1,6 @@
+import { CITATION_GROUP_PATTERN } from '../services/citations.js';
+import { TIMESTAMP_PATTERN, parseTimestamp } from '../services/transcripts.js';
+
 /**
  * minimal ai response formatter - preserves original llm structure
  * only applies essential markdown formatting while maintaining original content flow
@@ -41,7 +44,9 @@ class AIResponseFormatter {
     this.parsingState = {
       inCodeBlock: false,
       listStack: [],
-      currentIndent: 0
+      currentIndent: 0,
+      // cited paragraph ids in order of first appearance, numbered from 1
+      citations: []
     };
   }
 
@@ -74,7 +79,9 @@ class AIResponseFormatter {
     this.parsingState = {
       inCodeBlock: false,
       listStack: [],
-      currentIndent: 0
+      currentIndent: 0,
+      // cited paragraph ids in order of first appearance, numbered from 1
+      citations: []
     };
   }
 
@@ -578,7 +585,11 @@ class AIResponseFormatter {
       // Process inline code first to avoid conflicts
       .replace(/`([^`\n]+)`/g, '<code>$1</code>')
       // Convert explicit markdown links next
-      .replace(this.patterns.markdownLink, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+      .replace(this.patterns.markdownLink, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+      // Paragraph citations like [p12] or [p3, p7] become numbered footnote links
+      .replace(CITATION_GROUP_PATTERN, (_, group) => group.split(/\s*,\s*/).map(id => this.renderCitation(id)).join(''))
+      // Transcript timestamps like [v1 12:34] become links that seek that video
+      .replace(TIMESTAMP_PATTERN, (_, videoId, time) => this.renderTimestamp(time, videoId));
 
     // Auto-link bare URLs only outside existing <a> and <code> tags
     result = this.autoLinkOutsideTags(result);
@@ -594,6 +605,24 @@ class AIResponseFormatter {
     return result;
   }
 
+  /**
+   * Footnote link for a cited paragraph id; clicking it shows the passage on the page
+   */
+  renderCitation(id) {
+    const { citations } = this.parsingState;
+    if (!citations.includes(id)) citations.push(id);
+    const number = citations.indexOf(id) + 1;
+    return `<sup class="citation"><a href="#" class="citation-link" data-cite="${id}" title="Show this passage on the page">${number}</a></sup>`;
+  }
+
+  /**
+   * Link for a transcript timestamp; clicking it plays that video (videoId, e.g. "v2") from that moment
+   */
+  renderTimestamp(time, videoId) {
+    const video = videoId ? ` data-video="${videoId}"` : '';
+    return `<a href="#" class="timestamp-link" data-time="${parseTimestamp(time)}"${video} title="Play the video from ${time}"><i class="fas fa-play"></i> ${time}</a>`;
+  }
+
   /**
    * Auto-link URLs but skip inside existing <a> and <code> tags to avoid corrupting attributes/text
    */
@@ -644,3 +673,12 @@ const aiFormatter = new AIResponseFormatter();
 export function formatAIResponse(content) {
   return aiFormatter.format(content);
 }
+
+/**
+ * Format a response that is still streaming in - partial content is expected,
+ * so an empty buffer renders nothing instead of an error block
+ */
+export function formatStreamingResponse(content) {
+  if (!content) return '';
+  return aiFormatter.format(content);
+}
@@ -1,7 +1,7 @@
 // sidepanel/main.js
 'use strict';
 
-import { state, validateState } from './state.js';
+import { state, validateState, updateState } from './state.js';
 import {
     initUI,
     elements,
@@ -11,18 +11,24 @@ import {
     handleKeyDown,
     handleRefresh,
     showHelpDialog,
-    cleanup,
-    pauseStreamingAnimations,
-    resumeStreamingAnimations,
     addAIMessage,
     addSystemMessage,
     showNewTabIndicator,
     hideNewTabIndicator,
-    resetChat
+    resetChat,
+    renderQuickActionBar
 } from './ui.js';
-import { loadCurrentTab, handleContextAction, hasContextAction, handleSendMessage } from './api.js';
+import {
+    loadCurrentTab,
+    handleContextAction,
+    hasContextAction,
+    handleSendMessage,
+    handleStreamMessage,
+    cancelActiveRequest
+} from './api.js';
 import { logger } from './utils.js';
 import { MESSAGE_TYPES, STORAGE_KEYS } from '../services/constants.js';
+import { loadCustomActions } from '../services/custom-actions.js';
 
 async function init() {
     try {
@@ -30,6 +36,8 @@ async function init() {
         validateState();
 
         initUI();
+        updateState({ customActions: await loadCustomActions() });
+        renderQuickActionBar();
         setupEventListeners();
         await loadCurrentTab();
         await handleContextAction();
@@ -76,8 +84,22 @@ function setupEventListeners() {
     chatInput?.addEventListener('keydown', handleKeyDown);
     chatInput?.addEventListener('click', () => chatInput.focus());
 
-    // Button events
-    sendBtn?.addEventListener('click', handleSendMessage);
+    // Button events - the send button doubles as Stop while a request is running
+    sendBtn?.addEventListener('click', () => {
+        if (state.isProcessing) {
+            cancelActiveRequest();
+        } else {
+            handleSendMessage();
+        }
+    });
+
+    // Escape stops generation (the input is disabled meanwhile, so listen on the document)
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && state.isProcessing) {
+            e.preventDefault();
+            cancelActiveRequest();
+        }
+    });
     refreshBtn?.addEventListener('click', handleRefresh);
     helpBtn?.addEventListener('click', showHelpDialog);
     settingsBtn?.addEventListener('click', () => chrome.runtime.openOptionsPage());
@@ -97,31 +119,33 @@ function setupEventListeners() {
     inputContainer?.addEventListener('click', (e) => {
         if (e.target !== chatInput) chatInput?.focus();
     });
+
+    chrome.storage.onChanged.addListener(async (changes, areaName) => {
+        if (areaName !== 'local') return;
+        // Custom actions edited in Settings show up without reopening the panel
+        if (changes[STORAGE_KEYS.CUSTOM_ACTIONS]) {
+            updateState({ customActions: await loadCustomActions() });
+            renderQuickActionBar();
+        }
+        // A custom action or explanation picked from the context menu while the panel is already open
+        const pickedAction = changes[STORAGE_KEYS.CONTEXT_ACTION]?.newValue?.action;
+        if (pickedAction === 'custom' || pickedAction === 'explain') {
+            handleContextAction();
+        }
+    });
 }
 
 document.addEventListener('DOMContentLoaded', async () => {
     await init();
 });
 
-// Cleanup on page unload to prevent memory leaks
-window.addEventListener('beforeunload', () => {
-    cleanup();
-});
-
-// Cleanup on visibility change (when sidepanel is hidden)
-document.addEventListener('visibilitychange', () => {
-    if (document.hidden) {
-        // Pause streaming animations when hidden to save resources
-        pauseStreamingAnimations();
-    } else {
-        // Resume when visible again
-        resumeStreamingAnimations();
-    }
-});
-
 // Listen for translation updates from background
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     switch (message.type) {
+        case MESSAGE_TYPES.STREAM_STATUS:
+        case MESSAGE_TYPES.STREAM_CHUNK:
+            handleStreamMessage(message);
+            break;
         case MESSAGE_TYPES.TAB_ACTIVATED:
             if (message.tabId !== state.currentTabId) {
                 showNewTabIndicator();
@@ -6,9 +6,14 @@
 export const state = {
   isProcessing: false,
   currentTabId: null,
-  currentStreamingController: null,
+  activeStream: null, // Request currently receiving streamed output: { requestId, message, cancelled }
   lastUserMessage: null,
   lastAction: null, // Track last action for retry: { type: 'chat'|'smart', data: {...} }
+  conversationHistory: [], // Prior turns sent with follow-up questions: [{ role: 'user'|'assistant', content }]
+  shownUsageWarnings: new Set(), // Usage limit ids already warned about this session
+  focusedTable: null, // Page table the next questions are about: { id, title }
+  pageFrames: [], // Frames read into the last page capture, with the citation and video ids they gave: [{ frameId, citations, videos }]
+  customActions: [], // User-defined actions from the options page: [{ id, name, icon, prompt, outputFormat, requiresSelection }]
   activeTimeouts: new Set(), // Track active timeouts for cleanup
   activeIntervals: new Set(), // Track active intervals for cleanup
   eventListeners: new Map(), // Track event listeners for cleanup
@@ -28,6 +33,12 @@ export function validateState() {
     state.isProcessing = false;
   }
 
+  // Validate conversation history
+  if (!Array.isArray(state.conversationHistory)) {
+    console.warn('[State] Invalid conversationHistory, resetting');
+    state.conversationHistory = [];
+  }
+
   // Validate tab ID
   if (state.currentTabId !== null && typeof state.currentTabId !== 'number') {
     console.warn('[State] Invalid currentTabId, resetting');
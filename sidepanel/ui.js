@@ -2,10 +2,24 @@
 'use strict';
 
 import { state, updateState } from './state.js';
-import { formatAIResponse } from './formatter.js';
+import { formatAIResponse, formatStreamingResponse } from './formatter.js';
 import { formatTime, escapeHtml, logger } from './utils.js';
-import { retryLastMessage, handleSendMessage, _sendPageAction, loadCurrentTab } from './api.js';
-import { MESSAGE_TYPES } from '../services/constants.js';
+import {
+    retryLastMessage,
+    handleSendMessage,
+    _sendPageAction,
+    loadCurrentTab,
+    runCustomAction,
+    explainSelection,
+    showCitationSource,
+    seekVideo,
+    listPageTables,
+    downloadTableCsv
+} from './api.js';
+import { MESSAGE_TYPES, EXPLAIN_DEPTHS } from '../services/constants.js';
+import { findCitations } from '../services/citations.js';
+import { getPageInfoFacts, getEntityFacts } from '../services/page-info.js';
+import { getSiteExtractorLabel } from '../services/site-extractors.js';
 import { ELEMENT_IDS } from '../services/constants.js';
 
 
@@ -24,10 +38,42 @@ export function initUI() {
         inputContainer: document.getElementById(ELEMENT_IDS.INPUT_CONTAINER),
         newTabIndicator: document.getElementById('new-tab-indicator'),
         refreshLink: document.getElementById('refresh-link'),
-        dismissNotification: document.getElementById('dismiss-notification')
+        dismissNotification: document.getElementById('dismiss-notification'),
+        quickActionBar: document.getElementById(ELEMENT_IDS.QUICK_ACTION_BAR),
+        pageSource: document.getElementById(ELEMENT_IDS.PAGE_SOURCE),
+        pageInfo: document.getElementById(ELEMENT_IDS.PAGE_INFO),
+        tableFocus: document.getElementById(ELEMENT_IDS.TABLE_FOCUS)
     };
 }
 
+/**
+ * Button that runs a custom action; the label is set as text so user-defined names stay inert
+ */
+function createCustomActionButton(action, className) {
+    const button = document.createElement('button');
+    button.className = className;
+    button.dataset.customAction = action.id;
+    button.textContent = `${action.icon} ${action.name}`;
+    button.title = action.requiresSelection ? `${action.name} (select text on the page first)` : action.name;
+    button.addEventListener('click', () => handleSmartAction(`custom:${action.id}`));
+    return button;
+}
+
+/**
+ * Show the user's custom actions in the bar above the input (hidden when there are none)
+ */
+export function renderQuickActionBar() {
+    const { quickActionBar } = elements;
+    if (!quickActionBar) return;
+
+    quickActionBar.replaceChildren(...state.customActions.map(action => {
+        const button = createCustomActionButton(action, 'quick-action-btn');
+        button.disabled = state.isProcessing;
+        return button;
+    }));
+    quickActionBar.hidden = state.customActions.length === 0;
+}
+
 export function showNewTabIndicator() {
     if (elements.newTabIndicator) {
         elements.newTabIndicator.style.display = 'block';
@@ -45,6 +91,9 @@ export async function resetChat() {
 
     try {
         hideNewTabIndicator();
+        // A new conversation starts without memory of the previous one
+        updateState({ conversationHistory: [] });
+
         // Clear chat messages with smooth transition
         const { chatMessages } = elements;
         if (chatMessages) {
@@ -164,34 +213,6 @@ function manageStorageQuota() {
     }
 }
 
-/**
- * Comprehensive cleanup function to prevent memory leaks
- */
-export function cleanup() {
-    // Stop all streaming controllers
-    if (state.currentStreamingController) {
-        state.currentStreamingController();
-        updateState({ currentStreamingController: null });
-    }
-
-    // Clean up all message elements with streaming controllers
-    const messageElements = document.querySelectorAll('.message-content');
-    messageElements.forEach(element => {
-        if (element.streamingController) {
-            element.streamingController();
-            element.streamingController = null;
-        }
-    });
-
-    // Use the enhanced cleanup system
-    // cleanupStaleResources(); // This is called in state.js
-
-    // Reset processing state safely
-    updateState({ isProcessing: false });
-
-    logger.log('Cleanup completed');
-}
-
 /**
  * Smooth scroll to bottom of chat messages
  */
@@ -216,28 +237,6 @@ function instantScrollToBottom() {
     }
 }
 
-/**
- * Pause streaming animations to save resources
- */
-export function pauseStreamingAnimations() {
-    const streamingElements = document.querySelectorAll('.streaming');
-    streamingElements.forEach(element => {
-        if (element.streamingController) {
-            element.dataset.wasPaused = 'true';
-            element.streamingController();
-        }
-    });
-}
-
-/**
- * Resume streaming animations when visible
- */
-export function resumeStreamingAnimations() {
-    // Note: This is a placeholder - actual resume logic would need
-    // to store streaming state and resume from where it left off
-    logger.log('Resuming streaming animations');
-}
-
 /**
  * Clear all pending timeouts (placeholder for timeout tracking)
  */
@@ -258,6 +257,9 @@ export function handleInputChange() {
     // Update character count and validation
     updateInputValidation();
 
+    // While processing the send button acts as the Stop button - leave it to setProcessing
+    if (sendBtn && state.isProcessing) return;
+
     // Update send button state
     if (sendBtn) {
         const text = chatInput.value.trim();
@@ -389,7 +391,14 @@ export function showError(message, context = {}) {
     let errorTitle = 'Something went wrong';
     let actionButtons = '';
 
-    if (context.apiKey || message.includes('API key') || message.includes('401')) {
+    if (context.limitReached) {
+        errorTitle = 'Usage Limit Reached';
+        actionButtons = `
+      <button class="error-action-btn" data-action="configure-api">
+        <i class="fas fa-cog"></i> Open Settings
+      </button>
+    `;
+    } else if (context.apiKey || message.includes('API key') || message.includes('401')) {
         errorTitle = 'API Configuration Issue';
         actionButtons = `
       <button class="error-action-btn" data-action="configure-api">
@@ -408,9 +417,11 @@ export function showError(message, context = {}) {
     `;
     } else if (message.includes('rate limit') || message.includes('429')) {
         errorTitle = 'Rate Limit Reached';
+        // Wait as long as the server asked (Retry-After), otherwise 5 seconds
+        const retryDelay = Math.max(1, parseInt(context.retryAfter, 10) || 5);
         actionButtons = `
-      <button class="error-action-btn" data-action="retry-delayed">
-        <i class="fas fa-clock"></i> Retry in 5s
+      <button class="error-action-btn" data-action="retry-delayed" data-delay="${retryDelay}">
+        <i class="fas fa-clock"></i> Retry in ${retryDelay}s
       </button>
     `;
     } else {
@@ -460,6 +471,27 @@ export function showError(message, context = {}) {
 }
 
 export function addMessage(content, sender, save = true) {
+    const created = createMessageElement(sender);
+    if (!created) return null;
+    const { messageEl, messageContent } = created;
+
+    // Complete answers (cache hits, non-streamed responses) are shown as they are, like a finished stream
+    messageContent.innerHTML = formatAIResponse(content);
+    if (sender === 'ai') {
+        finalizeAIMessage(messageEl, messageContent, content);
+    }
+
+    smoothScrollToBottom();
+
+    // History is not persisted; skipping storage quota checks
+
+    return messageEl;
+}
+
+/**
+ * Create an empty message shell (header + content) and append it to the chat
+ */
+function createMessageElement(sender) {
     const { chatMessages } = elements;
     if (!chatMessages) return null;
 
@@ -486,59 +518,373 @@ export function addMessage(content, sender, save = true) {
 
     chatMessages.appendChild(messageEl);
 
-    // Handle content display - universal formatting for all content
-    const formattedContent = formatAIResponse(content);
-    if (sender === 'ai') {
-        // Stop any existing streaming
-        if (state.currentStreamingController) {
-            state.currentStreamingController();
+    return { messageEl, messageContent };
+}
+
+/**
+ * Attach action buttons and click-to-copy for code blocks once an AI message is complete
+ */
+function finalizeAIMessage(messageEl, messageContent, content) {
+    if (!messageEl.querySelector('.message-actions')) {
+        messageEl.appendChild(createMessageActions(content));
+    }
+
+    // Click-to-copy for code blocks in this message; citation links show their passage on the page,
+    // timestamp links play the video from that moment
+    messageContent.addEventListener('click', (ev) => {
+        const timestamp = ev.target.closest('.timestamp-link');
+        if (timestamp && messageContent.contains(timestamp)) {
+            ev.preventDefault();
+            seekVideo(Number(timestamp.dataset.time), timestamp.dataset.video);
+            return;
         }
 
-        // Add streaming class for CSS styling
-        messageContent.classList.add('streaming');
+        const citation = ev.target.closest('.citation-link');
+        if (citation && messageContent.contains(citation)) {
+            ev.preventDefault();
+            const unresolved = (messageEl.dataset.unresolvedCitations || '').split(' ');
+            if (unresolved.includes(citation.dataset.cite)) {
+                addSystemMessage('That citation does not match any passage on the page.');
+            } else {
+                showCitationSource(citation.dataset.cite);
+            }
+            return;
+        }
 
-        // Start streaming animation for AI responses
-        const streamingController = startTypingEffect(messageContent, formattedContent);
-        updateState({ currentStreamingController: streamingController });
+        const pre = ev.target.closest('pre');
+        if (!pre || !messageContent.contains(pre)) return;
+        const text = pre.innerText || '';
+        if (!text) return;
+        navigator.clipboard.writeText(text).then(() => {
+            const indicator = document.createElement('div');
+            indicator.className = 'streaming-speed-indicator visible';
+            indicator.textContent = 'Copied code';
+            messageContent.appendChild(indicator);
+            setTimeout(() => {
+                indicator.classList.remove('visible');
+                setTimeout(() => indicator.remove(), 300);
+            }, 1000);
+        }).catch(() => { /* ignore */ });
+    });
+}
 
+/**
+ * Create an AI message that renders LLM output as it streams in.
+ * Returns a controller: append(delta) adds text, finish(content) renders the final answer
+ * and adds the action buttons, discard() removes the message.
+ */
+export function createStreamingMessage() {
+    const created = createMessageElement('ai');
+    if (!created) return null;
+    const { messageEl, messageContent } = created;
 
-        // Add action buttons after streaming completes
-        setTimeout(() => {
-            // Remove streaming class when done
-            messageContent.classList.remove('streaming');
+    messageContent.classList.add('streaming');
 
-            if (!messageEl.querySelector('.message-actions')) {
-                messageEl.appendChild(createMessageActions(content));
+    const cursor = document.createElement('span');
+    cursor.className = 'streaming-cursor';
+    cursor.textContent = '▊';
+
+    let buffer = '';
+    let frameId = null;
+
+    // Re-render at most once per animation frame; chunks can arrive faster than that
+    const render = () => {
+        frameId = null;
+        messageContent.innerHTML = formatStreamingResponse(buffer);
+        // Keep the cursor inline with the paragraph being written
+        const lastBlock = messageContent.lastElementChild;
+        (lastBlock?.tagName === 'P' ? lastBlock : messageContent).appendChild(cursor);
+        instantScrollToBottom();
+    };
+
+    const cancelRender = () => {
+        if (frameId !== null) {
+            cancelAnimationFrame(frameId);
+            frameId = null;
+        }
+    };
+
+    return {
+        get content() {
+            return buffer;
+        },
+        append(delta) {
+            if (!delta) return;
+            buffer += delta;
+            if (frameId === null) {
+                frameId = requestAnimationFrame(render);
+            }
+        },
+        finish(finalContent = buffer, { interrupted = false } = {}) {
+            cancelRender();
+            messageContent.classList.remove('streaming');
+            messageContent.innerHTML = formatAIResponse(finalContent);
+            if (interrupted) {
+                // Keep the partial answer but make clear it was cut short
+                messageEl.classList.add('interrupted');
+                const note = document.createElement('div');
+                note.className = 'message-interrupted';
+                note.innerHTML = '<i class="fas fa-stop-circle"></i> Interrupted - generation was stopped';
+                messageContent.appendChild(note);
             }
+            finalizeAIMessage(messageEl, messageContent, finalContent);
+            smoothScrollToBottom();
+            return messageEl;
+        },
+        discard() {
+            cancelRender();
+            messageEl.remove();
+        }
+    };
+}
 
-            // Click-to-copy for code blocks in this message
-            messageContent.addEventListener('click', (ev) => {
-                const pre = ev.target.closest('pre');
-                if (!pre || !messageContent.contains(pre)) return;
-                const text = pre.innerText || '';
-                if (!text) return;
-                navigator.clipboard.writeText(text).then(() => {
-                    const indicator = document.createElement('div');
-                    indicator.className = 'streaming-speed-indicator visible';
-                    indicator.textContent = 'Copied code';
-                    messageContent.appendChild(indicator);
-                    setTimeout(() => {
-                        indicator.classList.remove('visible');
-                        setTimeout(() => indicator.remove(), 300);
-                    }, 1000);
-                }).catch(() => { /* ignore */ });
-            });
-        }, 3000);
-    } else {
-        // System and user messages display immediately without streaming
-        messageContent.innerHTML = formattedContent;
+/**
+ * Badge an AI message whose answer came from the response cache
+ */
+export function markMessageCached(messageEl, cachedAt) {
+    const header = messageEl.querySelector('.message-header');
+    if (!header || header.querySelector('.message-badge.cached')) return;
+
+    const badge = document.createElement('span');
+    badge.className = 'message-badge cached';
+    badge.innerHTML = '<i class="fas fa-database"></i> Cached';
+    const savedAt = cachedAt ? ` from ${new Date(cachedAt).toLocaleString()}` : '';
+    badge.title = `Saved answer${savedAt}. Use Regenerate for a fresh one.`;
+    header.appendChild(badge);
+}
+
+// Names for the content script's extraction strategies
+const EXTRACTION_STRATEGY_LABELS = {
+    readability: 'Article text',
+    semantic: 'Main element',
+    body: 'Full page',
+    pdf: 'PDF',
+    site: 'Site reader'
+};
+
+/**
+ * Show in the context bar how the page text was captured: the extraction strategy that won and
+ * the capture format, with byline and site, and every attempt in the tooltip. null hides it.
+ */
+export function updatePageSource(page) {
+    // Citations and timestamps from a frame are shown in that frame
+    updateState({ pageFrames: page?.frames || [] });
+    const { pageSource } = elements;
+    if (!pageSource) return;
+    if (!page?.usedSource) {
+        pageSource.hidden = true;
+        pageSource.textContent = '';
+        updatePageInfo(null);
+        return;
     }
 
+    updatePageInfo(page.pageInfo);
+    const [strategy, source] = page.usedSource.split(':');
+    const details = [page.byline && `by ${page.byline}`, page.siteName].filter(Boolean);
+    const format = page.captureFormat === 'markdown' ? ' · Markdown' : '';
+    const frameCount = page.frames?.length || 0;
+    const frames = frameCount ? ` · +${frameCount} frame${frameCount === 1 ? '' : 's'}` : '';
+    const transcripts = page.transcripts?.length ? ' · Transcript' : '';
+    const commentCount = page.discussion?.comments || 0;
+    const comments = commentCount ? ` · ${commentCount.toLocaleString('en-US')} comment${commentCount === 1 ? '' : 's'}` : '';
+    const strategyLabel = strategy === 'site'
+        ? getSiteExtractorLabel(source)
+        : EXTRACTION_STRATEGY_LABELS[strategy] || strategy;
+    pageSource.innerHTML = `
+      <span class="page-source-strategy"><i class="fas fa-file-alt"></i> ${escapeHtml(strategyLabel)}${format}${frames}${transcripts}${comments}</span>
+      ${details.length ? `<span class="page-source-details">${escapeHtml(details.join(' · '))}</span>` : ''}
+    `;
+    const attempts = page.attempts.map(attempt => {
+        const label = EXTRACTION_STRATEGY_LABELS[attempt.strategy] || attempt.strategy;
+        const result = attempt.error ? `failed (${attempt.error})` : `${attempt.length.toLocaleString('en-US')} characters`;
+        return `${attempt.ok ? '✓' : '✗'} ${label}${attempt.source ? ` (${attempt.source})` : ''}: ${result}`;
+    });
+    const captured = page.captureFormat === 'markdown' ? 'as Markdown' : 'as plain text';
+    const frameLines = (page.frames || []).map(frame =>
+        `+ Frame ${frame.title || frame.url}: ${frame.length.toLocaleString('en-US')} characters`
+    );
+    const summary = page.pdf
+        ? `Read ${source} of the PDF${page.pdf.lastPage < page.pdf.pageCount ? ` (text up to page ${page.pdf.lastPage} fit)` : ''}`
+        : strategy === 'site'
+            ? `Read by the ${strategyLabel} extractor ${captured}`
+            : `Read from ${source || 'the page'} ${captured}`;
+    const transcriptLines = (page.transcripts || []).map(transcript =>
+        `+ Transcript of ${transcript.title}${transcript.language ? ` (${transcript.language})` : ''}: ${transcript.cueCount.toLocaleString('en-US')} captions`
+    );
+    const discussionLines = commentCount
+        ? [`+ Discussion: ${commentCount.toLocaleString('en-US')} comments from ${page.discussion.participants.toLocaleString('en-US')} participant${page.discussion.participants === 1 ? '' : 's'}`]
+        : [];
+    pageSource.title = [summary, ...attempts, ...frameLines, ...transcriptLines, ...discussionLines].join('\n');
+    pageSource.hidden = false;
+}
+
+function renderFacts(facts) {
+    return facts.map(fact => `
+        <dt>${escapeHtml(fact.label)}</dt>
+        <dd>${escapeHtml(fact.value)}</dd>
+    `).join('');
+}
+
+/**
+ * Fill the context bar's collapsible page-info card from the page metadata (see services/page-info.js):
+ * page-wide facts, then one block per JSON-LD entity. Hidden when the page has none.
+ */
+export function updatePageInfo(pageInfo) {
+    const { pageInfo: card } = elements;
+    if (!card) return;
+
+    const facts = getPageInfoFacts(pageInfo);
+    const entities = Array.isArray(pageInfo?.entities) ? pageInfo.entities : [];
+    if (!facts.length && !entities.length) {
+        card.hidden = true;
+        card.open = false;
+        card.replaceChildren();
+        return;
+    }
+
+    const kinds = [...new Set(entities.map(entity => entity.type))];
+    card.innerHTML = `
+      <summary><i class="fas fa-info-circle"></i> Page info${kinds.length ? ` · ${escapeHtml(kinds.join(' · '))}` : ''}</summary>
+      ${facts.length ? `<dl class="page-info-facts">${renderFacts(facts)}</dl>` : ''}
+      ${entities.map(entity => `
+        <div class="page-info-entity">
+          <div class="page-info-entity-name">${escapeHtml(entity.type)}: ${escapeHtml(entity.name)}</div>
+          <dl class="page-info-facts">${renderFacts(getEntityFacts(entity))}</dl>
+        </div>
+      `).join('')}
+    `;
+    card.hidden = false;
+}
+
+/**
+ * List the page's data tables in the chat, each with buttons to ask about it or download it as CSV.
+ * tables are [{ id, title, rowCount, columnCount, header }] from the content script.
+ */
+export function addTableList(tables) {
+    if (!tables.length) {
+        addSystemMessage('No data tables found on this page.');
+        return;
+    }
+
+    const messageEl = addSystemMessage(tables.length === 1
+        ? 'Found 1 table on this page.'
+        : `Found ${tables.length} tables on this page.`);
+    if (!messageEl) return;
+
+    const list = document.createElement('div');
+    list.className = 'table-list';
+    tables.forEach(table => {
+        const columns = table.header?.filter(Boolean).join(', ');
+        const item = document.createElement('div');
+        item.className = 'table-list-item';
+        item.innerHTML = `
+          <div class="table-list-title">${escapeHtml(table.title)}</div>
+          <div class="table-list-meta">${table.rowCount} rows × ${table.columnCount} columns${columns ? ` · ${escapeHtml(columns)}` : ''}</div>
+          <div class="table-list-actions">
+            <button class="table-action-btn" data-table-action="ask"><i class="fas fa-comment-dots"></i> Ask about this table</button>
+            <button class="table-action-btn" data-table-action="csv"><i class="fas fa-download"></i> Download as CSV</button>
+          </div>
+        `;
+        item.querySelector('[data-table-action="ask"]').addEventListener('click', () => setFocusedTable(table));
+        item.querySelector('[data-table-action="csv"]').addEventListener('click', () => downloadTableCsv(table));
+        list.appendChild(item);
+    });
+    messageEl.appendChild(list);
     smoothScrollToBottom();
+}
 
-    // History is not persisted; skipping storage quota checks
+/**
+ * Show above the input which table the next questions are about; null stops asking about one
+ */
+export function setFocusedTable(table) {
+    updateState({ focusedTable: table ? { id: table.id, title: table.title } : null });
+    const { tableFocus, chatInput } = elements;
+    if (!tableFocus) return;
+    if (!table) {
+        tableFocus.hidden = true;
+        tableFocus.replaceChildren();
+        return;
+    }
 
-    return messageEl;
+    tableFocus.innerHTML = `
+      <i class="fas fa-table"></i>
+      <span class="table-focus-title">Asking about: ${escapeHtml(table.title)}</span>
+      <button class="table-focus-clear" title="Stop asking about this table" aria-label="Stop asking about this table">×</button>
+    `;
+    tableFocus.querySelector('.table-focus-clear').addEventListener('click', () => setFocusedTable(null));
+    tableFocus.hidden = false;
+    chatInput?.focus();
+}
+
+/**
+ * List an answer's cited passages under it as footnotes, numbered like its citation links, and warn
+ * about citations that don't match any passage on the page. citations is
+ * { sources: [{ id, snippet }], unresolved: [id] } from the background.
+ */
+export function addCitationSources(messageEl, citations, answer) {
+    if (!citations || messageEl.querySelector('.citation-sources, .citation-warning')) return;
+
+    const snippets = new Map(citations.sources.map(source => [source.id, source.snippet]));
+    const actions = messageEl.querySelector('.message-actions');
+    messageEl.dataset.unresolvedCitations = citations.unresolved.join(' ');
+
+    if (snippets.size) {
+        const footnotes = document.createElement('div');
+        footnotes.className = 'citation-sources';
+        const list = findCitations(answer)
+            .map((id, index) => snippets.has(id) ? `
+          <li>
+            <a href="#" class="citation-link" data-cite="${escapeHtml(id)}" title="Show this passage on the page">
+              <span class="citation-number">${index + 1}</span>
+              <span class="citation-snippet">${escapeHtml(snippets.get(id))}</span>
+            </a>
+          </li>` : '')
+            .join('');
+        footnotes.innerHTML = `<div class="citation-sources-title">Sources on this page</div><ol>${list}</ol>`;
+        footnotes.addEventListener('click', (ev) => {
+            const link = ev.target.closest('.citation-link');
+            if (!link) return;
+            ev.preventDefault();
+            showCitationSource(link.dataset.cite);
+        });
+        messageEl.insertBefore(footnotes, actions);
+    }
+
+    if (citations.unresolved.length) {
+        const count = citations.unresolved.length;
+        const warning = document.createElement('div');
+        warning.className = 'citation-warning';
+        warning.innerHTML = `<i class="fas fa-exclamation-triangle"></i> ${count} citation${count === 1 ? '' : 's'} in this answer ${count === 1 ? 'does' : 'do'} not match any passage on the page - double-check ${count === 1 ? 'that claim' : 'those claims'}.`;
+        messageEl.insertBefore(warning, actions);
+    }
+}
+
+/**
+ * Buttons under an explanation that re-explain the same passage at the other depths
+ */
+export function addExplainDepthOptions(messageEl, { selectedText, depth } = {}) {
+    if (!selectedText || messageEl.querySelector('.explain-depths')) return;
+
+    const row = document.createElement('div');
+    row.className = 'explain-depths';
+    const label = document.createElement('span');
+    label.className = 'explain-depths-label';
+    label.textContent = 'Explain again:';
+    row.appendChild(label);
+
+    EXPLAIN_DEPTHS.filter(item => item.id !== depth).forEach(item => {
+        const btn = document.createElement('button');
+        btn.className = 'explain-depth-btn';
+        btn.textContent = item.label;
+        btn.addEventListener('click', () => {
+            if (state.isProcessing) return;
+            handleSmartAction('explain', { selectedText, depth: item.id });
+        });
+        row.appendChild(btn);
+    });
+
+    const actions = messageEl.querySelector('.message-actions');
+    messageEl.insertBefore(row, actions);
 }
 
 function createMessageHeader(sender) {
@@ -569,7 +915,7 @@ function createMessageActions(content) {
     <button class="action-btn" data-action="copy" title="Copy message">
       <i class="fas fa-copy"></i>
     </button>
-    <button class="action-btn" data-action="regenerate" title="Regenerate response">
+    <button class="action-btn" data-action="regenerate" title="Regenerate response (bypasses cache)">
       <i class="fas fa-redo"></i>
     </button>
   `;
@@ -634,7 +980,7 @@ function regenerateLastResponse(button) {
     // Reset button state after processing
     const originalReset = () => {
         button.innerHTML = '<i class="fas fa-redo"></i>';
-        button.title = 'Regenerate response';
+        button.title = 'Regenerate response (bypasses cache)';
         button.disabled = false;
         button.classList.remove('processing');
         button.style.transform = '';
@@ -647,7 +993,7 @@ function regenerateLastResponse(button) {
 
     // If last action was a smart action (summarize/keypoints/analyze), delegate to unified retry
     if (state.lastAction.type === 'smart') {
-        retryLastMessage();
+        retryLastMessage({ bypassCache: true });
         setTimeout(originalReset, 500);
         return;
     }
@@ -682,14 +1028,29 @@ export function showWelcomeMessage() {
       <button class="suggestion-btn" data-message="What are the key takeaways?">
         💡 Key insights
       </button>
+      <button class="suggestion-btn" data-message="Summarize the discussion">
+        💬 Discussion overview
+      </button>
+      <button class="suggestion-btn" data-message="Explain the selected text">
+        🧠 Explain selection
+      </button>
+      <button class="suggestion-btn" data-message="List the tables on this page">
+        📊 Page tables
+      </button>
     </div>
     <div class="welcome-tip">
       💡 <strong>Tip:</strong> Select text on any page and right-click to analyze it directly!
     </div>
   `;
 
+    // Custom actions follow the built-in suggestions
+    const suggestions = welcomeEl.querySelector('.welcome-suggestions');
+    state.customActions.forEach(action => {
+        suggestions?.appendChild(createCustomActionButton(action, 'suggestion-btn custom'));
+    });
+
     // Add event listeners for suggestion buttons
-    const suggestionBtns = welcomeEl.querySelectorAll('.suggestion-btn');
+    const suggestionBtns = welcomeEl.querySelectorAll('.suggestion-btn:not([data-custom-action])');
     suggestionBtns.forEach(btn => {
         btn.addEventListener('click', () => {
             const message = btn.dataset.message;
@@ -701,6 +1062,12 @@ export function showWelcomeMessage() {
                     handleSmartAction('keypoints');
                 } else if (message === "What is this page about?") {
                     handleSmartAction('analyze');
+                } else if (message === "Summarize the discussion") {
+                    handleSmartAction('discussion');
+                } else if (message === "Explain the selected text") {
+                    handleSmartAction('explain');
+                } else if (message === "List the tables on this page") {
+                    handleSmartAction('tables');
                 } else {
                     // Fallback to regular chat for other messages
                     handleSendMessage(message);
@@ -715,28 +1082,52 @@ export function showWelcomeMessage() {
 /**
  * Handle smart action buttons by triggering appropriate backend actions
  */
-export function handleSmartAction(actionType) {
+export function handleSmartAction(actionType, { bypassCache = false, selectedText, depth } = {}) {
     // Track this smart action for retry functionality
     updateState({ 
         lastAction: { 
             type: 'smart', 
-            data: { actionType } 
+            data: { actionType, selectedText, depth } 
         } 
     });
 
+    // User-defined actions are 'custom:<id>'
+    if (actionType.startsWith('custom:')) {
+        const action = state.customActions.find(item => item.id === actionType.slice('custom:'.length));
+        if (action) {
+            runCustomAction(action, { bypassCache, selectedText });
+        } else {
+            addSystemMessage('This custom action no longer exists. Check your actions in Settings.');
+        }
+        return;
+    }
+
     switch (actionType) {
         case 'summarize':
             addSystemMessage('Summarizing the page...');
             _sendPageAction({
                 type: MESSAGE_TYPES.SUMMARIZE_PAGE,
-                processingMessage: 'SUMMARIZING...'
+                processingMessage: 'SUMMARIZING...',
+                bypassCache,
+                historyLabel: 'Summarize this page'
             });
             break;
         case 'keypoints':
             addSystemMessage('Extracting key points from the page...');
             _sendPageAction({
                 type: MESSAGE_TYPES.LIST_KEY_POINTS,
-                processingMessage: 'EXTRACTING...'
+                processingMessage: 'EXTRACTING...',
+                bypassCache,
+                historyLabel: 'List the key points of this page'
+            });
+            break;
+        case 'discussion':
+            addSystemMessage('Reading the discussion on the page...');
+            _sendPageAction({
+                type: MESSAGE_TYPES.SUMMARIZE_DISCUSSION,
+                processingMessage: 'SUMMARIZING...',
+                bypassCache,
+                historyLabel: 'Summarize the discussion on this page'
             });
             break;
         case 'analyze':
@@ -744,477 +1135,21 @@ export function handleSmartAction(actionType) {
             _sendPageAction({
                 type: MESSAGE_TYPES.CHAT_WITH_PAGE,
                 payload: { question: "What is this page about? Provide a comprehensive analysis." },
-                processingMessage: 'ANALYZING...'
+                processingMessage: 'ANALYZING...',
+                bypassCache
             });
             break;
+        case 'explain':
+            explainSelection({ selectedText, depth, bypassCache });
+            break;
+        case 'tables':
+            listPageTables();
+            break;
         default:
             logger.warn('Unknown smart action:', actionType);
     }
 }
 
-/**
- * Enhanced streaming animation for AI responses with proper cleanup
- * Maintains structure during streaming while providing smooth animation
- */
-function startTypingEffect(element, finalContent) {
-    // Clear any existing content and cleanup previous streaming
-    element.innerHTML = '';
-
-    // Stop any existing streaming controller for this element
-    if (element.streamingController) {
-        element.streamingController();
-        element.streamingController = null;
-    }
-
-    // Create a temporary container to parse the HTML
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = finalContent;
-
-    // Get all text nodes and elements for streaming with enhanced structure preservation
-    const streamableContent = extractStreamableContent(tempDiv);
-
-    // Start the enhanced streaming animation and return the controller
-    const controller = streamContentWithStructure(element, streamableContent);
-
-    // Store controller on element for cleanup
-    element.streamingController = controller;
-
-    return controller;
-}
-
-/**
- * Enhanced streaming function that preserves markdown structure
- * Inspired by AI sidebar's approach but adapted for Nation Assistant's style
- */
-function streamContentWithStructure(element, streamableContent) {
-    let currentIndex = 0;
-    let isStreaming = true;
-    let streamingSpeed = 50; // Base speed in milliseconds
-    let currentElement = element;
-    let elementStack = []; // Track nested elements
-
-    // Create streaming cursor
-    const cursor = document.createElement('span');
-    cursor.className = 'streaming-cursor';
-    cursor.textContent = '▊';
-
-    // Speed control variables
-    let speedMultiplier = 1;
-    let isInstant = false;
-
-    // Add click handlers for speed control (maintaining original functionality)
-    let clickCount = 0;
-    let clickTimer = null;
-
-    const handleClick = () => {
-        clickCount++;
-
-        if (clickTimeoutId) clearTimeout(clickTimeoutId);
-
-        clickTimeoutId = setTimeout(() => {
-            if (clickCount === 1) {
-                // Single click - speed up
-                speedMultiplier = Math.min(speedMultiplier * 2, 8);
-                showSpeedIndicator('Faster');
-            } else if (clickCount >= 2) {
-                // Double click - instant
-                isInstant = true;
-                showSpeedIndicator('Instant');
-            }
-            clickCount = 0;
-            clickTimeoutId = null;
-        }, 300);
-    };
-
-    element.addEventListener('click', handleClick);
-
-    const showSpeedIndicator = (text) => {
-        const indicator = document.createElement('div');
-        indicator.className = 'streaming-speed-indicator visible';
-        indicator.textContent = text;
-        element.appendChild(indicator);
-
-        setTimeout(() => {
-            indicator.classList.remove('visible');
-            setTimeout(() => indicator.remove(), 300);
-        }, 1500);
-    };
-
-    // Store timeout IDs for proper cleanup
-    let streamTimeoutId = null;
-    let clickTimeoutId = null;
-
-    const streamNext = () => {
-        if (!isStreaming || currentIndex >= streamableContent.length) {
-            // Streaming complete - proper cleanup
-            cleanupStreaming();
-            return;
-        }
-
-        const item = streamableContent[currentIndex];
-
-        // Handle instant mode
-        if (isInstant) {
-            // Add all remaining content instantly
-            while (currentIndex < streamableContent.length) {
-                const currentItem = streamableContent[currentIndex];
-                processStreamItem(currentItem);
-                currentIndex++;
-            }
-            cleanupStreaming();
-            return;
-        }
-
-        processStreamItem(item);
-        currentIndex++;
-
-        // Calculate next delay based on content type and speed
-        let delay = calculateDelay(item) / speedMultiplier;
-
-        // Store timeout ID for cleanup
-        streamTimeoutId = setTimeout(streamNext, delay);
-    };
-
-    const cleanupStreaming = () => {
-        // Clear all timeouts
-        if (streamTimeoutId) {
-            clearTimeout(streamTimeoutId);
-            streamTimeoutId = null;
-        }
-        if (clickTimeoutId) {
-            clearTimeout(clickTimeoutId);
-            clickTimeoutId = null;
-        }
-
-        // Remove cursor safely
-        if (cursor && cursor.parentNode) {
-            cursor.remove();
-        }
-
-        // Remove event listeners
-        element.removeEventListener('click', handleClick);
-
-        // Clear streaming state
-        element.classList.remove('streaming');
-        isStreaming = false;
-
-        // Clear controller reference
-        if (element.streamingController) {
-            element.streamingController = null;
-        }
-
-        // Final scroll to ensure we're at the bottom
-        smoothScrollToBottom();
-    };
-
-    const processStreamItem = (item) => {
-        switch (item.type) {
-            case 'text':
-                // Add text content
-                const textNode = document.createTextNode(item.content);
-                currentElement.appendChild(textNode);
-
-                // Update cursor position
-                cursor.remove();
-                currentElement.appendChild(cursor);
-                break;
-
-            case 'element':
-                // Complete element (headers, code blocks, tables, etc.)
-                cursor.remove();
-                currentElement.appendChild(item.element);
-                currentElement.appendChild(cursor);
-                break;
-
-            case 'element_start':
-                // Start of an element
-                cursor.remove();
-                const newElement = item.element;
-                currentElement.appendChild(newElement);
-
-                // Push current element to stack and switch context
-                elementStack.push(currentElement);
-                currentElement = newElement;
-                currentElement.appendChild(cursor);
-                break;
-
-            case 'element_end':
-                // End of an element
-                cursor.remove();
-
-                // Pop back to parent element
-                if (elementStack.length > 0) {
-                    currentElement = elementStack.pop();
-                }
-                currentElement.appendChild(cursor);
-                break;
-        }
-
-        // Auto-scroll to bottom after each item
-        instantScrollToBottom();
-    };
-
-    const calculateDelay = (item) => {
-        // Enhanced delay calculation based on content type
-        if (item.priority === 'high') {
-            return streamingSpeed * 2; // Slower for important elements
-        }
-
-        if (item.isWhitespace) {
-            return streamingSpeed * 0.3; // Faster for whitespace
-        }
-
-        if (item.isCodeBlock || item.isTable) {
-            return streamingSpeed * 3; // Slower for complex elements
-        }
-
-        if (item.isInlineFormatting || item.isInlineCode) {
-            return streamingSpeed * 0.5; // Faster for inline elements
-        }
-
-        if (item.type === 'element_start' || item.type === 'element_end') {
-            return streamingSpeed * 0.2; // Very fast for structure elements
-        }
-
-        // Default text speed with some variation
-        const baseDelay = streamingSpeed;
-        const variation = Math.random() * 20 - 10; // ±10ms variation
-        return Math.max(baseDelay + variation, 10);
-    };
-
-    // Start streaming
-    streamNext();
-
-    // Return enhanced controller function with proper cleanup
-    return () => {
-        isStreaming = false;
-        cleanupStreaming();
-    };
-}
-
-/**
- * Enhanced streaming content extraction - inspired by AI sidebar
- * Extracts content that can be streamed while preserving markdown structure
- */
-function extractStreamableContent(container) {
-    const content = [];
-
-    function traverse(node) {
-        if (node.nodeType === Node.TEXT_NODE) {
-            const text = node.textContent;
-            if (text) {
-                // Split text into words and spaces for natural streaming
-                const parts = text.split(/(\s+)/);
-                parts.forEach(part => {
-                    if (part) {
-                        content.push({
-                            type: 'text',
-                            content: part,
-                            isWhitespace: /^\s+$/.test(part)
-                        });
-                    }
-                });
-            }
-        } else if (node.nodeType === Node.ELEMENT_NODE) {
-            const tagName = node.tagName.toLowerCase();
-
-            // Handle different element types with enhanced structure preservation
-            if (['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(tagName)) {
-                // Headers are treated as complete blocks for better visual impact
-                const headerElement = node.cloneNode(true);
-                content.push({
-                    type: 'element',
-                    element: headerElement,
-                    content: node.textContent,
-                    isBlock: true,
-                    priority: 'high' // Headers get priority in streaming
-                });
-            } else if (['p', 'div', 'blockquote'].includes(tagName)) {
-                content.push({
-                    type: 'element_start',
-                    element: node.cloneNode(false),
-                    isBlock: true
-                });
-
-                // Process children
-                Array.from(node.childNodes).forEach(child => traverse(child));
-
-                content.push({
-                    type: 'element_end',
-                    tagName: tagName,
-                    isBlock: true
-                });
-            } else if (['ul', 'ol'].includes(tagName)) {
-                // Lists need special handling to maintain structure
-                content.push({
-                    type: 'element_start',
-                    element: node.cloneNode(false),
-                    isBlock: true,
-                    listType: tagName
-                });
-
-                // Process list items with structure preservation
-                Array.from(node.children).forEach(child => {
-                    if (child.tagName.toLowerCase() === 'li') {
-                        content.push({
-                            type: 'element_start',
-                            element: child.cloneNode(false),
-                            isBlock: false,
-                            isListItem: true
-                        });
-
-                        Array.from(child.childNodes).forEach(grandChild => traverse(grandChild));
-
-                        content.push({
-                            type: 'element_end',
-                            tagName: 'li',
-                            isBlock: false,
-                            isListItem: true
-                        });
-                    }
-                });
-
-                content.push({
-                    type: 'element_end',
-                    tagName: tagName,
-                    isBlock: true,
-                    listType: tagName
-                });
-            } else if (['li'].includes(tagName)) {
-                // List items handled above in list processing
-                content.push({
-                    type: 'element_start',
-                    element: node.cloneNode(false),
-                    isBlock: false,
-                    isListItem: true
-                });
-
-                Array.from(node.childNodes).forEach(child => traverse(child));
-
-                content.push({
-                    type: 'element_end',
-                    tagName: tagName,
-                    isBlock: false,
-                    isListItem: true
-                });
-            } else if (['pre'].includes(tagName)) {
-                // Code blocks are treated as complete elements for syntax integrity
-                const codeElement = node.cloneNode(true);
-                content.push({
-                    type: 'element',
-                    element: codeElement,
-                    content: node.textContent,
-                    isBlock: true,
-                    isCodeBlock: true,
-                    priority: 'high' // Code blocks get priority
-                });
-            } else if (['code'].includes(tagName)) {
-                // Inline code - check if it's inside a pre block
-                const isInlineCode = !node.closest('pre');
-                if (isInlineCode) {
-                    content.push({
-                        type: 'element_start',
-                        element: node.cloneNode(false),
-                        isBlock: false,
-                        isInlineCode: true
-                    });
-
-                    Array.from(node.childNodes).forEach(child => traverse(child));
-
-                    content.push({
-                        type: 'element_end',
-                        tagName: tagName,
-                        isBlock: false,
-                        isInlineCode: true
-                    });
-                }
-            } else if (['strong', 'em', 'del', 'a', 'span'].includes(tagName)) {
-                // Inline formatting elements
-                content.push({
-                    type: 'element_start',
-                    element: node.cloneNode(false),
-                    isBlock: false,
-                    isInlineFormatting: true
-                });
-
-                Array.from(node.childNodes).forEach(child => traverse(child));
-
-                content.push({
-                    type: 'element_end',
-                    tagName: tagName,
-                    isBlock: false,
-                    isInlineFormatting: true
-                });
-            } else if (['br', 'hr'].includes(tagName)) {
-                // Self-closing elements
-                content.push({
-                    type: 'element',
-                    element: node.cloneNode(false),
-                    content: '',
-                    isBlock: tagName === 'hr',
-                    isSelfClosing: true
-                });
-            } else if (['table', 'thead', 'tbody', 'tr', 'th', 'td'].includes(tagName)) {
-                // Enhanced table handling
-                if (tagName === 'table') {
-                    // Tables are treated as complete blocks for better formatting
-                    const tableElement = node.cloneNode(true);
-                    content.push({
-                        type: 'element',
-                        element: tableElement,
-                        content: node.textContent,
-                        isBlock: true,
-                        isTable: true,
-                        priority: 'high'
-                    });
-                } else {
-                    // For table sub-elements, process with structure preservation
-                    content.push({
-                        type: 'element_start',
-                        element: node.cloneNode(false),
-                        isBlock: ['thead', 'tbody', 'tr'].includes(tagName),
-                        isTableElement: true
-                    });
-
-                    Array.from(node.childNodes).forEach(child => traverse(child));
-
-                    content.push({
-                        type: 'element_end',
-                        tagName: tagName,
-                        isBlock: ['thead', 'tbody', 'tr'].includes(tagName),
-                        isTableElement: true
-                    });
-                }
-            } else {
-                // Generic element handling
-                content.push({
-                    type: 'element_start',
-                    element: node.cloneNode(false),
-                    isBlock: false
-                });
-
-                Array.from(node.childNodes).forEach(child => traverse(child));
-
-                content.push({
-                    type: 'element_end',
-                    tagName: tagName,
-                    isBlock: false
-                });
-            }
-        }
-    }
-
-    traverse(container);
-
-    // Filter out empty content and optimize
-    return content.filter(item => {
-        if (item.type === 'text') {
-            return item.content.length > 0;
-        }
-        return true;
-    });
-}
-
 export function showTypingIndicator(statusText = 'THINKING...', stage = 'thinking') {
     const { chatMessages } = elements;
     if (!chatMessages) return;
@@ -1231,6 +1166,7 @@ export function showTypingIndicator(statusText = 'THINKING...', stage = 'thinkin
         analyzing: '<i class="fas fa-microchip"></i>',
         generating: '<i class="fas fa-bolt"></i>',
         translating: '<i class="fas fa-globe"></i>',
+        retrying: '<i class="fas fa-clock"></i>',
         thinking: '<i class="fas fa-terminal"></i>'
     };
 
@@ -1259,22 +1195,41 @@ export function hideTypingIndicator() {
     }
 }
 
-export function updateTypingIndicator(statusText, stage = 'thinking') {
+export function updateTypingIndicator(statusText, stage = 'thinking', progress = null) {
     const indicator = document.getElementById(ELEMENT_IDS.TYPING_INDICATOR);
     if (indicator) {
         const statusEl = indicator.querySelector('.typing-status');
         const avatarEl = indicator.querySelector('.typing-avatar');
+        const contentEl = indicator.querySelector('.typing-content');
 
         if (statusEl) {
             statusEl.textContent = statusText;
         }
 
+        // Determinate progress (e.g. parts of a long page read so far)
+        let progressEl = indicator.querySelector('.typing-progress');
+        if (progress?.total && contentEl) {
+            if (!progressEl) {
+                progressEl = document.createElement('div');
+                progressEl.className = 'typing-progress';
+                progressEl.innerHTML = '<div class="progress-bar"></div>';
+                contentEl.classList.add('with-progress');
+                contentEl.appendChild(progressEl);
+            }
+            const percent = Math.round((progress.completed / progress.total) * 100);
+            progressEl.querySelector('.progress-bar').style.width = `${percent}%`;
+        } else if (progressEl) {
+            progressEl.remove();
+            contentEl?.classList.remove('with-progress');
+        }
+
         if (avatarEl) {
             const stageIcons = {
                 reading: '<i class="fas fa-search"></i>',
                 analyzing: '<i class="fas fa-microchip"></i>',
                 generating: '<i class="fas fa-bolt"></i>',
                 translating: '<i class="fas fa-globe"></i>',
+                retrying: '<i class="fas fa-clock"></i>',
                 thinking: '<i class="fas fa-terminal"></i>'
             };
             avatarEl.innerHTML = stageIcons[stage] || stageIcons.thinking;
@@ -1364,11 +1319,12 @@ function handleErrorAction(action, errorEl) {
                 const btn = errorEl.querySelector(`[data-action="${action}"]`);
                 if (btn) {
                     btn.disabled = true;
-                    let countdown = 5;
+                    const delay = parseInt(btn.dataset.delay, 10) || 5;
+                    let countdown = delay;
 
                     const updateCountdown = () => {
                         btn.innerHTML = `<i class="fas fa-clock"></i> Retry in ${countdown}s`;
-                        btn.style.background = `linear-gradient(90deg, rgba(208, 255, 22, 0.1) ${((5 - countdown) / 5) * 100}%, transparent ${((5 - countdown) / 5) * 100}%)`;
+                        btn.style.background = `linear-gradient(90deg, rgba(208, 255, 22, 0.1) ${((delay - countdown) / delay) * 100}%, transparent ${((delay - countdown) / delay) * 100}%)`;
                     };
 
                     updateCountdown();
@@ -1433,25 +1389,35 @@ export function setProcessing(processing, statusText = 'THINKING...', stage = 't
     updateState({ isProcessing: processing });
 
 
-    // Update send button with enhanced feedback
+    // While processing, the send button turns into a Stop button
     if (sendBtn) {
-        sendBtn.disabled = processing || !chatInput?.value.trim();
         if (processing) {
-            sendBtn.innerHTML = '<div class="enhanced-loading-spinner"></div>';
-            sendBtn.classList.add('processing');
+            const stopping = !!state.activeStream?.cancelled;
+            sendBtn.disabled = stopping || !state.activeStream;
+            sendBtn.innerHTML = stopping
+                ? '<div class="enhanced-loading-spinner"></div>'
+                : '<i class="fas fa-stop"></i>';
+            sendBtn.classList.add('processing', 'stop-mode');
             sendBtn.style.background = 'rgba(208, 255, 22, 0.1)';
             sendBtn.style.color = '#D0FF16';
             sendBtn.style.borderColor = 'rgba(208, 255, 22, 0.3)';
-            sendBtn.title = statusText;
+            sendBtn.title = stopping ? 'Stopping...' : `${statusText} Click or press Escape to stop`;
+            sendBtn.setAttribute('aria-label', 'Stop generating');
         } else {
             sendBtn.innerHTML = '<i class="fas fa-arrow-up"></i>';
-            sendBtn.classList.remove('processing');
+            sendBtn.classList.remove('processing', 'stop-mode');
             sendBtn.style.borderColor = '';
             sendBtn.title = 'Send message';
+            sendBtn.setAttribute('aria-label', 'Send message');
             handleInputChange();
         }
     }
 
+    // Quick actions can't start while another request runs
+    elements.quickActionBar?.querySelectorAll('button').forEach(button => {
+        button.disabled = processing;
+    });
+
     // Update input container with visual feedback
     if (inputContainer) {
         inputContainer.style.transition = 'all 0.3s cubic-bezier(0.4, 0, 0.2, 1)';
@@ -1549,6 +1515,10 @@ export function showHelpDialog() {
               <kbd>Enter</kbd>
               <span>Send message</span>
             </div>
+            <div class="shortcut-item">
+              <kbd>Esc</kbd>
+              <span>Stop generating</span>
+            </div>
             <div class="shortcut-item">
               <kbd>Shift + Enter</kbd>
               <span>New line</span>
@@ -1577,6 +1547,10 @@ export function showHelpDialog() {
               <kbd>Escape</kbd>
               <span>Clear input</span>
             </div>
+            <div class="shortcut-item">
+              <kbd>Ctrl + Shift + E</kbd>
+              <span>Explain selected text</span>
+            </div>
           </div>
         </div>
 
@@ -1587,6 +1561,7 @@ export function showHelpDialog() {
             <li><strong>Double-click</strong> for instant completion</li>
             <li><strong>Right-click text</strong> on any webpage for quick analysis</li>
             <li><strong>Use action buttons</strong> to copy or regenerate responses</li>
+            <li><strong>Page tables</strong> lists the page's tables to ask about or download as CSV</li>
           </ul>
         </div>
 
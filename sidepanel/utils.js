@@ -124,6 +124,13 @@ export function sanitizeHtmlContent(html) {
 }
 
 
+/**
+ * Generate an id that ties background progress broadcasts to the request that caused them
+ */
+export function createRequestId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
 export function formatTime() {
     return new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 }
@@ -0,0 +1,76 @@
+// PDF text extraction read against small saved PDFs, one per font path
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { extractPdfText, formatPdfPages, isPdfContentType, isPdfUrl } from '../services/pdf-text.js';
+
+function loadPdf(name) {
+  return readFileSync(new URL(`./fixtures/pdf/${name}`, import.meta.url));
+}
+
+describe('extractPdfText', () => {
+  test('reads WinAnsi text from compressed content, with the document info', async () => {
+    const pdf = await extractPdfText(loadPdf('winansi.pdf'));
+    assert.deepEqual(pdf.pages, [
+      { number: 1, text: 'Café crème costs €20\n“Quoted” – naïve' },
+      // A TJ gap becomes a space; a wide line gap becomes a paragraph break
+      { number: 2, text: 'Second page\n\nNew paragraph' }
+    ]);
+    assert.equal(pdf.pageCount, 2);
+    assert.equal(pdf.title, 'Menu (draft)');
+    assert.equal(pdf.author, 'Joël');
+    assert.equal(pdf.language, 'en');
+  });
+
+  test('maps codes through a ToUnicode CMap and glyph names through /Differences', async () => {
+    const pdf = await extractPdfText(loadPdf('tounicode.pdf'));
+    // bfrange counting up, a bfrange with an array, bfchar, then a simple font's fi and fl glyphs
+    assert.equal(pdf.pages[0].text, 'こごさざし\n日本語 ﬁ\nfine flow');
+  });
+
+  test('reads CID fonts whose predefined CMap codes are text', async () => {
+    const pdf = await extractPdfText(loadPdf('cid.pdf'));
+    // UniJIS-UCS2-H, then Shift JIS through 90ms-RKSJ-H
+    assert.equal(pdf.pages[0].text, '日本語のテキストです。\n\n日本語');
+    assert.equal(pdf.language, 'ja');
+  });
+
+  test('refuses a document whose text is all in fonts without a Unicode map', async () => {
+    await assert.rejects(extractPdfText(loadPdf('cid-unmapped.pdf')), /fonts without a Unicode map/);
+  });
+
+  test('refuses files that are not PDFs', async () => {
+    await assert.rejects(extractPdfText(new TextEncoder().encode('<!DOCTYPE html><p>Not a PDF</p>')), /not a PDF/);
+  });
+});
+
+describe('formatPdfPages', () => {
+  test('marks pages, leaves out empty ones and stops at the limit', () => {
+    const pages = [{ number: 1, text: 'One' }, { number: 2, text: '' }, { number: 3, text: 'Three is longer' }];
+    assert.deepEqual(formatPdfPages(pages, 1000), {
+      content: '[Page 1]\nOne\n\n[Page 3]\nThree is longer',
+      totalLength: 40,
+      lastPage: 3
+    });
+    assert.deepEqual(formatPdfPages(pages, 20), { content: '[Page 1]\nOne\n\n[Page ...', totalLength: 40, lastPage: 3 });
+  });
+});
+
+describe('PDF detection', () => {
+  test('recognizes PDF content types', () => {
+    assert.equal(isPdfContentType('application/pdf'), true);
+    assert.equal(isPdfContentType('application/pdf; qs=0.001'), true);
+    assert.equal(isPdfContentType('application/x-pdf'), true);
+    assert.equal(isPdfContentType('text/html; charset=utf-8'), false);
+    assert.equal(isPdfContentType(null), false);
+  });
+
+  test('falls back to the .pdf suffix of the path', () => {
+    assert.equal(isPdfUrl('https://example.com/paper.pdf'), true);
+    assert.equal(isPdfUrl('https://example.com/My%20Paper.PDF?download=1'), true);
+    assert.equal(isPdfUrl('file:///home/me/notes.pdf'), true);
+    assert.equal(isPdfUrl('https://arxiv.org/pdf/2401.00001'), false);
+    assert.equal(isPdfUrl('chrome://settings/file.pdf'), false);
+    assert.equal(isPdfUrl('not a url'), false);
+  });
+});
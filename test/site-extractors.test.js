@@ -0,0 +1,235 @@
+// Site extractors read against saved pages of each site
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+import { findSiteExtractor, getSiteExtractorLabel } from '../services/site-extractors.js';
+
+const PR_URL = 'https://github.com/acme/widgets/pull/42';
+const SO_URL = 'https://stackoverflow.com/questions/927358/how-do-i-undo-the-most-recent-local-commits-in-git';
+const WIKI_URL = 'https://en.wikipedia.org/wiki/Ada_Lovelace';
+const HN_URL = 'https://news.ycombinator.com/item?id=40000001';
+
+function loadFixture(name, url) {
+  const html = readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+  return new JSDOM(html, { url }).window.document;
+}
+
+function extract(name, url) {
+  return findSiteExtractor(url).extract(loadFixture(name, url), url);
+}
+
+const headings = parts => parts.filter(part => part.heading).map(part => part.heading);
+const comments = parts => parts.filter(part => part.comment).map(part => part.comment);
+const texts = parts => parts.filter(part => part.text).map(part => part.text);
+const elementText = part => part.element.textContent.replace(/\s+/g, ' ').trim();
+
+describe('findSiteExtractor', () => {
+  const cases = [
+    [PR_URL, 'github-pr'],
+    ['https://github.com/acme/widgets/pull/42/files', 'github-pr'],
+    ['https://github.com/acme/widgets/issues/7#issuecomment-1', 'github-issue'],
+    [SO_URL, 'stack-exchange'],
+    ['https://unix.stackexchange.com/questions/12345/title', 'stack-exchange'],
+    ['https://askubuntu.com/questions/1/title', 'stack-exchange'],
+    ['https://mathoverflow.net/questions/2', 'stack-exchange'],
+    [WIKI_URL, 'wikipedia'],
+    ['https://de.m.wikipedia.org/wiki/Ada_Lovelace', 'wikipedia'],
+    [HN_URL, 'hacker-news'],
+    ['https://news.ycombinator.com/item?p=2&id=40000001', 'hacker-news']
+  ];
+  for (const [url, id] of cases) {
+    test(`matches ${url}`, () => assert.equal(findSiteExtractor(url)?.id, id));
+  }
+
+  const unmatched = [
+    'https://github.com/acme/widgets',
+    'https://github.com/acme/widgets/pulls',
+    'http://github.com/acme/widgets/pull/42',
+    'https://stackoverflow.com/questions/tagged/git',
+    'https://stackoverflow.com/users/1/someone',
+    'https://en.wikipedia.org/wiki/Special:Random',
+    'https://en.wikipedia.org/wiki/Talk:Ada_Lovelace',
+    'https://en.wikipedia.org/w/index.php?title=Ada_Lovelace&action=history',
+    'https://news.ycombinator.com/news',
+    'https://news.ycombinator.com/user?id=lispfan',
+    'https://example.com/item?id=1',
+    '',
+    undefined
+  ];
+  for (const url of unmatched) {
+    test(`does not match ${url}`, () => assert.equal(findSiteExtractor(url), null));
+  }
+
+  test('labels extractors by id', () => {
+    assert.equal(getSiteExtractorLabel('wikipedia'), 'Wikipedia article');
+    assert.equal(getSiteExtractorLabel('unknown'), 'unknown');
+  });
+});
+
+describe('GitHub pull request', () => {
+  test('reads the header, description, comments and rendered diff', async () => {
+    const { title, byline, parts } = await extract('github-pr.html', PR_URL);
+    assert.equal(title, 'Fix race in cache eviction');
+    assert.equal(byline, 'octocat');
+    assert.deepEqual(headings(parts), ['Pull request #42: Fix race in cache eviction', 'Description', 'Comments', 'Diff']);
+    assert.match(texts(parts)[0], /^State: Open · octocat wants to merge 2 commits into main from fix-eviction$/);
+
+    const description = parts[parts.findIndex(part => part.heading === 'Description') + 1];
+    assert.match(elementText(description), /^Evicting an entry while a reader holds it/);
+
+    assert.deepEqual(comments(parts), [
+      { author: 'hubot', age: '2026-03-03', context: null, depth: 0 },
+      { author: 'monalisa', age: '2026-03-04', context: 'on src/cache.js', depth: 1 }
+    ]);
+
+    const diff = parts.find(part => part.code);
+    assert.equal(diff.language, 'diff');
+    assert.equal(diff.code, [
+      'diff --git a/src/cache.js b/src/cache.js',
+      '@@ -10,3 +10,4 @@ class Cache {',
+      '   evict(key) {',
+      '-    this.entries.clear();',
+      '+    this.lock.acquire();',
+      '+    this.entries.delete(key);',
+      '   }'
+    ].join('\n'));
+  });
+
+  test('fetches the diff when none is rendered', async (t) => {
+    const doc = loadFixture('github-pr.html', PR_URL);
+    doc.getElementById('files').remove();
+    const diff = 'diff --git a/a.txt b/a.txt\n-old\n+new';
+    const fetch = t.mock.method(globalThis, 'fetch', async () => new Response(diff));
+
+    const { parts } = await findSiteExtractor(PR_URL).extract(doc, PR_URL);
+    assert.equal(fetch.mock.calls[0].arguments[0], `${PR_URL}.diff`);
+    assert.equal(parts.find(part => part.code).code, diff);
+  });
+
+  test('leaves out the diff when it cannot be fetched', async (t) => {
+    const doc = loadFixture('github-pr.html', PR_URL);
+    doc.getElementById('files').remove();
+    t.mock.method(globalThis, 'fetch', async () => { throw new TypeError('Failed to fetch'); });
+
+    const { parts } = await findSiteExtractor(PR_URL).extract(doc, PR_URL);
+    assert.equal(parts.some(part => part.code), false);
+    assert.equal(headings(parts).includes('Diff'), false);
+  });
+
+  test('reads an issue without looking for a diff', async (t) => {
+    const fetch = t.mock.method(globalThis, 'fetch', async () => new Response(''));
+    const url = 'https://github.com/acme/widgets/issues/42';
+    const doc = loadFixture('github-pr.html', url);
+    doc.getElementById('files').remove();
+
+    const { byline, parts } = await findSiteExtractor(url).extract(doc, url);
+    assert.equal(byline, 'octocat');
+    assert.deepEqual(headings(parts), ['Issue #42: Fix race in cache eviction', 'Description', 'Comments']);
+    assert.equal(fetch.mock.calls.length, 0);
+  });
+
+  test('falls back without a title', async () => {
+    const doc = loadFixture('github-pr.html', PR_URL);
+    doc.querySelector('.js-issue-title').remove();
+    assert.equal(await findSiteExtractor(PR_URL).extract(doc, PR_URL), null);
+  });
+});
+
+describe('Stack Exchange question', () => {
+  test('reads the question, then the accepted answer and the best others', async () => {
+    const { title, byline, parts } = await extract('stack-overflow.html', SO_URL);
+    assert.equal(title, 'How do I undo the most recent local commits in Git?');
+    // The last signature is the author; the first is the last editor
+    assert.equal(byline, 'Hamza Yerlikaya');
+    assert.deepEqual(headings(parts), [
+      'Question: How do I undo the most recent local commits in Git?',
+      'Accepted answer',
+      'Other answer',
+      'Other answer'
+    ]);
+    assert.deepEqual(texts(parts), [
+      'Score 26321 · by Hamza Yerlikaya · 2009-05-29 · Tags: git, version-control, git-commit',
+      'Score 28400 · by Esko Luontola · 2009-05-29',
+      'Score 12000 · by Soft Reset · 2011-07-28',
+      'Score 310 · by Reverter · 2012-01-10',
+      '(1 more answers not included)'
+    ]);
+    assert.match(elementText(parts[2]), /^I accidentally committed the wrong files/);
+    assert.match(parts[5].element.textContent, /git reset HEAD~\ngit add \./);
+  });
+
+  test('takes the top answer when none is accepted', async () => {
+    const doc = loadFixture('stack-overflow.html', SO_URL);
+    doc.querySelector('.accepted-answer').remove();
+    const { parts } = await findSiteExtractor(SO_URL).extract(doc, SO_URL);
+    assert.deepEqual(headings(parts).slice(1), ['Top answer', 'Other answer', 'Other answer']);
+    assert.equal(texts(parts)[1], 'Score 12000 · by Soft Reset · 2011-07-28');
+    assert.equal(texts(parts).length, 4);
+  });
+
+  test('falls back without a question body', async () => {
+    const doc = loadFixture('stack-overflow.html', SO_URL);
+    doc.querySelector('#question .js-post-body').remove();
+    assert.equal(await findSiteExtractor(SO_URL).extract(doc, SO_URL), null);
+  });
+});
+
+describe('Wikipedia article', () => {
+  test('reads the infobox and sections without references or navigation', async () => {
+    const { title, byline, parts } = await extract('wikipedia.html', WIKI_URL);
+    assert.equal(title, 'Ada Lovelace');
+    assert.equal(byline, null);
+    assert.deepEqual(parts.filter(part => part.heading), [
+      { heading: 'Ada Lovelace', level: 1 },
+      { heading: 'Infobox', level: 2 },
+      { heading: 'Biography', level: 2 },
+      { heading: 'Childhood', level: 3 },
+      { heading: 'Work', level: 3 }
+    ]);
+    assert.deepEqual(texts(parts), [
+      '- Born: Augusta Ada Byron 10 December 1815 London, England\n- Died: 27 November 1852 (aged 36)\n- Known for: Mathematics, computing',
+      'Augusta Ada King, Countess of Lovelace was an English mathematician and writer, chiefly known for her work on '
+        + "Charles Babbage's proposed mechanical general-purpose computer, the Analytical Engine.",
+      'She was the first to recognise that the machine had applications beyond pure calculation.',
+      'Lord Byron expected his child to be a "glorious boy".',
+      "- Translated Menabrea's article on the Analytical Engine\n- Added notes, including an algorithm for Bernoulli numbers"
+    ]);
+    assert.ok(parts.every(part => !part.element?.closest('.reflist, .navbox, .hatnote, figure')));
+  });
+
+  test('falls back outside the article layout', async () => {
+    const doc = loadFixture('wikipedia.html', WIKI_URL);
+    doc.querySelector('.mw-parser-output').classList.remove('mw-parser-output');
+    assert.equal(await findSiteExtractor(WIKI_URL).extract(doc, WIKI_URL), null);
+  });
+});
+
+describe('Hacker News thread', () => {
+  test('reads the story and its comment tree', async () => {
+    const { title, byline, parts } = await extract('hacker-news.html', HN_URL);
+    assert.equal(title, 'Show HN: A tiny Lisp in 500 lines');
+    assert.equal(byline, 'lispfan');
+    assert.deepEqual(headings(parts), ['Show HN: A tiny Lisp in 500 lines', 'Comments']);
+    assert.equal(texts(parts)[0], '128 points · by lispfan · 3 hours ago · Link: https://example.com/tiny-lisp');
+    assert.equal(elementText(parts[2]), 'I wrote this to learn how closures work. Feedback welcome.');
+
+    // The flagged comment has no text and is left out; the last one has only its indent image
+    assert.deepEqual(comments(parts), [
+      { author: 'pg_reader', age: '2 hours ago', depth: 0 },
+      { author: 'lispfan', age: '2 hours ago', depth: 1 },
+      { author: 'schemer', age: '1 hour ago', depth: 2 }
+    ]);
+    assert.deepEqual(parts.filter(part => part.comment).map(elementText), [
+      'Nice. How do you handle tail calls?',
+      'A trampoline in eval.',
+      'Same approach as in SICP.'
+    ]);
+  });
+
+  test('falls back without the item table', async () => {
+    const doc = loadFixture('hacker-news.html', HN_URL);
+    doc.querySelector('.fatitem').remove();
+    assert.equal(await findSiteExtractor(HN_URL).extract(doc, HN_URL), null);
+  });
+});